@@ -6,30 +6,33 @@
  * Node.js parity: node:_http_agent @ Node 0.1.90+ (internal, stable surface)
  * Dependencies: events
  * Limitations:
- *   - Socket pooling is a no-op; browsers manage TCP connections natively.
- *   - createConnection() is not supported (no raw socket API in browsers).
- *   - keepAlive socket reuse is tracked in state but not enforced by the browser.
- *   - maxTotalSockets enforcement is best-effort via in-flight request count.
- *   - addRequest() wires fetch() instead of net.Socket — no direct socket access.
- *   - agent.sockets / agent.freeSockets contain synthetic placeholder entries,
- *     not real net.Socket objects.
+ *   - Pooled sockets are the net shim's Sockets: they model connections for
+ *     the pool's bookkeeping, while the bytes travel through fetch() or to a
+ *     server in the sandbox. The browser still decides real TCP reuse.
+ *   - `keepAliveMsecs` is handed to socket.setKeepAlive(); no probes are sent.
+ *   - `timeout` closes idle pooled sockets; a busy socket never times out on
+ *     the agent's account (use req.setTimeout()).
  */
 
 /**
  * @packageDocumentation
  * Browser-compatible implementation of Node's internal `_http_agent` module.
  *
- * `Agent` manages connection pooling metadata for `http.request()` calls.
- * In Node it controls TCP socket reuse; in browsers we approximate the same
- * observable API surface (constructor options, `keepAlive`, `maxSockets`,
- * `destroy()`, `getName()`, request queuing) while delegating actual I/O
- * to the Fetch API.
+ * `Agent` pools sockets per origin exactly as Node's does: requests keyed by
+ * `getName()` share up to `maxSockets` busy sockets (`agent.sockets`), wait
+ * in `agent.requests` beyond that, and — with `keepAlive` — park in
+ * `agent.freeSockets` between requests, to be reused by the next one.
+ * A request gets its socket through `req.onSocket(socket)`; when its
+ * response has been read it emits `'free'` on the socket, which the agent
+ * re-emits as `agent.on('free', (socket, options) => …)`, and a closed
+ * socket leaves the pool.
  *
  * `globalAgent` is the default singleton instance used by `http.request()`
  * when no explicit agent is specified.
  */
 
 import EventEmitter from 'events';
+import { Socket } from './net.js';
 
 // ---------------------------------------------------------------------------
 // Constants — match Node exactly
@@ -44,7 +47,10 @@ export const METHODS = [
 ];
 
 /** Default maximum concurrent sockets per host:port key. */
-const DEFAULT_MAX_SOCKETS = 256;
+const DEFAULT_MAX_SOCKETS = Infinity;
+
+/** Where a queued request keeps the options it was added with. */
+const kRequestOptions = Symbol('kRequestOptions');
 
 // ---------------------------------------------------------------------------
 // Validation helpers
@@ -59,16 +65,36 @@ function validatePositiveInteger(v, name) {
     );
 }
 
+// ---------------------------------------------------------------------------
+// Pool helpers
+// ---------------------------------------------------------------------------
+
+/** Removes `socket` from `pool[name]`; true when it was there. */
+function takeFrom(pool, name, socket) {
+  const list = pool[name];
+  const idx  = list ? list.indexOf(socket) : -1;
+  if (idx === -1) return false;
+  list.splice(idx, 1);
+  if (list.length === 0) delete pool[name];
+  return true;
+}
+
+/** Hands `socket` to `req`, as the request's own from now on. */
+function setRequestSocket(req, socket) {
+  socket._httpMessage = req;
+  req.onSocket(socket);
+}
+
 // ---------------------------------------------------------------------------
 // Agent class
 // ---------------------------------------------------------------------------
 
 /**
- * HTTP Agent — manages connection-pool metadata for http.request() calls.
+ * HTTP Agent — pools sockets per origin for http.request() calls.
  *
  * @example
  * const agent = new Agent({ keepAlive: true, maxSockets: 10 });
- * fetch('https://example.com', { agent }); // agent metadata observed
+ * http.get({ host: 'example.com', agent }, (res) => res.resume());
  * agent.destroy();
  */
 export class Agent extends EventEmitter {
@@ -88,7 +114,7 @@ export class Agent extends EventEmitter {
 
     this.defaultPort   = 80;
     this.protocol      = 'http:';
-    this.options       = { path: null, ...options };
+    this.options       = { ...options, path: null };
 
     this.keepAlive      = options.keepAlive      ?? false;
     this.keepAliveMsecs = options.keepAliveMsecs ?? 1000;
@@ -102,23 +128,27 @@ export class Agent extends EventEmitter {
     this.totalSocketCount = 0;
 
     /**
-     * Tracks in-flight "socket" slots per host key.
-     * Values are arrays of synthetic placeholder objects (not real net.Sockets).
-     * @type {Record<string, object[]>}
+     * Sockets serving a request, per `getName()` key.
+     * @type {Record<string, Socket[]>}
      */
     this.sockets = Object.create(null);
 
     /**
-     * Tracks idle "socket" slots awaiting reuse per host key.
-     * @type {Record<string, object[]>}
+     * Idle keep-alive sockets awaiting reuse, per `getName()` key.
+     * @type {Record<string, Socket[]>}
      */
     this.freeSockets = Object.create(null);
 
     /**
-     * Pending request queues per host key.
-     * @type {Record<string, Function[]>}
+     * Requests waiting for a socket, per `getName()` key.
+     * @type {Record<string, object[]>}
      */
     this.requests = Object.create(null);
+
+    /** @type {Map<Socket, ReturnType<typeof setTimeout>>} */
+    this._idleTimers = new Map();
+
+    this.on('free', (socket, opts) => this._onFree(socket, opts));
   }
 
   // ── Static ────────────────────────────────────────────────────────────────
@@ -128,152 +158,232 @@ export class Agent extends EventEmitter {
   // ── getName ───────────────────────────────────────────────────────────────
 
   /**
-   * Returns a string key that uniquely identifies a connection slot.
-   * Matches Node's format: `host:port:localAddress:family:path`.
+   * Returns the key requests share sockets under.
+   * Matches Node's format: `host:port:localAddress[:family]`.
    *
    * @param {{
    *   host?:         string;
    *   port?:         number | string;
    *   localAddress?: string;
    *   family?:       number;
-   *   path?:         string;
+   *   socketPath?:   string;
    * }} options
    * @returns {string}
    *
    * @example
    * agent.getName({ host: 'example.com', port: 443 });
-   * // → 'example.com:443:::'
+   * // → 'example.com:443:'
    */
   getName(options = {}) {
-    const host         = options.host         ?? 'localhost';
-    const port         = options.port         ?? this.defaultPort;
-    const localAddress = options.localAddress ?? '';
-    const family       = options.family       ?? '';
-    const path         = options.path         ?? '';
-    return `${host}:${port}:${localAddress}:${family}:${path}`;
+    let name = `${options.host || 'localhost'}:${options.port || ''}:${options.localAddress || ''}`;
+    if (options.family === 4 || options.family === 6) name += `:${options.family}`;
+    if (options.socketPath) name += `:${options.socketPath}`;
+    return name;
   }
 
   // ── addRequest ────────────────────────────────────────────────────────────
 
   /**
-   * Associates a request with this agent's connection pool.
-   * In Node this assigns a socket; in the browser we queue the callback and
-   * call it immediately (Fetch manages the real connection).
+   * Gives `req` a socket: an idle one for the same key, a new one while the
+   * key is under `maxSockets` (and the agent under `maxTotalSockets`), or
+   * the next one freed, queuing the request in `agent.requests` till then.
    *
-   * @param {object} req   - An http.ClientRequest-like object.
-   * @param {object} opts  - Request options (host, port, path, …).
+   * @param {object} req   - An http.ClientRequest (anything with onSocket()).
+   * @param {object} opts  - Request options (host, port, localAddress, …).
    */
-  addRequest(req, opts) {
-    const name = this.getName(opts);
-
-    // Track slot
-    if (!this.sockets[name]) this.sockets[name] = [];
+  addRequest(req, opts = {}) {
+    const options = { ...opts, ...this.options };
+    const name    = this.getName(options);
 
-    const atMax = this.sockets[name].length >= this.maxSockets ||
-                  this.totalSocketCount      >= this.maxTotalSockets;
+    const free = this.freeSockets[name];
+    while (free?.length) {
+      const socket = this.scheduling === 'fifo' ? free.shift() : free.pop();
+      if (free.length === 0) delete this.freeSockets[name];
+      if (socket.destroyed) continue;
+      this._clearIdle(socket);
+      (this.sockets[name] ??= []).push(socket);
+      this.reuseSocket(socket, req);
+      setRequestSocket(req, socket);
+      return;
+    }
 
-    if (atMax) {
-      // Queue until a slot opens.
-      if (!this.requests[name]) this.requests[name] = [];
-      this.requests[name].push(() => this._assignSocket(req, name));
+    if (this._hasRoom(name)) {
+      this.createSocket(req, options, (err, socket) => {
+        if (err) req.onSocket(socket, err);
+        else setRequestSocket(req, socket);
+      });
     } else {
-      this._assignSocket(req, name);
+      req[kRequestOptions] = options;
+      (this.requests[name] ??= []).push(req);
     }
   }
 
+  // ── createSocket / createConnection ───────────────────────────────────────
+
   /**
+   * Opens a socket for `req` and adds it to the pool under its key.
    * @param {object} req
-   * @param {string} name
-   * @private
+   * @param {object} options
+   * @param {(err: Error | null, socket?: Socket) => void} cb
    */
-  _assignSocket(req, name) {
-    const placeholder = { _agentKey: name, destroyed: false };
-    this.sockets[name].push(placeholder);
-    this.totalSocketCount++;
-
-    // Notify req that a "socket" is available (mirrors Node's socket event).
-    if (typeof req.onSocket === 'function') {
-      req.onSocket(placeholder);
-    } else {
-      req.emit?.('socket', placeholder);
-    }
+  createSocket(req, options, cb) {
+    const name = this.getName(options);
+    let called = false;
+    const oncreate = (err, socket) => {
+      if (called) return;
+      called = true;
+      if (err) return cb(err);
+      (this.sockets[name] ??= []).push(socket);
+      this.totalSocketCount++;
+      this._installListeners(socket, options);
+      cb(null, socket);
+    };
+    const socket = this.createConnection(options, oncreate);
+    if (socket) oncreate(null, socket);
+  }
+
+  /**
+   * A socket "connected" to `options.host`/`options.port`. Override it, as in
+   * Node, to hand the agent sockets of your own.
+   * @param {object} options
+   * @param {(err: Error | null, socket?: Socket) => void} [_callback]
+   * @returns {Socket}
+   */
+  createConnection(options, _callback) {
+    const socket = new Socket();
+    return socket.connect(Number(options.port) || this.defaultPort, options.host || 'localhost');
   }
 
   // ── removeSocket ──────────────────────────────────────────────────────────
 
   /**
-   * Removes a socket placeholder from the pool and drains the next queued
-   * request for the same host key if one exists.
+   * Drops a socket from the pool and lets a waiting request have the room
+   * it leaves: one for the same key, else one the total limit held back.
    *
-   * @param {object} socket  - Placeholder returned by _assignSocket.
+   * @param {Socket} socket
    * @param {object} options
    */
   removeSocket(socket, options) {
-    const name    = this.getName(options);
-    const slots   = this.sockets[name] ?? [];
-    const idx     = slots.indexOf(socket);
-    if (idx !== -1) { slots.splice(idx, 1); this.totalSocketCount--; }
-    if (slots.length === 0) delete this.sockets[name];
-
-    // Drain next pending request for this key.
-    const queue = this.requests[name];
-    if (queue?.length) {
-      const next = queue.shift();
-      if (!queue.length) delete this.requests[name];
-      next();
+    const name = this.getName(options);
+    for (const pool of [this.sockets, this.freeSockets]) {
+      if (takeFrom(pool, name, socket)) this.totalSocketCount--;
     }
+    this._clearIdle(socket);
+
+    const next = this.requests[name]?.length ? name : Object.keys(this.requests).find((key) => this._hasRoom(key));
+    if (next === undefined || !this._hasRoom(next)) return;
+    const req = this.requests[next].shift();
+    if (this.requests[next].length === 0) delete this.requests[next];
+    this.createSocket(req, req[kRequestOptions], (err, created) => {
+      if (err) req.onSocket(created, err);
+      else setRequestSocket(req, created);
+    });
   }
 
   // ── keepSocketAlive / reuseSocket ────────────────────────────────────────
-  // Called by http.ClientRequest after a response; no-op in browser context.
 
-  /** @param {object} socket @param {object} _options */
-  keepSocketAlive(socket, _options) {
-    socket.setKeepAlive?.(true, this.keepAliveMsecs);
-    return this.keepAlive; // returning false tells caller to destroy it
+  /**
+   * Readies a freed socket for the idle pool; returning false closes it
+   * instead.
+   * @param {Socket} socket
+   */
+  keepSocketAlive(socket) {
+    socket.setKeepAlive(true, this.keepAliveMsecs);
+    socket.unref();
+    return true;
   }
 
-  /** @param {object} _socket @param {object} _options */
-  reuseSocket(_socket, _options) {}
+  /** @param {Socket} socket @param {object} req */
+  reuseSocket(socket, req) {
+    req.reusedSocket = true;
+    socket.ref();
+  }
 
-  // ── createConnection ─────────────────────────────────────────────────────
+  // ── destroy ───────────────────────────────────────────────────────────────
 
   /**
-   * Stub — browsers have no raw TCP socket API.
-   * Throws a descriptive error rather than silently returning undefined.
-   * @throws {Error} ERR_NOT_SUPPORTED
+   * Destroys every pooled socket, busy or idle, and forgets queued requests.
+   * Mirrors Node's `agent.destroy()`; additionally emits `'destroy'`.
    */
-  createConnection() {
-    throw Object.assign(
-      new Error(
-        'Agent.createConnection() is not supported in browser environments. ' +
-        'Use the Fetch API for HTTP requests.',
-      ),
-      { code: 'ERR_NOT_SUPPORTED' },
-    );
+  destroy() {
+    for (const pool of [this.freeSockets, this.sockets]) {
+      for (const list of Object.values(pool)) {
+        for (const socket of [...list]) socket.destroy();
+      }
+    }
+    this.requests = Object.create(null);
+    this.emit('destroy');
   }
 
-  // ── destroy ───────────────────────────────────────────────────────────────
+  // ── Internals ─────────────────────────────────────────────────────────────
+
+  /** @private */
+  _hasRoom(name) {
+    return (this.sockets[name]?.length ?? 0) < this.maxSockets &&
+           this.totalSocketCount < this.maxTotalSockets;
+  }
 
   /**
-   * Destroys all tracked socket slots and clears pending request queues.
-   * Mirrors Node's `agent.destroy()` — signals that this agent is no longer
-   * needed and any pooled connections should be closed.
-   *
-   * @example
-   * const agent = new Agent({ keepAlive: true });
-   * // ... make requests ...
-   * agent.destroy(); // release all resources
+   * A request is done with `socket`: the next queued request for the key
+   * takes it over, or it goes idle (keepAlive) or closes.
+   * @private
    */
-  destroy() {
-    for (const key of Object.keys(this.sockets)) {
-      for (const sock of this.sockets[key]) sock.destroyed = true;
+  _onFree(socket, opts) {
+    if (socket.destroyed) return;
+    const name = this.getName(opts);
+    socket._httpMessage = null;
+
+    const queue = this.requests[name];
+    if (queue?.length) {
+      const req = queue.shift();
+      if (queue.length === 0) delete this.requests[name];
+      this.reuseSocket(socket, req);
+      setRequestSocket(req, socket);
+      return;
+    }
+
+    const freeCount = this.freeSockets[name]?.length ?? 0;
+    if (!this.keepAlive || freeCount >= this.maxFreeSockets || !this.keepSocketAlive(socket)) {
+      socket.destroy();
+      return;
+    }
+    takeFrom(this.sockets, name, socket);
+    (this.freeSockets[name] ??= []).push(socket);
+    if (this.options.timeout) {
+      const timer = setTimeout(() => socket.emit('timeout'), this.options.timeout);
+      timer.unref?.();
+      this._idleTimers.set(socket, timer);
     }
-    this.sockets      = Object.create(null);
-    this.freeSockets  = Object.create(null);
-    this.requests     = Object.create(null);
-    this.totalSocketCount = 0;
-    this.emit('destroy');
+  }
+
+  /** @private */
+  _clearIdle(socket) {
+    clearTimeout(this._idleTimers.get(socket));
+    this._idleTimers.delete(socket);
+  }
+
+  /**
+   * Node's installListeners(): the socket reports being freed, closed, idle
+   * too long, or taken out of the pool (an upgrade keeps it).
+   * @private
+   */
+  _installListeners(socket, options) {
+    const onFree    = () => this.emit('free', socket, options);
+    const onClose   = () => this.removeSocket(socket, options);
+    const onTimeout = () => {
+      if (this.freeSockets[this.getName(options)]?.includes(socket)) socket.destroy();
+    };
+    const onRemove  = () => {
+      socket.off('free', onFree);
+      socket.off('close', onClose);
+      socket.off('timeout', onTimeout);
+      socket.off('agentRemove', onRemove);
+      this.removeSocket(socket, options);
+    };
+    socket.on('free', onFree);
+    socket.on('close', onClose);
+    socket.on('timeout', onTimeout);
+    socket.on('agentRemove', onRemove);
   }
 }
 
@@ -283,11 +393,12 @@ export class Agent extends EventEmitter {
 
 /**
  * The default `Agent` instance used by `http.request()` when no agent is
- * passed explicitly. Equivalent to `http.globalAgent`.
+ * passed explicitly. Equivalent to `http.globalAgent`; configured as Node
+ * 19+ configures it.
  *
  * @type {Agent}
  */
-export const globalAgent = new Agent({ keepAlive: true });
+export const globalAgent = new Agent({ keepAlive: true, scheduling: 'lifo', timeout: 5000 });
 
 export default { Agent, globalAgent, METHODS };
 
@@ -301,37 +412,33 @@ export default { Agent, globalAgent, METHODS };
 // const agent = new Agent({
 //   keepAlive:       true,
 //   keepAliveMsecs:  3000,
-//   maxSockets:      10,
+//   maxSockets:      2,
 //   maxTotalSockets: 50,
 //   scheduling:      'fifo',
+//   timeout:         10000,   // idle pooled sockets close after 10s
 // });
 //
 // // ── getName ───────────────────────────────────────────────────────────────
 // agent.getName({ host: 'example.com', port: 443 });
-// // → 'example.com:443:::'
+// // → 'example.com:443:'
 // agent.getName({ host: '::1', port: 80, family: 6 });
-// // → '::1:80::6:'
+// // → '::1:80::6'
 //
-// // ── addRequest / removeSocket (internal use by http.request) ──────────────
-// const fakeReq = { emit: (ev, sock) => console.log(ev, sock) };
-// agent.addRequest(fakeReq, { host: 'example.com', port: 80 });
-// // → emits 'socket' with placeholder
-// agent.removeSocket(
-//   agent.sockets['example.com:80:::'][0],
-//   { host: 'example.com', port: 80 },
-// );
+// // ── Pooling (what http.request does with it) ──────────────────────────────
+// http.get({ host: 'example.com', agent }, (res) => res.resume());
+// http.get({ host: 'example.com', agent }, (res) => res.resume());
+// http.get({ host: 'example.com', agent }); // third waits: maxSockets is 2
+// agent.sockets['example.com:80:'].length;  // 2
+// agent.requests['example.com:80:'].length; // 1
+// agent.on('free', (socket, options) => console.log('free', agent.getName(options)));
 //
 // // ── destroy ───────────────────────────────────────────────────────────────
-// agent.destroy(); // clears all sockets / queues, emits 'destroy'
+// agent.destroy(); // closes pooled sockets, drops queued requests, emits 'destroy'
 //
 // // ── globalAgent ───────────────────────────────────────────────────────────
 // console.log(globalAgent instanceof Agent);  // true
 // console.log(globalAgent.keepAlive);         // true
 //
-// // ── createConnection throws ───────────────────────────────────────────────
-// try { agent.createConnection(); }
-// catch (e) { console.log(e.code); } // 'ERR_NOT_SUPPORTED'
-//
 // // ── maxTotalSockets validation ────────────────────────────────────────────
 // new Agent({ maxTotalSockets: 0 }); // RangeError ERR_OUT_OF_RANGE
 // new Agent({ maxTotalSockets: 100 }); // ✓
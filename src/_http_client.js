@@ -7,11 +7,12 @@
  * Dependencies: events
  * Limitations:
  *   - Backed by fetch() — no raw TCP socket, no upgrade/connect tunnelling.
- *   - socket / connection events fire with a synthetic placeholder, not a real net.Socket.
+ *   - socket / connection events carry the agent's pooled socket (a net shim Socket),
+ *     or a synthetic placeholder with `agent: false`; neither carries the bytes.
  *   - pipe() on the response is not supported (use 'data' events or async iteration).
  *   - HTTP trailers are not accessible (not exposed by fetch).
- *   - agent.addRequest() / agent.removeSocket() are called for lifecycle parity but
- *     have no effect on actual connection reuse (browser controls that).
+ *   - The agent's pooling decides when a request is sent (maxSockets queuing) but
+ *     not actual connection reuse (browser controls that).
  *   - maxHeaderSize / insecureHTTPParser options are silently ignored.
  *   - AbortController-based timeout replaces Node's socket-timeout mechanism.
  */
@@ -271,19 +272,42 @@ export class ClientRequest extends EventEmitter {
       unref:          _noop,
     };
 
+    this._socketReady = new Promise((resolve) => { this._onSocketReady = resolve; });
+
     queueMicrotask(() => {
       if (this._aborted) return;
-      this.emit('socket', this._socket);
-      this.emit('connect');
-      // Inform agent of new request slot.
-      this.agent?.addRequest?.(this, {
-        host: url.hostname,
-        port: url.port,
-        path: this.path,
-      });
+      // The agent hands over a pooled socket through onSocket(), at once or
+      // when one frees up.
+      if (this.agent) {
+        this.agent.addRequest(this, { host: url.hostname, port: this._socket.remotePort, path: this.path });
+      } else {
+        this.onSocket(this._socket);
+      }
     });
   }
 
+  /**
+   * Called by the agent with this request's socket.
+   * @param {object} socket
+   * @param {Error} [err]
+   */
+  onSocket(socket, err) {
+    if (err) { this.destroy(err); return; }
+    if (this._aborted) { socket.destroy?.(); return; }
+    this._socket = socket;
+    // A pooled socket the network policy refuses fails its request
+    socket.on?.('error', (error) => { if (socket._httpMessage === this) this.destroy(error); });
+    this.emit('socket', socket);
+    this.emit('connect');
+    this._onSocketReady();
+  }
+
+  /** Closes the socket; a pooled one leaves its agent. @private */
+  _destroySocket() {
+    if (typeof this._socket.destroy === 'function') this._socket.destroy();
+    else this._socket.destroyed = true;
+  }
+
   // ── Writable interface ────────────────────────────────────────────────────
 
   /**
@@ -327,6 +351,7 @@ export class ClientRequest extends EventEmitter {
   // ── Core fetch dispatch ───────────────────────────────────────────────────
 
   async _send() {
+    await this._socketReady;
     if (this._aborted) return;
 
     // Assemble body
@@ -365,21 +390,18 @@ export class ClientRequest extends EventEmitter {
       clearTimeout(this._timeoutId);
 
       const res = new IncomingMessage(fetchRes);
+      // The socket goes back to the agent once the response is read
+      res.once('end', () => this._socket.emit?.('free'));
+      res.once('error', () => this._destroySocket());
       this.emit('finish');
       this.emit('response', res);
-
-      // Release agent socket slot after response headers arrive
-      this.agent?.removeSocket?.(this._socket, {
-        host: this.url.hostname,
-        port: this.url.port,
-        path: this.path,
-      });
     } catch (err) {
       clearTimeout(this._timeoutId);
       if (this._aborted) return;
       this.destroyed = true;
-      this._socket.destroyed = true;
-      this.emit('error', Object.assign(err, { code: err.name === 'AbortError' ? 'ECONNRESET' : 'ECONNREFUSED' }));
+      this._destroySocket();
+      // fetch() failures carry Node's error, when there is one, as their cause
+      this.emit('error', err.cause?.code ? err.cause : Object.assign(err, { code: err.name === 'AbortError' ? 'ECONNRESET' : 'ECONNREFUSED' }));
       this.emit('close');
     }
   }
@@ -395,6 +417,8 @@ export class ClientRequest extends EventEmitter {
     this._aborted = true;
     this.destroyed = true;
     this._ac.abort();
+    this._destroySocket();
+    this._onSocketReady();
     this.emit('abort');
     this.emit('close');
   }
@@ -406,6 +430,8 @@ export class ClientRequest extends EventEmitter {
     this._aborted  = true;
     clearTimeout(this._timeoutId);
     this._ac.abort();
+    this._destroySocket();
+    this._onSocketReady();
     if (err) this.emit('error', err);
     this.emit('close');
     return this;
@@ -5,7 +5,7 @@ import { fileURLToPath } from "node:url";
 import { nodeModulesPolyfillPlugin } from "esbuild-plugins-node-modules-polyfill";
  
 import { minify } from "terser";
-import { builtinModules } from 'module';
+import { builtinModules, createRequire } from 'module';
  
 import fetch from 'node-fetch';
  
@@ -282,6 +282,13 @@ const BUNDLED_MODULES = {
   console: "console.js",
  // RUNTIME_CLI_TABLE: "specials/cli_table.js",
   RUNTIME_BUNDLER: "specials/bundler.js",
+  RUNTIME_TYPESCRIPT: "runtime/typescriptCompiler.js",
+  // Loaded by child processes; the host hands its URL to the runtime as
+  // globalThis._RUNTIME_.processRuntimeURL.
+  RUNTIME_PROCESS: "internals/child_process/processEntry.js",
+  // The preview service worker; the host registers it at its origin and
+  // sets globalThis._RUNTIME_.preview so servers answer it.
+  RUNTIME_PREVIEW_WORKER: "internals/http/previewWorker.js",
   worker_threads: "worker_threads.js",
   RUNTIME_NODE_GLOBALS: "globals.js",
   
@@ -390,6 +397,17 @@ function ${name}() {
 
 
 
+// TypeScript's lib .d.ts files, so the compiler never has to fetch them.
+// The host hands this to the runtime as globalThis._RUNTIME_.typescriptLibs.
+function readTypeScriptLibs() {
+  const dir = path.dirname(createRequire(import.meta.url).resolve("typescript"));
+  const libs = {};
+  for (const name of fs.readdirSync(dir)) {
+    if (/^lib\.(?:.*\.)?d\.ts$/.test(name)) libs[name] = fs.readFileSync(path.join(dir, name), "utf8");
+  }
+  return libs;
+}
+
 function generateVFS(bundledModules, stubModules) {
   const allModules = {
     ...bundledModules,
@@ -404,6 +422,8 @@ function generateVFS(bundledModules, stubModules) {
   }
 
 
+  output += `export const TYPESCRIPT_LIBS = ${JSON.stringify(readTypeScriptLibs())};\n\n`;
+
   // 2️⃣ Export combined VFS object (using references, not JSON)
   const moduleNames = Object.keys(allModules).join(", ");
 
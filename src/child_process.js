@@ -1,11 +1,45 @@
 /**
  * Browser-compatible child_process shim (pure JS)
- * Delegates exec/spawn to the parent frame via postMessage.
+ * Delegates commands to the host page over the streaming postMessage
+ * protocol in ./internals/child_process/protocol.js: output arrives chunk
+ * by chunk while the command runs, stdin writes are forwarded as they are
+ * made, and kill() reaches the host. The reference host side is
+ * ./internals/child_process/host.js.
+ * The *Sync variants block on a SharedArrayBuffer the host fills in.
+ * fork() children talk back over an IPC channel (./internals/child_process/ipc.js).
+ * `node …` and package bin commands run inside the sandbox instead, when
+ * it can start processes (./internals/child_process/processManager.js).
  * Matches Node.js child_process API surface.
  */
 
-import { EventEmitter } from './events';
-import { Readable, Writable } from './stream';
+import { EventEmitter } from './events.js';
+import { Readable, Writable } from './stream.js';
+import { Buffer } from './buffer.js';
+import { constants } from './os.js';
+import errors from './internals/errors.js';
+import {
+  MESSAGES,
+  canBlock,
+  createSyncBuffer,
+  onHostMessage,
+  postToHost,
+  readSyncResult,
+  waitForSyncResult,
+} from './internals/child_process/protocol.js';
+import { createChildProcessHost } from './internals/child_process/host.js';
+import { createSend, decodeMessage, validateSerialization } from './internals/child_process/ipc.js';
+import { processesAvailable, resolveCommand, runProcess } from './internals/child_process/processManager.js';
+
+const {
+  ERR_CHILD_PROCESS_IPC_REQUIRED,
+  ERR_CHILD_PROCESS_STDIO_MAXBUFFER,
+  ERR_FEATURE_UNAVAILABLE_ON_PLATFORM,
+  ERR_INVALID_ARG_TYPE,
+  ERR_INVALID_ARG_VALUE,
+  ERR_IPC_DISCONNECTED,
+  ERR_UNKNOWN_SIGNAL,
+} = errors.codes;
+const { AbortError } = errors;
 
 // ─── Helpers ──────────────────────────────────────────────────────────────────
 
@@ -14,42 +48,73 @@ function makeRequestId() {
   return `cp_${Date.now()}_${++_reqCounter}`;
 }
 
-const DEFAULT_TIMEOUT = 0;
+let _pidCounter = 1024;
 
-function postToParent(type, requestId, payload, timeoutMs, signal) {
-  return new Promise((resolve, reject) => {
-    let tid;
+const DEFAULT_MAX_BUFFER = 1024 * 1024;
 
-    const cleanup = () => {
-      window.removeEventListener('message', handler);
-      if (tid !== undefined) clearTimeout(tid);
-    };
+// Children waiting on the host, by request id. The message listener is only
+// installed while there are any.
+const _children = new Map();
+let _stopListening = null;
 
-    const handler = (e) => {
-      if (
-        e.data?.requestId !== requestId ||
-        e.data?.type !== 'PARENT_CHILD_EXEC_RESPONSE'
-      ) return;
-      cleanup();
-      resolve(e.data.payload);
-    };
+function _register(requestId, child) {
+  if (!_stopListening) {
+    _stopListening = onHostMessage((message) => _children.get(message.requestId)?._onMessage(message));
+  }
+  _children.set(requestId, child);
+}
 
-    window.addEventListener('message', handler);
+function _unregister(requestId) {
+  _children.delete(requestId);
+  if (_children.size === 0 && _stopListening) {
+    _stopListening();
+    _stopListening = null;
+  }
+}
 
-    if (timeoutMs > 0) {
-      tid = setTimeout(() => {
-        cleanup();
-        reject(Object.assign(new Error('Process timed out'), { code: 'ETIMEDOUT' }));
-      }, timeoutMs);
-    }
+// Processes the sandbox runs itself speak the same protocol, with the
+// process manager as the runner and no frame boundary in between.
+let _localHost = null;
+function _postLocal(message) {
+  _localHost ??= createChildProcessHost({
+    spawn: runProcess,
+    post: (reply) => setTimeout(() => _children.get(reply.requestId)?._onMessage(reply)),
+  });
+  _localHost.handleMessage(message);
+}
 
-    signal.addEventListener('abort', () => {
-      cleanup();
-      reject(Object.assign(new Error('Process killed'), { code: 'SIGTERM' }));
-    }, { once: true });
+function _signalName(signal) {
+  if (typeof signal === 'number') {
+    const name = Object.keys(constants.signals).find((key) => constants.signals[key] === signal);
+    if (name) return name;
+  } else if (typeof signal === 'string' && Object.hasOwn(constants.signals, signal)) {
+    return signal;
+  }
+  throw new ERR_UNKNOWN_SIGNAL(signal);
+}
 
-    parent.postMessage({ type, requestId, payload }, '*');
-  });
+// One entry per fd: 'pipe', 'inherit', 'ignore', 'ipc' or a stream.
+function _normalizeStdio(stdio = 'pipe') {
+  if (typeof stdio === 'string') stdio = [stdio, stdio, stdio];
+  else if (!Array.isArray(stdio)) throw new ERR_INVALID_ARG_VALUE('stdio', stdio);
+
+  const result = [];
+  for (let fd = 0; fd < Math.max(3, stdio.length); fd++) {
+    let value = stdio[fd];
+    if (value == null) value = fd < 3 ? 'pipe' : 'ignore';
+    if (value === 'overlapped') value = 'pipe';
+    if (value === fd && fd < 3) value = 'inherit';
+    const isStream = value && typeof value === 'object' && typeof (fd === 0 ? value.on : value.write) === 'function';
+    if (!isStream && !['pipe', 'inherit', 'ignore', 'ipc'].includes(value)) {
+      throw new ERR_INVALID_ARG_VALUE('stdio', stdio);
+    }
+    result.push(value);
+  }
+  return result;
+}
+
+function _hostError({ message, ...fields }) {
+  return Object.assign(new Error(message), fields);
 }
 
 // ─── ChildProcess ─────────────────────────────────────────────────────────────
@@ -57,98 +122,348 @@ function postToParent(type, requestId, payload, timeoutMs, signal) {
 export class ChildProcess extends EventEmitter {
   constructor() {
     super();
-    this.pid        = Math.floor(Math.random() * 32768) + 1024;
+    this.pid        = undefined;
     this.connected  = false;
     this.killed     = false;
     this.exitCode   = null;
     this.signalCode = null;
     this.spawnargs  = [];
     this.spawnfile  = '';
-    this.stdin      = new Writable({ write(_c, _e, cb) { cb(); } });
-    this.stdout     = new Readable({ read() {} });
-    this.stderr     = new Readable({ read() {} });
-    this._ac        = new AbortController();
+    this.stdin      = null;
+    this.stdout     = null;
+    this.stderr     = null;
+    this.stdio      = [null, null, null];
+
+    this._requestId   = null;
+    this._transport   = postToHost;
+    this._serialization = 'json';
+    this._send        = null;
+    this._stdio       = [];
+    this._acks        = new Map();
+    this._seq         = 0;
+    this._paused      = { stdout: false, stderr: false };
+    this._closesNeeded = 1;
+    this._closesGot    = 0;
+    this._finished     = false;
+  }
+
+  /**
+   * Starts the command: in the sandbox when it is a JavaScript process,
+   * otherwise on the host.
+   * @param {{ file: string, args: string[], cwd?: string, env?: object, shell?: boolean|string,
+   *   stdio?: *, serialization?: 'json'|'advanced' }} options
+   *   `args` are the arguments after the file.
+   */
+  spawn(options) {
+    const { file, args = [], cwd, env, shell = false } = options;
+    this._stdio = _normalizeStdio(options.stdio);
+    this._serialization = validateSerialization(options.serialization);
+    this._requestId = makeRequestId();
+    this.pid = ++_pidCounter;
+
+    if (shell) {
+      this.spawnfile = typeof shell === 'string' ? shell : '/bin/sh';
+      this.spawnargs = [this.spawnfile, '-c', [file, ...args].join(' ')];
+    } else {
+      this.spawnfile = file;
+      this.spawnargs = [file, ...args];
+    }
+
+    const spec = processesAvailable() ? resolveCommand(file, args, { cwd, env, shell }) : null;
+    if (spec) this._transport = _postLocal;
+
+    this._setupStdio();
+    _register(this._requestId, this);
+    this._transport({
+      type: MESSAGES.SPAWN,
+      requestId: this._requestId,
+      payload: {
+        command: file,
+        args,
+        options: {
+          cwd,
+          env,
+          shell,
+          pid: this.pid,
+          // The sandbox relays 'inherit' and streams itself.
+          stdio: this._stdio.map((value) => (value === 'ignore' || value === 'ipc' ? value : 'pipe')),
+          serialization: this._serialization,
+          ...(spec && { spec }),
+        },
+      },
+    });
+  }
+
+  _setupStdio() {
+    const [input, ...outputs] = this._stdio;
+
+    if (input === 'pipe') {
+      this.stdin = new Writable({
+        write: (chunk, encoding, callback) => this._writeStdin(chunk, callback),
+        final: (callback) => {
+          this._post(MESSAGES.STDIN_END);
+          callback();
+        },
+      });
+    } else if (input !== 'ignore' && input !== 'ipc') {
+      const source = input === 'inherit' ? globalThis.process?.stdin : input;
+      source?.on?.('data', (chunk) => this._writeStdin(chunk, () => {}));
+      source?.on?.('end', () => this._post(MESSAGES.STDIN_END));
+    }
+
+    ['stdout', 'stderr'].forEach((name, i) => {
+      if (outputs[i] !== 'pipe') return;
+      const stream = new Readable({
+        read: () => {
+          if (!this._paused[name]) return;
+          this._paused[name] = false;
+          this._post(MESSAGES.RESUME, { stream: name });
+        },
+      });
+      this._closesNeeded++;
+      stream.once('close', () => this._maybeClose());
+      this[name] = stream;
+    });
+
+    this.stdio = [this.stdin, this.stdout, this.stderr, ...this._stdio.slice(3).map(() => null)];
+
+    if (this._stdio.includes('ipc')) {
+      this.connected = true;
+      this.channel = { ref() {}, unref() {} };
+    }
   }
 
-  _finalise(stdout, stderr, code, sig) {
-    if (stdout) this.stdout.push(stdout, 'utf8');
-    if (stderr) this.stderr.push(stderr, 'utf8');
-    this.stdout.push(null);
-    this.stderr.push(null);
-    this.exitCode   = code;
-    this.signalCode = sig;
-    this.emit('exit', code, sig);
-    this.emit('close', code, sig);
+  _post(type, fields) {
+    this._transport({ type, requestId: this._requestId, ...fields });
+  }
+
+  _writeStdin(chunk, callback) {
+    if (this._finished) return callback();
+    const seq = ++this._seq;
+    this._acks.set(seq, callback);
+    this._post(MESSAGES.STDIN, { seq, chunk: typeof chunk === 'string' ? chunk : new Uint8Array(chunk) });
+  }
+
+  _onMessage(message) {
+    switch (message.type) {
+      case MESSAGES.SPAWNED:
+        this.emit('spawn');
+        break;
+      case MESSAGES.DATA:
+        this._onData(message.stream, message.chunk);
+        break;
+      case MESSAGES.STDIN_ACK: {
+        const callback = this._acks.get(message.seq);
+        this._acks.delete(message.seq);
+        callback?.(message.error ? _hostError(message.error) : undefined);
+        break;
+      }
+      case MESSAGES.MESSAGE:
+        this.emit('message', decodeMessage(message.message));
+        break;
+      case MESSAGES.DISCONNECTED:
+        this._onDisconnect();
+        break;
+      case MESSAGES.EXIT:
+        this._onExit(message.exitCode ?? null, message.signal ?? null);
+        break;
+      case MESSAGES.ERROR: {
+        const err = _hostError(message.error);
+        err.spawnargs = this.spawnargs.slice(1);
+        if (this.exitCode === null && typeof err.errno === 'number') this.exitCode = err.errno;
+        this.emit('error', err);
+        this._onExit(this.exitCode, null, false);
+        break;
+      }
+    }
+  }
+
+  _onData(name, chunk) {
+    const target = this._stdio[name === 'stdout' ? 1 : 2];
+    const data = typeof chunk === 'string' ? Buffer.from(chunk, 'utf8') : Buffer.from(chunk);
+    if (target === 'pipe') {
+      if (!this[name].push(data) && !this._paused[name]) {
+        this._paused[name] = true;
+        this._post(MESSAGES.PAUSE, { stream: name });
+      }
+    } else if (target === 'inherit') {
+      globalThis.process?.[name]?.write(data);
+    } else if (target && typeof target.write === 'function') {
+      target.write(data);
+    }
+  }
+
+  _onExit(exitCode, signalCode, emitExit = true) {
+    if (this._finished) return;
+    this._finished = true;
+    this.exitCode   = exitCode;
+    this.signalCode = signalCode;
+
+    // Writes the child will never read complete, as they would on a closed pipe.
+    for (const callback of this._acks.values()) callback();
+    this._acks.clear();
+    this.stdin?.destroy();
+    // The channel goes with the process.
+    this._onDisconnect();
+
+    if (emitExit) this.emit('exit', exitCode, signalCode);
+
+    // As in Node, output nobody asked for is drained so 'close' can follow.
+    for (const stream of [this.stdout, this.stderr]) {
+      if (!stream) continue;
+      stream.push(null);
+      if (stream.readableFlowing === null) stream.resume();
+    }
+    this._maybeClose();
+  }
+
+  _maybeClose() {
+    if (++this._closesGot < this._closesNeeded) return;
+    _unregister(this._requestId);
+    this.emit('close', this.exitCode, this.signalCode);
   }
 
   kill(signal = 'SIGTERM') {
-    if (this.killed) return false;
+    const name = _signalName(signal);
+    if (!this._requestId || this._finished) return false;
+    this._post(MESSAGES.KILL, { signal: name });
     this.killed = true;
-    this._ac.abort();
-    this.emit('exit', null, signal);
-    this.emit('close', null, signal);
     return true;
   }
 
+  /** Closes the IPC channel; the child sees 'disconnect' too. */
   disconnect() {
+    if (!this.connected) {
+      this.emit('error', new ERR_IPC_DISCONNECTED());
+      return;
+    }
+    this._post(MESSAGES.DISCONNECT);
+    this._onDisconnect();
+  }
+
+  _onDisconnect() {
+    if (!this.connected) return;
     this.connected = false;
     this.emit('disconnect');
   }
 
-  send(_msg, callback) {
-    const err = new Error('IPC not supported in this environment.');
-    if (callback) callback(err);
-    else this.emit('error', err);
-    return false;
+  /**
+   * Sends `message` over the IPC channel (fork(), or an 'ipc' stdio entry).
+   * @returns {boolean} false when it could not be sent
+   */
+  send(message, sendHandle, options, callback) {
+    this._send ??= createSend({
+      connected: () => this.connected,
+      post: (wire) => this._post(MESSAGES.SEND, { message: wire }),
+      onError: (err) => this.emit('error', err),
+      serialization: this._serialization,
+    });
+    return this._send(message, sendHandle, options, callback);
   }
 
   ref()   { return this; }
   unref() { return this; }
 }
 
-// ─── exec ─────────────────────────────────────────────────────────────────────
+// ─── spawn ────────────────────────────────────────────────────────────────────
 
-function _exec(command, optionsOrCb, callback) {
-  const cb   = typeof optionsOrCb === 'function' ? optionsOrCb : callback;
-  const opts = (typeof optionsOrCb === 'object' && optionsOrCb !== null) ? optionsOrCb : {};
+function _spawn(command, args, options) {
+  if (typeof command !== 'string') throw new ERR_INVALID_ARG_TYPE('file', 'string', command);
+  if (!Array.isArray(args)) {
+    options = args;
+    args = [];
+  }
+  options = options ?? {};
+  if (typeof options !== 'object') throw new ERR_INVALID_ARG_TYPE('options', 'Object', options);
+
+  const child = new ChildProcess();
+  child.spawn({
+    file: command,
+    args: args.map(String),
+    cwd: options.cwd ?? globalThis.process?.cwd?.(),
+    env: options.env,
+    shell: options.shell ?? false,
+    stdio: options.stdio,
+    serialization: options.serialization,
+  });
 
-  const child      = new ChildProcess();
-  child.spawnfile  = '/bin/sh';
-  child.spawnargs  = ['/bin/sh', '-c', command];
-
-  postToParent(
-    'PARENT_EXEC_REQUEST',
-    makeRequestId(),
-    { command, options: opts },
-    opts.timeout ?? DEFAULT_TIMEOUT,
-    child._ac.signal,
-  )
-    .then(({ stdout, stderr, exitCode, signal }) => {
-      let execError = null;
-
-      if ((exitCode !== null && exitCode !== 0) || signal) {
-        execError          = new Error(`Command failed: ${command}\n${stderr ?? ''}`);
-        execError.code     = exitCode ?? undefined;
-        execError.killed   = child.killed;
-        execError.signal   = signal ?? null;
-        execError.cmd      = command;
-        child.emit('error', execError);
-      }
+  const killSignal = options.killSignal ?? 'SIGTERM';
+  if (options.timeout > 0) {
+    const timer = setTimeout(() => child.kill(killSignal), options.timeout);
+    child.once('exit', () => clearTimeout(timer));
+  }
 
-      child._finalise(stdout ?? '', stderr ?? '', exitCode ?? null, signal ?? null);
-      cb?.(execError, stdout ?? '', stderr ?? '');
-    })
-    .catch(err => {
-      const wrapped = err instanceof Error ? err : new Error(String(err));
-      child.emit('error', wrapped);
-      child._finalise('', wrapped.message, 1, null);
-      cb?.(wrapped, '', wrapped.message);
+  const { signal } = options;
+  if (signal) {
+    const onAbort = () => {
+      if (child.kill(killSignal)) child.emit('error', new AbortError(undefined, { cause: signal.reason }));
+    };
+    if (signal.aborted) queueMicrotask(onAbort);
+    else {
+      signal.addEventListener('abort', onAbort, { once: true });
+      child.once('exit', () => signal.removeEventListener('abort', onAbort));
+    }
+  }
+
+  return child;
+}
+
+// ─── exec / execFile ─────────────────────────────────────────────────────────
+
+// Collects a child's output for exec()/execFile() callbacks.
+function _buffered(child, cmd, options, callback) {
+  const encoding = options.encoding ?? 'utf8';
+  const maxBuffer = options.maxBuffer ?? DEFAULT_MAX_BUFFER;
+  const output = { stdout: [], stderr: [] };
+  const lengths = { stdout: 0, stderr: 0 };
+  let ex = null;
+  let done = false;
+
+  for (const name of ['stdout', 'stderr']) {
+    child[name]?.on('data', (chunk) => {
+      lengths[name] += chunk.length;
+      if (lengths[name] > maxBuffer) {
+        ex ??= new ERR_CHILD_PROCESS_STDIO_MAXBUFFER(name);
+        child.kill(options.killSignal ?? 'SIGTERM');
+        return;
+      }
+      output[name].push(chunk);
     });
+  }
 
+  const decode = (chunks) => {
+    const data = Buffer.concat(chunks);
+    return encoding && encoding !== 'buffer' && Buffer.isEncoding(encoding) ? data.toString(encoding) : data;
+  };
+
+  const finish = (code, signal) => {
+    if (done) return;
+    done = true;
+    const stdout = decode(output.stdout);
+    const stderr = decode(output.stderr);
+    let error = ex;
+    if (!error && (code !== 0 || signal !== null)) {
+      error = new Error(`Command failed: ${cmd}\n${stderr}`);
+      error.code = code;
+      error.killed = child.killed;
+      error.signal = signal;
+    }
+    if (error) error.cmd = cmd;
+    callback?.(error, stdout, stderr);
+  };
+
+  child.on('error', (err) => { ex = err; });
+  child.on('close', finish);
   return child;
 }
 
-// ─── execFile ────────────────────────────────────────────────────────────────
+function _exec(command, optionsOrCb, callback) {
+  const cb   = typeof optionsOrCb === 'function' ? optionsOrCb : callback;
+  const opts = (typeof optionsOrCb === 'object' && optionsOrCb !== null) ? optionsOrCb : {};
+
+  const child = _spawn(command, [], { ...opts, shell: typeof opts.shell === 'string' ? opts.shell : true });
+  return _buffered(child, command, opts, cb);
+}
 
 function _execFile(file, argsOrOptsOrCb, optsOrCb, callback) {
   let args = [], opts = {}, cb;
@@ -164,95 +479,176 @@ function _execFile(file, argsOrOptsOrCb, optsOrCb, callback) {
     cb = typeof optsOrCb === 'function' ? optsOrCb : callback;
   }
 
-  return exec([file, ...args].join(' '), opts, cb);
+  const child = _spawn(file, args, opts);
+  return _buffered(child, [file, ...args].join(' '), opts, cb);
 }
 
-// ─── spawn ────────────────────────────────────────────────────────────────────
+// ─── fork ─────────────────────────────────────────────────────────────────────
 
-function _spawn(command, args = [], options = {}) {
-  const child      = new ChildProcess();
-  child.spawnfile  = command;
-  child.spawnargs  = [command, ...args];
-
-  Promise.resolve().then(() => child.emit('spawn'));
-
-  postToParent(
-    'PARENT_SPAWN_REQUEST',
-    makeRequestId(),
-    { command, args, options },
-    options.timeout ?? DEFAULT_TIMEOUT,
-    child._ac.signal,
-  )
-    .then(({ stdout, stderr, exitCode, signal }) => {
-      if ((exitCode !== null && exitCode !== 0) || signal) {
-        const err    = new Error(`spawn ${command} failed`);
-        err.code     = exitCode ?? undefined;
-        err.killed   = child.killed;
-        child.emit('error', err);
-      }
-      child._finalise(stdout ?? '', stderr ?? '', exitCode ?? null, signal ?? null);
-    })
-    .catch(err => {
-      const wrapped = err instanceof Error ? err : new Error(String(err));
-      child.emit('error', wrapped);
-      child._finalise('', wrapped.message, 1, null);
-    });
+// A node process running `modulePath` with an IPC channel to this one.
+function _fork(modulePath, args, options) {
+  if (modulePath instanceof URL) modulePath = decodeURIComponent(modulePath.pathname);
+  if (typeof modulePath !== 'string') throw new ERR_INVALID_ARG_TYPE('modulePath', 'string', modulePath);
+  if (!Array.isArray(args)) {
+    options = args;
+    args = [];
+  }
+  options = options ?? {};
+  if (typeof options !== 'object') throw new ERR_INVALID_ARG_TYPE('options', 'Object', options);
 
-  return child;
+  let stdio = options.stdio ?? (options.silent ? 'pipe' : 'inherit');
+  if (typeof stdio === 'string') stdio = [stdio, stdio, stdio, 'ipc'];
+  else if (!Array.isArray(stdio) || !stdio.includes('ipc')) throw new ERR_CHILD_PROCESS_IPC_REQUIRED('options.stdio');
+
+  const execArgv = options.execArgv ?? globalThis.process?.execArgv ?? [];
+  const execPath = options.execPath || globalThis.process?.execPath || 'node';
+  return _spawn(execPath, [...execArgv, modulePath, ...args.map(String)], { ...options, stdio, shell: false });
+}
+
+// ─── spawnSync / execSync / execFileSync ─────────────────────────────────────
+
+// How long past `timeout` to wait for a host that has gone quiet.
+const SYNC_GRACE = 1000;
+
+const SYNC_ERRNO = { ETIMEDOUT: -110, ENOBUFS: -105 };
+
+function _syncError(code, file, spawnargs) {
+  return Object.assign(new Error(`spawnSync ${file} ${code}`), {
+    errno: SYNC_ERRNO[code], code, syscall: `spawnSync ${file}`, path: file, spawnargs,
+  });
+}
+
+function _syncInput(input) {
+  if (input == null || typeof input === 'string') return input;
+  if (ArrayBuffer.isView(input)) return new Uint8Array(input.buffer, input.byteOffset, input.byteLength).slice();
+  throw new ERR_INVALID_ARG_TYPE('options.input', ['string', 'Buffer', 'TypedArray', 'DataView'], input);
 }
 
-// ─── fork / *Sync ─────────────────────────────────────────────────────────────
+// Asks the host to run the command and blocks this thread until it has,
+// which takes a SharedArrayBuffer (cross-origin isolation) and a thread
+// that may wait (a worker).
+function _spawnSync(command, args, options, feature) {
+  if (typeof command !== 'string') throw new ERR_INVALID_ARG_TYPE('file', 'string', command);
+  if (!Array.isArray(args)) {
+    options = args;
+    args = [];
+  }
+  options = options ?? {};
+  if (typeof options !== 'object') throw new ERR_INVALID_ARG_TYPE('options', 'Object', options);
+  if (globalThis.crossOriginIsolated !== true || typeof SharedArrayBuffer !== 'function') {
+    throw new ERR_FEATURE_UNAVAILABLE_ON_PLATFORM(`${feature} without cross-origin isolation`);
+  }
+  // Atomics.wait() throws on a page's main thread; found out before the
+  // host starts a command nobody waits for.
+  if (!canBlock()) throw new ERR_FEATURE_UNAVAILABLE_ON_PLATFORM(`${feature} outside a worker`);
+
+  args = args.map(String);
+  const stdio = _normalizeStdio(options.stdio);
+  const shell = options.shell ?? false;
+  const killSignal = _signalName(options.killSignal ?? 'SIGTERM');
+  const spawnfile = shell ? (typeof shell === 'string' ? shell : '/bin/sh') : command;
+  const spawnargs = shell ? ['-c', [command, ...args].join(' ')] : args;
+  const pid = ++_pidCounter;
+  const buffer = createSyncBuffer();
+  const requestId = makeRequestId();
+
+  postToHost({
+    type: MESSAGES.SPAWN_SYNC,
+    requestId,
+    buffer,
+    payload: {
+      command,
+      args,
+      options: {
+        cwd: options.cwd ?? globalThis.process?.cwd?.(),
+        env: options.env,
+        shell,
+        pid,
+        stdio: stdio.map((value) => (value === 'ignore' || value === 'ipc' ? value : 'pipe')),
+        input: stdio[0] === 'pipe' ? _syncInput(options.input) : undefined,
+        timeout: options.timeout,
+        killSignal,
+        maxBuffer: options.maxBuffer ?? DEFAULT_MAX_BUFFER,
+      },
+    },
+  });
+
+  const finished = waitForSyncResult(buffer, options.timeout > 0 ? options.timeout + SYNC_GRACE : undefined);
+  const result = finished
+    ? readSyncResult(buffer, (output) => postToHost({ type: MESSAGES.SPAWN_SYNC_OUTPUT, requestId, buffer: output }))
+    : { status: null, signal: killSignal, timedOut: true, stdout: new Uint8Array(0), stderr: new Uint8Array(0) };
+
+  const encoding = options.encoding ?? 'buffer';
+  const outputs = [result.stdout, result.stderr].map((bytes, i) => {
+    const target = stdio[i + 1];
+    const data = Buffer.from(bytes);
+    if (target === 'pipe') return encoding !== 'buffer' && Buffer.isEncoding(encoding) ? data.toString(encoding) : data;
+    if (target === 'inherit') globalThis.process?.[i ? 'stderr' : 'stdout']?.write(data);
+    else if (target && typeof target.write === 'function') target.write(data);
+    return null;
+  });
+
+  const ret = { pid, output: [null, ...outputs], stdout: outputs[0], stderr: outputs[1], status: result.status, signal: result.signal };
+  if (result.error) {
+    const { message, syscall } = result.error;
+    ret.error = _hostError({ ...result.error, message: message.replace(/^spawn /, 'spawnSync '), syscall: syscall?.replace(/^spawn /, 'spawnSync ') });
+    ret.error.spawnargs = spawnargs;
+  } else if (result.timedOut) {
+    ret.error = _syncError('ETIMEDOUT', spawnfile, spawnargs);
+  } else if (result.overflow) {
+    ret.error = _syncError('ENOBUFS', spawnfile, spawnargs);
+  }
+  return ret;
+}
 
-export function fork() {
-  throw Object.assign(
-    new Error('fork is not supported in the browser child_process shim'),
-    { code: 'ERR_NOT_IMPLEMENTED' },
-  );
+function _checkExecSyncError(ret, cmd) {
+  const { error, ...fields } = ret;
+  if (error) return Object.assign(error, fields);
+  if (ret.status === 0) return null;
+  let message = `Command failed: ${cmd}`;
+  if (ret.stderr && ret.stderr.length > 0) message += `\n${ret.stderr.toString()}`;
+  return Object.assign(new Error(message), fields);
 }
 
-export function execSync(command) {
-  throw Object.assign(
-    new Error(`execSync is not supported in this environment: ${command}`),
-    { code: 'ERR_NOT_IMPLEMENTED' },
-  );
+// Unless stdio says otherwise, the child's stderr shows on ours.
+function _execSync(file, args, options, cmd, feature) {
+  const inheritStderr = !options.stdio;
+  const ret = _spawnSync(file, args, options, feature);
+  if (inheritStderr && ret.stderr) globalThis.process?.stderr?.write(ret.stderr);
+  const err = _checkExecSyncError(ret, cmd);
+  if (err) throw err;
+  return ret.stdout;
 }
 
-export function spawnSync(command) {
-  throw Object.assign(
-    new Error(`spawnSync is not supported in this environment: ${command}`),
-    { code: 'ERR_NOT_IMPLEMENTED' },
-  );
+export function spawnSync(command, args, options) {
+  return _spawnSync(command, args, options, 'child_process.spawnSync');
 }
 
-export function execFileSync(file) {
-  throw Object.assign(
-    new Error(`execFileSync is not supported in this environment: ${file}`),
-    { code: 'ERR_NOT_IMPLEMENTED' },
-  );
+export function execSync(command, options) {
+  options = options ?? {};
+  const shell = typeof options.shell === 'string' ? options.shell : true;
+  return _execSync(command, [], { ...options, shell }, command, 'child_process.execSync');
 }
 
+export function execFileSync(file, args, options) {
+  if (!Array.isArray(args)) {
+    options = args;
+    args = [];
+  }
+  options = options ?? {};
+  return _execSync(file, args, options, [file, ...args].join(' '), 'child_process.execFileSync');
+}
 
 const originalExec = _exec;
 const originalExecFile = _execFile;
 const originalSpawn = _spawn;
+const originalFork = _fork;
 
 export const exec = globalThis._RUNTIME_.taskTracker.patchChildProcess(originalExec);
 export const execFile = globalThis._RUNTIME_.taskTracker.patchChildProcess(originalExecFile);
 export const spawn = globalThis._RUNTIME_.taskTracker.patchChildProcess(originalSpawn);
+export const fork = globalThis._RUNTIME_.taskTracker.patchChildProcess(originalFork);
 
-// For the sync/not-implemented versions, we can just use a standard tracker
-// though they throw anyway, it keeps the counter clean.
-const standardTrack = (fn) => (...args) => {
-  globalThis._RUNTIME_.taskTracker.start();
-  try { return fn(...args); }
-  finally { GlobalTracker.stop(); }
-};
-
-/*
-export const execSync = standardTrack(execSync_orig);
-export const spawnSync = standardTrack(spawnSync_orig);
-export const execFileSync = standardTrack(execFileSync_orig);
-*/ 
 // ─── Default export ───────────────────────────────────────────────────────────
 
 export default {
@@ -39,8 +39,12 @@ export class Channel {
   }
 }
 
-// Channel registry
-const channels = new Map()
+// Channel registry. Each builtin is bundled separately, so when a runtime
+// object exists the registry lives on it — that way channels published from
+// inside fs, http, … are the same ones user code subscribes to.
+const channels = globalThis._RUNTIME_
+  ? (globalThis._RUNTIME_.__DIAGNOSTICS_CHANNELS__ ??= new Map())
+  : new Map()
 
 /**
  * Get or create a channel by name
@@ -1,4 +1,5 @@
 import doh from "dohjs"
+import { networkPolicy } from "./internals/net/policy.js"
 
 // Configuration 
 const CLOUDFLARE_DOH = "https://cloudflare-dns.com/dns-query";
@@ -21,6 +22,13 @@ function normalizeHostname(hostname) {
   return hostname;
 }
 
+// Names reach the DoH server only as the network policy allows; offline,
+// they fail to resolve as Node's do without a network.
+function query(hostname, type) {
+  const refusal = networkPolicy().lookupError(hostname, `query${type}`);
+  return refusal ? Promise.reject(refusal) : resolver.query(hostname, type);
+}
+
 /**
  * setServers / getServers emulation
  */
@@ -52,13 +60,15 @@ export function lookup(hostname, options, callback) {
   } catch (err) {
     return defer(() => callback(err));
   }
+  const refusal = networkPolicy().lookupError(hostname);
+  if (refusal) return defer(() => callback(refusal));
 
   const queries = [];
-  if (family === 4) queries.push(resolver.query(hostname, "A"));
-  else if (family === 6) queries.push(resolver.query(hostname, "AAAA"));
+  if (family === 4) queries.push(query(hostname, "A"));
+  else if (family === 6) queries.push(query(hostname, "AAAA"));
   else {
-    queries.push(resolver.query(hostname, "A"));
-    queries.push(resolver.query(hostname, "AAAA"));
+    queries.push(query(hostname, "A"));
+    queries.push(query(hostname, "AAAA"));
   }
 
   Promise.allSettled(queries)
@@ -93,7 +103,7 @@ export function lookup(hostname, options, callback) {
  */
 export function resolve4(hostname, callback) {
   try { hostname = normalizeHostname(hostname); } catch(err) { return defer(() => callback(err)); }
-  resolver.query(hostname, "A").then(res => {
+  query(hostname, "A").then(res => {
     const ips = (res.answers || []).filter(r => r.type === "A").map(r => r.data);
     if (!ips.length) return defer(() => callback(Object.assign(new Error(`queryA ENOTFOUND ${hostname}`), { code: "ENOTFOUND" })));
     defer(() => callback(null, ips));
@@ -102,7 +112,7 @@ export function resolve4(hostname, callback) {
 
 export function resolve6(hostname, callback) {
   try { hostname = normalizeHostname(hostname); } catch(err) { return defer(() => callback(err)); }
-  resolver.query(hostname, "AAAA").then(res => {
+  query(hostname, "AAAA").then(res => {
     const ips = (res.answers || []).filter(r => r.type === "AAAA").map(r => r.data);
     if (!ips.length) return defer(() => callback(Object.assign(new Error(`queryAAAA ENOTFOUND ${hostname}`), { code: "ENOTFOUND" })));
     defer(() => callback(null, ips));
@@ -117,7 +127,7 @@ export const resolve = resolve4;
  */
 export function resolveMx(hostname, callback) {
   try { hostname = normalizeHostname(hostname); } catch(err) { return defer(() => callback(err)); }
-  resolver.query(hostname, "MX").then(res => {
+  query(hostname, "MX").then(res => {
     const records = (res.answers || []).filter(r => r.type === "MX").map(r => ({
       priority: r.data.preference,
       exchange: r.data.exchange
@@ -132,7 +142,7 @@ export function resolveMx(hostname, callback) {
  */
 export function resolveNs(hostname, callback) {
   try { hostname = normalizeHostname(hostname); } catch(err) { return defer(() => callback(err)); }
-  resolver.query(hostname, "NS").then(res => {
+  query(hostname, "NS").then(res => {
     const records = (res.answers || []).filter(r => r.type === "NS").map(r => r.data);
     if (!records.length) return defer(() => callback(Object.assign(new Error(`queryNS ENOTFOUND ${hostname}`), { code: "ENOTFOUND" })));
     defer(() => callback(null, records));
@@ -144,7 +154,7 @@ export function resolveNs(hostname, callback) {
  */
 export function resolveCname(hostname, callback) {
   try { hostname = normalizeHostname(hostname); } catch(err) { return defer(() => callback(err)); }
-  resolver.query(hostname, "CNAME").then(res => {
+  query(hostname, "CNAME").then(res => {
     const records = (res.answers || []).filter(r => r.type === "CNAME").map(r => r.data);
     if (!records.length) return defer(() => callback(Object.assign(new Error(`queryCNAME ENOTFOUND ${hostname}`), { code: "ENOTFOUND" })));
     defer(() => callback(null, records));
@@ -156,7 +166,7 @@ export function resolveCname(hostname, callback) {
  */
 export function resolveTxt(hostname, callback) {
   try { hostname = normalizeHostname(hostname); } catch(err) { return defer(() => callback(err)); }
-  resolver.query(hostname, "TXT").then(res => {
+  query(hostname, "TXT").then(res => {
     const records = (res.answers || [])
       .filter(r => r.type === "TXT")
       .map(r => Array.isArray(r.data) ? r.data : [r.data.toString()]);
@@ -170,7 +180,7 @@ export function resolveTxt(hostname, callback) {
  */
 export function resolveSrv(hostname, callback) {
   try { hostname = normalizeHostname(hostname); } catch(err) { return defer(() => callback(err)); }
-  resolver.query(hostname, "SRV").then(res => {
+  query(hostname, "SRV").then(res => {
     const records = (res.answers || []).filter(r => r.type === "SRV").map(r => ({
       priority: r.data.priority,
       weight: r.data.weight,
@@ -187,7 +197,7 @@ export function resolveSrv(hostname, callback) {
  */
 export function resolveSoa(hostname, callback) {
   try { hostname = normalizeHostname(hostname); } catch(err) { return defer(() => callback(err)); }
-  resolver.query(hostname, "SOA").then(res => {
+  query(hostname, "SOA").then(res => {
     const rec = (res.answers || []).find(r => r.type === "SOA");
     if (!rec) return defer(() => callback(Object.assign(new Error(`querySOA ENOTFOUND ${hostname}`), { code: "ENOTFOUND" })));
     const r = {
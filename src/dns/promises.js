@@ -24,6 +24,7 @@
 
 import dns from '../dns';
 import doh from 'dohjs';
+import { networkPolicy } from '../internals/net/policy.js';
 
 // ---------------------------------------------------------------------------
 // Internal helpers
@@ -145,6 +146,8 @@ export class Resolver {
         return reject(Object.assign(new Error('Query cancelled'), { code: 'ECANCELLED' }));
       const onAbort = () =>
         reject(Object.assign(new Error('Query cancelled'), { code: 'ECANCELLED' }));
+      const refusal = networkPolicy().lookupError(name, `query${rrtype}`);
+      if (refusal) return reject(refusal);
       signal.addEventListener('abort', onAbort, { once: true });
       this._doh.query(name, rrtype)
         .then(r => { signal.removeEventListener('abort', onAbort); resolve(r); })
@@ -1,13 +1,26 @@
-import { vol, promises as memPromises, constants as memConstants } from "memfs";
+import { vol, constants as memConstants } from "memfs";
 import { createFsFromVolume } from "memfs";
+import { changeType, isMutating, mutatedPaths } from "./internals/fs/operations.js";
+import { createPersistence } from "./internals/fs/persistence.js";
+import { createMountTable } from "./internals/fs/mounts.js";
+import { createChangeBus, createWatchApi } from "./internals/fs/watch.js";
+import { createTracer } from "./internals/fs/trace.js";
+import { createArchiveApi } from "./internals/fs/archive.js";
+import { permissionModel, requiredAccess, resolveLinks } from "./internals/fs/permissions.js";
+import { createQuota } from "./internals/fs/quota.js";
 
 // ── Singleton guard — construction only runs once ─────────────────────────────
 if (!globalThis._RUNTIME_.__FS__) {
 
-  const fs = createFsFromVolume(vol);
-  fs.promises = memPromises;
+  // Every call goes through the mount table; with nothing mounted it simply
+  // forwards to the global memfs volume at "/".
+  const mounts = createMountTable(vol);
+
+  const fs = createFsFromVolume(mounts.volume);
+  fs.promises = mounts.volume.promises;
   fs.constants = memConstants;
   fs._vol = vol;
+  fs._mounts = mounts;
 
   // ── Node-compatible error factory ───────────────────────────────────────────
   // Mirrors Node's internal makeCallback / maybeCallback validation.
@@ -31,6 +44,150 @@ if (!globalThis._RUNTIME_.__FS__) {
     return err;
   }
 
+  // ── Mutation notifications ──────────────────────────────────────────────────
+  // Every successful call that changes the tree reports the affected paths
+  // here, whichever API (callback, sync, promise, stream) it came through.
+  function notifyPaths(paths) {
+    if (!fs._persistence) return;
+    for (const p of paths) {
+      // Only the root volume is persisted; other mounts bring their own data.
+      const target = mounts.resolve(p);
+      if (target && target.mount.point === "/") fs._persistence.notify(target.full);
+    }
+  }
+
+  // fs.watch needs to know whether a write created its file ("rename") or
+  // changed an existing one ("change"), so creating calls record existence
+  // before they run.
+  function beforeMutation(key, args) {
+    if (!isMutating(key) || changeType(key) !== "create") return null;
+    return mutatedPaths(key, args, mounts.volume).map((p) => mounts.volume.existsSync(p));
+  }
+
+  function afterMutation(key, args, result, existed) {
+    if (!isMutating(key)) return;
+    const paths = mutatedPaths(key, args, mounts.volume, result);
+    notifyPaths(paths);
+
+    const type = changeType(key);
+    paths.forEach((p, i) => {
+      const target = mounts.resolve(p);
+      if (!target) return;
+      if (type === "create" && existed && !existed[i]) changes.notify("rename", target.full);
+      changes.notify(type === "rename" ? "rename" : "change", target.full);
+    });
+  }
+
+  // Full path of a path-like or descriptor argument, or null.
+  function fullPath(pathLike) {
+    if (typeof pathLike === "number") return mounts.volume.fdToPath(pathLike);
+    const target = mounts.resolve(pathLike);
+    return target ? target.full : null;
+  }
+
+  // ── Permissions & quotas ────────────────────────────────────────────────────
+  // Rules come from globalThis._RUNTIME_.fsPermissions (see
+  // internals/fs/permissions.js) and limits from
+  // globalThis._RUNTIME_.fsQuota = { bytes, inodes } (see
+  // internals/fs/quota.js). Both are checked in the mount table's guard,
+  // which every callback, sync, promise and stream call passes through.
+  const permissions = permissionModel();
+  fs._permissions = permissions;
+
+  // Read-only and host mounts bring their own storage.
+  const UNCOUNTED = new Set(["readonly", "host"]);
+  const quota = createQuota(
+    {
+      volume: mounts.direct,
+      resolve: fullPath,
+      counted(path) {
+        const target = mounts.resolve(path);
+        return !!target && !UNCOUNTED.has(target.mount.type);
+      },
+    },
+    globalThis._RUNTIME_.fsQuota
+  );
+  fs._quota = quota;
+
+  const readlink = (path) => mounts.direct.readlinkSync(path);
+  mounts.setGuard((name, args) => {
+    if (permissions.enabled) {
+      for (const [kind, index, follow] of requiredAccess(name, args)) {
+        const path = fullPath(args[index]);
+        if (!path) continue;
+        permissions.check(kind, path);
+        // …and the file it reaches through symlinks
+        const real = resolveLinks(path, readlink, follow);
+        if (real !== path) permissions.check(kind, real);
+      }
+    }
+    return quota.enabled ? quota.guard(name, args) : null;
+  });
+
+  // ── Change notifications & watchers ─────────────────────────────────────────
+  // fs._changes is the bus behind fs.watch/watchFile/promises.watch. Hosts
+  // that edit files outside the fs API call
+  // fs._changes.notify("change" | "rename", path, { external: true }).
+  const changes = createChangeBus();
+  fs._changes = changes;
+
+  const watchApi = createWatchApi({
+    bus: changes,
+    resolve(pathLike) {
+      const target = mounts.resolve(pathLike);
+      if (!target) throw makeArgTypeError("filename", "string or an instance of Buffer or URL", pathLike);
+      return target.full;
+    },
+    stat: (path) => mounts.volume.statSync(path),
+    Stats: fs.Stats,
+  });
+  fs.watch = watchApi.watch;
+  fs.watchFile = watchApi.watchFile;
+  fs.unwatchFile = watchApi.unwatchFile;
+
+  // ── Tracing ─────────────────────────────────────────────────────────────────
+  // Every call is published on diagnostics_channel as `fs:<op>` (failures also
+  // on `fs:error`). Hosts can subscribe there or use fs._trace directly for
+  // filtered subscriptions, the ring buffer and the "touched" summary (see
+  // internals/fs/trace.js). Size the buffer via
+  // globalThis._RUNTIME_.fsTrace = { bufferSize }.
+  const tracer = createTracer({
+    bufferSize: globalThis._RUNTIME_.fsTrace?.bufferSize,
+    resolvePath: fullPath,
+  });
+  fs._trace = tracer;
+
+  // ── Persistence ─────────────────────────────────────────────────────────────
+  // Hosts opt in via globalThis._RUNTIME_.fsPersistence (see
+  // internals/fs/persistence.js for options) or later via
+  // fs._enablePersistence(options). Await `fs._persistence.ready` before
+  // running user code so the stored tree is in place.
+  fs._enablePersistence = function (options) {
+    // Failures closing the old one are reported through its onError
+    if (fs._persistence) fs._persistence.close().catch(() => {});
+    fs._persistence = createPersistence(vol, options);
+    return fs._persistence;
+  };
+
+  const persistenceConfig = globalThis._RUNTIME_.fsPersistence;
+  fs._persistence = persistenceConfig ? createPersistence(vol, persistenceConfig) : null;
+
+  // ── Archives ────────────────────────────────────────────────────────────────
+  // fs._archive.exportVolume(path, { format: "tar" | "tgz" | "zip" }) and
+  // fs._archive.importArchive(buffer, mountPoint, { strip }), plus
+  // createExportStream / createImportStream (see internals/fs/archive.js).
+  // They read and write through the patched fs, so imports reach watchers,
+  // tracing and persistence like any other write.
+  fs._archive = createArchiveApi(fs);
+
+  // ── Mounts ──────────────────────────────────────────────────────────────────
+  // globalThis._RUNTIME_.fsMounts = [{ mountPoint: "/tmp", type: "tmpfs" }, …]
+  // (see internals/fs/mounts.js for layer types); fs._mounts.mount() works
+  // at any time afterwards.
+  for (const { mountPoint, ...options } of globalThis._RUNTIME_.fsMounts || []) {
+    mounts.mount(mountPoint, options);
+  }
+
   // ── Classify methods ─────────────────────────────────────────────────────────
   // These fs methods either return a stream/watcher (not callback-based)
   // or accept an optional listener rather than a required error-first callback.
@@ -41,6 +198,10 @@ if (!globalThis._RUNTIME_.__FS__) {
     "unwatchFile", // no callback at all
   ]);
 
+  // Their trailing function is a listener kept by reference (so unwatchFile
+  // and removeListener can find it again), not an error-first callback.
+  const TAKES_LISTENER = new Set(["watch", "watchFile", "unwatchFile"]);
+
   // Determines whether `key` is a callback-async method that *requires* its
   // last argument to be a function, matching Node's maybeCallback guard.
   function requiresCallback(key) {
@@ -50,7 +211,19 @@ if (!globalThis._RUNTIME_.__FS__) {
   }
 
   // ── Monkey-patch callback methods ────────────────────────────────────────────
-  const SKIP = new Set(["promises", "constants", "_vol"]);
+  const SKIP = new Set([
+    "promises",
+    "constants",
+    "_vol",
+    "_mounts",
+    "_changes",
+    "_trace",
+    "_archive",
+    "_permissions",
+    "_quota",
+    "_persistence",
+    "_enablePersistence",
+  ]);
 
   for (const key of Object.keys(fs)) {
     if (SKIP.has(key)) continue;
@@ -58,6 +231,9 @@ if (!globalThis._RUNTIME_.__FS__) {
     if (typeof original !== "function") continue;
 
     const needsCb = requiresCallback(key);
+    // Classes (Stats, ReadStream, …) and listener registration are not fs
+    // operations.
+    const traced = /^[a-z]/.test(key) && !TAKES_LISTENER.has(key);
 
     fs[key] = function (...args) {
       // ── Callback validation (mirrors Node's makeCallback / maybeCallback) ──
@@ -68,35 +244,68 @@ if (!globalThis._RUNTIME_.__FS__) {
         }
       }
 
-      const emit = (result) => {
-        if (typeof globalThis.emitMe === "function") {
-          globalThis.emitMe("fs", key, ...args, result);
-        }
-      };
+      const existed = beforeMutation(key, args);
 
       // Callback-style async: wrap the callback to capture the result
       const lastArg = args[args.length - 1];
-      if (typeof lastArg === "function") {
+      if (typeof lastArg === "function" && !TAKES_LISTENER.has(key)) {
         const originalCb = lastArg;
+        const span = traced && tracer.start(key, "callback", args.slice(0, -1));
         args[args.length - 1] = function (...cbArgs) {
           // cbArgs[0] = err, cbArgs[1] = result (error-first convention)
-          emit(cbArgs[1]);
+          if (!cbArgs[0]) afterMutation(key, args, cbArgs[1], existed);
+          if (span) tracer.end(span, cbArgs[1], cbArgs[0]);
           return originalCb.apply(this, cbArgs);
         };
         return original.apply(this, args);
       }
 
       // Synchronous call (or stream factory etc.)
-      const result = original.apply(this, args);
+      const isStream = key === "createReadStream" || key === "createWriteStream";
+      const span = traced && tracer.start(key, isStream ? "stream" : "sync", args);
+      let result;
+      try {
+        result = original.apply(this, args);
+      } catch (err) {
+        if (span) tracer.end(span, undefined, err);
+        throw err;
+      }
 
       if (result && typeof result.then === "function") {
         return result.then(
-          (val) => { emit(val); return val; },
-          (err) => { emit(undefined); return Promise.reject(err); }
+          (val) => {
+            afterMutation(key, args, val, existed);
+            if (span) tracer.end(span, val);
+            return val;
+          },
+          (err) => {
+            if (span) tracer.end(span, undefined, err);
+            return Promise.reject(err);
+          }
         );
       }
 
-      emit(result);
+      if (key === "createWriteStream" && result) {
+        result.once("finish", () => afterMutation(key, args, result, existed));
+      } else {
+        afterMutation(key, args, result, existed);
+      }
+
+      if (isStream && result) {
+        // Streams are traced from creation until they close, so the event
+        // carries the bytes they moved.
+        let ended = false;
+        const endSpan = (err) => {
+          if (ended) return;
+          ended = true;
+          tracer.end(span, result, err);
+        };
+        result.once("close", () => endSpan());
+        result.once("error", endSpan);
+      } else if (span) {
+        tracer.end(span, result);
+      }
+
       return result;
     };
 
@@ -104,45 +313,34 @@ if (!globalThis._RUNTIME_.__FS__) {
   }
 
   // ── Patch fs.promises (Promise-based, no callbacks) ──────────────────────────
-  const WRITE_METHODS = new Set([
-    "writeFile",
-    "writeFileSync",
-    "appendFile",
-    "appendFileSync",
-    "mkdir",
-    "mkdirSync",
-    "rmdir",
-    "rmdirSync",
-    "unlink",
-    "unlinkSync",
-    "rename",
-    "renameSync",
-    "truncate",
-    "truncateSync",
-    "symlink",
-    "symlinkSync",
-    "link",
-    "linkSync",
-  ]);
-
-  for (const key of Object.keys(memPromises)) {
-    const original = memPromises[key];
-    if (typeof original !== "function") continue;
+  const routedPromises = mounts.volume.promises;
 
-    const isWrite = WRITE_METHODS.has(key.replace("Sync", ""));
+  for (const key of Object.keys(routedPromises)) {
+    const original = routedPromises[key];
+    if (typeof original !== "function" || key === "FileHandle") continue;
 
     fs.promises[key] = async function (...args) {
-      const target = isWrite ? fs._vol.promises : memPromises;
-      const result = await original.apply(target, args);
-      if (typeof globalThis.emitMe === "function") {
-        globalThis.emitMe("fs", `promises.${key}`, ...args, result);
+      const existed = beforeMutation(key, args);
+      const span = tracer.start(key, "promise", args);
+      let result;
+      try {
+        result = await original.apply(routedPromises, args);
+      } catch (err) {
+        tracer.end(span, undefined, err);
+        throw err;
       }
+      afterMutation(key, args, result, existed);
+      tracer.end(span, result);
       return result;
     };
 
     Object.defineProperty(fs.promises[key], "name", { value: key });
   }
 
+  // Returns an async iterator rather than a promise, so it is not wrapped above.
+  fs.promises.watch = watchApi.watchAsync;
+  Object.defineProperty(fs.promises.watch, "name", { value: "watch" });
+
   globalThis._RUNTIME_.__FS__ = fs;
 }
 
@@ -2,7 +2,7 @@
  * fs/promises — Node.js-compliant drop-in for the custom runtime.
  *
  * Pulls from the already-patched `fs.promises` (which wraps memfs and
- * calls globalThis.emitMe) so every operation is observable by the
+ * reports to fs._trace) so every operation is observable by the
  * runtime exactly the same way the callback-style fs is.
  *
  * Usage:
@@ -59,6 +59,11 @@ export const lchmod = (path, mode)              => p.lchmod(path, mode);
 export const chown  = (path, uid, gid)          => p.chown(path, uid, gid);
 export const lchown = (path, uid, gid)          => p.lchown(path, uid, gid);
 
+// ── Watching ──────────────────────────────────────────────────────────────────
+// Returns an async iterator of { eventType, filename }, like Node.
+
+export const watch = (filename, options) => p.watch(filename, options);
+
 // ── Low-level read/write (FileHandle-style) ───────────────────────────────────
 // memfs exposes these via the opened file descriptor handle returned by open().
 // We wrap them here so callers get a consistent interface.
@@ -111,6 +116,7 @@ const fsPromises = {
   lchmod,
   chown,
   lchown,
+  watch,
   read,
   write,
   constants,
@@ -1,3 +1,9 @@
 import {patchConsoleTable} from './internals/cli_table.js';
+import {installOutbound} from './internals/http/outbound.js';
+import './node_globals.js'; // the sandbox policy, before any sandboxed code runs
 
 patchConsoleTable(); // turns JSON to proper table
+
+// fetch() and XMLHttpRequest go out under the network policy; installed
+// here, before sandboxed code runs, so it cannot keep the unwrapped ones
+installOutbound();
@@ -2,7 +2,22 @@ import { EventEmitter } from 'events';
 import { Buffer } from 'buffer'; // ✅ Works with the 'buffer' package
 import { Readable, Writable} from 'stream';
 import { Socket, Server as NetServer } from './net.js';
+import { Agent, globalAgent } from './_http_agent.js';
 import { createHash } from 'crypto-browserify';
+import { channel } from './diagnostics_channel.js';
+import { networkPolicy } from './internals/net/policy.js';
+import {
+  dispatch as dispatchLoopback,
+  headersFromRaw,
+  installLoopback,
+  loopbackServer
+} from './internals/http/loopback.js';
+import { startPreviewBridge } from './internals/http/previewBridge.js';
+import {
+  readChunks,
+  supportsRequestStreams,
+  toWebStream
+} from './internals/http/streams.js';
 
 
 /**
@@ -49,8 +64,14 @@ export class IncomingMessage extends Readable {
     return this
   }
 
+  // Data is pushed as it arrives; a read resumes a paused _pipeBody()
+  _read() {
+    this._resume?.()
+  }
+
   destroy(error) {
     super.destroy(error)
+    this._resume?.()
     return this
   }
 
@@ -69,6 +90,32 @@ export class IncomingMessage extends Readable {
     this.complete = true
   }
 
+  // Internal: push body chunks as they arrive from a stream, waiting while
+  // the reader is behind; `onEnd` runs just before the end is pushed
+  async _pipeBody(source, onEnd) {
+    try {
+      for await (const chunk of source) {
+        if (this.destroyed) break
+        const more = this.push(
+          typeof chunk === "string" ? Buffer.from(chunk) : chunk
+        )
+        if (!more) {
+          await new Promise(resolve => {
+            this._resume = resolve
+          })
+          this._resume = null
+          if (this.destroyed) break
+        }
+      }
+      if (this.destroyed) return
+      if (onEnd) onEnd()
+      this.push(null)
+      this.complete = true
+    } catch (error) {
+      this.destroy(error)
+    }
+  }
+
   // Internal: initialize from raw request
   static fromRequest(method, url, headers, body) {
     const msg = new IncomingMessage()
@@ -81,7 +128,9 @@ export class IncomingMessage extends Readable {
       msg.rawHeaders.push(key, value)
     }
 
-    if (body) {
+    if (body && typeof body[Symbol.asyncIterator] === "function") {
+      msg._pipeBody(body)
+    } else if (body) {
       msg._setBody(body)
     } else {
       msg.push(null)
@@ -92,18 +141,29 @@ export class IncomingMessage extends Readable {
   }
 }
 
+// Statuses whose responses never carry a body
+const NO_BODY_STATUSES = new Set([101, 103, 204, 304])
+
+function toBuffer(chunk, encoding) {
+  if (typeof chunk === "string") return Buffer.from(chunk, encoding)
+  return Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk)
+}
+
 /**
  * Outgoing HTTP response (Node.js compatible)
  */
 export class ServerResponse extends Writable {
   statusCode = 200
-  statusMessage = "OK"
+  statusMessage = undefined
   headersSent = false
   finished = false
   sendDate = true
+  chunkedEncoding = false
 
   _headers = new Map()
   _body = []
+  _sink = null
+  _rawTrailers = []
 
   constructor(req) {
     super()
@@ -115,11 +175,20 @@ export class ServerResponse extends Writable {
     this._resolve = resolve
   }
 
+  // Internal: hand the head and body on as they are sent, to
+  // { head(head), chunk(buffer), end(rawTrailers) }
+  _setSink(sink) {
+    this._sink = sink
+  }
+
   setHeader(name, value) {
     if (this.headersSent) {
       throw new Error("Cannot set headers after they are sent")
     }
-    this._headers.set(name.toLowerCase(), String(value))
+    this._headers.set(
+      name.toLowerCase(),
+      Array.isArray(value) ? value.map(String) : String(value)
+    )
     return this
   }
 
@@ -153,8 +222,12 @@ export class ServerResponse extends Writable {
   writeHead(statusCode, statusMessageOrHeaders, headers) {
     this.statusCode = statusCode
 
+    this.statusMessage =
+      typeof statusMessageOrHeaders === "string"
+        ? statusMessageOrHeaders
+        : STATUS_CODES[statusCode] || "unknown"
+
     if (typeof statusMessageOrHeaders === "string") {
-      this.statusMessage = statusMessageOrHeaders
       if (headers) {
         for (const [key, value] of Object.entries(headers)) {
           this.setHeader(key, value)
@@ -169,10 +242,24 @@ export class ServerResponse extends Writable {
     return this
   }
 
+  // Send the head now; later writes go out as chunks
+  flushHeaders() {
+    this._sendHead()
+  }
+
+  // Trailing headers, sent after a chunked body
+  addTrailers(headers) {
+    const pairs = Array.isArray(headers) ? headers : Object.entries(headers)
+    for (const [key, value] of pairs) {
+      this._rawTrailers.push(String(key), String(value))
+    }
+  }
+
   write(chunk, encodingOrCallback, callback) {
-    this.headersSent = true
-    const buffer = typeof chunk === "string" ? Buffer.from(chunk) : chunk
-    this._body.push(buffer)
+    const encoding =
+      typeof encodingOrCallback === "string" ? encodingOrCallback : undefined
+    this._sendHead()
+    const more = this._writeBody(toBuffer(chunk, encoding))
 
     const cb =
       typeof encodingOrCallback === "function" ? encodingOrCallback : callback
@@ -180,35 +267,43 @@ export class ServerResponse extends Writable {
       queueMicrotask(() => cb(null))
     }
 
-    return true
+    return more
   }
 
   end(chunkOrCallback, encodingOrCallback, callback) {
+    let chunk = chunkOrCallback
+    let encoding
     if (typeof chunkOrCallback === "function") {
       callback = chunkOrCallback
-    } else if (chunkOrCallback !== undefined) {
-      this.write(chunkOrCallback)
+      chunk = undefined
     }
 
     if (typeof encodingOrCallback === "function") {
       callback = encodingOrCallback
+    } else {
+      encoding = encodingOrCallback
     }
 
-    this.headersSent = true
+    if (this.finished) {
+      if (callback) queueMicrotask(callback)
+      return this
+    }
+
+    // Nothing written yet: the whole body is known, so it gets a length
+    const last = chunk == null ? null : toBuffer(chunk, encoding)
+    this._sendHead(last ? last.length : 0)
+    if (last) this._writeBody(last)
     this.finished = true
 
+    const rawTrailers = this.chunkedEncoding ? this._rawTrailers : []
+    if (this._sink) this._sink.end(rawTrailers)
+
     // Resolve with response data
     if (this._resolve) {
-      const headers = {}
-      for (const [key, value] of this._headers) {
-        headers[key] = Array.isArray(value) ? value.join(", ") : value
-      }
-
       this._resolve({
-        statusCode: this.statusCode,
-        statusMessage: this.statusMessage,
-        headers,
-        body: Buffer.concat(this._body)
+        ...this._head(),
+        body: Buffer.concat(this._body),
+        rawTrailers
       })
     }
 
@@ -220,6 +315,49 @@ export class ServerResponse extends Writable {
     return this
   }
 
+  // Internal: send the head once, framing the body as Node does — with a
+  // Content-Length when the whole body is known, chunked otherwise
+  _sendHead(length) {
+    if (this.headersSent) return
+    if (
+      !NO_BODY_STATUSES.has(this.statusCode) &&
+      !this.hasHeader("content-length") &&
+      !this.hasHeader("transfer-encoding")
+    ) {
+      if (length === undefined) this.setHeader("Transfer-Encoding", "chunked")
+      else this.setHeader("Content-Length", length)
+    }
+    this.chunkedEncoding = /\bchunked\b/i.test(
+      String(this.getHeader("transfer-encoding") ?? "")
+    )
+    this.headersSent = true
+    if (this._sink) this._sink.head(this._head())
+  }
+
+  _head() {
+    const headers = {}
+    const rawHeaders = []
+    for (const [key, value] of this._headers) {
+      headers[key] = Array.isArray(value) ? value.join(", ") : value
+      for (const item of [].concat(value)) rawHeaders.push(key, item)
+    }
+    return {
+      statusCode: this.statusCode,
+      statusMessage:
+        this.statusMessage ?? (STATUS_CODES[this.statusCode] || "unknown"),
+      headers,
+      rawHeaders
+    }
+  }
+
+  // False when the sink wants no more until "drain"
+  _writeBody(buffer) {
+    if (!buffer.length) return true
+    if (this._sink) return this._sink.chunk(buffer) !== false
+    this._body.push(buffer)
+    return true
+  }
+
   // Convenience method for simple responses
   send(data) {
     if (typeof data === "object" && !Buffer.isBuffer(data)) {
@@ -231,8 +369,7 @@ export class ServerResponse extends Writable {
       this.setHeader("Content-Type", "text/html")
     }
 
-    this.write(typeof data === "string" ? data : data)
-    return this.end()
+    return this.end(data)
   }
 
   // Express compatibility
@@ -367,25 +504,60 @@ export class Server extends EventEmitter {
   }
 
   /**
-   * Handle an incoming request (used by server bridge)
+   * Handle an incoming request, streaming the response: resolves once the
+   * head is sent with { statusCode, statusMessage, headers, rawHeaders, body },
+   * `body` a Readable of the chunks as the handler writes them. When it
+   * ends, `rawTrailers` holds the trailers.
    */
-  async handleRequest(method, url, headers, body) {
+  dispatchRequest(method, url, headers, body) {
     return new Promise((resolve, reject) => {
       const req = IncomingMessage.fromRequest(method, url, headers, body)
       const res = new ServerResponse(req)
 
-      res._setResolver(resolve)
+      let result = null
+      let waiting = false
+      const stream = new Readable({
+        read() {
+          if (waiting) {
+            waiting = false
+            res.emit("drain")
+          }
+        }
+      })
+      const fail = error => {
+        if (result) stream.destroy(error)
+        else reject(error)
+      }
+
+      res._setSink({
+        head(head) {
+          result = { ...head, body: stream, rawTrailers: [] }
+          resolve(result)
+        },
+        chunk(buffer) {
+          waiting = !stream.push(buffer)
+          return !waiting
+        },
+        end(rawTrailers) {
+          result.rawTrailers = rawTrailers
+          stream.push(null)
+        }
+      })
 
       // Set timeout
       const timeoutId = this.timeout
         ? setTimeout(() => {
-            reject(new Error("Request timeout"))
+            fail(new Error("Request timeout"))
           }, this.timeout)
         : null
 
       res.on("finish", () => {
         if (timeoutId) clearTimeout(timeoutId)
       })
+      // Destroyed before it ended: the response breaks off
+      res.on("close", () => {
+        if (!res.finished) fail(new Error("socket hang up"))
+      })
 
       try {
         this.emit("request", req, res)
@@ -395,10 +567,21 @@ export class Server extends EventEmitter {
         }
       } catch (error) {
         if (timeoutId) clearTimeout(timeoutId)
-        reject(error)
+        fail(error)
       }
     })
   }
+
+  /**
+   * Handle an incoming request (used by server bridge): resolves with the
+   * whole body once the handler ends the response.
+   */
+  async handleRequest(method, url, headers, body) {
+    const response = await this.dispatchRequest(method, url, headers, body)
+    const chunks = []
+    for await (const chunk of response.body) chunks.push(chunk)
+    return { ...response, body: Buffer.concat(chunks) }
+  }
 }
 
 /**
@@ -448,13 +631,14 @@ export const METHODS = [
   "TRACE"
 ]
 
-// CORS proxy getter - checks localStorage for configured proxy
-function getCorsProxy() {
-  if (typeof localStorage !== "undefined") {
-    return localStorage.getItem("__corsProxyUrl") || null
-  }
-  return null
-}
+// Node's diagnostics_channel names for client requests
+const requestCreatedChannel = channel("http.client.request.created")
+const requestStartChannel = channel("http.client.request.start")
+const requestErrorChannel = channel("http.client.request.error")
+const responseFinishChannel = channel("http.client.response.finish")
+
+// Whether fetch() takes streamed request bodies, checked on first use
+let requestStreams
 
 /**
  * HTTP Client Request - makes real HTTP requests using fetch()
@@ -465,6 +649,14 @@ export class ClientRequest extends Writable {
   _timeout = null
   _timeoutId = null
   _requestEnded = false
+  _startScheduled = false
+  _bodyStream = null
+  _performing = null
+  _controller = null
+  _socketWaiter = null
+
+  socket = null
+  reusedSocket = false
 
   constructor(options, protocol = "http") {
     super()
@@ -481,6 +673,56 @@ export class ClientRequest extends Writable {
           : value
       }
     }
+
+    // As in Node: the given agent, a one-off one for `agent: false`, or the
+    // default. It pools the sockets requests go out on and holds requests
+    // back beyond maxSockets.
+    const defaultAgent = options._defaultAgent || globalAgent
+    this.agent =
+      options.agent === false
+        ? new defaultAgent.constructor()
+        : options.agent || defaultAgent
+    const { hostname, port } = this._target()
+    requestCreatedChannel.publish({ request: this })
+    this.agent.addRequest(this, {
+      ...options,
+      host: hostname,
+      port: port || (protocol === "https" ? 443 : 80)
+    })
+  }
+
+  // Called by the agent with the socket this request goes out on. Errors
+  // connecting it (see the network policy) are the request's.
+  onSocket(socket, err) {
+    if (err) {
+      this._fail(err)
+      return
+    }
+    if (this._aborted) {
+      socket.emit("free")
+      return
+    }
+    this.socket = socket
+    socket.on("error", error => {
+      if (socket._httpMessage === this && !this._aborted) this._fail(error)
+    })
+    queueMicrotask(() => this.emit("socket", socket))
+    this._socketWaiter?.()
+  }
+
+  // Reports a failure on the request and to diagnostics_channel, as Node
+  // does: a tick later, so that one refused as the request is made still
+  // reaches the listeners added after
+  _fail(error) {
+    queueMicrotask(() => {
+      requestErrorChannel.publish({ request: this, error })
+      this.emit("error", error)
+    })
+  }
+
+  // Node's alias of `socket`
+  get connection() {
+    return this.socket
   }
 
   setHeader(name, value) {
@@ -496,8 +738,21 @@ export class ClientRequest extends Writable {
   }
 
   write(chunk, encodingOrCallback, callback) {
-    const buffer = typeof chunk === "string" ? Buffer.from(chunk) : chunk
-    this._bodyChunks.push(buffer)
+    const encoding =
+      typeof encodingOrCallback === "string" ? encodingOrCallback : undefined
+    const buffer = toBuffer(chunk, encoding)
+    let more = true
+    if (this._bodyStream) {
+      more = this._bodyStream.push(buffer)
+    } else {
+      this._bodyChunks.push(buffer)
+      // Headers go out with the first write, unless end() follows in the
+      // same task — then the body is sent whole, with a Content-Length
+      if (!this._startScheduled) {
+        this._startScheduled = true
+        queueMicrotask(() => this._start())
+      }
+    }
 
     const cb =
       typeof encodingOrCallback === "function" ? encodingOrCallback : callback
@@ -505,42 +760,75 @@ export class ClientRequest extends Writable {
       queueMicrotask(() => cb(null))
     }
 
-    return true
+    return more
   }
 
   end(dataOrCallback, encodingOrCallback, callback) {
     if (this._requestEnded) return this
-    this._requestEnded = true
 
     // Handle overloaded arguments
     let finalCallback = callback
+    if (typeof encodingOrCallback === "function") {
+      finalCallback = encodingOrCallback
+    }
     if (typeof dataOrCallback === "function") {
       finalCallback = dataOrCallback
     } else if (dataOrCallback !== undefined) {
-      this.write(dataOrCallback)
+      this.write(
+        dataOrCallback,
+        typeof encodingOrCallback === "string" ? encodingOrCallback : undefined
+      )
     }
 
-    if (typeof encodingOrCallback === "function") {
-      finalCallback = encodingOrCallback
-    }
+    this._requestEnded = true
+    if (this._bodyStream) this._bodyStream.push(null)
 
     // Perform the actual request
-    this._performRequest()
-      .then(() => {
-        if (finalCallback) finalCallback()
-      })
-      .catch(error => {
-        this.emit("error", error)
-      })
+    this._start().then(() => {
+      if (finalCallback) finalCallback()
+    }, () => {})
 
     return this
   }
 
+  // Send the head now; the body, if any, follows as it is written
+  flushHeaders() {
+    this._start()
+  }
+
+  // Starts the request once: streaming what is still to be written when
+  // the target takes a streamed body, else only after end()
+  _start() {
+    if (this._performing) return this._performing
+    if (!this._requestEnded) {
+      if (!this._canStreamBody()) return null
+      this._bodyStream = new Readable({ read() {} })
+      for (const chunk of this._bodyChunks.splice(0)) {
+        this._bodyStream.push(chunk)
+      }
+    }
+    this._performing = this._performRequest()
+    this._performing.catch(error => {
+      this._fail(error)
+    })
+    return this._performing
+  }
+
+  _canStreamBody() {
+    if (this.method === "GET" || this.method === "HEAD") return false
+    if (this.headers["upgrade"]) return false
+    if (loopbackServer(this._url(), getServer)) return true
+    return (requestStreams ??= supportsRequestStreams())
+  }
+
   abort() {
     this._aborted = true
     if (this._timeoutId) {
       clearTimeout(this._timeoutId)
     }
+    this._controller?.abort()
+    this.socket?.destroy()
+    this._socketWaiter?.()
     this.emit("abort")
   }
 
@@ -552,45 +840,94 @@ export class ClientRequest extends Writable {
     return this
   }
 
+  // Node.js supports both `hostname` and `host` (host may include port)
+  _target() {
+    let hostname = this._options.hostname || ""
+    let port = this._options.port ? String(this._options.port) : ""
+    if (!hostname && this._options.host) {
+      // host can be "domain.com" or "domain.com:8080"
+      const hostParts = this._options.host.split(":")
+      hostname = hostParts[0]
+      if (!port && hostParts[1]) {
+        port = hostParts[1]
+      }
+    }
+    return { hostname: hostname || "localhost", port }
+  }
+
+  _url() {
+    const protocol = this._protocol === "https" ? "https:" : "http:"
+    const { hostname, port } = this._target()
+    const path = this._options.path || "/"
+    return `${protocol}//${hostname}${port ? `:${port}` : ""}${path}`
+  }
+
   async _performRequest() {
     if (this._aborted) return
 
+    // It goes out once the agent has a socket for it. One that failed to
+    // connect has reported why (see onSocket).
+    if (!this.socket) {
+      await new Promise(resolve => {
+        this._socketWaiter = resolve
+      })
+      if (this._aborted) return
+    }
+    if (this.socket.destroyed) return
+
     try {
-      // Build URL — Node.js supports both `hostname` and `host` (host may include port)
-      const protocol = this._protocol === "https" ? "https:" : "http:"
-      let hostname = this._options.hostname || ""
-      let port = this._options.port ? `:${this._options.port}` : ""
-      if (!hostname && this._options.host) {
-        // host can be "domain.com" or "domain.com:8080"
-        const hostParts = this._options.host.split(":")
-        hostname = hostParts[0]
-        if (!port && hostParts[1]) {
-          port = `:${hostParts[1]}`
-        }
+      const url = this._url()
+      const policy = networkPolicy()
+
+      // A server this program listens with answers localhost itself;
+      // anything else leaves the sandbox, if the network policy lets it
+      const server = loopbackServer(url, getServer)
+      if (!server) {
+        const { hostname, port } = this._target()
+        const refusal = policy.connectError(
+          hostname,
+          Number(port) || (this._protocol === "https" ? 443 : 80)
+        )
+        if (refusal) throw refusal
       }
-      if (!hostname) hostname = "localhost"
-      const path = this._options.path || "/"
-      const url = `${protocol}//${hostname}${port}${path}`
+      requestStartChannel.publish({ request: this })
 
       // WebSocket upgrade requests can't use fetch() — browsers strip
       // Connection/Upgrade headers. Bridge to the browser's native WebSocket.
       if (this.headers["upgrade"]?.toLowerCase() === "websocket") {
+        // An upgraded connection leaves the agent's pool
+        this.socket.emit("agentRemove")
         this._handleWebSocketUpgrade(url)
         return
       }
 
-      // Use CORS proxy if configured
-      const corsProxy = getCorsProxy()
-      const fetchUrl = corsProxy ? corsProxy + encodeURIComponent(url) : url
+      // Set up timeout with AbortController
+      const controller = (this._controller = new AbortController())
 
-      // Build fetch options
+      if (this._timeout) {
+        this._timeoutId = setTimeout(() => {
+          controller.abort()
+          this.emit("timeout")
+        }, this._timeout)
+      }
+
+      if (server) {
+        await this._performLoopbackRequest(server, url, controller.signal)
+        return
+      }
+
+      // Build fetch options; the sandbox's fetch takes it through the
+      // policy's proxy, with its headers (see ./internals/http/outbound.js)
       const fetchOptions = {
         method: this.method,
         headers: this.headers
       }
 
       // Add body if we have one (not for GET/HEAD)
-      if (
+      if (this._bodyStream) {
+        fetchOptions.body = toWebStream(this._bodyStream)
+        fetchOptions.duplex = "half"
+      } else if (
         this._bodyChunks.length > 0 &&
         this.method !== "GET" &&
         this.method !== "HEAD"
@@ -598,19 +935,10 @@ export class ClientRequest extends Writable {
         fetchOptions.body = Buffer.concat(this._bodyChunks)
       }
 
-      // Set up timeout with AbortController
-      const controller = new AbortController()
       fetchOptions.signal = controller.signal
 
-      if (this._timeout) {
-        this._timeoutId = setTimeout(() => {
-          controller.abort()
-          this.emit("timeout")
-        }, this._timeout)
-      }
-
       // Make the request
-      const response = await fetch(fetchUrl, fetchOptions)
+      const response = await fetch(url, fetchOptions)
 
       // Clear timeout
       if (this._timeoutId) {
@@ -624,24 +952,105 @@ export class ClientRequest extends Writable {
       const incomingMessage = await this._responseToIncomingMessage(response)
 
       // Emit response event
-      this.emit("response", incomingMessage)
+      this._respond(incomingMessage)
     } catch (error) {
       if (this._timeoutId) {
         clearTimeout(this._timeoutId)
       }
+      this.socket?.destroy()
       if (this._aborted) return
 
       // Wrap abort errors
-      if (error instanceof Error && error.name === "AbortError") {
+      if (error?.name === "AbortError") {
         // Already emitted timeout event
         return
       }
 
-      this.emit("error", error)
+      this._fail(error)
+    }
+  }
+
+  /**
+   * Hand the request to a server of this program listening on the target
+   * port (see ./internals/http/loopback.js) instead of the network.
+   */
+  async _performLoopbackRequest(server, url, signal) {
+    const { host } = new URL(url)
+    const headers = { host, ...this.headers }
+    const body =
+      this._bodyStream ||
+      (this._bodyChunks.length ? Buffer.concat(this._bodyChunks) : null)
+    if (
+      body &&
+      headers["content-length"] === undefined &&
+      headers["transfer-encoding"] === undefined
+    ) {
+      if (this._bodyStream) headers["transfer-encoding"] = "chunked"
+      else headers["content-length"] = String(body.length)
     }
+
+    let result
+    try {
+      result = await dispatchLoopback(server, {
+        method: this.method,
+        path: this.path,
+        headers,
+        body,
+        signal
+      })
+    } catch (error) {
+      if (signal.aborted) throw error
+      // What the client sees of a server that failed mid-request
+      throw Object.assign(new Error("socket hang up", { cause: error }), {
+        code: "ECONNRESET"
+      })
+    } finally {
+      if (this._timeoutId) {
+        clearTimeout(this._timeoutId)
+        this._timeoutId = null
+      }
+    }
+
+    if (this._aborted) return
+
+    const msg = new IncomingMessage()
+    msg.statusCode = result.statusCode
+    msg.statusMessage = result.statusMessage
+    msg.rawHeaders = result.rawHeaders
+    msg.headers = headersFromRaw(msg.rawHeaders)
+    if (this.method === "HEAD") {
+      result.body.destroy()
+      msg._setBody(null)
+    } else {
+      msg._pipeBody(result.body, () => {
+        msg.rawTrailers = result.rawTrailers
+        msg.trailers = headersFromRaw(result.rawTrailers)
+      })
+    }
+
+    this._respond(msg)
   }
 
- async _responseToIncomingMessage(response) {
+  // Hand the response over. Its socket goes back to the agent once it has
+  // been read — at once when nobody listens, as Node dumps such responses —
+  // and a response cut short closes its socket.
+  _respond(msg) {
+    const socket = this.socket
+    msg.socket = socket
+    let ended = false
+    msg.once("end", () => {
+      ended = true
+      if (/\bclose\b/i.test(msg.headers.connection ?? "")) socket.destroy()
+      else socket.emit("free")
+    })
+    msg.once("close", () => {
+      if (!ended) socket.destroy()
+    })
+    responseFinishChannel.publish({ request: this, response: msg })
+    if (!this.emit("response", msg)) msg.resume()
+  }
+
+  async _responseToIncomingMessage(response) {
     const msg = new IncomingMessage()
 
     // Set status
@@ -655,7 +1064,13 @@ export class ClientRequest extends Writable {
       msg.rawHeaders.push(key, value)
     })
 
-    // Read body and push to stream.
+    // Stream the body as it arrives when fetch gives a ReadableStream
+    if (typeof response.body?.getReader === "function") {
+      msg._pipeBody(readChunks(response.body))
+      return msg
+    }
+
+    // Otherwise read it whole and push to stream.
     // IMPORTANT: Buffer.from(someBuffer).buffer returns the *entire* backing
     // ArrayBuffer (which may be a large shared slab), not just the slice that
     // belongs to this Buffer.  Always go through Uint8Array so we respect the
@@ -688,7 +1103,7 @@ export class ClientRequest extends Writable {
     if (!NativeWS) {
       // No native WebSocket (test env / Node.js) — emit TypeError like fetch would
       setTimeout(() => {
-        this.emit("error", new TypeError("Failed to fetch"))
+        this._fail(new TypeError("Failed to fetch"))
       }, 0)
       return
     }
@@ -708,7 +1123,7 @@ export class ClientRequest extends Writable {
       nativeWs.binaryType = "arraybuffer"
     } catch (e) {
       setTimeout(() => {
-        this.emit("error", e instanceof Error ? e : new Error(String(e)))
+        this._fail(e instanceof Error ? e : new Error(String(e)))
       }, 0)
       return
     }
@@ -952,15 +1367,23 @@ globalThis.__httpServerRunTime = {
   waitForAllServers: _waitForAllServers
 }
 
+// fetch() and XMLHttpRequest reach registered servers on localhost too
+installLoopback(getServer)
+
 
 let onServerListenCallback = null
 let onServerCloseCallback = null
 
+// Listeners besides the host's callbacks (the preview bridge), each with
+// listen(port, server) and close(port)
+const serverObservers = new Set()
+
 export function _registerServer(port, server) {
   serverRegistry.set(port, server)
   if (onServerListenCallback) {
     onServerListenCallback(port, server)
   }
+  for (const observer of serverObservers) observer.listen?.(port, server)
 }
 
 export function _unregisterServer(port) {
@@ -968,6 +1391,7 @@ export function _unregisterServer(port) {
   if (onServerCloseCallback) {
     onServerCloseCallback(port)
   }
+  for (const observer of serverObservers) observer.close?.(port)
 }
 
 export function getServer(port) {
@@ -986,46 +1410,28 @@ export function setServerCloseCallback(callback) {
   onServerCloseCallback = callback
 }
 
-export class Agent extends EventEmitter {
-  constructor(opts) {
-    super()
-    this.options = opts || {}
-    this.maxSockets = opts?.maxSockets ?? Infinity
-    this.maxFreeSockets = opts?.maxFreeSockets ?? 256
-    this.maxTotalSockets = opts?.maxTotalSockets ?? Infinity
-    this.sockets = {}
-    this.freeSockets = {}
-    this.requests = {}
-  }
-
-  createConnection(_options, callback) {
-    const socket = new Socket()
-    if (callback) {
-      callback(null, socket)
-    }
-    return socket
-  }
-
-  getName(options) {
-    const host = options.host || "localhost"
-    const port = options.port || 80
-    return `${host}:${port}:${options.localAddress || ""}`
-  }
-
-  addRequest(_req, _options) {
-    // Stub - in browser we use fetch instead
-  }
+// Adds a listener for servers starting and stopping, leaving the host's
+// callbacks in place; returns the function that removes it
+export function observeServers(observer) {
+  serverObservers.add(observer)
+  return () => serverObservers.delete(observer)
+}
 
-  destroy() {
-    // Clean up - stub
-    this.sockets = {}
-    this.freeSockets = {}
-    this.requests = {}
-  }
+// With a preview config from the host ({ prefix? }), browser tabs reach the
+// servers through the preview service worker
+if (globalThis._RUNTIME_?.preview) {
+  startPreviewBridge(
+    {
+      getServer,
+      getAllServers,
+      observeServers,
+      IncomingMessage
+    },
+    globalThis._RUNTIME_.preview === true ? {} : globalThis._RUNTIME_.preview
+  )
 }
 
-// Global agent instance
-export const globalAgent = new Agent()
+export { Agent, globalAgent }
 
 /**
  * Parse a WebSocket frame from raw bytes.
@@ -1145,6 +1551,7 @@ export default {
   getAllServers,
   setServerListenCallback,
   setServerCloseCallback,
+  observeServers,
   _createClientRequest,
   Agent,
   globalAgent,
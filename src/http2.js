@@ -4,6 +4,7 @@
 
 import { EventEmitter } from "./events"
 import { Buffer } from "buffer"
+import { isLoopbackHost, networkPolicy, urlTarget } from "./internals/net/policy.js"
 
 /* ------------------------------------------------------------------ */
 /* Http2Session                                                       */
@@ -255,8 +256,19 @@ export function createSecureServer(options, handler) {
 export function connect(authority, _options, listener) {
   const session = new ClientHttp2Session()
 
-  if (listener) session.once("connect", listener)
-  setTimeout(() => session.emit("connect"), 0)
+  // Sessions with other hosts than this machine only as the network
+  // policy allows
+  const target = urlTarget(authority)
+  const refusal =
+    target && !isLoopbackHost(target.host)
+      ? networkPolicy().connectError(target.host, target.port)
+      : null
+  if (refusal) {
+    setTimeout(() => session.destroy(refusal), 0)
+  } else {
+    if (listener) session.once("connect", listener)
+    setTimeout(() => session.emit("connect"), 0)
+  }
 
   session.request = headers => {
     const server =
@@ -266,6 +278,7 @@ export function connect(authority, _options, listener) {
 
     Promise.resolve().then(async () => {
       try {
+        if (refusal) throw refusal
         const result = await server.handleRequest(
           headers[":method"] || "GET",
           headers[":path"] || "/",
@@ -0,0 +1,211 @@
+/**
+ * Reference host side of the child_process protocol (./protocol.js).
+ *
+ * The host page owns the real command runner; this turns its callbacks
+ * into protocol messages and routes stdin, kill and flow control back to
+ * it. For a sandbox iframe:
+ *
+ *   const host = createChildProcessHost({
+ *     spawn: (command, args, options, events) => runner.start(...),
+ *     post: (message) => iframe.contentWindow.postMessage(message, '*'),
+ *   });
+ *   window.addEventListener('message', (e) => {
+ *     if (e.source === iframe.contentWindow) host.handleMessage(e.data);
+ *   });
+ *
+ * `spawn(command, args, options, events)` starts the command and returns a
+ * handle `{ write(chunk), end(), kill(signal), pause(stream),
+ * resume(stream), send(message), disconnect() }` (all optional; write may
+ * return a promise, which holds the acknowledgement back). It reports
+ * through `events.stdout(chunk)`, `events.stderr(chunk)`,
+ * `events.exit(code, signal)` and `events.error(err)`; throwing is the same
+ * as events.error(). Children with an IPC channel also use
+ * `events.message(message)` and `events.disconnect()`.
+ *
+ * Synchronous spawns use the same runner: the host feeds `options.input`
+ * to stdin, collects the output, enforces `timeout` and `maxBuffer` with
+ * `killSignal`, and writes the result into the sandbox's shared buffers,
+ * keeping the output until the sandbox sends one the right size for it.
+ */
+
+import { MESSAGES, serializeError, writeSyncOutput, writeSyncResult } from './protocol.js';
+
+const concat = (chunks) => {
+  const out = new Uint8Array(chunks.reduce((length, chunk) => length + chunk.length, 0));
+  let offset = 0;
+  for (const chunk of chunks) {
+    out.set(chunk, offset);
+    offset += chunk.length;
+  }
+  return out;
+};
+
+/**
+ * @param {{ spawn: Function, post: (message: object) => void }} options
+ */
+export function createChildProcessHost({ spawn, post }) {
+  const children = new Map();
+  // Output of finished synchronous spawns, until the sandbox fetches it
+  const syncOutputs = new Map();
+
+  function start(requestId, { command, args = [], options = {} }) {
+    // Messages wait until the sandbox has heard the child started.
+    let queue = [];
+    const send = (message) => (queue ? queue.push(message) : post(message));
+    let done = false;
+    const finish = (message) => {
+      if (done) return;
+      done = true;
+      children.delete(requestId);
+      send(message);
+    };
+
+    const events = {
+      stdout: (chunk) => !done && send({ type: MESSAGES.DATA, requestId, stream: 'stdout', chunk }),
+      stderr: (chunk) => !done && send({ type: MESSAGES.DATA, requestId, stream: 'stderr', chunk }),
+      message: (message) => !done && send({ type: MESSAGES.MESSAGE, requestId, message }),
+      disconnect: () => !done && send({ type: MESSAGES.DISCONNECTED, requestId }),
+      exit: (exitCode, signal = null) => finish({ type: MESSAGES.EXIT, requestId, exitCode: exitCode ?? null, signal }),
+      error: (err) => finish({ type: MESSAGES.ERROR, requestId, error: serializeError(err) }),
+    };
+
+    let handle;
+    try {
+      handle = spawn(command, args, options, events) || {};
+    } catch (err) {
+      queue = null;
+      events.error(err);
+      return;
+    }
+
+    const pending = queue;
+    queue = null;
+    if (pending[0]?.type === MESSAGES.ERROR) return post(pending[0]);
+    post({ type: MESSAGES.SPAWNED, requestId });
+    pending.forEach(post);
+    if (!done) children.set(requestId, handle);
+  }
+
+  function startSync(requestId, { command, args = [], options = {} }, buffer) {
+    const capacity = options.maxBuffer ?? Infinity;
+    const killSignal = options.killSignal ?? 'SIGTERM';
+    const output = { stdout: [], stderr: [] };
+    const lengths = { stdout: 0, stderr: 0 };
+    let overflow = false;
+    let timedOut = false;
+    let done = false;
+    let handle = null;
+    let timer;
+
+    const finish = (result) => {
+      if (done) return;
+      done = true;
+      clearTimeout(timer);
+      // Past maxBuffer, output is cut off
+      const stdout = concat(output.stdout).subarray(0, capacity);
+      const stderr = concat(output.stderr).subarray(0, capacity);
+      if (stdout.length || stderr.length) syncOutputs.set(requestId, { buffer, stdout, stderr });
+      writeSyncResult(buffer, { ...result, overflow, timedOut, stdout, stderr });
+    };
+    const collect = (name) => (chunk) => {
+      if (done) return;
+      const bytes = typeof chunk === 'string' ? new TextEncoder().encode(chunk) : new Uint8Array(chunk);
+      output[name].push(bytes);
+      lengths[name] += bytes.length;
+      if (lengths[name] > capacity && !overflow) {
+        overflow = true;
+        handle?.kill?.(killSignal);
+      }
+    };
+
+    const events = {
+      stdout: collect('stdout'),
+      stderr: collect('stderr'),
+      exit: (status, signal = null) => finish({ status: status ?? null, signal }),
+      error: (err) => finish({ status: null, signal: null, error: serializeError(err) }),
+    };
+
+    try {
+      handle = spawn(command, args, options, events) || {};
+    } catch (err) {
+      events.error(err);
+      return;
+    }
+    if (done) return;
+    if (overflow) handle.kill?.(killSignal);
+    if (options.timeout > 0) {
+      timer = setTimeout(() => {
+        timedOut = true;
+        handle.kill?.(killSignal);
+      }, options.timeout);
+    }
+    const input = options.input == null ? undefined : handle.write?.(options.input);
+    const end = () => handle.end?.();
+    Promise.resolve(input).then(end, end);
+  }
+
+  function write(requestId, handle, seq, chunk) {
+    const ack = (error) => post({ type: MESSAGES.STDIN_ACK, requestId, seq, error: error && serializeError(error) });
+    try {
+      Promise.resolve(handle.write?.(chunk)).then(() => ack(), ack);
+    } catch (err) {
+      ack(err);
+    }
+  }
+
+  /** Handles one message from the sandbox; false when it is not for us. */
+  function handleMessage(message) {
+    const { type, requestId } = message || {};
+    if (type === MESSAGES.SPAWN) {
+      start(requestId, message.payload || {});
+      return true;
+    }
+    if (type === MESSAGES.SPAWN_SYNC) {
+      startSync(requestId, message.payload || {}, message.buffer);
+      return true;
+    }
+    if (type === MESSAGES.SPAWN_SYNC_OUTPUT) {
+      const pending = syncOutputs.get(requestId);
+      syncOutputs.delete(requestId);
+      if (pending) writeSyncOutput(pending.buffer, message.buffer, pending);
+      return true;
+    }
+    const handle = children.get(requestId);
+    switch (type) {
+      case MESSAGES.STDIN:
+        if (handle) write(requestId, handle, message.seq, message.chunk);
+        else post({ type: MESSAGES.STDIN_ACK, requestId, seq: message.seq, error: { message: 'write EPIPE', code: 'EPIPE', syscall: 'write' } });
+        return true;
+      case MESSAGES.STDIN_END:
+        handle?.end?.();
+        return true;
+      case MESSAGES.KILL:
+        handle?.kill?.(message.signal);
+        return true;
+      case MESSAGES.PAUSE:
+        handle?.pause?.(message.stream);
+        return true;
+      case MESSAGES.RESUME:
+        handle?.resume?.(message.stream);
+        return true;
+      case MESSAGES.SEND:
+        handle?.send?.(message.message);
+        return true;
+      case MESSAGES.DISCONNECT:
+        handle?.disconnect?.();
+        return true;
+      default:
+        return false;
+    }
+  }
+
+  return {
+    handleMessage,
+    /** Kills every child still running (the sandbox went away). */
+    dispose() {
+      for (const handle of children.values()) handle.kill?.('SIGKILL');
+      children.clear();
+      syncOutputs.clear();
+    },
+  };
+}
@@ -0,0 +1,81 @@
+/**
+ * The IPC channel of fork()ed processes: what child.send() in the parent
+ * and process.send() in the child have in common.
+ *
+ * A message is copied on the way, as on Node's channel — through JSON, or
+ * with `serialization: 'advanced'` by structured clone — and decoded by the
+ * receiving side, so each side gets objects of its own realm. Handles
+ * (sockets, servers) cannot be passed; trying to reports
+ * ERR_INVALID_HANDLE_TYPE like any other failed send.
+ */
+
+import errors from '../errors.js';
+
+const {
+  ERR_INVALID_ARG_TYPE,
+  ERR_INVALID_ARG_VALUE,
+  ERR_INVALID_HANDLE_TYPE,
+  ERR_IPC_CHANNEL_CLOSED,
+  ERR_MISSING_ARGS,
+} = errors.codes;
+
+const SERIALIZATIONS = ['json', 'advanced'];
+
+/** Checks the `serialization` option of spawn()/fork(). */
+export function validateSerialization(serialization = 'json') {
+  if (!SERIALIZATIONS.includes(serialization)) {
+    throw new ERR_INVALID_ARG_VALUE('options.serialization', serialization, "must be one of: 'json', 'advanced'");
+  }
+  return serialization;
+}
+
+/**
+ * The wire form of `message`. Throws, as Node does, when it cannot be
+ * serialized (a BigInt in JSON, a function for structured clone).
+ */
+export function encodeMessage(message, serialization = 'json') {
+  return serialization === 'advanced'
+    ? { serialization, data: structuredClone(message) }
+    : { serialization, data: JSON.stringify(message) };
+}
+
+/** The message back from its wire form, made in the caller's realm. */
+export function decodeMessage({ serialization, data }) {
+  return serialization === 'advanced' ? structuredClone(data) : JSON.parse(data);
+}
+
+/**
+ * The send(message[, sendHandle][, options][, callback]) of one end.
+ * @param {{ connected: () => boolean, post: (wire: object) => void,
+ *   onError: (err: Error) => void, serialization: string }} end
+ */
+export function createSend({ connected, post, onError, serialization }) {
+  return function send(message, handle, options, callback) {
+    if (typeof handle === 'function') {
+      callback = handle;
+      handle = undefined;
+      options = undefined;
+    } else if (typeof options === 'function') {
+      callback = options;
+      options = undefined;
+    } else if (options !== undefined && (options === null || typeof options !== 'object')) {
+      throw new ERR_INVALID_ARG_TYPE('options', 'Object', options);
+    }
+    if (message === undefined) throw new ERR_MISSING_ARGS('message');
+    if (!['string', 'object', 'number', 'boolean'].includes(typeof message)) {
+      throw new ERR_INVALID_ARG_TYPE('message', 'string, object, number, or boolean', message);
+    }
+
+    const fail = (err) => {
+      if (typeof callback === 'function') queueMicrotask(() => callback(err));
+      else queueMicrotask(() => onError(err));
+      return false;
+    };
+    if (handle != null) return fail(new ERR_INVALID_HANDLE_TYPE());
+    if (!connected()) return fail(new ERR_IPC_CHANNEL_CLOSED());
+
+    post(encodeMessage(message, serialization));
+    if (typeof callback === 'function') queueMicrotask(() => callback(null));
+    return true;
+  };
+}
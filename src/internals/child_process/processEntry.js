@@ -0,0 +1,243 @@
+/**
+ * The runtime of a process started by ./processManager.js, loaded into the
+ * fresh context made for it (bundled as RUNTIME_PROCESS).
+ *
+ * It connects console and process.stdout/stderr to the parent's pipes,
+ * feeds process.stdin, delivers signals to process listeners, gives a
+ * fork()ed process its IPC channel (process.send() and 'message'), and runs
+ * the script — or the -e/-p code — as `node` would. The exit code reaches
+ * the parent on process.exit(), after an uncaught error (see
+ * ../../runtime/errors/uncaughtErrors.js), or once nothing is left that
+ * keeps the process alive: global timers, fetches in flight, a stdin that
+ * is being read, a connected channel with 'message' listeners, and the
+ * servers and fs watchers the process opened until they close.
+ */
+
+import { process } from '../../process.js';
+import '../../globals.js';
+import { Buffer } from '../../buffer.js';
+import { format } from '../../util.js';
+import path from 'path-browserify';
+import { Module } from '../../runtime/cjsLoader.js';
+import errors from '../errors.js';
+import { createSend, decodeMessage } from './ipc.js';
+
+const { ERR_IPC_DISCONNECTED } = errors.codes;
+
+const runtime = globalThis._RUNTIME_;
+const link = runtime.__PROCESS_LINK__;
+
+if (link) start(link);
+
+function start(link) {
+  const { spec } = link;
+  const schedule = globalThis.setTimeout.bind(globalThis);
+
+  // require('process') is this process, not the parent's; the modules that
+  // open servers and watchers are its own views of the shared ones, which
+  // tell it what it opened (see Liveness).
+  const shared = runtime.builtins ?? {};
+  runtime.builtins = { ...shared, process };
+  for (const name of ['http', 'https', 'net']) {
+    if (shared[name]) runtime.builtins[name] = serving(shared[name]);
+  }
+  if (shared.fs) runtime.builtins.fs = watching(shared.fs);
+
+  // ─── stdio ──────────────────────────────────────────────────────────────────
+
+  const writer = (send) => function write(chunk, encoding, callback) {
+    if (typeof encoding === 'function') [callback, encoding] = [encoding, undefined];
+    send(typeof chunk === 'string' && (!encoding || encoding === 'utf8') ? chunk : new Uint8Array(Buffer.from(chunk, encoding)));
+    if (typeof callback === 'function') callback();
+    return true;
+  };
+  process.stdout.write = writer(link.stdout);
+  process.stderr.write = writer(link.stderr);
+
+  for (const [method, stream] of [['log', 'stdout'], ['info', 'stdout'], ['debug', 'stdout'], ['error', 'stderr'], ['warn', 'stderr']]) {
+    console[method] = (...args) => process[stream].write(`${format(...args)}\n`);
+  }
+
+  let stdinEnded = false;
+  link.onStdin((chunk) => {
+    if (chunk === null) {
+      stdinEnded = true;
+      process.stdin.emit('end');
+      checkIdle();
+      return;
+    }
+    const data = Buffer.from(chunk);
+    process.stdin.emit('data', process.stdin.encoding ? data.toString(process.stdin.encoding) : data);
+  });
+
+  link.onSignal((signal) => {
+    if (process.listenerCount(signal) === 0) return false;
+    process.emit(signal, signal);
+    return true;
+  });
+
+  // ─── Liveness ───────────────────────────────────────────────────────────────
+
+  const timers = new Set();
+  const handles = new Set();
+  let inFlight = 0;
+  let mainDone = false;
+
+  // Keeps the process alive from `start` until `end`, each an event of `handle`.
+  function hold(handle, start, end) {
+    const release = () => {
+      handles.delete(handle);
+      checkIdle();
+    };
+    if (start) handle.on(start, () => handles.add(handle));
+    else handles.add(handle);
+    handle.on(end, release);
+    return handle;
+  }
+
+  // A server keeps a process alive while it listens.
+  function serving(module) {
+    const own = (server) => hold(server, 'listening', 'close');
+    return {
+      ...module,
+      Server: class Server extends module.Server {
+        constructor(...args) {
+          super(...args);
+          own(this);
+        }
+      },
+      createServer: (...args) => own(module.createServer(...args)),
+    };
+  }
+
+  // fs.watch() watchers until closed, fs.watchFile() ones until unwatched.
+  function watching(fs) {
+    return {
+      ...fs,
+      watch: (...args) => hold(fs.watch(...args), null, 'close'),
+      watchFile: (...args) => hold(fs.watchFile(...args), null, 'stop'),
+    };
+  }
+
+  const { setTimeout, clearTimeout, setInterval, clearInterval, fetch } = globalThis;
+  globalThis.setTimeout = function (fn, delay, ...args) {
+    const id = setTimeout(() => {
+      timers.delete(id);
+      try {
+        if (typeof fn === 'function') fn(...args);
+      } finally {
+        checkIdle();
+      }
+    }, delay);
+    timers.add(id);
+    return id;
+  };
+  globalThis.clearTimeout = function (id) {
+    timers.delete(id);
+    clearTimeout(id);
+    checkIdle();
+  };
+  globalThis.setInterval = function (fn, delay, ...args) {
+    const id = setInterval(fn, delay, ...args);
+    timers.add(id);
+    return id;
+  };
+  globalThis.clearInterval = function (id) {
+    timers.delete(id);
+    clearInterval(id);
+    checkIdle();
+  };
+  if (typeof fetch === 'function') {
+    globalThis.fetch = function (...args) {
+      inFlight++;
+      return fetch.apply(this, args).finally(() => {
+        inFlight--;
+        checkIdle();
+      });
+    };
+  }
+
+  let connected = Boolean(spec.ipc);
+  const readingStdin = () => !stdinEnded && process.stdin.listenerCount('data') > 0;
+  const listening = () => connected && process.listenerCount('message') > 0;
+
+  let checking = false;
+  function checkIdle() {
+    if (!mainDone || checking || process.exiting) return;
+    checking = true;
+    // After the current callback's microtasks, as Node checks its loop.
+    schedule(() => {
+      checking = false;
+      if (timers.size === 0 && handles.size === 0 && inFlight === 0 && !readingStdin() && !listening() && !process.exiting) {
+        process.exit(process.exitCode ?? 0);
+      }
+    });
+  }
+
+  // ─── IPC ────────────────────────────────────────────────────────────────────
+
+  if (spec.ipc) {
+    const closed = () => {
+      if (!connected) return;
+      connected = false;
+      process.connected = false;
+      process.emit('disconnect');
+      checkIdle();
+    };
+    process.connected = true;
+    process.channel = { ref() {}, unref() {} };
+    process.send = createSend({
+      connected: () => connected,
+      post: link.send,
+      onError: (err) => process.emit('error', err),
+      serialization: spec.serialization,
+    });
+    process.disconnect = () => {
+      if (!connected) {
+        process.emit('error', new ERR_IPC_DISCONNECTED());
+        return;
+      }
+      link.disconnect();
+      closed();
+    };
+    link.onMessage((message) => process.emit('message', decodeMessage(message)));
+    link.onDisconnect(closed);
+  }
+
+  // ─── The program ────────────────────────────────────────────────────────────
+
+  async function main() {
+    for (let i = 0; i < spec.execArgv.length; i++) {
+      if (spec.execArgv[i] === '-r' || spec.execArgv[i] === '--require') Module._load(spec.execArgv[++i], null, false);
+    }
+
+    if (spec.eval !== undefined) {
+      const module = new Module('[eval]', null);
+      module.filename = path.join(spec.cwd, '[eval]');
+      module.paths = Module._nodeModulePaths(spec.cwd);
+      const result = module._compile(`return eval(${JSON.stringify(spec.eval)});`, module.filename);
+      if (spec.print) console.log(result);
+      return;
+    }
+
+    try {
+      Module._load(spec.script, null, true);
+    } catch (err) {
+      if (err?.code !== 'ERR_REQUIRE_ESM' || !runtime.loadModule) throw err;
+      await runtime.loadModule(spec.script, 'import');
+    }
+  }
+
+  main().then(
+    () => {
+      mainDone = true;
+      checkIdle();
+    },
+    (err) => {
+      mainDone = true;
+      // Thrown again from a task, so it takes the uncaught exception path.
+      schedule(() => { throw err; });
+      checkIdle();
+    },
+  );
+}
@@ -0,0 +1,389 @@
+/**
+ * JavaScript processes run inside the sandbox.
+ *
+ * child_process hands `node …` commands, and commands that name a package
+ * `bin` (which are node scripts), to runProcess() instead of the host. Each
+ * run gets a fresh context sharing the virtual fs — its own globals, module
+ * cache and process object, with argv, env and cwd set up for it — and its
+ * stdio piped back to the ChildProcess. Every run has an entry in the
+ * process table while it is alive (listProcesses()).
+ *
+ * The default context is a hidden same-origin iframe that loads the process
+ * runtime (./processEntry.js, RUNTIME_PROCESS in the VFS build) from
+ * globalThis._RUNTIME_.processRuntimeURL. A host can run processes
+ * elsewhere (a worker, say) by setting
+ * globalThis._RUNTIME_.createProcessContext(spec, events), shaped like
+ * createFrameContext() below.
+ */
+
+import path from 'path-browserify';
+
+const { dirname, join, resolve, basename } = path;
+
+// Options of `node` that take the next argument as their value.
+const VALUE_OPTIONS = new Set([
+  '-r', '--require', '--import', '--loader', '--experimental-loader',
+  '-C', '--conditions', '--input-type', '--env-file', '--title',
+]);
+
+// What needs a real shell: pipes, redirects, lists, substitutions.
+const SHELL_SYNTAX = /[|&;<>()$`\n]/;
+
+const DEFAULT_EXEC_PATH = '/usr/local/bin/node';
+
+const table = (globalThis._RUNTIME_.__PROCESS_TABLE__ ??= new Map());
+
+function fs() {
+  return globalThis._RUNTIME_.__FS__;
+}
+
+function execPath() {
+  return globalThis.process?.execPath || DEFAULT_EXEC_PATH;
+}
+
+/**
+ * Splits a shell command line into words, honouring quotes and backslashes.
+ * @returns {string[]|null} null when the line needs more of a shell than that
+ */
+export function splitCommandLine(line) {
+  const words = [];
+  let word = null;
+  let quote = null;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quote === "'") {
+      if (ch === "'") quote = null;
+      else word += ch;
+    } else if (quote === '"') {
+      if (ch === '"') quote = null;
+      else if (ch === '\\' && '"\\'.includes(line[i + 1])) word += line[++i];
+      else if (ch === '$' || ch === '`') return null;
+      else word += ch;
+    } else if (ch === "'" || ch === '"') {
+      quote = ch;
+      word ??= '';
+    } else if (ch === '\\') {
+      word = (word ?? '') + (line[++i] ?? '');
+    } else if (ch === ' ' || ch === '\t') {
+      if (word !== null) words.push(word);
+      word = null;
+    } else if (SHELL_SYNTAX.test(ch)) {
+      return null;
+    } else {
+      word = (word ?? '') + ch;
+    }
+  }
+  if (quote) return null;
+  if (word !== null) words.push(word);
+  return words;
+}
+
+function isNode(file) {
+  return ['node', 'node.exe'].includes(basename(file)) || file === globalThis.process?.execPath;
+}
+
+// `node [options] [script | -e code | -p code] [args]`
+function parseNodeArgs(args, cwd) {
+  const execArgv = [];
+  let i = 0;
+  for (; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '--') {
+      i++;
+      break;
+    }
+    if (arg === '-' || !arg.startsWith('-')) break;
+
+    const evalMatch = /^(?:(-e|--eval|-p|--print|-pe)|(--eval|--print)=([\s\S]*))$/.exec(arg);
+    if (evalMatch) {
+      const code = evalMatch[1] ? args[++i] : evalMatch[3];
+      if (code === undefined) return null;
+      execArgv.push(...(evalMatch[1] ? [arg, code] : [arg]));
+      return {
+        eval: code,
+        print: /^(?:-p|--print|-pe)/.test(arg),
+        execArgv,
+        args: args.slice(i + 1),
+      };
+    }
+
+    execArgv.push(arg);
+    if (VALUE_OPTIONS.has(arg) && i + 1 < args.length) execArgv.push(args[++i]);
+  }
+  // Reading the program from stdin is left to a real node.
+  if (i >= args.length || args[i] === '-') return null;
+  return { script: resolve(cwd, args[i]), execArgv, args: args.slice(i + 1) };
+}
+
+function readJSON(path) {
+  try {
+    return JSON.parse(fs().readFileSync(path, 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+// The script `name` runs in the package at `dir`, if it has that bin.
+function packageBin(dir, name) {
+  const pkg = readJSON(join(dir, 'package.json'));
+  if (!pkg || !pkg.bin) return null;
+  if (typeof pkg.bin === 'string') {
+    return pkg.name && pkg.name.split('/').pop() === name ? join(dir, pkg.bin) : null;
+  }
+  return typeof pkg.bin[name] === 'string' ? join(dir, pkg.bin[name]) : null;
+}
+
+function readdir(dir) {
+  try {
+    return fs().readdirSync(dir);
+  } catch {
+    return [];
+  }
+}
+
+// Package directories under a node_modules, scoped ones included.
+function installedPackages(modules) {
+  return readdir(modules).flatMap((entry) => {
+    if (entry.startsWith('.')) return [];
+    if (entry.startsWith('@')) return readdir(join(modules, entry)).map((name) => join(modules, entry, name));
+    return [join(modules, entry)];
+  });
+}
+
+/**
+ * The script behind the command `name`, looked up from `cwd` upwards as npm
+ * would: node_modules/.bin, the bins of installed packages, then the
+ * package's own bin.
+ * @returns {string|null}
+ */
+export function findBin(name, cwd = '/') {
+  if (!fs() || !name || name.includes('/')) return null;
+  for (let dir = resolve(cwd); ; dir = dirname(dir)) {
+    const modules = join(dir, 'node_modules');
+    const link = join(modules, '.bin', name);
+    if (fs().existsSync(link)) return fs().realpathSync(link);
+    const bin = installedPackages(modules).map((pkg) => packageBin(pkg, name)).find(Boolean) ?? packageBin(dir, name);
+    if (bin && fs().existsSync(bin)) return bin;
+    if (dir === '/') return null;
+  }
+}
+
+// `npx [options] <command> [args]`
+function npxArgs(args) {
+  let i = 0;
+  for (; i < args.length && args[i].startsWith('-'); i++) {
+    if (args[i] === '-p' || args[i] === '--package') i++;
+  }
+  return args.slice(i);
+}
+
+/**
+ * What running `command args` would start, when it is something the sandbox
+ * runs itself: `{ script | eval, print, args, execArgv, env, cwd }`, where
+ * `args` follow the script. null means the host should run it.
+ * @param {string} command
+ * @param {string[]} [args]
+ * @param {{ cwd?: string, env?: object, shell?: boolean|string }} [options]
+ */
+export function resolveCommand(command, args = [], options = {}) {
+  const cwd = options.cwd ?? globalThis.process?.cwd?.() ?? '/';
+  const env = { ...(options.env ?? globalThis.process?.env ?? {}) };
+
+  let words = [command, ...args];
+  if (options.shell) {
+    words = splitCommandLine(words.join(' '));
+    if (!words) return null;
+    while (words.length > 1 && /^[A-Za-z_][A-Za-z0-9_]*=/.test(words[0])) {
+      const assignment = words.shift();
+      const eq = assignment.indexOf('=');
+      env[assignment.slice(0, eq)] = assignment.slice(eq + 1);
+    }
+  }
+
+  let [file, ...rest] = words;
+  if (file === 'npx') [file, ...rest] = npxArgs(rest);
+  if (!file) return null;
+
+  let spec;
+  if (isNode(file)) {
+    spec = parseNodeArgs(rest, cwd);
+  } else {
+    const script = findBin(file, cwd);
+    spec = script && { script, execArgv: [], args: rest };
+  }
+  return spec ? { print: false, ...spec, cwd, env } : null;
+}
+
+/** Whether this page can start processes of its own. */
+export function processesAvailable() {
+  const runtime = globalThis._RUNTIME_;
+  return typeof runtime.createProcessContext === 'function' ||
+    Boolean(runtime.processRuntimeURL && globalThis.document);
+}
+
+/**
+ * The processes running now, oldest first:
+ * `{ pid, ppid, command, argv, cwd, startTime }`.
+ */
+export function listProcesses() {
+  return [...table.values()].map((entry) => ({ ...entry, argv: [...entry.argv] }));
+}
+
+let lastPid = 4096;
+
+/**
+ * Starts a process, with the signature of a child_process host runner
+ * (./host.js): reports through `events` and returns its stdin/kill handle,
+ * plus send()/disconnect() when `options.stdio` asks for an IPC channel.
+ * `options.spec` is the resolveCommand() result when the caller has it.
+ */
+export function runProcess(command, args, options, events) {
+  const spec = options.spec ?? resolveCommand(command, args, options);
+  if (!spec) {
+    throw Object.assign(new Error(`spawn ${command} ENOENT`), {
+      code: 'ENOENT', errno: -2, syscall: `spawn ${command}`, path: command,
+    });
+  }
+
+  const pid = options.pid ?? ++lastPid;
+  const ppid = globalThis.process?.pid ?? 0;
+  const argv = spec.script ? [execPath(), spec.script, ...spec.args] : [execPath(), ...spec.args];
+  table.set(pid, {
+    pid,
+    ppid,
+    command: [command, ...args].join(' '),
+    argv,
+    cwd: spec.cwd,
+    startTime: Date.now(),
+  });
+
+  const create = globalThis._RUNTIME_.createProcessContext ?? createFrameContext;
+  try {
+    const ipc = Boolean(options.stdio?.includes('ipc'));
+    return create({ ...spec, pid, ppid, argv, execPath: execPath(), ipc, serialization: options.serialization ?? 'json' }, {
+      stdout: events.stdout,
+      stderr: events.stderr,
+      message: events.message,
+      disconnect: events.disconnect,
+      exit: (code, signal = null) => {
+        table.delete(pid);
+        events.exit(code, signal);
+      },
+      error: (err) => {
+        table.delete(pid);
+        events.error(err);
+      },
+    });
+  } catch (err) {
+    table.delete(pid);
+    throw err;
+  }
+}
+
+// ─── Default context: a hidden iframe ─────────────────────────────────────────
+
+const escapeAttribute = (value) => String(value).replace(/&/g, '&amp;').replace(/"/g, '&quot;');
+
+// Hands values to the process once it listens, holding them until then.
+function inbox() {
+  let receiver = null;
+  const pending = [];
+  return {
+    listen(fn) {
+      receiver = fn;
+      pending.splice(0).forEach(fn);
+    },
+    deliver: (value) => (receiver ? receiver(value) : pending.push(value)),
+  };
+}
+
+/**
+ * Runs `spec` in a hidden iframe. The frame's globalThis._RUNTIME_ is the
+ * host configuration of this one with the same fs, the process settings of
+ * the child, and `__PROCESS_LINK__`, through which ./processEntry.js
+ * reports output and exit and takes stdin and signals; with `spec.ipc`,
+ * IPC messages go both ways through it too.
+ * @param {object} spec resolveCommand() result plus pid, ppid, argv,
+ *   execPath, ipc and serialization
+ * @param {{ stdout: Function, stderr: Function, exit: Function,
+ *   message: Function, disconnect: Function }} events
+ */
+export function createFrameContext(spec, events) {
+  const runtime = globalThis._RUNTIME_;
+  const { document } = globalThis;
+  if (!runtime.processRuntimeURL || !document) {
+    throw Object.assign(new Error(`spawn ${spec.argv[0]} ENOSYS`), { code: 'ENOSYS', errno: -38, syscall: 'spawn' });
+  }
+
+  const links = (runtime.__PROCESS_LINKS__ ??= new Map());
+  const frame = document.createElement('iframe');
+  frame.hidden = true;
+
+  let ended = false;
+  let signals = null;
+  const stdin = inbox();
+  const messages = inbox();
+  const disconnects = inbox();
+
+  const finish = () => {
+    if (ended) return false;
+    ended = true;
+    links.delete(spec.pid);
+    frame.remove();
+    return true;
+  };
+
+  const link = {
+    spec,
+    stdout: (chunk) => { if (!ended) events.stdout(chunk); },
+    stderr: (chunk) => { if (!ended) events.stderr(chunk); },
+    exit: (code, signal = null) => { if (finish()) events.exit(code, signal); },
+    send: (message) => { if (!ended) events.message(message); },
+    disconnect: () => { if (!ended) events.disconnect(); },
+    /** `fn(chunk)` gets stdin as it is written, then `fn(null)` at its end. */
+    onStdin: stdin.listen,
+    /** `fn(message)` gets what the parent sends, in wire form. */
+    onMessage: messages.listen,
+    /** `fn()` runs when the parent disconnects. */
+    onDisconnect: disconnects.listen,
+    /** `fn(signal)` returns true when the process handles the signal. */
+    onSignal(fn) {
+      signals = fn;
+    },
+  };
+
+  const config = Object.fromEntries(Object.entries(runtime).filter(([key]) => !key.startsWith('__')));
+  links.set(spec.pid, {
+    ...config,
+    __FS__: runtime.__FS__,
+    process: {
+      ...runtime.process,
+      argv: spec.argv,
+      argv0: 'node',
+      execArgv: spec.execArgv,
+      execPath: spec.execPath,
+      env: spec.env,
+      cwd: spec.cwd,
+      pid: spec.pid,
+      ppid: spec.ppid,
+      title: 'node',
+    },
+    __PROCESS_LINK__: link,
+  });
+
+  frame.srcdoc =
+    `<!DOCTYPE html><script>window._RUNTIME_ = parent._RUNTIME_.__PROCESS_LINKS__.get(${spec.pid});</script>` +
+    `<script type="module" src="${escapeAttribute(runtime.processRuntimeURL)}"></script>`;
+  document.body.appendChild(frame);
+
+  return {
+    write: (chunk) => { if (!ended) stdin.deliver(chunk); },
+    end: () => { if (!ended) stdin.deliver(null); },
+    send: (message) => { if (!ended) messages.deliver(message); },
+    disconnect: () => { if (!ended) disconnects.deliver(); },
+    kill(signal) {
+      if (ended || (signal !== 'SIGKILL' && signals?.(signal))) return;
+      link.exit(null, signal);
+    },
+  };
+}
@@ -0,0 +1,185 @@
+/**
+ * The postMessage protocol between child_process in the sandbox and the
+ * host that runs the commands.
+ *
+ * Every message carries the `requestId` of one child. Output arrives as
+ * `data` messages per stream while the command runs; stdin writes go the
+ * other way and are acknowledged once the host has taken them, which is
+ * what lets child.stdin apply backpressure. A full stdout/stderr buffer in
+ * the sandbox asks the host to pause that stream until it is read again.
+ *
+ *   sandbox → host                           host → sandbox
+ *   SPAWN  { payload: { command, args,       SPAWNED
+ *            options: { cwd, env, shell,     DATA    { stream, chunk }
+ *            stdio, pid,                     STDIN_ACK { seq, error? }
+ *            serialization } } }             EXIT    { exitCode, signal }
+ *   STDIN  { seq, chunk }                    ERROR   { error: { message, code,
+ *   STDIN_END                                          errno, syscall, path } }
+ *   KILL   { signal }                        MESSAGE { message }
+ *   PAUSE / RESUME { stream }                DISCONNECTED
+ *   SEND   { message }
+ *   DISCONNECT
+ *
+ * `chunk` is a string or a Uint8Array. With `options.shell` set, command and
+ * args make up a command line for that shell (exec() sends these). When
+ * `stdio` has an 'ipc' entry, SEND and MESSAGE carry the IPC channel's
+ * messages in their wire form (./ipc.js) and either side may disconnect it.
+ *
+ * The synchronous variants (execSync() and friends) send one
+ *
+ *   SPAWN_SYNC { payload: { command, args, options: { …, input, timeout,
+ *                killSignal, maxBuffer } }, buffer }
+ *
+ * and block in Atomics.wait() on `buffer`, a small SharedArrayBuffer from
+ * createSyncBuffer(). The host runs the command to the end and hands the
+ * result back with writeSyncResult(). Layout:
+ *
+ *   Int32[4]  state (1 when done, 2 once the output is in), meta length,
+ *             stdout length, stderr length
+ *   bytes     meta JSON { status, signal, error, overflow, timedOut }
+ *
+ * Output takes only the room it needs: when there is any, the sandbox makes
+ * a SharedArrayBuffer of that size and sends
+ *
+ *   SPAWN_SYNC_OUTPUT { buffer: output }
+ *
+ * with the same requestId; the host copies stdout then stderr into it with
+ * writeSyncOutput() and wakes the sandbox again. No other messages follow.
+ */
+
+export const MESSAGES = Object.freeze({
+  SPAWN: 'PARENT_SPAWN_REQUEST',
+  STDIN: 'PARENT_CHILD_STDIN',
+  STDIN_END: 'PARENT_CHILD_STDIN_END',
+  KILL: 'PARENT_CHILD_KILL',
+  PAUSE: 'PARENT_CHILD_PAUSE',
+  RESUME: 'PARENT_CHILD_RESUME',
+  SEND: 'PARENT_CHILD_SEND',
+  DISCONNECT: 'PARENT_CHILD_DISCONNECT',
+
+  SPAWN_SYNC: 'PARENT_SPAWN_SYNC_REQUEST',
+  SPAWN_SYNC_OUTPUT: 'PARENT_SPAWN_SYNC_OUTPUT',
+
+  SPAWNED: 'PARENT_CHILD_SPAWNED',
+  DATA: 'PARENT_CHILD_DATA',
+  STDIN_ACK: 'PARENT_CHILD_STDIN_ACK',
+  EXIT: 'PARENT_CHILD_EXIT',
+  ERROR: 'PARENT_CHILD_ERROR',
+  MESSAGE: 'PARENT_CHILD_MESSAGE',
+  DISCONNECTED: 'PARENT_CHILD_DISCONNECTED',
+});
+
+/** Posts to the host: the parent frame, or the worker's owner. */
+export function postToHost(message) {
+  const { parent } = globalThis;
+  if (parent && parent !== globalThis && typeof parent.postMessage === 'function') parent.postMessage(message, '*');
+  else globalThis.postMessage(message);
+}
+
+/**
+ * Calls `fn` with the data of every message from the host.
+ * @returns {() => void} stops listening
+ */
+export function onHostMessage(fn) {
+  const handler = (event) => {
+    if (event.data && typeof event.data.type === 'string') fn(event.data);
+  };
+  globalThis.addEventListener('message', handler);
+  return () => globalThis.removeEventListener('message', handler);
+}
+
+/** A structured-clone-safe copy of an error. */
+export function serializeError(err) {
+  const { message = String(err), code, errno, syscall, path } = err || {};
+  return { message, code, errno, syscall, path };
+}
+
+// ─── Synchronous spawns ───────────────────────────────────────────────────────
+
+const SYNC_HEADER = 4;
+const SYNC_META = 4096;
+
+const header = (buffer) => new Int32Array(buffer, 0, SYNC_HEADER);
+
+/** The shared buffer for one synchronous spawn. */
+export function createSyncBuffer() {
+  return new SharedArrayBuffer(SYNC_HEADER * 4 + SYNC_META);
+}
+
+/** Whether this thread may block in Atomics.wait(): a page's main thread may not. */
+export function canBlock() {
+  if (typeof SharedArrayBuffer !== 'function') return false;
+  try {
+    // Returns at once: the slot does not hold the value waited for.
+    Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 1, 0);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Host side: stores the result, without its output, and wakes the
+ * sandbox.
+ * @param {SharedArrayBuffer} buffer
+ * @param {{ status: number|null, signal: string|null, error?: object, overflow?: boolean,
+ *   timedOut?: boolean, stdout: Uint8Array, stderr: Uint8Array }} result
+ */
+export function writeSyncResult(buffer, { stdout, stderr, ...meta }) {
+  const slots = header(buffer);
+  const encode = (value) => new TextEncoder().encode(JSON.stringify(value));
+  let json = encode(meta);
+  // Only an error message can run long.
+  if (json.length > SYNC_META) json = encode({ ...meta, error: { ...meta.error, message: meta.error.message.slice(0, 1024) } });
+  new Uint8Array(buffer).set(json, SYNC_HEADER * 4);
+  slots[1] = json.length;
+  slots[2] = stdout.length;
+  slots[3] = stderr.length;
+  Atomics.store(slots, 0, 1);
+  Atomics.notify(slots, 0);
+}
+
+/**
+ * Host side: copies the output into `output`, the buffer the sandbox sent
+ * for it, and wakes the sandbox.
+ */
+export function writeSyncOutput(buffer, output, { stdout, stderr }) {
+  const bytes = new Uint8Array(output);
+  bytes.set(stdout);
+  bytes.set(stderr, stdout.length);
+  const slots = header(buffer);
+  Atomics.store(slots, 0, 2);
+  Atomics.notify(slots, 0);
+}
+
+/**
+ * Sandbox side: blocks until the host has written the result.
+ * @returns {boolean} false when `timeout` ms passed first
+ */
+export function waitForSyncResult(buffer, timeout = Infinity) {
+  return Atomics.wait(header(buffer), 0, 0, timeout) !== 'timed-out';
+}
+
+/**
+ * Sandbox side: the result, with stdout and stderr copied out.
+ * @param {SharedArrayBuffer} buffer
+ * @param {(output: SharedArrayBuffer) => void} requestOutput  sends
+ *   SPAWN_SYNC_OUTPUT with `output`
+ */
+export function readSyncResult(buffer, requestOutput) {
+  const slots = header(buffer);
+  const meta = JSON.parse(new TextDecoder().decode(new Uint8Array(buffer).slice(SYNC_HEADER * 4, SYNC_HEADER * 4 + slots[1])));
+  const [, , stdoutLength, stderrLength] = slots;
+  let bytes = new Uint8Array(0);
+  if (stdoutLength + stderrLength > 0) {
+    const output = new SharedArrayBuffer(stdoutLength + stderrLength);
+    requestOutput(output);
+    Atomics.wait(slots, 0, 1);
+    bytes = new Uint8Array(output);
+  }
+  return {
+    ...meta,
+    stdout: bytes.slice(0, stdoutLength),
+    stderr: bytes.slice(stdoutLength, stdoutLength + stderrLength),
+  };
+}
@@ -63,8 +63,125 @@ E('ERR_INVALID_ARG_TYPE', (name, expected, actual) => {
   return `The "${name}" argument must be of type ${expected}. Received ${typeof actual}`;
 }, TypeError);
 
+E('ERR_INVALID_ARG_VALUE', (name, value, reason = 'is invalid') => {
+  const kind = name.includes('.') ? 'property' : 'argument';
+  const shown = typeof value === 'string' ? `'${value}'` : String(value);
+  return `The ${kind} '${name}' ${reason}. Received ${shown}`;
+}, TypeError);
+
 E('ERR_METHOD_NOT_IMPLEMENTED', 'The %s method is not implemented', Error);
 
+E('ERR_MISSING_ARGS', (...names) => {
+  const shown = names.map((name) => `"${name}"`);
+  const list = shown.length > 2 ? `${shown.slice(0, -1).join(', ')}, and ${shown.at(-1)}` : shown.join(' and ');
+  return `The ${list} argument${names.length > 1 ? 's' : ''} must be specified`;
+}, TypeError);
+
+E('ERR_INVALID_ARCHIVE', 'Invalid %s archive: %s', Error);
+
+E('ERR_ACCESS_DENIED', 'Access to this API has been restricted', Error);
+
+// --- Module resolution (messages as in Node's ESM and CJS resolvers) ---
+
+const importedFrom = (base) => (base ? ` imported from ${base}` : '');
+
+E('ERR_MODULE_NOT_FOUND', (type, path, base) => {
+  return `Cannot find ${type} '${path}'${importedFrom(base)}`;
+}, Error);
+
+E('ERR_UNSUPPORTED_DIR_IMPORT', (path, base) => {
+  return `Directory import '${path}' is not supported resolving ES modules imported from ${base}`;
+}, Error);
+
+E('ERR_INVALID_MODULE_SPECIFIER', (request, reason, base) => {
+  return `Invalid module "${request}" ${reason}${importedFrom(base)}`;
+}, TypeError);
+
+E('ERR_INVALID_PACKAGE_CONFIG', (path, base, message) => {
+  return `Invalid package config ${path}${base ? ` while importing ${base}` : ''}${message ? `. ${message}` : ''}`;
+}, Error);
+
+E('ERR_INVALID_PACKAGE_TARGET', (pkgPath, key, target, isImport = false, base) => {
+  const related = typeof target === 'string' && !isImport && target.length && !target.startsWith('./')
+    ? '; targets must start with "./"'
+    : '';
+  if (key === '.') {
+    return `Invalid "exports" main target ${JSON.stringify(target)} defined ` +
+      `in the package config ${pkgPath}package.json${importedFrom(base)}${related}`;
+  }
+  return `Invalid "${isImport ? 'imports' : 'exports'}" target ${JSON.stringify(target)} defined ` +
+    `for '${key}' in the package config ${pkgPath}package.json${importedFrom(base)}${related}`;
+}, Error);
+
+E('ERR_PACKAGE_IMPORT_NOT_DEFINED', (specifier, packagePath, base) => {
+  return `Package import specifier "${specifier}" is not defined` +
+    `${packagePath ? ` in package ${packagePath}package.json` : ''} imported from ${base}`;
+}, TypeError);
+
+E('ERR_UNKNOWN_BUILTIN_MODULE', 'No such built-in module: %s', Error);
+
+E('ERR_REQUIRE_ESM', (filename, parentPath, packageJsonPath) => {
+  let msg = `require() of ES Module ${filename}${parentPath ? ` from ${parentPath}` : ''} not supported.`;
+  if (!packageJsonPath) {
+    if (filename.endsWith('.mjs')) {
+      msg += `\nInstead change the require of ${filename} to a dynamic import() which is available in all CommonJS modules.`;
+    }
+    return msg;
+  }
+  const base = filename.slice(filename.lastIndexOf('/') + 1);
+  return msg +
+    `\n${base} is treated as an ES module file as it is a .js file whose nearest parent package.json ` +
+    'contains "type": "module" which declares all .js files in that package scope as ES modules.' +
+    `\nInstead either rename ${base} to end in .cjs, change the requiring code to use dynamic import() ` +
+    `or change "type": "module" to "type": "commonjs" in ${packageJsonPath} to treat all .js files as ` +
+    'CommonJS (using .cjs for all of them).\n';
+}, Error);
+
+E('ERR_PACKAGE_PATH_NOT_EXPORTED', (pkgPath, subpath, base) => {
+  if (subpath === '.') return `No "exports" main defined in ${pkgPath}package.json${importedFrom(base)}`;
+  return `Package subpath '${subpath}' is not defined by "exports" in ${pkgPath}package.json${importedFrom(base)}`;
+}, Error);
+
+E('ERR_LOADER_CHAIN_INCOMPLETE', '"%s" did not call the next hook in its chain and did not ' +
+  'explicitly signal a short circuit. If this is intentional, include `shortCircuit: true` in ' +
+  'the hook\'s return.', Error);
+
+E('ERR_UNKNOWN_FILE_EXTENSION', 'Unknown file extension "%s" for %s', TypeError);
+
+// --- TypeScript ---
+
+E('ERR_INVALID_TYPESCRIPT_SYNTAX', '%s', SyntaxError);
+
+E('ERR_UNSUPPORTED_TYPESCRIPT_SYNTAX', '%s', SyntaxError);
+
+E('ERR_TYPESCRIPT_DIAGNOSTICS', 'TypeScript compilation failed:\n%s', Error);
+
+// --- Process ---
+
+E('ERR_UNCAUGHT_EXCEPTION_CAPTURE_ALREADY_SET',
+  '`process.setupUncaughtExceptionCapture()` was called while a capture callback was already active', Error);
+
+E('ERR_UNHANDLED_REJECTION', 'This error originated either by throwing inside of an async function ' +
+  'without a catch block, or by rejecting a promise which was not handled with .catch(). The promise ' +
+  'rejected with the reason "%s".', Error);
+
+// --- Child processes ---
+
+E('ERR_UNKNOWN_SIGNAL', 'Unknown signal: %s', TypeError);
+
+E('ERR_CHILD_PROCESS_STDIO_MAXBUFFER', '%s maxBuffer length exceeded', RangeError);
+
+E('ERR_CHILD_PROCESS_IPC_REQUIRED', "Forked processes must have an IPC channel, missing value 'ipc' in %s", Error);
+
+E('ERR_IPC_CHANNEL_CLOSED', 'Channel closed', Error);
+
+E('ERR_IPC_DISCONNECTED', 'IPC channel is already disconnected', Error);
+
+E('ERR_INVALID_HANDLE_TYPE', 'This handle type cannot be sent', TypeError);
+
+E('ERR_FEATURE_UNAVAILABLE_ON_PLATFORM',
+  'The feature %s is unavailable on the current platform, which is being used to run Node.js', TypeError);
+
 // --- Classes ---
 
 class AbortError extends Error {
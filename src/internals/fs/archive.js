@@ -0,0 +1,991 @@
+/**
+ * tar, tar.gz and zip archives of the virtual filesystem.
+ *
+ * Export walks a subtree lazily and emits the archive entry by entry, so an
+ * export stream never holds more than the file it is currently writing.
+ * Import is an incremental parser: file contents are written into the tree
+ * as their bytes arrive. The Buffer forms are thin wrappers around the same
+ * code.
+ *
+ * Preserved in both directions: file modes, mtimes, symlinks and empty
+ * directories. Mtimes have one-second resolution, as in the formats
+ * themselves (zip carries them in the extended-timestamp field). tar hard
+ * links are restored on import.
+ *
+ * Compression is pako, the engine behind src/zlib.js. Its stream classes
+ * are used directly where data has to be inflated incrementally.
+ */
+
+import { Buffer } from "buffer";
+import { Readable, Writable } from "stream";
+import { Deflate, Inflate } from "pako";
+import { gzipSync, deflateRawSync } from "../../zlib.js";
+import errors from "../errors.js";
+import { isWithin, joinPath, normalizePath, readEntry, removePath } from "./entries.js";
+
+const { ERR_INVALID_ARCHIVE, ERR_INVALID_ARG_VALUE } = errors.codes;
+
+const FORMATS = ["tar", "tgz", "zip"];
+
+const S_IFMT = 0o170000;
+const S_IFREG = 0o100000;
+const S_IFDIR = 0o040000;
+const S_IFLNK = 0o120000;
+
+const EMPTY = new Uint8Array(0);
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+function concat(a, b) {
+  if (!a.length) return b;
+  if (!b.length) return a;
+  const out = new Uint8Array(a.length + b.length);
+  out.set(a);
+  out.set(b, a.length);
+  return out;
+}
+
+function toU8(chunk) {
+  if (typeof chunk === "string") return encoder.encode(chunk);
+  if (chunk instanceof Uint8Array) return chunk;
+  if (chunk instanceof ArrayBuffer) return new Uint8Array(chunk);
+  return new Uint8Array(chunk.buffer, chunk.byteOffset, chunk.byteLength);
+}
+
+function checkFormat(format) {
+  if (!FORMATS.includes(format)) {
+    throw new ERR_INVALID_ARG_VALUE("options.format", format, "must be one of: 'tar', 'tgz', 'zip'");
+  }
+  return format;
+}
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+function crc32(data, crc = 0) {
+  crc = ~crc;
+  for (let i = 0; i < data.length; i++) crc = CRC_TABLE[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+  return ~crc >>> 0;
+}
+
+// ── Walking the tree ──────────────────────────────────────────────────────────
+
+/**
+ * Yields the nodes under `root` parent-first, each named relative to it.
+ * Exporting a single file yields just that file under its basename.
+ */
+function* walk(fs, root) {
+  const top = readEntry(fs, root);
+  if (!top) fs.lstatSync(root); // throws ENOENT with the usual message
+  if (top.type !== "dir") {
+    yield { ...top, name: root.slice(root.lastIndexOf("/") + 1) };
+    return;
+  }
+
+  function* visit(dir, prefix) {
+    for (const child of fs.readdirSync(dir).map(String).sort()) {
+      const entry = readEntry(fs, joinPath(dir, child));
+      if (!entry) continue;
+      const name = prefix ? `${prefix}/${child}` : child;
+      yield { ...entry, name };
+      if (entry.type === "dir") yield* visit(entry.path, name);
+    }
+  }
+  yield* visit(root, "");
+}
+
+// ── tar (ustar + pax) writer ──────────────────────────────────────────────────
+
+const BLOCK = 512;
+
+function writeString(block, offset, length, value) {
+  block.set(encoder.encode(value).subarray(0, length), offset);
+}
+
+function writeOctal(block, offset, length, value) {
+  writeString(block, offset, length - 1, value.toString(8).padStart(length - 1, "0"));
+}
+
+function tarHeader({ name, prefix = "", typeflag, mode, mtime, size, linkname = "" }) {
+  const block = new Uint8Array(BLOCK);
+  writeString(block, 0, 100, name);
+  writeOctal(block, 100, 8, mode);
+  writeOctal(block, 108, 8, 0);
+  writeOctal(block, 116, 8, 0);
+  writeOctal(block, 124, 12, size);
+  writeOctal(block, 136, 12, mtime);
+  block.fill(0x20, 148, 156);
+  writeString(block, 156, 1, typeflag);
+  writeString(block, 157, 100, linkname);
+  writeString(block, 257, 6, "ustar");
+  writeString(block, 263, 2, "00");
+  writeString(block, 345, 155, prefix);
+
+  let sum = 0;
+  for (const byte of block) sum += byte;
+  writeString(block, 148, 8, sum.toString(8).padStart(6, "0") + "\0 ");
+  return block;
+}
+
+/** Fits a name into ustar's name/prefix fields, or returns null. */
+function splitName(name) {
+  const size = (s) => encoder.encode(s).length;
+  if (size(name) <= 100) return { name };
+  for (let i = name.indexOf("/"); i !== -1; i = name.indexOf("/", i + 1)) {
+    const prefix = name.slice(0, i);
+    const rest = name.slice(i + 1);
+    if (size(prefix) <= 155 && rest && size(rest) <= 100) return { name: rest, prefix };
+  }
+  return null;
+}
+
+function paxRecord(key, value) {
+  // "<length> <key>=<value>\n", where length counts its own digits too.
+  const bodyLength = encoder.encode(` ${key}=${value}\n`).length;
+  let length = bodyLength + String(bodyLength).length;
+  while (length !== bodyLength + String(length).length) length = bodyLength + String(length).length;
+  return `${length} ${key}=${value}\n`;
+}
+
+function* padded(data) {
+  if (!data.length) return;
+  yield data;
+  if (data.length % BLOCK) yield new Uint8Array(BLOCK - (data.length % BLOCK));
+}
+
+function* tarChunks(entries) {
+  for (const entry of entries) {
+    const name = entry.type === "dir" ? `${entry.name}/` : entry.name;
+    const linkname = entry.target ?? "";
+    const data = entry.type === "file" ? entry.data : EMPTY;
+    const mtime = Math.floor(entry.mtimeMs / 1000);
+
+    // Names and link targets ustar cannot hold go into a pax header.
+    const records = [];
+    let fields = splitName(name);
+    if (!fields) {
+      records.push(paxRecord("path", name));
+      fields = { name: name.slice(-100) };
+    }
+    if (encoder.encode(linkname).length > 100) records.push(paxRecord("linkpath", linkname));
+    if (records.length) {
+      const body = encoder.encode(records.join(""));
+      yield tarHeader({ name: "PaxHeader", typeflag: "x", mode: 0o644, mtime, size: body.length });
+      yield* padded(body);
+    }
+
+    const typeflag = entry.type === "dir" ? "5" : entry.type === "symlink" ? "2" : "0";
+    yield tarHeader({ ...fields, typeflag, mode: entry.mode, mtime, size: data.length, linkname });
+    yield* padded(data);
+  }
+  yield new Uint8Array(BLOCK * 2);
+}
+
+// ── zip writer ────────────────────────────────────────────────────────────────
+
+const LOCAL_SIG = 0x04034b50;
+const CENTRAL_SIG = 0x02014b50;
+const END_SIG = 0x06054b50;
+const DESCRIPTOR_SIG = 0x08074b50;
+const TIMESTAMP_EXTRA = 0x5455;
+const UTF8_FLAG = 0x0800;
+const DESCRIPTOR_FLAG = 0x0008;
+
+function dosDateTime(ms) {
+  const d = new Date(ms);
+  if (d.getFullYear() < 1980) return { time: 0, date: (1 << 5) | 1 };
+  return {
+    time: (d.getHours() << 11) | (d.getMinutes() << 5) | (d.getSeconds() >> 1),
+    date: ((d.getFullYear() - 1980) << 9) | ((d.getMonth() + 1) << 5) | d.getDate(),
+  };
+}
+
+function fromDosDateTime(time, date) {
+  return new Date(
+    (date >> 9) + 1980,
+    ((date >> 5) & 0xf) - 1,
+    date & 0x1f,
+    time >> 11,
+    (time >> 5) & 0x3f,
+    (time & 0x1f) << 1
+  ).getTime();
+}
+
+function timestampExtra(mtime) {
+  const extra = new Uint8Array(9);
+  const view = new DataView(extra.buffer);
+  view.setUint16(0, TIMESTAMP_EXTRA, true);
+  view.setUint16(2, 5, true);
+  extra[4] = 1; // mtime present
+  view.setUint32(5, mtime, true);
+  return extra;
+}
+
+/** Mtime (ms) from an extended-timestamp extra field, if there is one. */
+function mtimeFromExtra(extra) {
+  const view = new DataView(extra.buffer, extra.byteOffset, extra.byteLength);
+  for (let i = 0; i + 4 <= extra.length; ) {
+    const id = view.getUint16(i, true);
+    const size = view.getUint16(i + 2, true);
+    if (id === TIMESTAMP_EXTRA && size >= 5 && extra[i + 4] & 1) return view.getUint32(i + 5, true) * 1000;
+    i += 4 + size;
+  }
+  return null;
+}
+
+function* zipChunks(entries) {
+  const central = [];
+  let offset = 0;
+
+  for (const entry of entries) {
+    const name = encoder.encode(entry.type === "dir" ? `${entry.name}/` : entry.name);
+    const data =
+      entry.type === "file" ? entry.data : entry.type === "symlink" ? encoder.encode(entry.target) : EMPTY;
+    const crc = crc32(data);
+
+    let method = 0;
+    let body = data;
+    if (entry.type === "file" && data.length) {
+      const deflated = deflateRawSync(data);
+      if (deflated.length < data.length) {
+        method = 8;
+        body = deflated;
+      }
+    }
+
+    const { time, date } = dosDateTime(entry.mtimeMs);
+    const extra = timestampExtra(Math.floor(entry.mtimeMs / 1000));
+    const kind = entry.type === "dir" ? S_IFDIR : entry.type === "symlink" ? S_IFLNK : S_IFREG;
+    const record = {
+      name, extra, method, time, date, crc,
+      compressed: body.length,
+      size: data.length,
+      attributes: (((kind | entry.mode) << 16) | (entry.type === "dir" ? 0x10 : 0)) >>> 0,
+      offset,
+    };
+
+    const local = new Uint8Array(30 + name.length + extra.length);
+    const view = new DataView(local.buffer);
+    view.setUint32(0, LOCAL_SIG, true);
+    view.setUint16(4, 20, true);
+    view.setUint16(6, UTF8_FLAG, true);
+    view.setUint16(8, method, true);
+    view.setUint16(10, time, true);
+    view.setUint16(12, date, true);
+    view.setUint32(14, crc, true);
+    view.setUint32(18, record.compressed, true);
+    view.setUint32(22, record.size, true);
+    view.setUint16(26, name.length, true);
+    view.setUint16(28, extra.length, true);
+    local.set(name, 30);
+    local.set(extra, 30 + name.length);
+
+    yield local;
+    if (body.length) yield body;
+    central.push(record);
+    offset += local.length + body.length;
+  }
+
+  let directorySize = 0;
+  for (const r of central) {
+    const header = new Uint8Array(46 + r.name.length + r.extra.length);
+    const view = new DataView(header.buffer);
+    view.setUint32(0, CENTRAL_SIG, true);
+    view.setUint16(4, (3 << 8) | 20, true); // made by: Unix, zip 2.0
+    view.setUint16(6, 20, true);
+    view.setUint16(8, UTF8_FLAG, true);
+    view.setUint16(10, r.method, true);
+    view.setUint16(12, r.time, true);
+    view.setUint16(14, r.date, true);
+    view.setUint32(16, r.crc, true);
+    view.setUint32(20, r.compressed, true);
+    view.setUint32(24, r.size, true);
+    view.setUint16(28, r.name.length, true);
+    view.setUint16(30, r.extra.length, true);
+    view.setUint32(38, r.attributes, true);
+    view.setUint32(42, r.offset, true);
+    header.set(r.name, 46);
+    header.set(r.extra, 46 + r.name.length);
+    yield header;
+    directorySize += header.length;
+  }
+
+  const end = new Uint8Array(22);
+  const view = new DataView(end.buffer);
+  view.setUint32(0, END_SIG, true);
+  view.setUint16(8, central.length, true);
+  view.setUint16(10, central.length, true);
+  view.setUint32(12, directorySize, true);
+  view.setUint32(16, offset, true);
+  yield end;
+}
+
+// ── Extraction target ─────────────────────────────────────────────────────────
+
+/**
+ * Applies parsed entries under `root`. Names are archive-relative; entries
+ * that would land outside `root` (via "..", absolute names or a symlink
+ * unpacked earlier) are rejected.
+ */
+function createExtractor(fs, root, format, { strip = 0, onEntry } = {}) {
+  fs.mkdirSync(root, { recursive: true });
+  const realRoot = String(fs.realpathSync(root));
+  const dirs = [];
+  const paths = [];
+
+  const escapes = (name) => new ERR_INVALID_ARCHIVE(format, `entry '${name}' points outside '${root}'`);
+
+  function target(name) {
+    const parts = name.split("/").filter((part) => part && part !== ".");
+    if (parts.length <= strip) return null;
+    const path = normalizePath(joinPath(root, parts.slice(strip).join("/")));
+    if (!isWithin(root, path)) throw escapes(name);
+    return path;
+  }
+
+  function lstatOrNull(path) {
+    try {
+      return fs.lstatSync(path);
+    } catch (err) {
+      if (err && err.code === "ENOENT") return null;
+      throw err;
+    }
+  }
+
+  // Creates the parent directory, refusing to write through a symlink
+  // that leads out of the root, and clears whatever is in the way.
+  function prepare(name, path, type) {
+    const parent = path.slice(0, path.lastIndexOf("/")) || "/";
+    let existing = parent;
+    while (!fs.existsSync(existing)) existing = existing.slice(0, existing.lastIndexOf("/")) || "/";
+    if (!isWithin(realRoot, String(fs.realpathSync(existing)))) throw escapes(name);
+    if (existing !== parent) fs.mkdirSync(parent, { recursive: true });
+
+    const stats = lstatOrNull(path);
+    if (!stats) return false;
+    const current = (stats.mode & S_IFMT) === S_IFDIR ? "dir" : (stats.mode & S_IFMT) === S_IFLNK ? "symlink" : "file";
+    if (current === type && type !== "symlink") return true;
+    removePath(fs, path);
+    return false;
+  }
+
+  function done(path, type) {
+    paths.push(path);
+    if (onEntry) onEntry({ path, type });
+  }
+
+  const discard = { write() {}, end() {} };
+
+  return {
+    directory(name, { mode, mtimeMs, deferred } = {}) {
+      const path = target(name);
+      if (!path) return;
+      if (path !== root && !prepare(name, path, "dir")) fs.mkdirSync(path);
+      if (mode != null) fs.chmodSync(path, mode);
+      dirs.push({ path, mtimeMs });
+      if (!deferred) done(path, "dir");
+    },
+
+    symlink(name, linkTarget) {
+      const path = target(name);
+      if (!path) return;
+      prepare(name, path, "symlink");
+      fs.symlinkSync(linkTarget, path);
+      done(path, "symlink");
+    },
+
+    link(name, existingName) {
+      const path = target(name);
+      const existing = target(existingName);
+      if (!path || !existing) return;
+      prepare(name, path, "link");
+      fs.linkSync(existing, path);
+      done(path, "file");
+    },
+
+    /** Opens a file for incremental writes; returns { write(chunk), end() }. */
+    file(name, { mode, mtimeMs, deferred } = {}) {
+      const path = target(name);
+      if (!path) return discard;
+      prepare(name, path, "file");
+      const fd = fs.openSync(path, "w");
+      return {
+        write(chunk) {
+          if (chunk.length) fs.writeSync(fd, chunk);
+        },
+        end() {
+          fs.closeSync(fd);
+          if (mode != null) fs.chmodSync(path, mode);
+          if (mtimeMs != null) fs.utimesSync(path, new Date(mtimeMs), new Date(mtimeMs));
+          if (!deferred) done(path, "file");
+        },
+      };
+    },
+
+    /**
+     * Completes a `deferred` entry once its metadata arrives (zip keeps
+     * modes in its central directory, after the data). A symlink arrives as
+     * a file holding its target.
+     */
+    update(name, { mode, symlink }) {
+      const path = target(name);
+      if (!path) return;
+      const stats = lstatOrNull(path);
+      if (!stats) return;
+      const isDir = (stats.mode & S_IFMT) === S_IFDIR;
+      if (symlink && (stats.mode & S_IFMT) === S_IFREG) {
+        const linkTarget = String(fs.readFileSync(path, "utf8"));
+        fs.unlinkSync(path);
+        fs.symlinkSync(linkTarget, path);
+        done(path, "symlink");
+        return;
+      }
+      if (mode != null) {
+        // chmod touches the mtime; put back the one the entry carried.
+        fs.chmodSync(path, mode);
+        fs.utimesSync(path, stats.atime, stats.mtime);
+      }
+      done(path, isDir ? "dir" : "file");
+    },
+
+    /** Restores directory mtimes (children bumped them) and lists what was written. */
+    finish() {
+      for (let i = dirs.length - 1; i >= 0; i--) {
+        const { path, mtimeMs } = dirs[i];
+        if (mtimeMs != null) fs.utimesSync(path, new Date(mtimeMs), new Date(mtimeMs));
+      }
+      return paths;
+    },
+  };
+}
+
+// ── tar parser ────────────────────────────────────────────────────────────────
+
+function readString(block, offset, length) {
+  const end = block.indexOf(0, offset);
+  return decoder.decode(block.subarray(offset, end === -1 || end > offset + length ? offset + length : end));
+}
+
+function readNumber(block, offset, length) {
+  if (block[offset] & 0x80) {
+    // GNU base-256 encoding for values octal cannot hold.
+    let value = block[offset] & 0x7f;
+    for (let i = 1; i < length; i++) value = value * 256 + block[offset + i];
+    return value;
+  }
+  const text = readString(block, offset, length).trim();
+  return text ? parseInt(text, 8) : 0;
+}
+
+function parsePax(bytes) {
+  const records = {};
+  let pos = 0;
+  while (pos < bytes.length) {
+    const space = bytes.indexOf(0x20, pos);
+    if (space === -1) break;
+    const length = parseInt(decoder.decode(bytes.subarray(pos, space)), 10);
+    if (!(length > 0)) break;
+    const record = decoder.decode(bytes.subarray(space + 1, pos + length - 1));
+    const eq = record.indexOf("=");
+    if (eq !== -1) records[record.slice(0, eq)] = record.slice(eq + 1);
+    pos += length;
+  }
+  return records;
+}
+
+function collector(onDone) {
+  let data = EMPTY;
+  return {
+    write(chunk) {
+      data = concat(data, chunk.slice());
+    },
+    end() {
+      onDone(data);
+    },
+  };
+}
+
+function createTarParser(extractor) {
+  let pending = EMPTY; // an incomplete header block
+  let state = "header";
+  let remaining = 0;
+  let padding = 0;
+  let sink = null;
+  let next = {}; // pax / GNU long-name overrides for the next entry
+  let global = {};
+  let ended = false;
+
+  function onHeader(block) {
+    if (block.every((byte) => byte === 0)) {
+      ended = true;
+      return;
+    }
+
+    let sum = 0;
+    for (let i = 0; i < BLOCK; i++) sum += i >= 148 && i < 156 ? 0x20 : block[i];
+    if (sum !== readNumber(block, 148, 8)) throw new ERR_INVALID_ARCHIVE("tar", "header checksum mismatch");
+
+    const typeflag = block[156] ? String.fromCharCode(block[156]) : "0";
+    const overrides = { ...global, ...next };
+    const prefix = readString(block, 257, 6) === "ustar" ? readString(block, 345, 155) : "";
+    const rawName = readString(block, 0, 100);
+    const name = overrides.path ?? (prefix ? `${prefix}/${rawName}` : rawName);
+    const linkname = overrides.linkpath ?? readString(block, 157, 100);
+    const size = overrides.size != null ? Number(overrides.size) : readNumber(block, 124, 12);
+    const mode = readNumber(block, 100, 8) & 0o7777;
+    const mtimeMs = overrides.mtime != null ? parseFloat(overrides.mtime) * 1000 : readNumber(block, 136, 12) * 1000;
+
+    sink = null;
+    switch (typeflag) {
+      case "x":
+        sink = collector((data) => (next = { ...next, ...parsePax(data) }));
+        break;
+      case "g":
+        sink = collector((data) => (global = { ...global, ...parsePax(data) }));
+        break;
+      case "L":
+        sink = collector((data) => (next = { ...next, path: readString(data, 0, data.length) }));
+        break;
+      case "K":
+        sink = collector((data) => (next = { ...next, linkpath: readString(data, 0, data.length) }));
+        break;
+      default:
+        next = {};
+        if (typeflag === "5" || (typeflag === "0" && name.endsWith("/"))) {
+          extractor.directory(name, { mode, mtimeMs });
+        } else if (typeflag === "2") {
+          extractor.symlink(name, linkname);
+        } else if (typeflag === "1") {
+          extractor.link(name, linkname);
+        } else if (typeflag === "0" || typeflag === "7") {
+          sink = extractor.file(name, { mode, mtimeMs });
+        }
+        // Devices, fifos and other special files are skipped.
+        break;
+    }
+
+    if (size > 0) {
+      state = "body";
+      remaining = size;
+      padding = (BLOCK - (size % BLOCK)) % BLOCK;
+      sink = sink || { write() {}, end() {} };
+    } else if (sink) {
+      sink.end();
+      sink = null;
+    }
+  }
+
+  return {
+    push(chunk) {
+      let offset = 0;
+      while (offset < chunk.length && !ended) {
+        if (state === "body") {
+          const take = Math.min(remaining, chunk.length - offset);
+          sink.write(chunk.subarray(offset, offset + take));
+          offset += take;
+          remaining -= take;
+          if (remaining === 0) {
+            sink.end();
+            sink = null;
+            state = padding ? "padding" : "header";
+          }
+        } else if (state === "padding") {
+          const take = Math.min(padding, chunk.length - offset);
+          offset += take;
+          padding -= take;
+          if (padding === 0) state = "header";
+        } else {
+          const take = Math.min(BLOCK - pending.length, chunk.length - offset);
+          pending = concat(pending, chunk.slice(offset, offset + take));
+          offset += take;
+          if (pending.length === BLOCK) {
+            const block = pending;
+            pending = EMPTY;
+            onHeader(block);
+          }
+        }
+      }
+    },
+
+    end() {
+      // Archives may omit the end-of-archive blocks, but not stop mid-entry.
+      if (state !== "header" || pending.length) throw new ERR_INVALID_ARCHIVE("tar", "unexpected end of data");
+    },
+  };
+}
+
+// ── zip parser ────────────────────────────────────────────────────────────────
+
+function createZipParser(extractor) {
+  let pending = EMPTY;
+  let need = 4;
+  let onBytes = signature;
+  let data = null; // { sink, remaining, inflater, crc, expected }
+  let done = false;
+
+  const fail = (reason) => new ERR_INVALID_ARCHIVE("zip", reason);
+  const expect = (length, handler) => {
+    need = length;
+    onBytes = handler;
+  };
+
+  function signature(bytes) {
+    const sig = new DataView(bytes.buffer, bytes.byteOffset, 4).getUint32(0, true);
+    if (sig === LOCAL_SIG) expect(26, localHeader);
+    else if (sig === CENTRAL_SIG) expect(42, centralHeader);
+    else if (sig === END_SIG) done = true;
+    else throw fail(`unexpected signature 0x${sig.toString(16)}`);
+  }
+
+  function localHeader(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const flags = view.getUint16(2, true);
+    const method = view.getUint16(4, true);
+    const header = {
+      flags,
+      method,
+      dosMtime: fromDosDateTime(view.getUint16(6, true), view.getUint16(8, true)),
+      crc: view.getUint32(10, true),
+      compressed: view.getUint32(14, true),
+    };
+    const nameLength = view.getUint16(22, true);
+    const extraLength = view.getUint16(24, true);
+    expect(nameLength + extraLength, (rest) => {
+      const name = decoder.decode(rest.subarray(0, nameLength));
+      const extra = rest.subarray(nameLength);
+      beginEntry(name, header, mtimeFromExtra(extra) ?? header.dosMtime);
+    });
+  }
+
+  function beginEntry(name, { flags, method, crc, compressed }, mtimeMs) {
+    if (flags & 0x1) throw fail(`'${name}' is encrypted`);
+    if (method !== 0 && method !== 8) throw fail(`'${name}' uses unsupported compression method ${method}`);
+    const deferred = (flags & DESCRIPTOR_FLAG) !== 0;
+    if (deferred && method === 0) throw fail(`'${name}' is stored with a data descriptor and cannot be streamed`);
+
+    let sink;
+    if (name.endsWith("/")) {
+      extractor.directory(name, { mtimeMs, deferred: true });
+      sink = { write() {}, end() {} };
+    } else {
+      sink = extractor.file(name, { mtimeMs, deferred: true });
+    }
+
+    data = { name, sink, crc: 0, expected: deferred ? null : crc, remaining: deferred ? Infinity : compressed };
+    if (method === 8) {
+      data.inflater = new Inflate({ raw: true });
+      data.inflater.onData = (chunk) => write(chunk);
+    }
+    expect(0, null);
+    if (data.remaining === 0 && !data.inflater) finishData();
+  }
+
+  function write(chunk) {
+    data.crc = crc32(chunk, data.crc);
+    data.sink.write(chunk);
+  }
+
+  function finishData() {
+    const { inflater } = data;
+    if (inflater && !inflater.ended) inflater.push(EMPTY, true);
+    if (inflater && inflater.err) throw fail(`'${data.name}': ${inflater.msg}`);
+    if (data.expected === null) {
+      expect(4, descriptor);
+    } else {
+      checkCrc(data.expected);
+      expect(4, signature);
+    }
+  }
+
+  function checkCrc(expected) {
+    if (data.crc !== expected) throw fail(`'${data.name}' failed its CRC check`);
+    data.sink.end();
+    data = null;
+  }
+
+  // Optional signature, then crc32 / compressed size / size.
+  function descriptor(bytes) {
+    const first = new DataView(bytes.buffer, bytes.byteOffset, 4).getUint32(0, true);
+    if (first === DESCRIPTOR_SIG) {
+      expect(12, (rest) => {
+        checkCrc(new DataView(rest.buffer, rest.byteOffset, 4).getUint32(0, true));
+        expect(4, signature);
+      });
+    } else {
+      expect(8, () => {
+        checkCrc(first);
+        expect(4, signature);
+      });
+    }
+  }
+
+  function centralHeader(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const madeBy = view.getUint16(0, true) >> 8;
+    const attributes = view.getUint32(34, true);
+    const nameLength = view.getUint16(24, true);
+    const skip = view.getUint16(26, true) + view.getUint16(28, true);
+    expect(nameLength + skip, (rest) => {
+      // Only archives made on Unix carry a mode in the external attributes.
+      const mode = madeBy === 3 ? attributes >>> 16 : null;
+      extractor.update(decoder.decode(rest.subarray(0, nameLength)), {
+        mode: mode ? mode & 0o7777 : null,
+        symlink: mode !== null && (mode & S_IFMT) === S_IFLNK,
+      });
+      expect(4, signature);
+    });
+  }
+
+  // Feeds entry data; returns how many bytes of `chunk` it consumed.
+  function feed(chunk) {
+    const take = Math.min(data.remaining, chunk.length);
+    const slice = chunk.subarray(0, take);
+    if (!data.inflater) {
+      write(slice);
+      data.remaining -= take;
+      if (data.remaining === 0) finishData();
+      return take;
+    }
+
+    data.inflater.push(slice, false);
+    if (data.inflater.err) throw fail(`'${data.name}': ${data.inflater.msg}`);
+    if (data.inflater.ended) {
+      // The deflate stream knows where it stops; hand back what it left over.
+      const used = take - data.inflater.strm.avail_in;
+      finishData();
+      return used;
+    }
+    data.remaining -= take;
+    if (data.remaining === 0) finishData();
+    return take;
+  }
+
+  return {
+    push(chunk) {
+      let offset = 0;
+      while (!done) {
+        if (onBytes === null) {
+          if (offset >= chunk.length) break;
+          offset += feed(chunk.subarray(offset));
+          continue;
+        }
+        if (pending.length < need) {
+          if (offset >= chunk.length) break;
+          const take = Math.min(need - pending.length, chunk.length - offset);
+          pending = concat(pending, chunk.slice(offset, offset + take));
+          offset += take;
+          if (pending.length < need) break;
+        }
+        const bytes = pending;
+        const handler = onBytes;
+        pending = EMPTY;
+        handler(bytes);
+      }
+    },
+
+    end() {
+      if (!done) throw fail("unexpected end of data");
+    },
+  };
+}
+
+// ── Import driver ─────────────────────────────────────────────────────────────
+
+function detectFormat(head) {
+  if (head[0] === 0x1f && head[1] === 0x8b) return "tgz";
+  if (head[0] === 0x50 && head[1] === 0x4b) return "zip";
+  return "tar";
+}
+
+/** Sniffs the format from the first bytes, then feeds the matching parser. */
+function createImporter(fs, root, options = {}) {
+  let format = options.format != null ? checkFormat(options.format) : null;
+  let head = EMPTY;
+  let parser = null;
+  let extractor = null;
+
+  function start() {
+    format = format ?? detectFormat(head);
+    extractor = createExtractor(fs, root, format, options);
+    if (format === "zip") {
+      parser = createZipParser(extractor);
+      return;
+    }
+    const tar = createTarParser(extractor);
+    if (format === "tar") {
+      parser = tar;
+      return;
+    }
+    const gunzip = new Inflate();
+    gunzip.onData = (chunk) => tar.push(chunk);
+    const check = () => {
+      if (gunzip.err) throw new ERR_INVALID_ARCHIVE("tgz", gunzip.msg);
+    };
+    parser = {
+      push(chunk) {
+        gunzip.push(chunk, false);
+        check();
+      },
+      end() {
+        if (!gunzip.ended) gunzip.push(EMPTY, true);
+        check();
+        tar.end();
+      },
+    };
+  }
+
+  return {
+    push(chunk) {
+      if (!parser) {
+        head = concat(head, chunk.slice());
+        if (head.length < 2) return;
+        start();
+        chunk = head;
+        head = EMPTY;
+      }
+      parser.push(chunk);
+    },
+
+    end() {
+      if (!parser) {
+        if (!head.length) throw new ERR_INVALID_ARCHIVE(format ?? "tar", "archive is empty");
+        start();
+        parser.push(head);
+      }
+      parser.end();
+      return extractor.finish();
+    },
+  };
+}
+
+// ── Public API ────────────────────────────────────────────────────────────────
+
+/**
+ * Builds the archive helpers exposed as fs._archive.
+ * @param {object} fs  the patched fs singleton; writes go through it so
+ *                     watchers, tracing and persistence see them
+ */
+export function createArchiveApi(fs) {
+  const rootOf = (path) => normalizePath(typeof path === "string" ? path : String(path));
+
+  /**
+   * Archives `path` (a directory's contents, or a single file).
+   * @param {string} path
+   * @param {{ format?: "tar" | "tgz" | "zip" }} [options]
+   * @returns {Buffer}
+   */
+  function exportVolume(path = "/", options = {}) {
+    const format = checkFormat(options.format ?? "tar");
+    const entries = walk(fs, rootOf(path));
+    const chunks = [...(format === "zip" ? zipChunks(entries) : tarChunks(entries))];
+    const archive = Buffer.concat(chunks);
+    return format === "tgz" ? gzipSync(archive) : archive;
+  }
+
+  /**
+   * Same as exportVolume, as a Readable producing the archive entry by entry.
+   * @returns {import("stream").Readable}
+   */
+  function createExportStream(path = "/", options = {}) {
+    const format = checkFormat(options.format ?? "tar");
+    const root = rootOf(path);
+    let chunks = null;
+    let gzip = null;
+    let produced = false;
+
+    return new Readable({
+      read() {
+        try {
+          if (!chunks) {
+            const entries = walk(fs, root);
+            chunks = format === "zip" ? zipChunks(entries) : tarChunks(entries);
+            if (format === "tgz") {
+              gzip = new Deflate({ gzip: true });
+              gzip.onData = (chunk) => {
+                produced = true;
+                this.push(Buffer.from(chunk));
+              };
+            }
+          }
+          // With gzip a chunk may compress to nothing yet; keep feeding until
+          // something comes out.
+          for (;;) {
+            const { value, done } = chunks.next();
+            if (done) {
+              if (gzip) gzip.push(EMPTY, true);
+              this.push(null);
+              return;
+            }
+            if (!gzip) {
+              this.push(Buffer.from(value.buffer, value.byteOffset, value.byteLength));
+              return;
+            }
+            produced = false;
+            gzip.push(value, false);
+            if (produced) return;
+          }
+        } catch (err) {
+          this.destroy(err);
+        }
+      },
+    });
+  }
+
+  /**
+   * Unpacks an archive into `mountPoint`. The format is detected from the
+   * data unless given.
+   * @param {Buffer|Uint8Array|ArrayBuffer} data
+   * @param {string} [mountPoint="/"]
+   * @param {object} [options]
+   * @param {"tar"|"tgz"|"zip"} [options.format]
+   * @param {number} [options.strip=0]  leading path components to drop
+   *        (1 unpacks an npm tarball's "package/" directly into mountPoint)
+   * @returns {string[]} the paths written
+   */
+  function importArchive(data, mountPoint = "/", options = {}) {
+    const importer = createImporter(fs, rootOf(mountPoint), options);
+    importer.push(toU8(data));
+    return importer.end();
+  }
+
+  /**
+   * Same as importArchive, as a Writable. Emits "entry" ({ path, type }) for
+   * each node written; `stream.paths` lists them all once it finishes.
+   * @returns {import("stream").Writable}
+   */
+  function createImportStream(mountPoint = "/", options = {}) {
+    let importer;
+    const stream = new Writable({
+      write(chunk, encoding, callback) {
+        try {
+          importer.push(toU8(typeof chunk === "string" ? Buffer.from(chunk, encoding) : chunk));
+          callback();
+        } catch (err) {
+          callback(err);
+        }
+      },
+      final(callback) {
+        try {
+          stream.paths = importer.end();
+          callback();
+        } catch (err) {
+          callback(err);
+        }
+      },
+    });
+    importer = createImporter(fs, rootOf(mountPoint), {
+      ...options,
+      onEntry: (entry) => stream.emit("entry", entry),
+    });
+    return stream;
+  }
+
+  return { exportVolume, importArchive, createExportStream, createImportStream };
+}
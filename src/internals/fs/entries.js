@@ -0,0 +1,151 @@
+/**
+ * Volume <-> entry-list conversion shared by the fs persistence layer.
+ *
+ * An entry is a plain, structured-clone-safe record describing one node of
+ * the tree:
+ *
+ *   { path, type: "dir" | "file" | "symlink", mode, mtimeMs, data?, target? }
+ *
+ * `data` is a Uint8Array for files, `target` the link text for symlinks.
+ * Lists are produced parent-first so they can be replayed in order.
+ */
+
+const S_IFMT = 0o170000;
+const S_IFDIR = 0o040000;
+const S_IFLNK = 0o120000;
+
+/** Joins a directory and a child name without doubling the root slash. */
+export function joinPath(dir, name) {
+  return dir === "/" ? `/${name}` : `${dir}/${name}`;
+}
+
+/** Normalises a path to the absolute, slash-separated form used as a key. */
+export function normalizePath(p) {
+  const parts = [];
+  for (const part of String(p).split("/")) {
+    if (!part || part === ".") continue;
+    if (part === "..") parts.pop();
+    else parts.push(part);
+  }
+  return "/" + parts.join("/");
+}
+
+/** True when `p` is `root` itself or lives somewhere beneath it. */
+export function isWithin(root, p) {
+  if (root === "/") return true;
+  return p === root || p.startsWith(root + "/");
+}
+
+function typeOf(stats) {
+  const fmt = stats.mode & S_IFMT;
+  if (fmt === S_IFDIR) return "dir";
+  if (fmt === S_IFLNK) return "symlink";
+  return "file";
+}
+
+/**
+ * Reads a single node (without descending) into an entry.
+ * Returns null when the path does not exist.
+ */
+export function readEntry(vol, path) {
+  let stats;
+  try {
+    stats = vol.lstatSync(path);
+  } catch (err) {
+    if (err && err.code === "ENOENT") return null;
+    throw err;
+  }
+
+  const entry = {
+    path,
+    type: typeOf(stats),
+    mode: stats.mode & 0o7777,
+    mtimeMs: stats.mtimeMs ?? stats.mtime.getTime(),
+  };
+
+  if (entry.type === "file") {
+    entry.data = new Uint8Array(vol.readFileSync(path));
+  } else if (entry.type === "symlink") {
+    entry.target = String(vol.readlinkSync(path));
+  }
+  return entry;
+}
+
+/**
+ * Walks `root` and returns every node beneath it (inclusive), parent-first.
+ */
+export function collectEntries(vol, root = "/") {
+  const out = [];
+  const visit = (path) => {
+    const entry = readEntry(vol, path);
+    if (!entry) return;
+    out.push(entry);
+    if (entry.type !== "dir") return;
+    for (const name of vol.readdirSync(path).map(String).sort()) {
+      visit(joinPath(path, name));
+    }
+  };
+  visit(normalizePath(root));
+  return out;
+}
+
+function ensureParent(vol, path) {
+  const parent = path.slice(0, path.lastIndexOf("/")) || "/";
+  if (!vol.existsSync(parent)) vol.mkdirSync(parent, { recursive: true });
+}
+
+/**
+ * Replays entries onto a volume. Existing nodes at the same paths are
+ * replaced. Directory mtimes are restored last, since creating children
+ * would otherwise bump them again.
+ */
+export function applyEntries(vol, entries) {
+  const dirs = [];
+
+  for (const entry of entries) {
+    const { path } = entry;
+    if (path !== "/") ensureParent(vol, path);
+
+    const existing = path === "/" ? null : readEntry(vol, path);
+    if (existing && (existing.type !== entry.type || entry.type !== "dir")) {
+      removePath(vol, path);
+    }
+
+    if (entry.type === "dir") {
+      if (!vol.existsSync(path)) vol.mkdirSync(path, { recursive: true });
+      dirs.push(entry);
+    } else if (entry.type === "symlink") {
+      vol.symlinkSync(entry.target, path);
+      continue;
+    } else {
+      vol.writeFileSync(path, entry.data ?? new Uint8Array(0));
+    }
+
+    if (entry.mode != null) vol.chmodSync(path, entry.mode);
+    if (entry.type !== "dir" && entry.mtimeMs != null) {
+      const mtime = new Date(entry.mtimeMs);
+      vol.utimesSync(path, mtime, mtime);
+    }
+  }
+
+  for (let i = dirs.length - 1; i >= 0; i--) {
+    const { path, mtimeMs } = dirs[i];
+    if (mtimeMs == null) continue;
+    const mtime = new Date(mtimeMs);
+    vol.utimesSync(path, mtime, mtime);
+  }
+}
+
+/** Removes a node and everything beneath it; missing paths are ignored. */
+export function removePath(vol, path) {
+  const entry = readEntry(vol, path);
+  if (!entry) return;
+  if (entry.type === "dir") {
+    for (const name of vol.readdirSync(path).map(String)) {
+      removePath(vol, joinPath(path, name));
+    }
+    if (path !== "/") vol.rmdirSync(path);
+  } else {
+    vol.unlinkSync(path);
+  }
+}
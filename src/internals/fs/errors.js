@@ -0,0 +1,68 @@
+/**
+ * Node-shaped system errors for the fs layers.
+ *
+ * Node builds these from libuv codes (uvException): the message reads
+ * `CODE: description, syscall 'path' -> 'dest'` and the error carries
+ * errno, code, syscall, path and (for two-path calls) dest.
+ */
+
+// code -> [errno (Linux), description]
+const UV_ERRORS = {
+  EACCES: [-13, "permission denied"],
+  EBADF: [-9, "bad file descriptor"],
+  EBUSY: [-16, "resource busy or locked"],
+  EEXIST: [-17, "file already exists"],
+  EINVAL: [-22, "invalid argument"],
+  EISDIR: [-21, "illegal operation on a directory"],
+  ELOOP: [-40, "too many symbolic links encountered"],
+  ENOENT: [-2, "no such file or directory"],
+  ENOSPC: [-28, "no space left on device"],
+  ENOTDIR: [-20, "not a directory"],
+  ENOTEMPTY: [-39, "directory not empty"],
+  EPERM: [-1, "operation not permitted"],
+  EROFS: [-30, "read-only file system"],
+  EXDEV: [-18, "cross-device link not permitted"],
+};
+
+// fs method (without "Sync") -> the syscall Node reports for it
+const SYSCALLS = {
+  readFile: "open",
+  writeFile: "open",
+  appendFile: "open",
+  createReadStream: "open",
+  createWriteStream: "open",
+  truncate: "open",
+  copyFile: "copyfile",
+  utimes: "utime",
+  lutimes: "lutime",
+  exists: "access",
+  mkdirp: "mkdir",
+  watch: "watch",
+};
+
+/** Maps an fs method name (callback, sync or promise form) to its syscall. */
+export function syscallFor(method) {
+  const base = method.endsWith("Sync") ? method.slice(0, -4) : method;
+  return SYSCALLS[base] || base.toLowerCase();
+}
+
+/**
+ * @param {string} code      e.g. "EROFS"
+ * @param {string} syscall   e.g. "open"
+ * @param {string} [path]
+ * @param {string} [dest]
+ */
+export function createFsError(code, syscall, path, dest) {
+  const [errno, description] = UV_ERRORS[code] || [-1, "unknown error"];
+  let message = `${code}: ${description}, ${syscall}`;
+  if (path !== undefined) message += ` '${path}'`;
+  if (dest !== undefined) message += ` -> '${dest}'`;
+
+  const err = new Error(message);
+  err.errno = errno;
+  err.code = code;
+  err.syscall = syscall;
+  if (path !== undefined) err.path = path;
+  if (dest !== undefined) err.dest = dest;
+  return err;
+}
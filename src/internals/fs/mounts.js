@@ -0,0 +1,830 @@
+/**
+ * Mount table for the fs shim.
+ *
+ * The table exposes a Volume-shaped router (`table.volume`) that the fs
+ * singleton is built from. Every call is routed by its path (or file
+ * descriptor) to the layer mounted at the longest matching prefix, with the
+ * path rewritten relative to that mount. Errors coming back out are
+ * rewritten to name the full path again, so callers never see mount
+ * internals.
+ *
+ * Layer types:
+ *   tmpfs     a fresh, writable memfs volume (the default)
+ *   readonly  any volume; mutations fail with EROFS
+ *   overlay   copy-on-write: reads fall through to a pristine lower volume,
+ *             writes land in an upper volume; diff() lists the changes
+ *   host      a host-provided, Node-compatible fs object (sync methods
+ *             required, since async calls are served from them too)
+ *
+ * Renames and hard links across mounts fail with EXDEV, as they do on Node.
+ * Symlinks are followed by the router rather than the layers, so an
+ * absolute target names a path in the whole tree, in whichever mount holds
+ * it, as on Node.
+ */
+
+import { Buffer } from "buffer";
+import { Volume } from "memfs";
+import { createPromisesApi } from "memfs/lib/node/promises.js";
+import { ReadStream, WriteStream } from "memfs/lib/volume.js";
+import { createFsError, syscallFor } from "./errors.js";
+import {
+  applyEntries,
+  collectEntries,
+  isWithin,
+  joinPath,
+  normalizePath,
+  readEntry,
+} from "./entries.js";
+import { isWriteFlag, toPath } from "./operations.js";
+
+const COPYFILE_EXCL = 1;
+
+const defer =
+  typeof setImmediate === "function" ? setImmediate : (fn) => setTimeout(fn, 0);
+
+// How the router finds the layer that owns a call:
+//   path    first argument is a path
+//   fd      first argument is a file descriptor
+//   either  path or descriptor (readFile(fd), writeFile(fd), …)
+//   two     source and destination paths
+//   target  symlink(target, path) — routed by the link's own path
+const ROUTES = {
+  access: "path",
+  exists: "path",
+  stat: "path",
+  lstat: "path",
+  readlink: "path",
+  realpath: "path",
+  readdir: "path",
+  open: "path",
+  mkdir: "path",
+  mkdirp: "path",
+  mkdtemp: "path",
+  rmdir: "path",
+  rm: "path",
+  unlink: "path",
+  chmod: "path",
+  chown: "path",
+  lchmod: "path",
+  lchown: "path",
+  utimes: "path",
+  readFile: "either",
+  writeFile: "either",
+  appendFile: "either",
+  truncate: "either",
+  rename: "two",
+  link: "two",
+  copyFile: "two",
+  symlink: "target",
+  close: "fd",
+  fstat: "fd",
+  fsync: "fd",
+  fdatasync: "fd",
+  ftruncate: "fd",
+  fchmod: "fd",
+  fchown: "fd",
+  futimes: "fd",
+  read: "fd",
+  write: "fd",
+};
+
+// Calls that act on a symlink at the end of their path rather than on where
+// it leads (mkdir and mkdtemp, so that they fail with EEXIST on one).
+const NO_FOLLOW = new Set([
+  "lstat",
+  "readlink",
+  "unlink",
+  "rm",
+  "rmdir",
+  "lchmod",
+  "lchown",
+  "mkdir",
+  "mkdirp",
+  "mkdtemp",
+  "symlink",
+  "rename",
+  "link",
+]);
+
+// Links followed for one path before it fails with ELOOP, as on Linux.
+const MAX_LINKS = 40;
+
+// Calls that return a stream or watcher instead of a value; no Sync twin.
+const FACTORIES = [
+  "createReadStream",
+  "createWriteStream",
+  "watch",
+  "watchFile",
+  "unwatchFile",
+];
+
+// Streams that cannot be opened report it as an 'error' event, as Node's
+// do, instead of throwing from the factory.
+const STREAMS = { createReadStream: ReadStream, createWriteStream: WriteStream };
+
+function failedStream(name, [path = "", options], err) {
+  const failing = { open: (...args) => defer(() => args.pop()(err)) };
+  return new STREAMS[name](failing, path, typeof options === "string" ? options : { ...options, fd: undefined });
+}
+
+// Calls that change the tree under their path argument(s).
+const WRITES = new Set([
+  "writeFile",
+  "appendFile",
+  "mkdir",
+  "mkdirp",
+  "mkdtemp",
+  "rmdir",
+  "rm",
+  "unlink",
+  "truncate",
+  "chmod",
+  "chown",
+  "lchmod",
+  "lchown",
+  "utimes",
+  "rename",
+  "link",
+  "symlink",
+  "copyFile",
+  "createWriteStream",
+]);
+
+/** True when the call would modify the layer it is routed to. */
+export function isWriteCall(name, args) {
+  if (name === "open") return isWriteFlag(args[1]);
+  return WRITES.has(name);
+}
+
+function parentOf(p) {
+  if (p === "/") return "/";
+  return p.slice(0, p.lastIndexOf("/")) || "/";
+}
+
+function exists(vol, p) {
+  try {
+    vol.lstatSync(p);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function sameEntry(a, b) {
+  if (a.type !== b.type || a.mode !== b.mode) return false;
+  if (a.type === "symlink") return a.target === b.target;
+  if (a.type === "file") return Buffer.compare(Buffer.from(a.data), Buffer.from(b.data)) === 0;
+  return true;
+}
+
+// ── Layers ────────────────────────────────────────────────────────────────────
+// A layer answers call(name, args) with args already relative to the mount.
+// Callback/promise variants are served from the sync implementation by the
+// router, so layers only deal with one calling convention.
+
+class VolumeLayer {
+  constructor(vol) {
+    this.vol = vol;
+  }
+
+  call(name, args) {
+    if (FACTORIES.includes(name)) return this.vol[name](...args);
+    return this.vol[`${name}Sync`](...args);
+  }
+}
+
+class ReadOnlyLayer extends VolumeLayer {
+  call(name, args) {
+    if (isWriteCall(name, args)) {
+      const path = name === "symlink" ? args[1] : args[0];
+      const dest = name === "rename" || name === "link" || name === "copyFile" ? args[1] : undefined;
+      throw createFsError("EROFS", syscallFor(name), path, dest);
+    }
+    return super.call(name, args);
+  }
+}
+
+class OverlayLayer {
+  constructor(lower, upper) {
+    this.lower = lower;
+    this.upper = upper;
+    this.whiteouts = new Set(); // paths deleted from the merged view
+    this.opaque = new Set();    // upper dirs that hide the lower dir's children
+    this.fdOwners = new Map();  // fd -> volume that opened it
+  }
+
+  // Lower nodes are hidden when the path, or any ancestor, was deleted, or
+  // when an ancestor was recreated (opaque) in the upper layer.
+  lowerVisible(p) {
+    if (this.whiteouts.has(p)) return false;
+    for (let a = parentOf(p); ; a = parentOf(a)) {
+      if (this.whiteouts.has(a) || this.opaque.has(a)) return false;
+      if (a === "/") return true;
+    }
+  }
+
+  owner(p) {
+    if (exists(this.upper, p)) return this.upper;
+    if (this.lowerVisible(p) && exists(this.lower, p)) return this.lower;
+    return null;
+  }
+
+  // Copies p's ancestors and p itself (when visible below) into the upper
+  // layer. Missing paths are left alone so the upper call fails naturally.
+  copyUp(p) {
+    if (p === "/" || exists(this.upper, p)) return;
+    this.copyUp(parentOf(p));
+    if (this.lowerVisible(p) && exists(this.lower, p)) {
+      applyEntries(this.upper, [readEntry(this.lower, p)]);
+    }
+  }
+
+  copyUpTree(p) {
+    this.copyUp(p);
+    if (!this.upper.lstatSync(p).isDirectory()) return;
+    for (const name of this.readdir(p)) this.copyUpTree(joinPath(p, String(name)));
+  }
+
+  forgetBelow(p) {
+    for (const set of [this.whiteouts, this.opaque]) {
+      for (const q of set) if (q !== p && isWithin(p, q)) set.delete(q);
+    }
+  }
+
+  created(p) {
+    if (!this.whiteouts.delete(p)) return;
+    if (this.upper.lstatSync(p).isDirectory()) this.opaque.add(p);
+  }
+
+  removed(p, hadLower) {
+    this.forgetBelow(p);
+    this.opaque.delete(p);
+    if (hadLower) this.whiteouts.add(p);
+  }
+
+  hasLower(p) {
+    return this.lowerVisible(p) && exists(this.lower, p);
+  }
+
+  readdir(p, options) {
+    const owner = this.owner(p);
+    if (!owner || !owner.statSync(p).isDirectory()) {
+      return (owner || this.upper).readdirSync(p, options);
+    }
+
+    const byName = new Map();
+    const nameOf = (e) => String(typeof e === "object" && !Buffer.isBuffer(e) ? e.name : e);
+
+    if (!this.opaque.has(p) && this.hasLower(p) && this.lower.statSync(p).isDirectory()) {
+      for (const e of this.lower.readdirSync(p, options)) {
+        if (this.lowerVisible(joinPath(p, nameOf(e)))) byName.set(nameOf(e), e);
+      }
+    }
+    if (exists(this.upper, p)) {
+      for (const e of this.upper.readdirSync(p, options)) byName.set(nameOf(e), e);
+    }
+    return [...byName.keys()].sort().map((k) => byName.get(k));
+  }
+
+  remove(name, args) {
+    const [p, options] = args;
+    const owner = this.owner(p);
+    if (!owner) return this.upper[`${name}Sync`](...args); // ENOENT, or a no-op for rm({ force })
+
+    const isDir = owner.lstatSync(p).isDirectory();
+    const recursive = options && options.recursive;
+    if (name === "unlink" && isDir) throw createFsError("EISDIR", "unlink", p);
+    if (name === "rmdir" && !isDir) throw createFsError("ENOTDIR", "rmdir", p);
+    if (name === "rm" && isDir && !recursive) throw createFsError("EISDIR", "rm", p);
+    if (isDir && !recursive && this.readdir(p).length) {
+      throw createFsError("ENOTEMPTY", syscallFor(name), p);
+    }
+
+    const hadLower = this.hasLower(p);
+    if (owner === this.upper) this.upper[`${name}Sync`](...args);
+    this.removed(p, hadLower);
+  }
+
+  mkdir(name, args) {
+    const [p, options] = args;
+    const recursive = name === "mkdirp" || (options && options.recursive);
+    if (this.owner(p)) {
+      if (recursive) return undefined;
+      throw createFsError("EEXIST", "mkdir", p);
+    }
+
+    const missing = [];
+    let a = parentOf(p);
+    while (a !== "/" && !this.owner(a)) {
+      missing.unshift(a);
+      a = parentOf(a);
+    }
+    this.copyUp(a);
+    const result = this.upper[`${name}Sync`](...args);
+    for (const q of [...missing, p]) if (exists(this.upper, q)) this.created(q);
+    return result;
+  }
+
+  rename(name, [from, to]) {
+    if (!this.owner(from)) return this.upper[`${name}Sync`](from, to);
+    const hadLower = this.hasLower(from);
+    const isDir = this.owner(from).lstatSync(from).isDirectory();
+
+    if (isDir) this.copyUpTree(from);
+    else this.copyUp(from);
+    this.copyUp(parentOf(to));
+    if (!exists(this.upper, to) && this.hasLower(to)) this.copyUp(to);
+
+    this.upper.renameSync(from, to);
+    this.removed(from, hadLower);
+    this.forgetBelow(to);
+    this.whiteouts.delete(to);
+    if (isDir) this.opaque.add(to);
+  }
+
+  copyFile(args) {
+    const [src, dest, mode = 0] = args;
+    const data = this.call("readFile", [src]);
+    if (mode & COPYFILE_EXCL && this.owner(dest)) {
+      throw createFsError("EEXIST", "copyfile", src, dest);
+    }
+    this.copyUp(parentOf(dest));
+    this.copyUp(dest);
+    this.upper.writeFileSync(dest, data);
+    this.upper.chmodSync(dest, this.call("stat", [src]).mode & 0o7777);
+    this.created(dest);
+  }
+
+  call(name, args) {
+    const fd = typeof args[0] === "number" ? args[0] : null;
+    if (fd !== null && name !== "open") {
+      const vol = this.fdOwners.get(fd) || this.upper;
+      const result = name === "createReadStream" || name === "createWriteStream"
+        ? vol[name](...args)
+        : vol[`${name}Sync`](...args);
+      if (name === "close") this.fdOwners.delete(fd);
+      return result;
+    }
+
+    switch (name) {
+      case "readdir":
+        return this.readdir(args[0], args[1]);
+
+      case "exists": {
+        const owner = this.owner(args[0]);
+        return owner ? owner.existsSync(args[0]) : false;
+      }
+
+      case "access":
+      case "stat":
+      case "lstat":
+      case "readlink":
+      case "realpath":
+      case "readFile":
+        return (this.owner(args[0]) || this.upper)[`${name}Sync`](...args);
+
+      case "createReadStream":
+      case "createWriteStream": {
+        const options = args[1];
+        if (options && typeof options.fd === "number") {
+          return (this.fdOwners.get(options.fd) || this.upper)[name](...args);
+        }
+        if (name === "createReadStream") {
+          return (this.owner(args[0]) || this.upper).createReadStream(...args);
+        }
+        this.copyUp(args[0]);
+        const stream = this.upper.createWriteStream(...args);
+        this.whiteouts.delete(args[0]);
+        return stream;
+      }
+
+      case "open": {
+        const [p, flags] = args;
+        if (!isWriteFlag(flags)) {
+          const vol = this.owner(p) || this.upper;
+          const opened = vol.openSync(...args);
+          this.fdOwners.set(opened, vol);
+          return opened;
+        }
+        this.copyUp(p);
+        const opened = this.upper.openSync(...args);
+        this.fdOwners.set(opened, this.upper);
+        this.created(p);
+        return opened;
+      }
+
+      case "mkdir":
+      case "mkdirp":
+        return this.mkdir(name, args);
+
+      case "mkdtemp":
+        this.copyUp(parentOf(args[0]));
+        return this.upper.mkdtempSync(...args);
+
+      case "rmdir":
+      case "rm":
+      case "unlink":
+        return this.remove(name, args);
+
+      case "rename":
+        return this.rename(name, args);
+
+      case "copyFile":
+        return this.copyFile(args);
+
+      case "link":
+        this.copyUp(args[0]);
+        this.copyUp(parentOf(args[1]));
+        this.upper.linkSync(args[0], args[1]);
+        return this.created(args[1]);
+
+      case "symlink":
+        this.copyUp(parentOf(args[1]));
+        this.upper.symlinkSync(...args);
+        return this.created(args[1]);
+
+      case "watch":
+      case "watchFile":
+      case "unwatchFile":
+        this.copyUp(args[0]);
+        return this.upper[name](...args);
+
+      default: {
+        // writeFile, appendFile, truncate, chmod, chown, lchmod, lchown, utimes
+        this.copyUp(args[0]);
+        const result = this.upper[`${name}Sync`](...args);
+        this.created(args[0]);
+        return result;
+      }
+    }
+  }
+
+  /** Changes in the upper layer relative to the pristine lower layer. */
+  diff() {
+    const changes = [];
+
+    for (const entry of collectEntries(this.upper, "/")) {
+      if (entry.path === "/") continue;
+      const below = this.lowerVisible(entry.path) ? readEntry(this.lower, entry.path) : null;
+      if (!below) changes.push({ path: entry.path, change: "added", type: entry.type });
+      else if (!sameEntry(entry, below)) changes.push({ path: entry.path, change: "modified", type: entry.type });
+    }
+
+    const deleted = (p) => {
+      const below = readEntry(this.lower, p);
+      if (below) changes.push({ path: p, change: "deleted", type: below.type });
+    };
+    for (const p of this.whiteouts) deleted(p);
+    for (const dir of this.opaque) {
+      if (!exists(this.lower, dir) || !this.lower.statSync(dir).isDirectory()) continue;
+      for (const name of this.lower.readdirSync(dir).map(String)) {
+        const p = joinPath(dir, name);
+        if (!exists(this.upper, p) && !this.whiteouts.has(p)) deleted(p);
+      }
+    }
+
+    return changes.sort((a, b) => (a.path < b.path ? -1 : a.path > b.path ? 1 : 0));
+  }
+}
+
+// ── Table ─────────────────────────────────────────────────────────────────────
+
+function sourceVolume(options) {
+  if (options.volume) return options.volume;
+  const vol = new Volume();
+  if (options.files) vol.fromJSON(options.files, "/");
+  if (options.entries) {
+    applyEntries(vol, options.entries.slice().sort((a, b) => (a.path < b.path ? -1 : 1)));
+  }
+  return vol;
+}
+
+function createLayer(options) {
+  const type = options.type || "tmpfs";
+  switch (type) {
+    case "tmpfs":
+      return new VolumeLayer(sourceVolume(options));
+    case "readonly":
+      return new ReadOnlyLayer(sourceVolume(options));
+    case "overlay":
+      return new OverlayLayer(
+        options.lower || sourceVolume(options),
+        options.upper || new Volume()
+      );
+    case "host":
+      if (!options.fs) throw new TypeError('A "host" mount needs an fs object');
+      return new VolumeLayer(options.fs);
+    default:
+      throw new TypeError(`Unknown mount type "${type}"`);
+  }
+}
+
+function rewriteError(err, pairs) {
+  if (!err || typeof err.message !== "string") return err;
+  for (const [inner, full] of pairs) {
+    if (inner === full) continue;
+    err.message = err.message.split(`'${inner}'`).join(`'${full}'`);
+    if (err.path === inner) err.path = full;
+    if (err.dest === inner) err.dest = full;
+  }
+  return err;
+}
+
+/**
+ * @param {import("memfs").Volume} rootVol  volume mounted at "/"
+ */
+export function createMountTable(rootVol) {
+  const root = { point: "/", type: "root", layer: new VolumeLayer(rootVol) };
+  let mounts = [root];           // longest mount point first
+  const fds = new Map();         // fd -> { mount, path }
+
+  const cwd = () =>
+    typeof process !== "undefined" && typeof process.cwd === "function" ? process.cwd() : "/";
+
+  function resolve(pathLike) {
+    const raw = toPath(null, pathLike);
+    if (raw === null) return null;
+    const full = normalizePath(raw.startsWith("/") ? raw : `${cwd()}/${raw}`);
+    const mount = mounts.find((m) => isWithin(m.point, full));
+    const inner = mount.point === "/" ? full : full.slice(mount.point.length) || "/";
+    return { mount, full, inner };
+  }
+
+  /**
+   * `full` with the symlinks along it followed across mounts: all but the
+   * last component, and that one too when `last` is set. Components that do
+   * not exist are left for the layer to report.
+   */
+  function follow(full, last, syscall) {
+    if (mounts.length === 1) return full; // the root volume follows its own
+    let done = "/";
+    let rest = full.split("/").filter(Boolean);
+    let links = 0;
+    while (rest.length) {
+      const name = rest.shift();
+      if (name === ".") continue;
+      if (name === "..") {
+        done = parentOf(done);
+        continue;
+      }
+      const path = joinPath(done, name);
+      if (!rest.length && !last) return path;
+      const { mount, inner } = resolve(path);
+      let target;
+      try {
+        if (!mount.layer.call("lstat", [inner]).isSymbolicLink()) {
+          done = path;
+          continue;
+        }
+        target = String(mount.layer.call("readlink", [inner]));
+      } catch {
+        return normalizePath([path, ...rest].join("/"));
+      }
+      if (++links > MAX_LINKS) throw createFsError("ELOOP", syscall, full);
+      if (target.startsWith("/")) done = "/";
+      rest = [...target.split("/").filter(Boolean), ...rest];
+    }
+    return done;
+  }
+
+  const outer = (mount, inner) =>
+    mount.point === "/" ? inner : inner === "/" ? mount.point : mount.point + inner;
+
+  function run(mount, pairs, fn) {
+    if (pairs.every(([inner, full]) => inner === full)) return fn();
+    try {
+      return fn();
+    } catch (err) {
+      throw rewriteError(err, pairs);
+    }
+  }
+
+  function invokeFd(name, args) {
+    const record = fds.get(args[0]);
+    const mount = record ? record.mount : root;
+    const result = mount.layer.call(name, args);
+    if (name === "close") fds.delete(args[0]);
+    return result;
+  }
+
+  function invokeTwo(name, args) {
+    let a = resolve(args[0]);
+    let b = resolve(args[1]);
+    if (!a || !b) return root.layer.call(name, args);
+    const last = !NO_FOLLOW.has(name);
+    const named = [a.full, b.full];
+    a = resolve(follow(a.full, last, syscallFor(name)));
+    b = resolve(follow(b.full, last, syscallFor(name)));
+
+    if (a.mount === b.mount) {
+      const inner = [a.inner, b.inner, ...args.slice(2)];
+      return run(a.mount, [[a.inner, named[0]], [b.inner, named[1]]], () => a.mount.layer.call(name, inner));
+    }
+
+    if (name !== "copyFile") throw createFsError("EXDEV", syscallFor(name), ...named);
+
+    // Copying between mounts is a read on one and a write on the other.
+    const data = dispatch("readFile", [a.full]);
+    if (args[2] & COPYFILE_EXCL && dispatch("exists", [b.full])) {
+      throw createFsError("EEXIST", "copyfile", ...named);
+    }
+    dispatch("writeFile", [b.full, data]);
+    return undefined;
+  }
+
+  // Every call made through `volume` passes the guard first (see setGuard).
+  let guard = null;
+
+  function invoke(name, args) {
+    if (!guard) return dispatch(name, args);
+    let after;
+    try {
+      after = guard(name, args);
+    } catch (err) {
+      if (name === "exists") return false;
+      if (STREAMS[name]) return failedStream(name, args, err);
+      throw err;
+    }
+    const result = dispatch(name, args);
+    if (after) after(result);
+    return result;
+  }
+
+  function dispatch(name, args) {
+    let route = ROUTES[name] || "path";
+    if (route === "either") route = typeof args[0] === "number" ? "fd" : "path";
+    if (route === "fd") return invokeFd(name, args);
+    if (route === "two") return invokeTwo(name, args);
+
+    const options = args[1];
+    if ((name === "createReadStream" || name === "createWriteStream") &&
+        options && typeof options.fd === "number") {
+      const record = fds.get(options.fd);
+      return (record ? record.mount : root).layer.call(name, args);
+    }
+
+    const index = route === "target" ? 1 : 0;
+    const target = resolve(args[index]);
+    if (!target) return root.layer.call(name, args);
+
+    let resolved;
+    try {
+      resolved = follow(target.full, !NO_FOLLOW.has(name), syscallFor(name));
+    } catch (err) {
+      if (name === "exists") return false;
+      throw err;
+    }
+    const { full } = target;
+    const { mount, inner } = resolve(resolved);
+    const innerArgs = args.slice();
+    innerArgs[index] = inner;
+    let result;
+    try {
+      result = run(mount, [[inner, full]], () => mount.layer.call(name, innerArgs));
+    } catch (err) {
+      if (!STREAMS[name]) throw err;
+      return failedStream(name, args, err);
+    }
+
+    if (name === "open") fds.set(result, { mount, path: full });
+    if ((name === "realpath" || name === "mkdtemp") && typeof result === "string") {
+      return outer(mount, result);
+    }
+    return result;
+  }
+
+  // ── Volume-shaped router ────────────────────────────────────────────────────
+  const volume = {
+    StatWatcher: rootVol.StatWatcher,
+    FSWatcher: rootVol.FSWatcher,
+    ReadStream: rootVol.ReadStream,
+    WriteStream: rootVol.WriteStream,
+
+    /** Full path an open descriptor was opened with, or null. */
+    fdToPath(fd) {
+      const record = fds.get(fd);
+      return record ? record.path : null;
+    },
+  };
+
+  for (const name of Object.keys(ROUTES)) {
+    volume[`${name}Sync`] = (...args) => invoke(name, args);
+    volume[name] = (...args) => {
+      const cb = args.pop();
+      let result;
+      let error = null;
+      try {
+        result = invoke(name, args);
+      } catch (err) {
+        error = err;
+      }
+      defer(() => {
+        if (name === "exists") return cb(!error && result);
+        if (error) return cb(error);
+        if (name === "read" || name === "write") return cb(null, result, args[1]);
+        return cb(null, result);
+      });
+    };
+  }
+  for (const name of FACTORIES) volume[name] = (...args) => invoke(name, args);
+  volume.promises = createPromisesApi(volume);
+
+  // The same calls without the guard, for the guard's own bookkeeping.
+  const direct = {};
+  for (const name of Object.keys(ROUTES)) direct[`${name}Sync`] = (...args) => dispatch(name, args);
+
+  // ── Management API ──────────────────────────────────────────────────────────
+  const describe = (m) => {
+    const record = { mountPoint: m.point, type: m.type };
+    if (m.layer instanceof OverlayLayer) {
+      record.lower = m.layer.lower;
+      record.upper = m.layer.upper;
+    } else {
+      record.volume = m.layer.vol;
+    }
+    return record;
+  };
+
+  const find = (point) => {
+    const target = resolve(point);
+    return target && mounts.find((m) => m.point === target.full);
+  };
+
+  return {
+    volume,
+    direct,
+    resolve,
+
+    /**
+     * Installs a check that runs before every call made through `volume`.
+     * `fn(name, args)` gets the method name without "Sync" and the call's
+     * arguments (callback removed); it may throw to refuse the call, or
+     * return a function that receives the result once the call succeeded.
+     * A refused exists() reports false, a refused stream an 'error' event.
+     * Pass null to remove it.
+     */
+    setGuard(fn) {
+      guard = fn;
+    },
+
+    /**
+     * Mounts a layer at `mountPoint`.
+     * @param {string} mountPoint
+     * @param {object} [options]
+     * @param {"tmpfs"|"readonly"|"overlay"|"host"} [options.type="tmpfs"]
+     * @param {object} [options.volume]  existing volume to mount (tmpfs, readonly, overlay lower)
+     * @param {object} [options.files]   memfs fromJSON() map used to seed a new volume
+     * @param {Array}  [options.entries] entry list (see ./entries.js) used to seed a new volume
+     * @param {object} [options.lower]   overlay lower volume
+     * @param {object} [options.upper]   overlay upper volume (a fresh one by default)
+     * @param {object} [options.fs]      host fs object for "host" mounts
+     */
+    mount(mountPoint, options = {}) {
+      const target = resolve(mountPoint);
+      if (!target) throw new TypeError("mountPoint must be a path");
+      if (target.full === "/" || find(target.full)) {
+        throw createFsError("EBUSY", "mount", target.full);
+      }
+
+      const layer = createLayer(options);
+      try {
+        dispatch("mkdir", [target.full, { recursive: true }]);
+      } catch {
+        // The parent may be read-only; the mount still shadows the path.
+      }
+
+      const record = { point: target.full, type: options.type || "tmpfs", layer };
+      mounts = [...mounts, record].sort((a, b) => b.point.length - a.point.length);
+      return describe(record);
+    },
+
+    /** Removes a mount. Fails with EBUSY while descriptors on it are open. */
+    unmount(mountPoint) {
+      const record = find(mountPoint);
+      if (!record || record === root) throw createFsError("EINVAL", "umount", String(mountPoint));
+      for (const { mount } of fds.values()) {
+        if (mount === record) throw createFsError("EBUSY", "umount", record.point);
+      }
+      mounts = mounts.filter((m) => m !== record);
+      return true;
+    },
+
+    /** Current mounts, longest mount point first. */
+    list() {
+      return mounts.map(describe);
+    },
+
+    /**
+     * Upper-layer changes of the overlay at `mountPoint`, as
+     * `{ path, change: "added" | "modified" | "deleted", type }` records with
+     * full paths.
+     */
+    diff(mountPoint) {
+      const record = find(mountPoint);
+      if (!record || !(record.layer instanceof OverlayLayer)) {
+        throw new TypeError(`No overlay is mounted at "${mountPoint}"`);
+      }
+      return record.layer.diff().map((c) => ({ ...c, path: outer(record, c.path) }));
+    },
+  };
+}
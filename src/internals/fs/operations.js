@@ -0,0 +1,116 @@
+/**
+ * Classification of fs methods by the paths they mutate.
+ *
+ * Used by the patched fs singleton to work out which paths changed after a
+ * successful call, independent of whether it came through the callback,
+ * sync or promise API.
+ */
+
+// method (without "Sync") -> indexes of the arguments that name mutated paths
+const MUTATING_PATH_ARGS = {
+  writeFile: [0],
+  appendFile: [0],
+  mkdir: [0],
+  rmdir: [0],
+  rm: [0],
+  unlink: [0],
+  rename: [0, 1],
+  truncate: [0],
+  symlink: [1],
+  link: [1],
+  copyFile: [1],
+  cp: [1],
+  chmod: [0],
+  lchmod: [0],
+  chown: [0],
+  lchown: [0],
+  utimes: [0],
+  lutimes: [0],
+  // descriptor-based — the fd is mapped back to its path
+  write: [0],
+  writev: [0],
+  ftruncate: [0],
+  fchmod: [0],
+  fchown: [0],
+  futimes: [0],
+  // reported once the stream finishes
+  createWriteStream: [0],
+};
+
+// Calls whose paths only change content or metadata. Calls in CREATES
+// report "rename" when the path did not exist beforehand; everything else
+// that mutates (mkdir, unlink, rename, …) is a "rename".
+const CHANGES = new Set([
+  "truncate",
+  "chmod",
+  "lchmod",
+  "chown",
+  "lchown",
+  "utimes",
+  "lutimes",
+  "write",
+  "writev",
+  "ftruncate",
+  "fchmod",
+  "fchown",
+  "futimes",
+]);
+const CREATES = new Set(["writeFile", "appendFile", "copyFile", "open", "createWriteStream"]);
+
+/**
+ * fs.watch event type for a successful call: "rename", "change", or
+ * "create" (rename if the path is new, change otherwise).
+ */
+export function changeType(key) {
+  const base = baseName(key);
+  if (CHANGES.has(base)) return "change";
+  if (CREATES.has(base)) return "create";
+  return "rename";
+}
+
+/** Strips the `Sync` suffix so callback, sync and promise names line up. */
+export function baseName(key) {
+  return key.endsWith("Sync") ? key.slice(0, -4) : key;
+}
+
+/** True when `key` (callback, sync or promise name) can change the tree. */
+export function isMutating(key) {
+  const base = baseName(key);
+  return base in MUTATING_PATH_ARGS || base === "mkdtemp" || base === "open";
+}
+
+/** True when open() flags request write access. */
+export function isWriteFlag(flags) {
+  if (typeof flags === "number") return (flags & 0b11) !== 0; // O_WRONLY | O_RDWR
+  return typeof flags === "string" && /[wa+]/.test(flags);
+}
+
+/** Turns a path-like or fd argument into a path string, or null. */
+export function toPath(vol, arg) {
+  if (typeof arg === "number") {
+    if (vol && typeof vol.fdToPath === "function") return vol.fdToPath(arg);
+    const file = vol && vol.fds && vol.fds[arg];
+    return file && file.link ? file.link.getPath() : null;
+  }
+  if (typeof arg === "string") return arg;
+  if (arg instanceof URL) return decodeURIComponent(arg.pathname);
+  if (ArrayBuffer.isView(arg)) return new TextDecoder().decode(arg);
+  return null;
+}
+
+/**
+ * Returns the paths a successful call to `key` mutated.
+ * `result` is the call's return/resolved value (needed for mkdtemp).
+ */
+export function mutatedPaths(key, args, vol, result) {
+  const base = baseName(key);
+
+  if (base === "mkdtemp") return typeof result === "string" ? [result] : [];
+  if (base === "open") {
+    return isWriteFlag(args[1]) ? [toPath(vol, args[0])].filter(Boolean) : [];
+  }
+
+  const indexes = MUTATING_PATH_ARGS[base];
+  if (!indexes) return [];
+  return indexes.map((i) => toPath(vol, args[i])).filter(Boolean);
+}
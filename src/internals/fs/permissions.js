@@ -0,0 +1,231 @@
+/**
+ * Path-based permission model for the fs shim, after Node's
+ * `--experimental-permission` / `--allow-fs-read` / `--allow-fs-write`.
+ *
+ * Rules come from globalThis._RUNTIME_.fsPermissions:
+ *
+ *   {
+ *     read:  { allow: ["/app/**", "/node_modules"], deny: ["/app/secrets/**"] },
+ *     write: { allow: ["/tmp/**"] },
+ *   }
+ *
+ * A bare array is shorthand for `{ allow: [...] }`. With no `allow` list a
+ * scope is unrestricted; `allow: []` grants nothing. `deny` always wins.
+ *
+ * Patterns: `*` and `?` match within one path segment, `**` across any
+ * number of them. A pattern without wildcards grants the path and
+ * everything beneath it, like a directory passed to --allow-fs-read.
+ *
+ * A path is checked as written and as the file it reaches through
+ * symlinks, so a link cannot lead outside the paths granted.
+ *
+ * Denied calls fail with ERR_ACCESS_DENIED carrying `permission`
+ * ("FileSystemRead" | "FileSystemWrite") and `resource`, as Node's do.
+ */
+
+import errors from "../errors.js";
+import { normalizePath } from "./entries.js";
+import { isMutating, isWriteFlag } from "./operations.js";
+
+const { ERR_ACCESS_DENIED } = errors.codes;
+
+const PERMISSION_NAMES = { read: "FileSystemRead", write: "FileSystemWrite" };
+
+// fs calls (without "Sync") that only read the paths they name
+const READS = new Set([
+  "access",
+  "exists",
+  "stat",
+  "lstat",
+  "readlink",
+  "realpath",
+  "readdir",
+  "readFile",
+  "createReadStream",
+  "watch",
+  "watchFile",
+]);
+
+// fs calls that act on a symlink itself rather than the file it points at
+const ON_LINK = new Set(["lstat", "readlink", "unlink", "rm", "rmdir", "rename", "link", "lchmod", "lchown", "lutimes"]);
+
+// Links followed before giving up on a loop, as Linux's ELOOP limit
+const MAX_LINKS = 40;
+
+function escapeRegExp(text) {
+  return text.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+}
+
+/** Compiles a path glob into a predicate over absolute, normalised paths. */
+export function compileGlob(pattern) {
+  const source = String(pattern);
+  if (!/[*?]/.test(source)) {
+    const root = normalizePath(source);
+    return (path) => root === "/" || path === root || path.startsWith(root + "/");
+  }
+
+  let regex = "";
+  const glob = source.startsWith("/") ? source : `/${source}`;
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (char === "*" && glob[i + 1] === "*") {
+      const slashAfter = glob[i + 2] === "/";
+      // "/**/" and a trailing "/**" may also match zero segments.
+      if (regex.endsWith("/") && (slashAfter || i + 2 === glob.length)) {
+        regex = regex.slice(0, -1) + (slashAfter ? "(?:/.*)?/" : "(?:/.*)?");
+        i += slashAfter ? 2 : 1;
+      } else {
+        regex += ".*";
+        i += 1;
+      }
+    } else if (char === "*") {
+      regex += "[^/]*";
+    } else if (char === "?") {
+      regex += "[^/]";
+    } else {
+      regex += escapeRegExp(char);
+    }
+  }
+  const compiled = new RegExp(`^${regex}$`);
+  return (path) => compiled.test(path);
+}
+
+function compileScope(rules) {
+  if (!rules) return { allow: null, deny: [] };
+  if (Array.isArray(rules)) rules = { allow: rules };
+  return {
+    allow: rules.allow ? [].concat(rules.allow).map(compileGlob) : null,
+    deny: rules.deny ? [].concat(rules.deny).map(compileGlob) : [],
+  };
+}
+
+const cwd = () =>
+  typeof process !== "undefined" && typeof process.cwd === "function" ? process.cwd() : "/";
+
+/**
+ * @param {object} [config]  see the module comment
+ */
+export function createPermissionModel(config) {
+  let scopes;
+
+  function configure(next = {}) {
+    scopes = { read: compileScope(next.read), write: compileScope(next.write) };
+  }
+  configure(config);
+
+  function allowed(kind, path) {
+    const scope = scopes[kind];
+    if (scope.deny.some((match) => match(path))) return false;
+    return !scope.allow || scope.allow.some((match) => match(path));
+  }
+
+  const unrestricted = (kind) => !scopes[kind].allow && !scopes[kind].deny.length;
+
+  return {
+    /** Replaces the rules. */
+    configure,
+
+    /** True when any rule is in force. */
+    get enabled() {
+      return !unrestricted("read") || !unrestricted("write");
+    },
+
+    /**
+     * process.permission.has(): without a reference, whether the scope is
+     * granted everywhere.
+     * @param {"fs"|"fs.read"|"fs.write"|string} scope
+     * @param {string} [reference]  a path
+     */
+    has(scope, reference) {
+      const kinds = scope === "fs" ? ["read", "write"] : scope === "fs.read" ? ["read"] : scope === "fs.write" ? ["write"] : [];
+      if (!kinds.length) return true; // scopes this model does not govern
+      if (reference === undefined) return kinds.every(unrestricted);
+      const raw = String(reference);
+      const path = normalizePath(raw.startsWith("/") ? raw : `${cwd()}/${raw}`);
+      return kinds.every((kind) => allowed(kind, path));
+    },
+
+    /**
+     * Throws ERR_ACCESS_DENIED unless `kind` access to `path` is granted.
+     * @param {"read"|"write"} kind
+     * @param {string} path  absolute
+     */
+    check(kind, path) {
+      if (allowed(kind, path)) return;
+      const err = new ERR_ACCESS_DENIED();
+      err.permission = PERMISSION_NAMES[kind];
+      err.resource = path;
+      throw err;
+    },
+  };
+}
+
+/**
+ * The path `path` reaches once symlinks are followed: those among its
+ * parents, and the last one too when `follow`. Parts that do not exist
+ * yet, as for a file about to be created, are kept as written; a dangling
+ * link leads to where its target would be created.
+ * @param {string} path  absolute, normalised
+ * @param {(path: string) => string} readlink  throws for what is not a link
+ * @param {boolean} [follow=true]
+ */
+export function resolveLinks(path, readlink, follow = true, depth = 0) {
+  if (path === "/") return path;
+  const cut = path.lastIndexOf("/");
+  const parent = resolveLinks(path.slice(0, cut) || "/", readlink, true, depth);
+  const resolved = (parent === "/" ? "" : parent) + path.slice(cut);
+  if (!follow || depth >= MAX_LINKS) return resolved;
+  let target;
+  try {
+    target = String(readlink(resolved));
+  } catch {
+    return resolved; // not a link, or not there yet
+  }
+  return resolveLinks(normalizePath(target.startsWith("/") ? target : `${parent}/${target}`), readlink, true, depth + 1);
+}
+
+/**
+ * The access a routed fs call needs, as [kind, argIndex, followsLinks]
+ * triples; see resolveLinks(). Calls on descriptors need nothing: the
+ * descriptor was checked when it was opened.
+ */
+export function requiredAccess(name, args) {
+  return accessFor(name, args).map(([kind, index]) => [
+    kind,
+    index,
+    !ON_LINK.has(name) && !(name === "symlink" && index === 1),
+  ]);
+}
+
+function accessFor(name, args) {
+  const options = args[1];
+  if ((name === "createReadStream" || name === "createWriteStream") && options && typeof options.fd === "number") {
+    return [];
+  }
+  if (typeof args[0] === "number") return [];
+
+  switch (name) {
+    case "rename":
+      return [["write", 0], ["write", 1]];
+    case "link":
+    case "copyFile":
+      return [["read", 0], ["write", 1]];
+    case "symlink":
+      return [["write", 1]];
+    case "open":
+      return [[isWriteFlag(args[1]) ? "write" : "read", 0]];
+    default:
+      if (isMutating(name)) return [["write", 0]];
+      if (READS.has(name)) return [["read", 0]];
+      return [];
+  }
+}
+
+/**
+ * The model shared by every bundle in the sandbox (fs, process, …), built
+ * from globalThis._RUNTIME_.fsPermissions on first use.
+ */
+export function permissionModel() {
+  const runtime = (globalThis._RUNTIME_ ??= {});
+  return (runtime.__FS_PERMISSIONS__ ??= createPermissionModel(runtime.fsPermissions));
+}
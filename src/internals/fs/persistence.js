@@ -0,0 +1,380 @@
+/**
+ * Persistence layer for the memfs-backed fs volume.
+ *
+ * A persistence instance loads the volume from a storage backend when it is
+ * created, writes changed paths back (debounced or write-through) and offers
+ * explicit snapshot()/restore(). The fs singleton calls notify(path) after
+ * every successful mutation; nothing else needs to know persistence exists.
+ *
+ * Backends share a tiny interface, so hosts may pass their own:
+ *
+ *   {
+ *     load():  Promise<Entry[]>,
+ *     write({ put: Entry[], remove: string[] }): Promise<void>,
+ *     clear(): Promise<void>,
+ *     close?(): void,
+ *   }
+ *
+ * See ./entries.js for the Entry shape.
+ */
+
+import { Buffer } from "buffer";
+import {
+  applyEntries,
+  collectEntries,
+  isWithin,
+  normalizePath,
+  removePath,
+} from "./entries.js";
+
+const SNAPSHOT_VERSION = 1;
+
+// ── Helpers ───────────────────────────────────────────────────────────────────
+
+function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function transactionDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error("IndexedDB transaction aborted"));
+  });
+}
+
+function byPath(a, b) {
+  return a.path < b.path ? -1 : a.path > b.path ? 1 : 0;
+}
+
+// ── Backends ──────────────────────────────────────────────────────────────────
+
+/**
+ * Stores one record per path in an IndexedDB object store.
+ * @param {object} [options]
+ * @param {string} [options.name="vfs"]          database name
+ * @param {string} [options.storeName="entries"] object store name
+ * @param {IDBFactory} [options.indexedDB]       defaults to globalThis.indexedDB
+ */
+export function createIndexedDBBackend(options = {}) {
+  const {
+    name = "vfs",
+    storeName = "entries",
+    indexedDB = globalThis.indexedDB,
+  } = options;
+
+  if (!indexedDB) {
+    throw new Error("IndexedDB is not available in this environment");
+  }
+
+  let dbPromise = null;
+  const open = () => {
+    if (!dbPromise) {
+      const request = indexedDB.open(name, 1);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(storeName)) {
+          db.createObjectStore(storeName, { keyPath: "path" });
+        }
+      };
+      dbPromise = requestToPromise(request);
+    }
+    return dbPromise;
+  };
+
+  return {
+    kind: "indexeddb",
+
+    async load() {
+      const db = await open();
+      const tx = db.transaction(storeName, "readonly");
+      return requestToPromise(tx.objectStore(storeName).getAll());
+    },
+
+    async write({ put = [], remove = [] }) {
+      if (!put.length && !remove.length) return;
+      const db = await open();
+      const tx = db.transaction(storeName, "readwrite");
+      const store = tx.objectStore(storeName);
+      for (const path of remove) store.delete(path);
+      for (const entry of put) store.put(entry);
+      await transactionDone(tx);
+    },
+
+    async clear() {
+      const db = await open();
+      const tx = db.transaction(storeName, "readwrite");
+      tx.objectStore(storeName).clear();
+      await transactionDone(tx);
+    },
+
+    close() {
+      if (dbPromise) dbPromise.then((db) => db.close(), () => {});
+      dbPromise = null;
+    },
+  };
+}
+
+/**
+ * Stores the whole tree as one JSON document in the origin private file
+ * system. OPFS has no partial-update primitive for JSON, so writes rewrite
+ * the file from an in-memory copy.
+ * @param {object} [options]
+ * @param {string} [options.fileName="vfs.json"]
+ * @param {FileSystemDirectoryHandle|Promise<FileSystemDirectoryHandle>} [options.directory]
+ *        defaults to navigator.storage.getDirectory()
+ */
+export function createOPFSBackend(options = {}) {
+  const { fileName = "vfs.json" } = options;
+  const records = new Map();
+
+  const getDirectory = () => {
+    if (options.directory) return Promise.resolve(options.directory);
+    const storage = globalThis.navigator && globalThis.navigator.storage;
+    if (!storage || typeof storage.getDirectory !== "function") {
+      return Promise.reject(new Error("OPFS is not available in this environment"));
+    }
+    return storage.getDirectory();
+  };
+
+  const save = async () => {
+    const dir = await getDirectory();
+    const handle = await dir.getFileHandle(fileName, { create: true });
+    const writable = await handle.createWritable();
+    const entries = [...records.values()].map((e) =>
+      e.data ? { ...e, data: Buffer.from(e.data).toString("base64") } : e
+    );
+    await writable.write(JSON.stringify({ version: SNAPSHOT_VERSION, entries }));
+    await writable.close();
+  };
+
+  return {
+    kind: "opfs",
+
+    async load() {
+      const dir = await getDirectory();
+      let text;
+      try {
+        const handle = await dir.getFileHandle(fileName);
+        text = await (await handle.getFile()).text();
+      } catch (err) {
+        if (err && err.name === "NotFoundError") return [];
+        throw err;
+      }
+      records.clear();
+      const { entries = [] } = text ? JSON.parse(text) : {};
+      for (const e of entries) {
+        const entry = typeof e.data === "string"
+          ? { ...e, data: new Uint8Array(Buffer.from(e.data, "base64")) }
+          : e;
+        records.set(entry.path, entry);
+      }
+      return [...records.values()];
+    },
+
+    async write({ put = [], remove = [] }) {
+      if (!put.length && !remove.length) return;
+      for (const path of remove) records.delete(path);
+      for (const entry of put) records.set(entry.path, entry);
+      await save();
+    },
+
+    async clear() {
+      records.clear();
+      await save();
+    },
+  };
+}
+
+/** Keeps entries in a Map — useful for tests and for hosts doing their own I/O. */
+export function createMemoryBackend(options = {}) {
+  const { entries = [] } = options;
+  const records = new Map(entries.map((e) => [e.path, e]));
+  return {
+    kind: "memory",
+    records,
+    async load() {
+      return [...records.values()];
+    },
+    async write({ put = [], remove = [] }) {
+      for (const path of remove) records.delete(path);
+      for (const entry of put) records.set(entry.path, entry);
+    },
+    async clear() {
+      records.clear();
+    },
+  };
+}
+
+const BACKENDS = {
+  indexeddb: createIndexedDBBackend,
+  opfs: createOPFSBackend,
+  memory: createMemoryBackend,
+};
+
+function resolveBackend(backend, backendOptions) {
+  if (backend == null) backend = "indexeddb";
+  if (typeof backend === "string") {
+    const factory = BACKENDS[backend];
+    if (!factory) throw new TypeError(`Unknown fs persistence backend "${backend}"`);
+    return factory(backendOptions);
+  }
+  if (typeof backend.load !== "function" || typeof backend.write !== "function") {
+    throw new TypeError("fs persistence backend must implement load() and write()");
+  }
+  return backend;
+}
+
+// ── Persistence ───────────────────────────────────────────────────────────────
+
+/**
+ * @param {import("memfs").Volume} vol  the raw volume (not the patched fs)
+ * @param {object} [options]
+ * @param {string|object} [options.backend="indexeddb"] "indexeddb" | "opfs" | "memory" | backend object
+ * @param {object} [options.backendOptions]  passed to the named backend factory
+ * @param {"debounce"|"write-through"} [options.mode="debounce"]
+ * @param {number} [options.delay=100]        debounce window in ms
+ * @param {string} [options.root="/"]         only paths beneath root are persisted
+ * @param {(err: Error) => void} [options.onError]
+ */
+export function createPersistence(vol, options = {}) {
+  const {
+    mode = "debounce",
+    delay = 100,
+    onError = (err) => console.error("[fs persistence]", err),
+  } = options;
+
+  if (mode !== "debounce" && mode !== "write-through") {
+    throw new TypeError(`Unknown fs persistence mode "${mode}"`);
+  }
+
+  const root = normalizePath(options.root || "/");
+  const backend = resolveBackend(options.backend, options.backendOptions);
+  const known = new Set();   // paths currently stored in the backend
+  const dirty = new Set();
+  let timer = null;
+  let queue = Promise.resolve();
+  let closed = false;
+
+  // Serialises backend work so writes land in the order they were issued.
+  const enqueue = (task) => {
+    const run = queue.then(task);
+    queue = run.catch(onError);
+    return run;
+  };
+
+  const writeChanges = (paths) => {
+    const put = [];
+    const remove = [];
+    for (const path of paths) {
+      const current = collectEntries(vol, path);
+      const present = new Set(current.map((e) => e.path));
+      for (const p of known) {
+        if (isWithin(path, p) && !present.has(p)) {
+          remove.push(p);
+          known.delete(p);
+        }
+      }
+      for (const entry of current) {
+        put.push(entry);
+        known.add(entry.path);
+      }
+    }
+    return backend.write({ put, remove });
+  };
+
+  const persistence = {
+    backend,
+    mode,
+    root,
+
+    /** Pulls the stored tree from the backend into the volume. */
+    load() {
+      return enqueue(async () => {
+        const entries = (await backend.load()).slice().sort(byPath);
+        applyEntries(vol, entries);
+        known.clear();
+        for (const e of entries) known.add(e.path);
+        return entries.length;
+      });
+    },
+
+    /** Marks `path` as changed; called by fs after each successful mutation. */
+    notify(path) {
+      if (closed) return;
+      path = normalizePath(path);
+      if (!isWithin(root, path)) return;
+      dirty.add(path);
+
+      if (mode === "write-through") {
+        persistence.flush().catch(() => {});
+        return;
+      }
+      if (timer) clearTimeout(timer);
+      timer = setTimeout(() => {
+        timer = null;
+        persistence.flush().catch(() => {});
+      }, delay);
+    },
+
+    /** Writes every pending change now. */
+    flush() {
+      if (timer) {
+        clearTimeout(timer);
+        timer = null;
+      }
+      if (!dirty.size) return queue;
+      const paths = [...dirty];
+      dirty.clear();
+      return enqueue(() => writeChanges(paths));
+    },
+
+    /** Returns a structured-clone-safe copy of everything beneath root. */
+    snapshot() {
+      return {
+        version: SNAPSHOT_VERSION,
+        root,
+        createdAt: Date.now(),
+        entries: collectEntries(vol, root),
+      };
+    },
+
+    /**
+     * Replaces everything beneath the snapshot's root with its contents and
+     * rewrites the backend to match.
+     */
+    restore(snapshot) {
+      if (!snapshot || snapshot.version !== SNAPSHOT_VERSION || !Array.isArray(snapshot.entries)) {
+        throw new TypeError("Invalid fs snapshot");
+      }
+      const target = normalizePath(snapshot.root || "/");
+      removePath(vol, target);
+      applyEntries(vol, snapshot.entries.slice().sort(byPath));
+      dirty.delete(target);
+      for (const p of [...dirty]) if (isWithin(target, p)) dirty.delete(p);
+      return enqueue(() => writeChanges([target]));
+    },
+
+    /**
+     * Flushes pending work and releases the backend, even when the flush
+     * fails. Failures of either reject and also go to onError.
+     */
+    async close() {
+      closed = true;
+      try {
+        await persistence.flush();
+      } finally {
+        await enqueue(async () => {
+          if (typeof backend.close === "function") await backend.close();
+        });
+      }
+    },
+  };
+
+  persistence.ready = persistence.load();
+  persistence.ready.catch(() => {}); // already reported through onError
+  return persistence;
+}
@@ -0,0 +1,231 @@
+/**
+ * Byte and inode quotas for the fs shim.
+ *
+ * Limits come from globalThis._RUNTIME_.fsQuota = { bytes, inodes } (either
+ * may be omitted). Usage is the total size of regular files plus the number
+ * of files, directories and symlinks, over every path the `counted`
+ * predicate accepts. It is measured with one walk on first use and then
+ * kept up to date from the calls that change it; removals and renames just
+ * mark it for re-measuring.
+ *
+ * A call that would take usage past a limit fails with ENOSPC before it
+ * runs, as a full disk would. Write streams reserve space chunk by chunk.
+ */
+
+import { Buffer } from "buffer";
+import { createFsError, syscallFor } from "./errors.js";
+import { isWriteFlag } from "./operations.js";
+
+// Calls after which usage is simply re-measured.
+const RESTATS = new Set(["rm", "rmdir", "unlink", "rename"]);
+
+function dataLength(data, encoding) {
+  if (typeof data === "string") return Buffer.byteLength(data, encoding || "utf8");
+  if (data && typeof data.byteLength === "number") return data.byteLength;
+  return 0;
+}
+
+function encodingOf(options) {
+  return typeof options === "string" ? options : options && options.encoding;
+}
+
+function createsFile(flags) {
+  if (typeof flags === "number") return (flags & 0o100) !== 0; // O_CREAT
+  return isWriteFlag(flags ?? "r") && !/^r/.test(flags ?? "r");
+}
+
+/**
+ * @param {object} io
+ * @param {object} io.volume                 sync methods that bypass the guard (mounts.direct)
+ * @param {(pathLike: any) => string|null} io.resolve  path-likes and fds to full paths
+ * @param {(path: string) => boolean} [io.counted]     whether a path counts towards usage
+ * @param {{ bytes?: number, inodes?: number }} [limits]
+ */
+export function createQuota({ volume, resolve, counted = () => true }, limits = {}) {
+  let bytes = limits.bytes ?? Infinity;
+  let inodes = limits.inodes ?? Infinity;
+  let usage = null; // { bytes, inodes }, or null when it needs measuring
+
+  function measure() {
+    const total = { bytes: 0, inodes: 0 };
+    const visit = (path) => {
+      let stats;
+      try {
+        stats = volume.lstatSync(path);
+      } catch {
+        return;
+      }
+      total.inodes++;
+      if (stats.isFile()) total.bytes += stats.size;
+      if (!stats.isDirectory()) return;
+      for (const name of volume.readdirSync(path)) {
+        const child = path === "/" ? `/${name}` : `${path}/${name}`;
+        if (counted(child)) visit(child);
+      }
+    };
+    visit("/");
+    return total;
+  }
+
+  const current = () => (usage ??= measure());
+
+  // What a path contributes right now.
+  function snapshot(path) {
+    try {
+      const stats = volume.lstatSync(path);
+      return { path, exists: true, size: stats.isFile() ? stats.size : 0 };
+    } catch {
+      return { path, exists: false, size: 0 };
+    }
+  }
+
+  function settle(before) {
+    if (!usage) return;
+    const after = snapshot(before.path);
+    usage.bytes += after.size - before.size;
+    usage.inodes += (after.exists ? 1 : 0) - (before.exists ? 1 : 0);
+  }
+
+  function reserve(name, path, growth) {
+    const used = current();
+    if (used.bytes + growth.bytes > bytes || used.inodes + growth.inodes > inodes) {
+      throw createFsError("ENOSPC", syscallFor(name), path);
+    }
+  }
+
+  function missingDirs(path, recursive) {
+    if (!recursive) return 1;
+    let count = 0;
+    for (let p = path; p !== "/" && !snapshot(p).exists; p = p.slice(0, p.lastIndexOf("/")) || "/") {
+      count++;
+    }
+    return count;
+  }
+
+  // Growth a call may cause at `before.path`, or null if it adds nothing.
+  function estimate(name, args, before) {
+    const [, second, third] = args;
+    const newInode = before.exists ? 0 : 1;
+    switch (name) {
+      case "writeFile":
+      case "appendFile": {
+        const flag = (third && typeof third === "object" && third.flag) || (name === "appendFile" ? "a" : "w");
+        const length = dataLength(second, encodingOf(third));
+        const appends = typeof flag === "string" ? flag.startsWith("a") : false;
+        return { bytes: appends ? length : length - before.size, inodes: newInode };
+      }
+      case "write": {
+        const length = typeof second === "string"
+          ? dataLength(second, args[3])
+          : args[3] ?? dataLength(second) - (args[2] ?? 0);
+        const position = typeof second === "string" ? third : args[4];
+        const end = (typeof position === "number" ? position : before.size) + length;
+        return { bytes: Math.max(0, end - before.size), inodes: 0 };
+      }
+      case "truncate":
+      case "ftruncate":
+        return { bytes: (second ?? 0) - before.size, inodes: 0 };
+      case "copyFile":
+      case "link": {
+        const source = snapshot(resolve(args[0]));
+        return { bytes: source.size - before.size, inodes: newInode };
+      }
+      case "symlink":
+        return { bytes: 0, inodes: newInode };
+      case "mkdir":
+      case "mkdirp": {
+        const recursive = name === "mkdirp" || !!(second && typeof second === "object" && second.recursive);
+        return { bytes: 0, inodes: before.exists ? 0 : missingDirs(before.path, recursive) };
+      }
+      case "open":
+      case "createWriteStream": {
+        const flags = name === "open" ? second : second && typeof second === "object" ? second.flags ?? "w" : "w";
+        return createsFile(flags) ? { bytes: 0, inodes: newInode } : null;
+      }
+      default:
+        return null;
+    }
+  }
+
+  // Space for each chunk is reserved before memfs writes it.
+  function meter(stream, path) {
+    const wrap = (method, sizeOf) => {
+      const original = stream[method];
+      stream[method] = function (...args) {
+        // memfs queues writes until the file is open; measure after that.
+        if (typeof this.fd !== "number") return this.once("open", () => this[method](...args));
+        const cb = args.pop();
+        const before = snapshot(path);
+        const end = (typeof this.pos === "number" ? this.pos : before.size) + sizeOf(args[0]);
+        try {
+          reserve("write", path, { bytes: Math.max(0, end - before.size), inodes: 0 });
+        } catch (err) {
+          return cb(err);
+        }
+        return original.call(this, ...args, (err) => {
+          settle(before);
+          cb(err);
+        });
+      };
+    };
+    wrap("_write", (chunk) => chunk.length);
+    wrap("_writev", (chunks) => chunks.reduce((sum, { chunk }) => sum + chunk.length, 0));
+  }
+
+  return {
+    /** True when a limit is set. */
+    get enabled() {
+      return bytes !== Infinity || inodes !== Infinity;
+    },
+
+    /** Current usage and limits. */
+    usage() {
+      const used = current();
+      return { bytes: used.bytes, inodes: used.inodes, limits: { bytes, inodes } };
+    },
+
+    /** Changes the limits; omitted keys are lifted. */
+    set(next = {}) {
+      bytes = next.bytes ?? Infinity;
+      inodes = next.inodes ?? Infinity;
+    },
+
+    /** Forgets the measured usage, e.g. after mounts change. */
+    refresh() {
+      usage = null;
+    },
+
+    /**
+     * Checks a routed call against the limits. Throws ENOSPC if it would
+     * exceed them; otherwise returns a function to run with the call's
+     * result once it succeeded, or null.
+     */
+    guard(name, args) {
+      if (RESTATS.has(name)) return () => { usage = null; };
+
+      const index = name === "symlink" || name === "copyFile" || name === "link" ? 1 : 0;
+      const path = resolve(args[index]);
+      if (!path || !counted(path)) return null;
+      if (name === "mkdtemp") {
+        reserve(name, path, { bytes: 0, inodes: 1 });
+        return () => { if (usage) usage.inodes++; };
+      }
+
+      const before = snapshot(path);
+      const growth = estimate(name, args, before);
+      if (!growth) return null;
+      if (growth.bytes > 0 || growth.inodes > 0) reserve(name, path, growth);
+
+      if (name === "createWriteStream") {
+        return (stream) => {
+          stream.once("open", () => settle(before));
+          meter(stream, path);
+        };
+      }
+      if (name === "mkdir" || name === "mkdirp") {
+        return () => { if (usage) usage.inodes += growth.inodes; };
+      }
+      return () => settle(before);
+    },
+  };
+}
@@ -0,0 +1,250 @@
+/**
+ * Structured tracing for fs operations.
+ *
+ * Each traced call produces one event:
+ *
+ *   {
+ *     op,          // method without "Sync", e.g. "readFile", "open"
+ *     api,         // "sync" | "callback" | "promise" | "stream"
+ *     path,        // absolute path (fd calls are mapped back to their path)
+ *     dest,        // second path for rename/link/copyFile/symlink
+ *     fd,          // descriptor for fd-based calls, or the one open() returned
+ *     flags,       // open flags, when the call has them
+ *     bytes,       // bytes read or written, when known
+ *     start,       // performance.now() when the call began
+ *     duration,    // ms until it completed
+ *     errorCode,   // e.g. "ENOENT", or null
+ *     error,       // { code, message, syscall } or null
+ *   }
+ *
+ * Events are published on diagnostics_channel as `fs:<op>` (failures also
+ * on `fs:error`), delivered to filtered subscribers, kept in a ring buffer
+ * the host can dump, and folded into a per-path "touched" summary.
+ */
+
+import { Buffer } from "buffer";
+import { channel } from "../../diagnostics_channel.js";
+import { baseName, isMutating, isWriteFlag } from "./operations.js";
+
+const now = () =>
+  typeof performance !== "undefined" && performance.now ? performance.now() : Date.now();
+
+const TWO_PATHS = new Set(["rename", "link", "copyFile"]);
+
+function byteLength(data, encoding) {
+  if (typeof data === "string") return Buffer.byteLength(data, encoding || "utf8");
+  if (data && typeof data.byteLength === "number") return data.byteLength;
+  return undefined;
+}
+
+function encodingOf(options) {
+  if (typeof options === "string") return options;
+  return options && options.encoding;
+}
+
+function flagOf(options) {
+  return options && typeof options === "object" ? options.flag || options.flags : undefined;
+}
+
+function matchesPath(pattern, path) {
+  if (!path) return false;
+  if (pattern instanceof RegExp) return pattern.test(path);
+  if (typeof pattern === "function") return !!pattern(path);
+  const prefix = String(pattern).replace(/\/+$/, "");
+  return prefix === "" || path === prefix || path.startsWith(prefix + "/");
+}
+
+/**
+ * @param {object} [options]
+ * @param {number} [options.bufferSize=1000]  ring buffer capacity (0 disables it)
+ * @param {(pathLike: any) => string|null} [options.resolvePath]
+ *        maps path-likes and fds to absolute paths
+ */
+export function createTracer(options = {}) {
+  const { resolvePath = (p) => (typeof p === "string" ? p : null) } = options;
+  let capacity = options.bufferSize ?? 1000;
+  let ring = [];
+  let next = 0;
+  const subscribers = new Set();
+  const touched = new Map(); // path -> { path, reads, writes, errors }
+  const errorChannel = channel("fs:error");
+
+  // Paths are resolved when the call starts: close() would otherwise have
+  // forgotten which path its descriptor belonged to.
+  function locate(op, args) {
+    const [first, second] = args;
+    const where = {};
+    if (op === "symlink") {
+      where.path = resolvePath(second);
+      if (typeof first === "string") where.dest = first;
+      return where;
+    }
+    if (typeof first === "number") where.fd = first;
+    where.path = resolvePath(first);
+    if (TWO_PATHS.has(op)) where.dest = resolvePath(second);
+    return where;
+  }
+
+  function details(op, args, result) {
+    const event = {};
+    const [, second, third] = args;
+
+    switch (op) {
+      case "open":
+        event.flags = second ?? "r";
+        if (typeof result === "number") event.fd = result;
+        else if (result && typeof result.fd === "number") event.fd = result.fd;
+        break;
+      case "readFile":
+        event.flags = flagOf(second) ?? "r";
+        event.bytes = byteLength(result, encodingOf(second));
+        break;
+      case "writeFile":
+      case "appendFile":
+        event.flags = flagOf(third) ?? (op === "appendFile" ? "a" : "w");
+        event.bytes = byteLength(second, encodingOf(third));
+        break;
+      case "read":
+      case "write":
+        if (typeof result === "number") event.bytes = result;
+        else if (result) event.bytes = result.bytesRead ?? result.bytesWritten;
+        break;
+      case "createReadStream":
+        event.flags = flagOf(second) ?? "r";
+        if (result) event.bytes = result.bytesRead;
+        break;
+      case "createWriteStream":
+        event.flags = flagOf(second) ?? "w";
+        if (result) event.bytes = result.bytesWritten;
+        break;
+      default:
+        break;
+    }
+    return event;
+  }
+
+  function record(event) {
+    if (capacity > 0) {
+      if (ring.length < capacity) ring.push(event);
+      else ring[next] = event;
+      next = (next + 1) % capacity;
+    }
+
+    for (const path of [event.path, event.dest]) {
+      if (!path) continue;
+      let entry = touched.get(path);
+      if (!entry) {
+        entry = { path, reads: 0, writes: 0, errors: 0 };
+        touched.set(path, entry);
+      }
+      const writes = isMutating(event.op) && (event.op !== "open" || isWriteFlag(event.flags));
+      if (event.errorCode) entry.errors++;
+      else if (writes) entry.writes++;
+      else entry.reads++;
+    }
+
+    for (const sub of subscribers) {
+      if (sub.errorsOnly && !event.errorCode) continue;
+      if (sub.ops && !sub.ops.has(event.op)) continue;
+      if (sub.paths && !sub.paths.some((p) => matchesPath(p, event.path) || matchesPath(p, event.dest))) {
+        continue;
+      }
+      try {
+        sub.listener(event);
+      } catch (err) {
+        console.error("Error in fs trace subscriber:", err);
+      }
+    }
+
+    const opChannel = channel(`fs:${event.op}`);
+    if (opChannel.hasSubscribers) opChannel.publish(event);
+    if (event.errorCode && errorChannel.hasSubscribers) errorChannel.publish(event);
+  }
+
+  return {
+    /**
+     * Starts timing a call. Returns an opaque span for end().
+     * @param {string} key   fs method name (any of the sync/callback/promise forms)
+     * @param {string} api   "sync" | "callback" | "promise" | "stream"
+     * @param {Array} args   the call's arguments (callback excluded)
+     */
+    start(key, api, args) {
+      const op = baseName(key);
+      return { op, api, args, where: locate(op, args), start: now() };
+    },
+
+    /** Completes a span with the call's result or error and records it. */
+    end(span, result, error) {
+      const event = {
+        op: span.op,
+        api: span.api,
+        ...span.where,
+        ...details(span.op, span.args, error ? undefined : result),
+        start: span.start,
+        duration: now() - span.start,
+        errorCode: error ? error.code || "UNKNOWN" : null,
+        error: error
+          ? { code: error.code, message: error.message, syscall: error.syscall }
+          : null,
+      };
+      record(event);
+      return event;
+    },
+
+    /**
+     * Delivers matching events to `listener`.
+     * @param {(event: object) => void} listener
+     * @param {object} [filter]
+     * @param {Array<string|RegExp|Function>} [filter.paths]  path prefixes, patterns or predicates
+     * @param {string[]} [filter.ops]                         e.g. ["readFile", "open"]
+     * @param {boolean} [filter.errorsOnly]
+     * @returns {() => void} unsubscribe
+     */
+    subscribe(listener, filter = {}) {
+      const sub = {
+        listener,
+        paths: filter.paths ? [].concat(filter.paths) : null,
+        ops: filter.ops ? new Set(filter.ops) : null,
+        errorsOnly: !!filter.errorsOnly,
+      };
+      subscribers.add(sub);
+      return () => subscribers.delete(sub);
+    },
+
+    unsubscribe(listener) {
+      for (const sub of subscribers) {
+        if (sub.listener === listener) subscribers.delete(sub);
+      }
+    },
+
+    /** Buffered events, oldest first; optionally only those under `path`. */
+    dump(path) {
+      const ordered = ring.length < capacity ? ring.slice() : [...ring.slice(next), ...ring.slice(0, next)];
+      return path === undefined
+        ? ordered
+        : ordered.filter((e) => matchesPath(path, e.path) || matchesPath(path, e.dest));
+    },
+
+    /** Per-path read/write/error counts — "files touched by this run". */
+    touched() {
+      return [...touched.values()]
+        .map((e) => ({ ...e }))
+        .sort((a, b) => (a.path < b.path ? -1 : a.path > b.path ? 1 : 0));
+    },
+
+    /** Empties the ring buffer and the touched summary. */
+    clear() {
+      ring = [];
+      next = 0;
+      touched.clear();
+    },
+
+    /** Changes the ring buffer capacity, keeping the newest events. */
+    setBufferSize(size) {
+      const kept = size > 0 ? this.dump().slice(-size) : [];
+      capacity = size;
+      ring = kept;
+      next = size > 0 ? kept.length % size : 0;
+    },
+  };
+}
@@ -0,0 +1,315 @@
+/**
+ * Change-notification bus and the watchers built on it.
+ *
+ * The fs singleton reports every successful mutation to the bus as
+ * `{ eventType: "rename" | "change", path }` with an absolute path. Hosts
+ * that change files behind the fs API's back (host mounts, direct volume
+ * writes, an editor in the parent frame) call notify() themselves so
+ * sandboxed watchers still fire.
+ *
+ * fs.watch, fs.watchFile and fs.promises.watch are implemented on top of the
+ * bus instead of memfs's inode listeners, so they behave the same for every
+ * mount type.
+ */
+
+import { EventEmitter } from "events";
+import { Buffer } from "buffer";
+import errors from "../errors.js";
+import { isWithin } from "./entries.js";
+
+const defer =
+  typeof setImmediate === "function" ? setImmediate : (fn) => setTimeout(fn, 0);
+
+function basename(p) {
+  return p === "/" ? "/" : p.slice(p.lastIndexOf("/") + 1);
+}
+
+/**
+ * Filename fs.watch reports for an `eventType` event on `path` when watching
+ * `watched`, or null when the event is outside the watch. Removing or
+ * renaming a directory above the watched path takes it away too, which
+ * Node reports as a rename of the watched name.
+ */
+function relativeName(watched, eventType, path, recursive) {
+  if (path === watched) return basename(watched);
+  if (isWithin(path, watched)) return eventType === "rename" ? basename(watched) : null;
+  if (!isWithin(watched, path)) return null;
+  const rest = path.slice(watched === "/" ? 1 : watched.length + 1);
+  if (!recursive && rest.includes("/")) return null;
+  return rest;
+}
+
+function normalizeOptions(options) {
+  if (typeof options === "string") return { encoding: options };
+  return options || {};
+}
+
+// ── Bus ───────────────────────────────────────────────────────────────────────
+
+export function createChangeBus() {
+  const listeners = new Set();
+
+  return {
+    /**
+     * Reports a change. `info.external` marks changes made outside the fs API.
+     * @param {"rename"|"change"} eventType
+     * @param {string} path absolute path
+     * @param {object} [info]
+     */
+    notify(eventType, path, info = {}) {
+      const event = { eventType, path, ...info };
+      for (const listener of [...listeners]) {
+        try {
+          listener(event);
+        } catch (err) {
+          console.error("Error in fs change listener:", err);
+        }
+      }
+    },
+
+    /** Registers a listener; returns a function that removes it. */
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+
+    get listenerCount() {
+      return listeners.size;
+    },
+  };
+}
+
+// ── Watchers ──────────────────────────────────────────────────────────────────
+
+export class FSWatcher extends EventEmitter {
+  constructor(bus, path, options) {
+    super();
+    this._encoding = options.encoding || "utf8";
+    this._closed = false;
+    this._unsubscribe = bus.subscribe(({ eventType, path: changed }) => {
+      const name = relativeName(path, eventType, changed, !!options.recursive);
+      if (name === null) return;
+      const filename = this._encoding === "buffer" ? Buffer.from(name) : name;
+      defer(() => {
+        if (!this._closed) this.emit("change", eventType, filename);
+      });
+    });
+  }
+
+  close() {
+    if (this._closed) return;
+    this._closed = true;
+    this._unsubscribe();
+    defer(() => this.emit("close"));
+  }
+
+  ref() {
+    return this;
+  }
+
+  unref() {
+    return this;
+  }
+}
+
+export class StatWatcher extends EventEmitter {
+  constructor(bus, path, statOrEmpty) {
+    super();
+    this._prev = statOrEmpty(path);
+    this._unsubscribe = bus.subscribe(({ path: changed }) => {
+      // The file is affected when it, or a directory above it, changed.
+      if (!isWithin(changed, path)) return;
+      defer(() => {
+        const curr = statOrEmpty(path);
+        const prev = this._prev;
+        if (
+          curr.mtimeMs === prev.mtimeMs &&
+          curr.size === prev.size &&
+          curr.ino === prev.ino &&
+          curr.mode === prev.mode &&
+          curr.nlink === prev.nlink
+        ) {
+          return;
+        }
+        this._prev = curr;
+        this.emit("change", curr, prev);
+      });
+    });
+  }
+
+  stop() {
+    this._unsubscribe();
+    this.emit("stop");
+  }
+
+  ref() {
+    return this;
+  }
+
+  unref() {
+    return this;
+  }
+}
+
+/**
+ * Builds fs.watch / fs.watchFile / fs.unwatchFile / fs.promises.watch.
+ * @param {object} deps
+ * @param {ReturnType<typeof createChangeBus>} deps.bus
+ * @param {(pathLike: any) => string} deps.resolve  absolute path for a path-like
+ * @param {(path: string) => object} deps.stat      throws for missing paths
+ * @param {Function} deps.Stats                     Stats class for zeroed stats
+ */
+export function createWatchApi({ bus, resolve, stat, Stats }) {
+  const statWatchers = new Map(); // path -> StatWatcher
+
+  const zeroStats = () => {
+    const stats = Object.create(Stats.prototype);
+    for (const key of ["dev", "mode", "nlink", "uid", "gid", "rdev", "blksize", "ino", "size", "blocks"]) {
+      stats[key] = 0;
+    }
+    for (const key of ["atime", "mtime", "ctime", "birthtime"]) {
+      stats[key] = new Date(0);
+      stats[`${key}Ms`] = 0;
+    }
+    return stats;
+  };
+
+  const statOrEmpty = (path) => {
+    try {
+      return stat(path);
+    } catch {
+      return zeroStats();
+    }
+  };
+
+  function watch(filename, options, listener) {
+    if (typeof options === "function") {
+      listener = options;
+      options = {};
+    }
+    options = normalizeOptions(options);
+
+    const path = resolve(filename);
+    stat(path); // ENOENT for missing paths, like Node
+
+    const watcher = new FSWatcher(bus, path, options);
+    if (listener) watcher.on("change", listener);
+
+    const { signal } = options;
+    if (signal) {
+      if (signal.aborted) defer(() => watcher.close());
+      else signal.addEventListener("abort", () => watcher.close(), { once: true });
+    }
+    return watcher;
+  }
+
+  function watchFile(filename, options, listener) {
+    if (typeof options === "function") {
+      listener = options;
+      options = {};
+    }
+    const path = resolve(filename);
+    let watcher = statWatchers.get(path);
+    if (!watcher) {
+      watcher = new StatWatcher(bus, path, statOrEmpty);
+      statWatchers.set(path, watcher);
+    }
+    watcher.on("change", listener);
+    return watcher;
+  }
+
+  function unwatchFile(filename, listener) {
+    const path = resolve(filename);
+    const watcher = statWatchers.get(path);
+    if (!watcher) return;
+    if (typeof listener === "function") watcher.removeListener("change", listener);
+    else watcher.removeAllListeners("change");
+    if (watcher.listenerCount("change") === 0) {
+      watcher.stop();
+      statWatchers.delete(path);
+    }
+  }
+
+  /** fs.promises.watch — an async iterator of { eventType, filename }. */
+  function watchAsync(filename, options) {
+    options = normalizeOptions(options);
+    const { signal } = options;
+    const queue = [];
+    let waiting = null;
+    let done = false;
+    let failure = null;
+    let watcher = null;
+
+    const settle = () => {
+      if (!waiting) return;
+      const { resolve: ok, reject } = waiting;
+      waiting = null;
+      if (queue.length) ok({ value: queue.shift(), done: false });
+      else if (failure) {
+        const err = failure;
+        failure = null;
+        reject(err);
+      }
+      else ok({ value: undefined, done: true });
+    };
+
+    const finish = (err) => {
+      if (done) return;
+      done = true;
+      failure = err || null;
+      if (watcher) watcher.close();
+      settle();
+    };
+
+    if (signal && signal.aborted) {
+      finish(new errors.AbortError(undefined, { cause: signal.reason }));
+    } else {
+      try {
+        watcher = watch(filename, { ...options, signal: undefined });
+        watcher.on("change", (eventType, name) => {
+          queue.push({ eventType, filename: name });
+          settle();
+        });
+        if (signal) {
+          signal.addEventListener(
+            "abort",
+            () => finish(new errors.AbortError(undefined, { cause: signal.reason })),
+            { once: true }
+          );
+        }
+      } catch (err) {
+        finish(err);
+      }
+    }
+
+    return {
+      next() {
+        if (queue.length) return Promise.resolve({ value: queue.shift(), done: false });
+        if (done) {
+          if (failure) {
+            const err = failure;
+            failure = null;
+            return Promise.reject(err);
+          }
+          return Promise.resolve({ value: undefined, done: true });
+        }
+        return new Promise((resolve, reject) => {
+          waiting = { resolve, reject };
+        });
+      },
+      return() {
+        finish();
+        return Promise.resolve({ value: undefined, done: true });
+      },
+      throw(err) {
+        finish();
+        return Promise.reject(err);
+      },
+      [Symbol.asyncIterator]() {
+        return this;
+      },
+    };
+  }
+
+  return { watch, watchFile, unwatchFile, watchAsync };
+}
@@ -0,0 +1,396 @@
+/**
+ * Loopback routing: requests the program makes to a server it started itself.
+ *
+ * A request for localhost, 127.x.x.x, 0.0.0.0 or ::1 on a port where an
+ * http.Server of this runtime listens never leaves the sandbox — it is handed
+ * to that server's dispatchRequest(), and the response it streams comes back
+ * as the caller expects it: an IncomingMessage for http.request() (see
+ * ClientRequest in ../../http.js), a Response for fetch(), the usual states
+ * and events for XMLHttpRequest. fetch() also takes Request objects, stream
+ * bodies sent with `duplex: 'half'` and undici's `dispatcher` option (which
+ * is ignored), so code written against undici's fetch reaches the server too.
+ *
+ * Requests for any other address go on to the fetch and XMLHttpRequest this
+ * wraps: the network policy's (./outbound.js), then the browser's.
+ */
+
+import { Buffer } from 'buffer';
+import { Readable } from 'stream';
+import { isLoopbackHost } from '../net/policy.js';
+import { readChunks, toWebStream } from './streams.js';
+
+const REDIRECT_STATUSES = new Set([301, 302, 303, 307, 308]);
+const NULL_BODY_STATUSES = new Set([101, 103, 204, 205, 304]);
+const MAX_REDIRECTS = 20;
+
+export { isLoopbackHost };
+
+/**
+ * The in-sandbox server `url` points at, if any.
+ * @param {URL|string} url
+ * @param {(port: number) => object|undefined} getServer - the http server registry
+ */
+export function loopbackServer(url, getServer) {
+  let target;
+  try {
+    target = url instanceof URL ? url : new URL(url);
+  } catch {
+    return undefined;
+  }
+  if ((target.protocol !== 'http:' && target.protocol !== 'https:') || !isLoopbackHost(target.hostname)) return undefined;
+  return getServer(Number(target.port || (target.protocol === 'https:' ? 443 : 80)));
+}
+
+/** Node's header object for [name, value, ...] pairs. */
+export function headersFromRaw(rawHeaders) {
+  const headers = {};
+  for (let i = 0; i < rawHeaders.length; i += 2) {
+    const name = rawHeaders[i].toLowerCase();
+    const value = rawHeaders[i + 1];
+    if (name === 'set-cookie') (headers[name] ??= []).push(value);
+    else headers[name] = name in headers ? `${headers[name]}, ${value}` : value;
+  }
+  return headers;
+}
+
+const abortReason = (signal) => signal.reason ?? new DOMException('This operation was aborted', 'AbortError');
+
+/**
+ * Hands one request to `server` and settles once its handler sends the head:
+ * `{ statusCode, statusMessage, headers, rawHeaders, body, rawTrailers }`,
+ * `body` a Readable of the response as it is written. Rejects with the
+ * handler's error, or with the abort reason once `signal` aborts; an abort
+ * after the head destroys `body` with it.
+ */
+export function dispatch(server, { method, path, headers, body = null, signal }) {
+  if (signal?.aborted) return Promise.reject(abortReason(signal));
+  const response = server.dispatchRequest(method, path, headers, body);
+  if (!signal) return response;
+  return new Promise((resolve, reject) => {
+    let result = null;
+    const onAbort = () => {
+      if (result) result.body.destroy(abortReason(signal));
+      else reject(abortReason(signal));
+    };
+    signal.addEventListener('abort', onAbort, { once: true });
+    response.then(
+      (value) => {
+        if (signal.aborted) return value.body.destroy();
+        result = value;
+        value.body.once('close', () => signal.removeEventListener('abort', onAbort));
+        resolve(value);
+      },
+      (err) => {
+        signal.removeEventListener('abort', onAbort);
+        reject(err);
+      },
+    );
+  });
+}
+
+// What a client adds before a request goes out: Host, and the length of a
+// body, or chunked encoding for one still being sent.
+function requestHeaders(url, pairs, body) {
+  const headers = headersFromRaw(pairs.flat());
+  headers.host ??= url.host;
+  if (body && headers['content-length'] === undefined && headers['transfer-encoding'] === undefined) {
+    if (body instanceof Readable) headers['transfer-encoding'] = 'chunked';
+    else if (body.length) headers['content-length'] = String(body.length);
+  }
+  return headers;
+}
+
+function toResponse(result, url, method) {
+  const headers = new Headers();
+  const { rawHeaders } = result;
+  for (let i = 0; i < rawHeaders.length; i += 2) headers.append(rawHeaders[i], rawHeaders[i + 1]);
+  const nullBody = method === 'HEAD' || NULL_BODY_STATUSES.has(result.statusCode);
+  if (nullBody) result.body.destroy();
+  const response = new Response(nullBody ? null : toWebStream(result.body), {
+    status: result.statusCode,
+    statusText: result.statusMessage ?? '',
+    headers,
+  });
+  Object.defineProperty(response, 'url', { value: url.href });
+  return response;
+}
+
+const fetchFailed = (cause) => new TypeError('fetch failed', { cause });
+
+/**
+ * `fetch` answering loopback requests from the server registry and passing
+ * everything else on. Redirects are followed as fetch does, to the network
+ * when the new location is not one of ours.
+ */
+export function createLoopbackFetch(fetch, getServer) {
+  return async function loopbackFetch(input, init) {
+    let url;
+    try {
+      url = new URL(input instanceof URL || typeof input !== 'object' || input === null ? input : input.url);
+    } catch {
+      return fetch.call(this, input, init);
+    }
+    let server = loopbackServer(url, getServer);
+    if (!server) return fetch.call(this, input, init);
+
+    const request = new Request(input, init);
+    const { signal, redirect } = request;
+    let method = request.method;
+    let pairs = [...request.headers];
+    // Bodies fetch knows whole go with their length; the others, stream
+    // bodies among them, reach the server as the page sends them
+    const sized = init?.body != null && !(init.body instanceof ReadableStream);
+    let body = null;
+    if (request.body) body = sized ? Buffer.from(await request.arrayBuffer()) : Readable.from(readChunks(request.body));
+
+    for (let redirects = 0; ; redirects++) {
+      let response;
+      try {
+        const result = await dispatch(server, {
+          method,
+          path: url.pathname + url.search,
+          headers: requestHeaders(url, pairs, body),
+          body,
+          signal,
+        });
+        response = toResponse(result, url, method);
+      } catch (err) {
+        if (signal.aborted) throw abortReason(signal);
+        throw fetchFailed(err);
+      }
+      if (redirects) Object.defineProperty(response, 'redirected', { value: true });
+
+      const location = response.headers.get('location');
+      if (!REDIRECT_STATUSES.has(response.status) || location === null || redirect === 'manual') return response;
+      await response.body?.cancel();
+      if (redirect === 'error') throw fetchFailed(new Error('unexpected redirect'));
+      if (redirects === MAX_REDIRECTS) throw fetchFailed(new Error('redirect count exceeded'));
+
+      url = new URL(location, url);
+      if (response.status === 303 ? method !== 'HEAD' : method === 'POST' && response.status < 303) {
+        method = 'GET';
+        body = null;
+        pairs = pairs.filter(([name]) => !/^content-/i.test(name));
+      }
+      // As fetch, which cannot send a stream twice
+      if (body instanceof Readable) throw fetchFailed(new Error('cannot follow a redirect with a streamed body'));
+      server = loopbackServer(url, getServer);
+      if (!server) {
+        const outside = await fetch.call(this, url, { method, headers: pairs, body, signal, redirect });
+        Object.defineProperty(outside, 'redirected', { value: true });
+        return outside;
+      }
+    }
+  };
+}
+
+
+const UNSENT = 0;
+const OPENED = 1;
+const HEADERS_RECEIVED = 2;
+const LOADING = 3;
+const DONE = 4;
+
+/**
+ * An XMLHttpRequest that answers loopback requests from the server registry
+ * and leaves every other one to `XMLHttpRequest`, the class it extends.
+ * Loopback requests are asynchronous only, as the server answers in a later
+ * task; opening one with `async` false throws.
+ */
+export function createLoopbackXMLHttpRequest(XMLHttpRequest, getServer) {
+  return class LoopbackXMLHttpRequest extends XMLHttpRequest {
+    _loopback = null;
+
+    open(method, url, async = true, ...credentials) {
+      const server = loopbackServer(url, getServer);
+      if (!server) {
+        this._loopback = null;
+        return super.open(method, url, async, ...credentials);
+      }
+      if (!async) {
+        throw new DOMException('Synchronous requests to a server in the sandbox are not supported', 'InvalidAccessError');
+      }
+      this._loopback?.controller?.abort();
+      this._loopback = {
+        server,
+        url: new URL(url),
+        method: String(method).toUpperCase(),
+        headers: [],
+        readyState: OPENED,
+        result: null,
+        chunks: [],
+        controller: null,
+      };
+      this._fire('readystatechange');
+    }
+
+    setRequestHeader(name, value) {
+      if (!this._loopback) return super.setRequestHeader(name, value);
+      if (this._loopback.readyState !== OPENED || this._loopback.controller) {
+        throw new DOMException('The object is in an invalid state.', 'InvalidStateError');
+      }
+      this._loopback.headers.push([String(name), String(value)]);
+    }
+
+    send(body = null) {
+      const loopback = this._loopback;
+      if (!loopback) return super.send(body);
+      if (loopback.readyState !== OPENED || loopback.controller) {
+        throw new DOMException('The object is in an invalid state.', 'InvalidStateError');
+      }
+      const controller = (loopback.controller = new AbortController());
+      const timeout = this.timeout ? setTimeout(() => controller.abort('timeout'), this.timeout) : null;
+      this._fire('loadstart');
+
+      (async () => {
+        let payload = null;
+        if (body !== null && loopback.method !== 'GET' && loopback.method !== 'HEAD') {
+          const encoded = new Response(body);
+          payload = Buffer.from(await encoded.arrayBuffer());
+          const type = encoded.headers.get('content-type');
+          if (type && !loopback.headers.some(([name]) => name.toLowerCase() === 'content-type')) {
+            loopback.headers.push(['content-type', type]);
+          }
+        }
+        const result = await dispatch(loopback.server, {
+          method: loopback.method,
+          path: loopback.url.pathname + loopback.url.search,
+          headers: requestHeaders(loopback.url, loopback.headers, payload),
+          body: payload,
+          signal: controller.signal,
+        });
+        if (this._loopback !== loopback) return result.body.destroy();
+        loopback.result = result;
+        loopback.readyState = HEADERS_RECEIVED;
+        this._fire('readystatechange');
+        for await (const chunk of result.body) {
+          loopback.chunks.push(chunk);
+          if (loopback.readyState === HEADERS_RECEIVED) {
+            loopback.readyState = LOADING;
+            this._fire('readystatechange');
+          }
+          this._fire('progress');
+        }
+      })().then(
+        () => {
+          clearTimeout(timeout);
+          if (this._loopback !== loopback) return;
+          loopback.readyState = DONE;
+          this._fire('readystatechange');
+          this._fire('load');
+          this._fire('loadend');
+        },
+        () => {
+          clearTimeout(timeout);
+          if (this._loopback !== loopback || loopback.readyState === DONE) return;
+          // A network error: whatever arrived is discarded
+          Object.assign(loopback, { readyState: DONE, result: null, chunks: [] });
+          this._fire('readystatechange');
+          this._fire(controller.signal.reason === 'timeout' ? 'timeout' : 'error');
+          this._fire('loadend');
+        },
+      );
+    }
+
+    abort() {
+      const loopback = this._loopback;
+      if (!loopback) return super.abort();
+      if (!loopback.controller || loopback.readyState === DONE) {
+        loopback.readyState = UNSENT;
+        return;
+      }
+      loopback.readyState = DONE;
+      loopback.controller.abort();
+      this._fire('readystatechange');
+      this._fire('abort');
+      this._fire('loadend');
+      loopback.readyState = UNSENT;
+    }
+
+    get readyState() {
+      return this._loopback ? this._loopback.readyState : super.readyState;
+    }
+
+    get status() {
+      return this._loopback ? this._loopback.result?.statusCode ?? 0 : super.status;
+    }
+
+    get statusText() {
+      return this._loopback ? this._loopback.result?.statusMessage ?? '' : super.statusText;
+    }
+
+    get responseURL() {
+      return this._loopback ? this._loopback.url.href : super.responseURL;
+    }
+
+    getResponseHeader(name) {
+      if (!this._loopback) return super.getResponseHeader(name);
+      const value = this._responseHeaders()[String(name).toLowerCase()];
+      return value === undefined ? null : [].concat(value).join(', ');
+    }
+
+    getAllResponseHeaders() {
+      if (!this._loopback) return super.getAllResponseHeaders();
+      return Object.entries(this._responseHeaders())
+        .sort(([a], [b]) => (a < b ? -1 : 1))
+        .map(([name, value]) => `${name}: ${[].concat(value).join(', ')}\r\n`)
+        .join('');
+    }
+
+    get responseText() {
+      if (!this._loopback) return super.responseText;
+      if (this.responseType !== '' && this.responseType !== 'text') {
+        throw new DOMException(`The value is only accessible if the object's 'responseType' is '' or 'text'.`, 'InvalidStateError');
+      }
+      return Buffer.concat(this._loopback.chunks).toString('utf8');
+    }
+
+    get response() {
+      if (!this._loopback) return super.response;
+      if (this.responseType === '' || this.responseType === 'text') return this.responseText;
+      const { chunks, readyState } = this._loopback;
+      if (readyState !== DONE) return null;
+      const body = Buffer.concat(chunks);
+      switch (this.responseType) {
+        case 'json':
+          try {
+            return JSON.parse(body.toString('utf8'));
+          } catch {
+            return null;
+          }
+        case 'arraybuffer':
+          return body.buffer.slice(body.byteOffset, body.byteOffset + body.byteLength);
+        case 'blob':
+          return new Blob([body], { type: this.getResponseHeader('content-type') ?? '' });
+        default:
+          return null;
+      }
+    }
+
+    // Response headers once received; Set-Cookie stays hidden as in browsers.
+    _responseHeaders() {
+      const { result, readyState } = this._loopback;
+      if (!result || readyState < HEADERS_RECEIVED) return {};
+      const { 'set-cookie': _, ...headers } = headersFromRaw(result.rawHeaders);
+      return headers;
+    }
+
+    _fire(type) {
+      this.dispatchEvent(typeof ProgressEvent === 'function' ? new ProgressEvent(type) : new Event(type));
+    }
+  };
+}
+
+/**
+ * Puts the loopback fetch and XMLHttpRequest on `target`, leaving out the
+ * ones the sandbox policy hides.
+ */
+export function installLoopback(getServer, target = globalThis) {
+  const hidden = target._RUNTIME_?.__SANDBOX_POLICY__?.policy.hide ?? [];
+  if (!hidden.includes('fetch') && typeof target.fetch === 'function') {
+    target.fetch = createLoopbackFetch(target.fetch, getServer);
+  }
+  if (!hidden.includes('XMLHttpRequest') && typeof target.XMLHttpRequest === 'function') {
+    target.XMLHttpRequest = createLoopbackXMLHttpRequest(target.XMLHttpRequest, getServer);
+  }
+}
@@ -0,0 +1,140 @@
+/**
+ * The network policy (../net/policy.js) for the sandbox's own fetch() and
+ * XMLHttpRequest: requests to hosts the policy denies, or made offline,
+ * fail as the browser reports network errors; the others go out through
+ * the proxy it picks, with its headers set or removed.
+ *
+ * fetch() failures are undici's: a TypeError "fetch failed" whose `cause`
+ * is the Node error (ENOTFOUND, ECONNREFUSED, ERR_ACCESS_DENIED). Calls
+ * are published on diagnostics_channel as `undici:request:create` and,
+ * when they fail, `undici:request:error`.
+ *
+ * Redirects the browser follows are not checked again.
+ *
+ * Installed once, by the globals bundle before sandboxed code runs, so
+ * every request the sandbox makes passes through it exactly once; http
+ * requests included (http.js only refuses them itself, to fail as Node).
+ */
+
+import { channel } from '../../diagnostics_channel.js';
+import { networkPolicy, urlTarget } from '../net/policy.js';
+
+const createChannel = channel('undici:request:create');
+const errorChannel = channel('undici:request:error');
+
+function requestUrl(input) {
+  const url = String(input instanceof URL || typeof input !== 'object' || input === null ? input : input.url);
+  try {
+    return new URL(url);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * A fetch that applies the network policy before handing requests to
+ * `fetch`, the one it wraps.
+ * @param {typeof fetch} fetch
+ * @param {() => object} [getPolicy] - the policy in force
+ */
+export function createPolicyFetch(fetch, getPolicy = networkPolicy) {
+  return async function policyFetch(input, init) {
+    const url = requestUrl(input);
+    if (!url) return fetch.call(this, input, init);
+
+    const policy = getPolicy();
+    const target = urlTarget(url);
+    const request = {
+      origin: url.origin,
+      method: String(init?.method ?? input?.method ?? 'GET').toUpperCase(),
+      path: url.pathname + url.search,
+    };
+    createChannel.publish({ request });
+
+    // data:, blob: and the like stay in the browser
+    if (!target) return fetch.call(this, input, init);
+    const error = policy.connectError(target.host, target.port);
+    if (error) {
+      const failure = new TypeError('fetch failed', { cause: error });
+      errorChannel.publish({ request, error: failure });
+      throw failure;
+    }
+
+    const changes = policy.headersFor(url.href);
+    const rewritten = policy.rewrite(url.href);
+    if (!changes.length && rewritten === url.href) return fetch.call(this, input, init);
+
+    const headers = new Headers(init?.headers ?? (input instanceof Request ? input.headers : undefined));
+    for (const [name, value] of changes) {
+      if (value === null) headers.delete(name);
+      else headers.set(name, value);
+    }
+    let next = input;
+    if (rewritten !== url.href) next = input instanceof Request ? new Request(rewritten, input) : rewritten;
+    return fetch.call(this, next, { ...init, headers });
+  };
+}
+
+/**
+ * An XMLHttpRequest that applies the network policy when opened: denied
+ * requests end in an `error` event when sent, the others are opened on
+ * the proxied URL with the policy's headers.
+ */
+export function createPolicyXMLHttpRequest(XMLHttpRequest, getPolicy = networkPolicy) {
+  return class PolicyXMLHttpRequest extends XMLHttpRequest {
+    _policy = null;
+
+    open(method, url, ...rest) {
+      let absolute;
+      try {
+        absolute = new URL(url, globalThis.location?.href).href;
+      } catch {
+        this._policy = null;
+        return super.open(method, url, ...rest);
+      }
+      const policy = getPolicy();
+      const target = urlTarget(absolute);
+      this._policy = {
+        error: target && policy.connectError(target.host, target.port),
+        headers: target ? policy.headersFor(absolute) : [],
+      };
+      return super.open(method, target ? policy.rewrite(absolute) : absolute, ...rest);
+    }
+
+    setRequestHeader(name, value) {
+      // Headers the policy sets or removes are left to it
+      if (this._policy?.headers.some(([header]) => header === String(name).toLowerCase())) return;
+      return super.setRequestHeader(name, value);
+    }
+
+    send(body) {
+      const state = this._policy;
+      if (!state?.error) {
+        for (const [name, value] of state?.headers ?? []) {
+          if (value !== null) super.setRequestHeader(name, value);
+        }
+        return super.send(body);
+      }
+      // A network error, reported a task later as the browser does
+      setTimeout(() => {
+        for (const type of ['error', 'loadend']) {
+          this.dispatchEvent(typeof ProgressEvent === 'function' ? new ProgressEvent(type) : new Event(type));
+        }
+      });
+    }
+  };
+}
+
+/**
+ * Puts the policy's fetch and XMLHttpRequest on `target`, leaving out the
+ * ones the sandbox policy hides.
+ */
+export function installOutbound(target = globalThis) {
+  const hidden = target._RUNTIME_?.__SANDBOX_POLICY__?.policy.hide ?? [];
+  if (!hidden.includes('fetch') && typeof target.fetch === 'function') {
+    target.fetch = createPolicyFetch(target.fetch);
+  }
+  if (!hidden.includes('XMLHttpRequest') && typeof target.XMLHttpRequest === 'function') {
+    target.XMLHttpRequest = createPolicyXMLHttpRequest(target.XMLHttpRequest);
+  }
+}
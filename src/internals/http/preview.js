@@ -0,0 +1,80 @@
+/**
+ * The preview bridge: browser tabs talking to http.Servers in the sandbox.
+ *
+ * A service worker (./previewWorker.js) answers requests for
+ * `/__vfs_port__/<port>/<path>` — or whatever its `prefix` or `route` maps —
+ * by forwarding them over a BroadcastChannel to the sandbox, where
+ * ./previewBridge.js hands them to the server listening on that port. Pages
+ * served that way get a small script that sends their WebSockets the same
+ * way, to the server's 'upgrade' listeners (the ws shim's WebSocketServer).
+ *
+ *   worker → sandbox                         sandbox → worker
+ *   PORTS                                    LISTENING / CLOSED { port }
+ *   REQUEST { id, port, method, url,         RESPONSE_HEAD { id, status,
+ *             rawHeaders, body }                       statusText, rawHeaders }
+ *   REQUEST_BODY { id, chunk }               RESPONSE_BODY { id, chunk }
+ *   REQUEST_END / REQUEST_ABORT { id }       RESPONSE_END { id }
+ *                                            RESPONSE_ERROR { id, message }
+ *   page → sandbox                           sandbox → page
+ *   UPGRADE { id, port, url, rawHeaders }    WS_OPEN { id, protocol }
+ *   WS_SEND { id, data }                     WS_MESSAGE { id, data }
+ *   WS_CLIENT_CLOSE { id, code, reason }     WS_CLOSE { id, code, reason }
+ *
+ * `body` tells whether REQUEST_BODY chunks follow; `chunk` is a Uint8Array.
+ * Only the sandbox with a server on the port answers, so several sandboxes
+ * can share the channel. The host hears of servers through postToHost():
+ * SERVER_LISTENING and SERVER_CLOSED, with the port and its preview path.
+ */
+
+export const PREVIEW_CHANNEL = 'vfs-preview';
+export const DEFAULT_PREFIX = '/__vfs_port__/';
+
+export const MESSAGES = Object.freeze({
+  PORTS: 'PREVIEW_PORTS',
+  LISTENING: 'PREVIEW_LISTENING',
+  CLOSED: 'PREVIEW_CLOSED',
+
+  REQUEST: 'PREVIEW_REQUEST',
+  REQUEST_BODY: 'PREVIEW_REQUEST_BODY',
+  REQUEST_END: 'PREVIEW_REQUEST_END',
+  REQUEST_ABORT: 'PREVIEW_REQUEST_ABORT',
+  RESPONSE_HEAD: 'PREVIEW_RESPONSE_HEAD',
+  RESPONSE_BODY: 'PREVIEW_RESPONSE_BODY',
+  RESPONSE_END: 'PREVIEW_RESPONSE_END',
+  RESPONSE_ERROR: 'PREVIEW_RESPONSE_ERROR',
+
+  UPGRADE: 'PREVIEW_UPGRADE',
+  WS_OPEN: 'PREVIEW_WS_OPEN',
+  WS_SEND: 'PREVIEW_WS_SEND',
+  WS_MESSAGE: 'PREVIEW_WS_MESSAGE',
+  WS_CLIENT_CLOSE: 'PREVIEW_WS_CLIENT_CLOSE',
+  WS_CLOSE: 'PREVIEW_WS_CLOSE',
+});
+
+export const HOST_MESSAGES = Object.freeze({
+  SERVER_LISTENING: 'PARENT_SERVER_LISTENING',
+  SERVER_CLOSED: 'PARENT_SERVER_CLOSED',
+});
+
+/** `prefix` with one leading and one trailing slash. */
+export function normalizePrefix(prefix = DEFAULT_PREFIX) {
+  return `/${String(prefix).replace(/^\/+|\/+$/g, '')}/`.replace(/^\/\/$/, '/');
+}
+
+/** The path a browser opens for `port`. */
+export function previewPath(port, prefix = DEFAULT_PREFIX) {
+  return `${normalizePrefix(prefix)}${port}/`;
+}
+
+/**
+ * The port and server-side path of a preview URL, or null when `url` is
+ * not under `prefix`.
+ * @param {URL} url
+ */
+export function parsePreviewURL(url, prefix = DEFAULT_PREFIX) {
+  const base = normalizePrefix(prefix);
+  if (!url.pathname.startsWith(base)) return null;
+  const match = /^(\d{1,5})(\/.*)?$/.exec(url.pathname.slice(base.length));
+  if (!match || Number(match[1]) > 65535) return null;
+  return { port: Number(match[1]), path: (match[2] || '/') + url.search };
+}
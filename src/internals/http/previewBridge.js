@@ -0,0 +1,174 @@
+/**
+ * The sandbox end of the preview bridge (see ./preview.js): answers the
+ * service worker's requests from the http server registry, connects the
+ * preview page's WebSockets to servers' 'upgrade' listeners and tells the
+ * worker and the host which ports are listening.
+ */
+
+import { Buffer } from 'buffer';
+import { Readable } from 'stream';
+import { Socket } from '../../net.js';
+import { postToHost } from '../child_process/protocol.js';
+import { headersFromRaw } from './loopback.js';
+import { HOST_MESSAGES, MESSAGES, PREVIEW_CHANNEL, normalizePrefix, previewPath } from './preview.js';
+
+// Response bodies go to the worker in pieces of this size.
+const CHUNK_SIZE = 64 * 1024;
+
+/**
+ * Starts answering on the channel.
+ * @param {{ getServer: Function, getAllServers: Function, observeServers: Function,
+ *   IncomingMessage: Function }} http - the http module's server registry
+ * @param {{ channel?: object, prefix?: string, post?: (message: object) => void }} [options]
+ *   `channel`: a BroadcastChannel (one named PREVIEW_CHANNEL by default);
+ *   `post`: how the host is told about servers (postToHost by default)
+ * @returns {{ stop: () => void }}
+ */
+export function startPreviewBridge(http, { channel = new BroadcastChannel(PREVIEW_CHANNEL), prefix, post = postToHost } = {}) {
+  prefix = normalizePrefix(prefix);
+  const requests = new Map();
+  const sockets = new Map();
+  // Ports this sandbox told the worker about: the only ones it answers for,
+  // so that sandboxes sharing the channel leave each other's ports alone
+  const announced = new Set();
+
+  const announce = (port) => {
+    announced.add(port);
+    channel.postMessage({ type: MESSAGES.LISTENING, port });
+  };
+
+  // Alongside whatever callbacks the host set on http
+  const unobserve = http.observeServers({
+    listen(port) {
+      announce(port);
+      post({ type: HOST_MESSAGES.SERVER_LISTENING, port, path: previewPath(port, prefix) });
+    },
+    close(port) {
+      channel.postMessage({ type: MESSAGES.CLOSED, port });
+      post({ type: HOST_MESSAGES.SERVER_CLOSED, port, path: previewPath(port, prefix) });
+    },
+  });
+
+  function onMessage({ data }) {
+    switch (data?.type) {
+      case MESSAGES.PORTS:
+        for (const port of http.getAllServers().keys()) announce(port);
+        break;
+      case MESSAGES.LISTENING:
+        // Another sandbox serves it now
+        if (!http.getServer(data.port)) announced.delete(data.port);
+        break;
+      case MESSAGES.REQUEST:
+        request(data);
+        break;
+      case MESSAGES.REQUEST_BODY:
+        requests.get(data.id)?.body?.push(Buffer.from(data.chunk));
+        break;
+      case MESSAGES.REQUEST_END:
+        requests.get(data.id)?.body?.push(null);
+        break;
+      case MESSAGES.REQUEST_ABORT: {
+        const pending = requests.get(data.id);
+        requests.delete(data.id);
+        pending?.body?.destroy();
+        pending?.response?.destroy();
+        break;
+      }
+      case MESSAGES.UPGRADE:
+        upgrade(data);
+        break;
+      case MESSAGES.WS_SEND: {
+        const ws = sockets.get(data.id);
+        ws?._receiveMessage(typeof data.data === 'string' ? data.data : Buffer.from(data.data));
+        break;
+      }
+      case MESSAGES.WS_CLIENT_CLOSE:
+        sockets.get(data.id)?._receiveClose(data.code, data.reason);
+        sockets.delete(data.id);
+        break;
+    }
+  }
+
+  function request({ id, port, method, url, rawHeaders, body: hasBody }) {
+    const server = http.getServer(port);
+    if (!server) {
+      // Closed since the worker heard of it; the others are not ours
+      if (announced.has(port)) channel.postMessage({ type: MESSAGES.RESPONSE_ERROR, id, message: `No server is listening on port ${port}` });
+      return;
+    }
+    const body = hasBody ? new Readable({ read() {} }) : null;
+    const pending = { body, response: null };
+    requests.set(id, pending);
+
+    const send = (message) => {
+      if (requests.has(id)) channel.postMessage({ ...message, id });
+    };
+    const fail = (err) => {
+      send({ type: MESSAGES.RESPONSE_ERROR, message: err?.message ?? String(err) });
+      requests.delete(id);
+    };
+    server.dispatchRequest(method, url, headersFromRaw(rawHeaders), body).then(async (result) => {
+      if (!requests.has(id)) return result.body.destroy();
+      pending.response = result.body;
+      send({ type: MESSAGES.RESPONSE_HEAD, status: result.statusCode, statusText: result.statusMessage, rawHeaders: result.rawHeaders });
+      try {
+        // Each chunk goes on as the handler writes it
+        for await (const chunk of result.body) {
+          for (let offset = 0; offset < chunk.length; offset += CHUNK_SIZE) {
+            send({ type: MESSAGES.RESPONSE_BODY, chunk: new Uint8Array(chunk.subarray(offset, offset + CHUNK_SIZE)) });
+          }
+        }
+      } catch (err) {
+        return fail(err);
+      }
+      send({ type: MESSAGES.RESPONSE_END });
+      requests.delete(id);
+    }, fail);
+  }
+
+  function upgrade({ id, port, url, rawHeaders }) {
+    const server = http.getServer(port);
+    if (!server && !announced.has(port)) return;
+    if (!server || server.listenerCount('upgrade') === 0) {
+      // Node destroys the socket of an upgrade nobody handles.
+      channel.postMessage({ type: MESSAGES.WS_CLOSE, id, code: 1006, reason: '' });
+      return;
+    }
+
+    const socket = new Socket();
+    let accepted = false;
+    // Destroyed instead of upgraded: the handshake failed.
+    socket.once('close', () => {
+      if (!accepted) channel.postMessage({ type: MESSAGES.WS_CLOSE, id, code: 1006, reason: '' });
+    });
+    socket._webSocketPeer = {
+      accept(ws) {
+        accepted = true;
+        sockets.set(id, ws);
+        channel.postMessage({ type: MESSAGES.WS_OPEN, id, protocol: ws.protocol });
+      },
+      send(data) {
+        channel.postMessage({ type: MESSAGES.WS_MESSAGE, id, data: typeof data === 'string' ? data : new Uint8Array(Buffer.from(data)) });
+      },
+      close(code = 1000, reason = '') {
+        sockets.delete(id);
+        channel.postMessage({ type: MESSAGES.WS_CLOSE, id, code, reason });
+      },
+    };
+    const req = http.IncomingMessage.fromRequest('GET', url, headersFromRaw(rawHeaders), null);
+    req.socket = socket;
+    server.emit('upgrade', req, socket, Buffer.alloc(0));
+  }
+
+  channel.addEventListener('message', onMessage);
+  for (const port of http.getAllServers().keys()) announce(port);
+
+  return {
+    stop() {
+      channel.removeEventListener('message', onMessage);
+      unobserve();
+      requests.clear();
+      sockets.clear();
+    },
+  };
+}
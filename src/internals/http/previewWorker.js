@@ -0,0 +1,351 @@
+/**
+ * The service worker end of the preview bridge (see ./preview.js), bundled
+ * as RUNTIME_PREVIEW_WORKER. Registered from the host's origin — e.g.
+ * `navigator.serviceWorker.register(url + '?prefix=/__vfs_port__/')` — it
+ * answers every request under the prefix from the sandbox, and the requests
+ * of pages it served that point elsewhere on the origin (`/assets/app.js`)
+ * from the same port. Nothing else is touched.
+ *
+ * Request bodies are streamed to the sandbox and response bodies back as
+ * their chunks arrive. HTML responses get a script that sends the page's
+ * WebSockets to the sandbox too, since a service worker never sees those.
+ */
+
+import { DEFAULT_PREFIX, MESSAGES, PREVIEW_CHANNEL, normalizePrefix, parsePreviewURL } from './preview.js';
+
+const NULL_BODY_STATUSES = new Set([101, 103, 204, 205, 304]);
+
+/**
+ * Runs in preview pages, from the script tag the worker adds to their HTML:
+ * WebSockets to this origin go to the sandbox over the channel. Must not use
+ * anything from outside itself, as it is sent as source.
+ */
+function previewClient({ channel: name, prefix, port, messages }, scope) {
+  const { WebSocket: NativeWebSocket, BroadcastChannel, location } = scope;
+  if (!NativeWebSocket || !BroadcastChannel) return;
+  const CloseEvent = scope.CloseEvent ?? class extends Event {
+    constructor(type, { code, reason, wasClean }) {
+      super(type);
+      Object.assign(this, { code, reason, wasClean });
+    }
+  };
+
+  const channel = new BroadcastChannel(name);
+  const sockets = new Map();
+  let count = 0;
+
+  const target = (url) => {
+    let parsed;
+    try {
+      parsed = new URL(url, location.href);
+    } catch {
+      return null;
+    }
+    if (parsed.host !== location.host) return null;
+    if (!parsed.pathname.startsWith(prefix)) return { port, path: parsed.pathname + parsed.search };
+    const match = /^(\d{1,5})(\/.*)?$/.exec(parsed.pathname.slice(prefix.length));
+    return match && { port: Number(match[1]), path: (match[2] || '/') + parsed.search };
+  };
+
+  class BridgedWebSocket extends EventTarget {
+    constructor(url, protocols, { port, path }) {
+      super();
+      this.url = new URL(url, location.href).href.replace(/^http/, 'ws');
+      this.readyState = 0;
+      this.protocol = '';
+      this.extensions = '';
+      this.bufferedAmount = 0;
+      this.binaryType = 'blob';
+      this.onopen = this.onmessage = this.onerror = this.onclose = null;
+      this._id = `ws-${Date.now().toString(36)}-${++count}-${Math.random().toString(36).slice(2)}`;
+      this._outbox = Promise.resolve();
+      sockets.set(this._id, this);
+
+      const rawHeaders = ['host', location.host, 'upgrade', 'websocket', 'connection', 'Upgrade', 'sec-websocket-version', '13'];
+      const offered = protocols === undefined ? [] : [].concat(protocols);
+      if (offered.length) rawHeaders.push('sec-websocket-protocol', offered.join(', '));
+      channel.postMessage({ type: messages.UPGRADE, id: this._id, port, url: path, rawHeaders });
+    }
+
+    send(data) {
+      if (this.readyState === 0) {
+        throw new DOMException("Failed to execute 'send' on 'WebSocket': Still in CONNECTING state.", 'InvalidStateError');
+      }
+      if (this.readyState !== 1) return;
+      // Blobs are read first; the chain keeps messages in order.
+      this._outbox = this._outbox
+        .then(() => (data instanceof Blob ? data.arrayBuffer() : data))
+        .then((payload) => channel.postMessage({ type: messages.WS_SEND, id: this._id, data: payload }));
+    }
+
+    close(code = 1000, reason = '') {
+      if (this.readyState >= 2) return;
+      this.readyState = 2;
+      channel.postMessage({ type: messages.WS_CLIENT_CLOSE, id: this._id, code, reason });
+      this._closed(code, reason);
+    }
+
+    _receive(message) {
+      switch (message.type) {
+        case messages.WS_OPEN:
+          this.readyState = 1;
+          this.protocol = message.protocol || '';
+          this._fire(new Event('open'));
+          break;
+        case messages.WS_MESSAGE: {
+          if (this.readyState !== 1) return;
+          let { data } = message;
+          if (typeof data !== 'string') {
+            data = this.binaryType === 'blob' ? new Blob([data]) : data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength);
+          }
+          this._fire(new MessageEvent('message', { data, origin: new URL(this.url).origin }));
+          break;
+        }
+        case messages.WS_CLOSE:
+          if (message.code === 1006) this._fire(new Event('error'));
+          this._closed(message.code, message.reason);
+          break;
+      }
+    }
+
+    _closed(code, reason) {
+      if (this.readyState === 3) return;
+      this.readyState = 3;
+      sockets.delete(this._id);
+      this._fire(new CloseEvent('close', { code, reason, wasClean: code !== 1006 }));
+    }
+
+    _fire(event) {
+      this.dispatchEvent(event);
+      this[`on${event.type}`]?.call(this, event);
+    }
+  }
+  ['CONNECTING', 'OPEN', 'CLOSING', 'CLOSED'].forEach((state, value) => {
+    BridgedWebSocket[state] = BridgedWebSocket.prototype[state] = value;
+  });
+
+  channel.onmessage = ({ data }) => sockets.get(data?.id)?._receive(data);
+  scope.WebSocket = new Proxy(NativeWebSocket, {
+    construct(Native, args) {
+      const found = target(args[0]);
+      return found ? new BridgedWebSocket(args[0], args[1], found) : Reflect.construct(Native, args);
+    },
+  });
+}
+
+/** The script tag that runs previewClient() in a page served from `port`. */
+export function previewClientScript({ channel = PREVIEW_CHANNEL, prefix = DEFAULT_PREFIX, port }) {
+  const config = JSON.stringify({ channel, prefix: normalizePrefix(prefix), port, messages: MESSAGES }).replace(/</g, '\\u003c');
+  return `<script>(${previewClient})(${config}, window);</script>`;
+}
+
+// The script goes right after <head>, else after the doctype (so the page
+// keeps its standards mode), else first.
+function injectScript(chunk, script) {
+  const text = new TextDecoder('latin1').decode(chunk).toLowerCase();
+  const head = /<head(\s[^>]*)?>/.exec(text);
+  const doctype = /^\s*<!doctype[^>]*>/.exec(text);
+  const at = head ? head.index + head[0].length : doctype ? doctype[0].length : 0;
+  const tag = new TextEncoder().encode(script);
+  const out = new Uint8Array(chunk.length + tag.length);
+  out.set(chunk.subarray(0, at));
+  out.set(tag, at);
+  out.set(chunk.subarray(at), at + tag.length);
+  return out;
+}
+
+const badGateway = (message) => new Response(`${message}\n`, {
+  status: 502,
+  statusText: 'Bad Gateway',
+  headers: { 'content-type': 'text/plain; charset=utf-8' },
+});
+
+/**
+ * The worker's request handling, independent of the global scope.
+ * @param {{ channel?: object, origin?: string, prefix?: string,
+ *   route?: (url: URL) => ({ port: number, path: string } | null),
+ *   injectClient?: boolean, portTimeout?: number }} [options]
+ *   `origin`: the only origin served (the worker's); `route`: maps a URL to
+ *   a port and a path instead of `prefix`; `portTimeout`: how long a port
+ *   nobody announced yet is waited for
+ * @returns {{ onFetch: (event: FetchEvent) => boolean, ports: Set<number>, close: () => void }}
+ *   onFetch() calls event.respondWith() and returns true for the requests it answers
+ */
+export function createPreviewWorker({
+  channel = new BroadcastChannel(PREVIEW_CHANNEL),
+  origin = globalThis.location?.origin,
+  prefix = DEFAULT_PREFIX,
+  route = (url) => parsePreviewURL(url, prefix),
+  injectClient = true,
+  portTimeout = 1000,
+} = {}) {
+  const ports = new Set();
+  const portWaiters = new Map();
+  const pending = new Map();
+  const pagePorts = new Map();
+  const session = Math.random().toString(36).slice(2);
+  let count = 0;
+
+  function onMessage({ data }) {
+    const request = pending.get(data?.id);
+    switch (data?.type) {
+      case MESSAGES.LISTENING:
+        ports.add(data.port);
+        portWaiters.get(data.port)?.forEach((resolve) => resolve(true));
+        portWaiters.delete(data.port);
+        break;
+      case MESSAGES.CLOSED:
+        ports.delete(data.port);
+        break;
+      case MESSAGES.RESPONSE_HEAD:
+        if (request && !request.responded) respond(request, data);
+        break;
+      case MESSAGES.RESPONSE_BODY:
+        if (request?.controller) {
+          const chunk = request.script ? injectScript(data.chunk, request.script) : data.chunk;
+          request.script = null;
+          request.controller.enqueue(chunk);
+        }
+        break;
+      case MESSAGES.RESPONSE_END:
+        pending.delete(data.id);
+        request?.controller?.close();
+        break;
+      case MESSAGES.RESPONSE_ERROR:
+        pending.delete(data.id);
+        if (request?.controller) request.controller.error(new Error(data.message));
+        else if (request && !request.responded) request.resolve(badGateway(data.message));
+        break;
+    }
+  }
+  channel.addEventListener('message', onMessage);
+  channel.postMessage({ type: MESSAGES.PORTS });
+
+  function portReady(port) {
+    if (ports.has(port)) return Promise.resolve(true);
+    channel.postMessage({ type: MESSAGES.PORTS });
+    return new Promise((resolve) => {
+      if (!portWaiters.has(port)) portWaiters.set(port, new Set());
+      portWaiters.get(port).add(resolve);
+      setTimeout(() => {
+        portWaiters.get(port)?.delete(resolve);
+        resolve(false);
+      }, portTimeout);
+    });
+  }
+
+  function respond(request, { status, statusText, rawHeaders }) {
+    request.responded = true;
+    const headers = new Headers();
+    for (let i = 0; i < rawHeaders.length; i += 2) headers.append(rawHeaders[i], rawHeaders[i + 1]);
+    const nullBody = request.method === 'HEAD' || NULL_BODY_STATUSES.has(status);
+    // Compressed pages pass as they are: the tag would land in encoded bytes
+    const encoding = headers.get('content-encoding');
+    const plain = !encoding || encoding.trim().toLowerCase() === 'identity';
+    if (!nullBody && injectClient && plain && /^text\/html/i.test(headers.get('content-type') ?? '')) {
+      headers.delete('content-length');
+      request.script = previewClientScript({ prefix, port: request.port });
+    }
+    const body = nullBody ? null : new ReadableStream({
+      start: (controller) => { request.controller = controller; },
+      cancel: () => abort(request.id),
+    });
+    try {
+      request.resolve(new Response(body, { status, statusText, headers }));
+    } catch (err) {
+      abort(request.id);
+      request.resolve(badGateway(err.message));
+    }
+  }
+
+  function abort(id) {
+    const request = pending.get(id);
+    if (!request) return;
+    pending.delete(id);
+    channel.postMessage({ type: MESSAGES.REQUEST_ABORT, id });
+    if (!request.responded) request.resolve(Response.error());
+    else {
+      try {
+        request.controller?.error(new DOMException('The request was aborted', 'AbortError'));
+      } catch {
+        // Already cancelled by its reader.
+      }
+    }
+  }
+
+  async function sendBody(id, request) {
+    try {
+      if (request.body) {
+        const reader = request.body.getReader();
+        for (;;) {
+          const { done, value } = await reader.read();
+          if (done) break;
+          if (!pending.has(id)) return reader.cancel();
+          channel.postMessage({ type: MESSAGES.REQUEST_BODY, id, chunk: value });
+        }
+      } else {
+        const buffer = await request.arrayBuffer();
+        if (buffer.byteLength) channel.postMessage({ type: MESSAGES.REQUEST_BODY, id, chunk: new Uint8Array(buffer) });
+      }
+      channel.postMessage({ type: MESSAGES.REQUEST_END, id });
+    } catch {
+      abort(id);
+    }
+  }
+
+  async function forward(request, { port, path }) {
+    if (!(await portReady(port))) return badGateway(`No server is listening on port ${port}`);
+    const id = `${session}-${++count}`;
+    const hasBody = request.method !== 'GET' && request.method !== 'HEAD';
+    return new Promise((resolve) => {
+      pending.set(id, { id, port, method: request.method, resolve, responded: false, controller: null, script: null });
+      request.signal?.addEventListener('abort', () => abort(id));
+      channel.postMessage({
+        type: MESSAGES.REQUEST,
+        id,
+        port,
+        method: request.method,
+        url: path,
+        // fetch() keeps Host to itself; servers expect it
+        rawHeaders: ['host', new URL(request.url).host, ...[...request.headers].flat()],
+        body: hasBody,
+      });
+      if (hasBody) sendBody(id, request);
+    });
+  }
+
+  return {
+    ports,
+    onFetch(event) {
+      const url = new URL(event.request.url);
+      if (origin && url.origin !== origin) return false;
+      let target = route(url);
+      if (target && event.resultingClientId) pagePorts.set(event.resultingClientId, target.port);
+      if (!target && pagePorts.has(event.clientId)) target = { port: pagePorts.get(event.clientId), path: url.pathname + url.search };
+      if (!target) return false;
+      event.respondWith(forward(event.request, target));
+      return true;
+    },
+    close() {
+      channel.removeEventListener('message', onMessage);
+      for (const id of pending.keys()) abort(id);
+    },
+  };
+}
+
+/**
+ * Makes `scope` (a ServiceWorkerGlobalScope) the preview worker: it takes
+ * over open pages at once and answers their preview requests.
+ */
+export function installPreviewWorker(scope, options = {}) {
+  const worker = createPreviewWorker({ origin: scope.location.origin, ...options });
+  scope.addEventListener('install', () => scope.skipWaiting());
+  scope.addEventListener('activate', (event) => event.waitUntil(scope.clients.claim()));
+  scope.addEventListener('fetch', (event) => worker.onFetch(event));
+  return worker;
+}
+
+if (typeof ServiceWorkerGlobalScope === 'function' && globalThis instanceof ServiceWorkerGlobalScope) {
+  const prefix = new URL(globalThis.location.href).searchParams.get('prefix') ?? undefined;
+  installPreviewWorker(globalThis, { prefix });
+}
@@ -0,0 +1,71 @@
+/**
+ * Moving bodies between Node streams and the browser's ReadableStream, for
+ * the http shim's fetch path and the loopback fetch (./loopback.js).
+ */
+
+import { Buffer } from 'buffer';
+
+/**
+ * A ReadableStream of the Buffers an async iterable (a Node Readable)
+ * yields, read as the stream is pulled. Cancelling it ends the iteration
+ * and, for a Node stream, settles once the stream has closed.
+ */
+export function toWebStream(source) {
+  const iterator = source[Symbol.asyncIterator]();
+  return new ReadableStream({
+    async pull(controller) {
+      const { done, value } = await iterator.next();
+      if (done) controller.close();
+      else controller.enqueue(new Uint8Array(value.buffer, value.byteOffset, value.byteLength));
+    },
+    async cancel(reason) {
+      await iterator.return?.(reason);
+      // Also when it was never pulled, which leaves return() a no-op
+      if (typeof source.destroy === 'function' && !source.closed) {
+        const closed = new Promise((resolve) => source.once('close', resolve));
+        source.destroy();
+        await closed;
+      }
+    },
+  });
+}
+
+/**
+ * The chunks of a ReadableStream as Buffers. Stopping the iteration early
+ * cancels the stream.
+ */
+export async function* readChunks(stream) {
+  const reader = stream.getReader();
+  let done = false;
+  try {
+    for (;;) {
+      const read = await reader.read();
+      if ((done = read.done)) return;
+      yield Buffer.from(read.value.buffer, read.value.byteOffset, read.value.byteLength);
+    }
+  } finally {
+    if (!done) await reader.cancel().catch(() => {});
+    reader.releaseLock();
+  }
+}
+
+/**
+ * Whether fetch() takes a ReadableStream request body (`duplex: 'half'`);
+ * browsers without it send the stream's string form instead.
+ */
+export function supportsRequestStreams() {
+  try {
+    let duplexAccessed = false;
+    const request = new Request('http://localhost/', {
+      method: 'POST',
+      body: new ReadableStream(),
+      get duplex() {
+        duplexAccessed = true;
+        return 'half';
+      },
+    });
+    return duplexAccessed && !request.headers.has('Content-Type');
+  } catch {
+    return false;
+  }
+}
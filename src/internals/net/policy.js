@@ -0,0 +1,288 @@
+/**
+ * Outbound network policy shared by http, https, http2, ws, net, dns and the
+ * sandbox's fetch() and XMLHttpRequest: which hosts code may reach, through
+ * which proxy, with which headers added or removed.
+ *
+ * Rules come from globalThis._RUNTIME_.networkPolicy, set by the host before
+ * sandboxed code runs:
+ *
+ *   {
+ *     allow: ["api.example.com", "**.cdn.example.com", "localhost:5173"],
+ *     deny: ["tracker.example.com"],
+ *     offline: false,
+ *     proxy: "https://cors.example/?url=",
+ *     headers: { "api.example.com": { "X-Api-Key": "k", Cookie: null } },
+ *   }
+ *
+ * With no `allow` list every host is allowed; `allow: []` allows none.
+ * `deny` always wins. Patterns: `*` matches within one label of a host
+ * name, `**` across any number of them (`**.example.com` also matches
+ * example.com itself). A `:port` suffix (`[::1]:8080` for IPv6) limits a
+ * pattern to that port. RegExps are tested against the host name;
+ * functions are called with (host, port).
+ *
+ * `proxy` rewrites the URLs of http(s) requests and fetch() calls. A
+ * string is a prefix the target URL is appended to, URL-encoded; a
+ * function maps the URL to the one to fetch; an object maps host patterns
+ * to either, the first match winning. Without it, a `__corsProxyUrl` in
+ * localStorage is the prefix for every request.
+ *
+ * `headers` maps host patterns to headers set on requests to matching
+ * hosts; a null value removes the header instead. Every matching pattern
+ * applies, in order.
+ *
+ * In `offline` mode nothing leaves the sandbox: names fail to resolve with
+ * ENOTFOUND, and connections to this machine that no server in the
+ * sandbox answers are refused with ECONNREFUSED, as Node reports them.
+ * Hosts the rules deny fail with ERR_ACCESS_DENIED carrying
+ * `permission: "Net"` and `resource` ("host:port").
+ *
+ * The rules are read once and frozen: sandboxed code can neither replace
+ * nor edit them, and the policy it can reach has no way to change them.
+ */
+
+import errors from "../errors.js";
+
+const { ERR_ACCESS_DENIED } = errors.codes;
+
+const LOOPBACK_HOSTS = new Set(["localhost", "0.0.0.0", "::1"]);
+
+const DEFAULT_PORTS = { "http:": 80, "https:": 443, "ws:": 80, "wss:": 443 };
+
+// libuv's errno values, as Node reports them on Linux
+const ERRNO = { ENOTFOUND: -3008, ECONNREFUSED: -111 };
+
+function escapeRegExp(text) {
+  return text.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+}
+
+/** Host names compare without case or IPv6 brackets. */
+export function normalizeHost(host) {
+  return String(host).toLowerCase().replace(/^\[(.*)\]$/, "$1");
+}
+
+/** True for the names and addresses of this machine. */
+export function isLoopbackHost(host) {
+  const name = normalizeHost(host);
+  return LOOPBACK_HOSTS.has(name) || /^127(\.\d{1,3}){3}$/.test(name);
+}
+
+/**
+ * The host and port a URL connects to.
+ * @param {URL|string} url
+ * @returns {{ host: string, port: number }|null}  null for URLs without a host
+ */
+export function urlTarget(url) {
+  let target;
+  try {
+    target = url instanceof URL ? url : new URL(url);
+  } catch {
+    return null;
+  }
+  if (!target.hostname) return null;
+  return { host: normalizeHost(target.hostname), port: Number(target.port) || DEFAULT_PORTS[target.protocol] };
+}
+
+/**
+ * Compiles a host pattern into a predicate over (host, port). With no
+ * port, as for a lookup, a pattern's port is left out of the comparison.
+ */
+export function compileHostPattern(pattern) {
+  if (pattern instanceof RegExp) return (host) => pattern.test(host);
+  if (typeof pattern === "function") return (host, port) => !!pattern(host, port);
+
+  const source = String(pattern).toLowerCase();
+  const withPort = /^\[(.+)\]:(\d+)$/.exec(source) || /^([^:]+):(\d+)$/.exec(source);
+  const hostPattern = normalizeHost(withPort ? withPort[1] : source);
+  const port = withPort ? Number(withPort[2]) : null;
+
+  let regex = "";
+  for (let i = 0; i < hostPattern.length; i++) {
+    const char = hostPattern[i];
+    if (char === "*" && hostPattern[i + 1] === "*") {
+      // A leading "**." may also match no labels at all
+      if (i === 0 && hostPattern[2] === ".") {
+        regex += "(?:.*\\.)?";
+        i += 2;
+      } else {
+        regex += ".*";
+        i += 1;
+      }
+    } else if (char === "*") {
+      regex += "[^.]*";
+    } else {
+      regex += escapeRegExp(char);
+    }
+  }
+  const compiled = new RegExp(`^${regex}$`);
+  const matches = (host, at) => compiled.test(host) && (port === null || at === undefined || at === port);
+  matches.port = port;
+  return matches;
+}
+
+/** [predicate, value] pairs for a pattern-keyed object. */
+function compileMap(map) {
+  return Object.entries(map || {}).map(([pattern, value]) => [compileHostPattern(pattern), value]);
+}
+
+function legacyProxy() {
+  try {
+    return (typeof localStorage !== "undefined" && localStorage.getItem("__corsProxyUrl")) || null;
+  } catch {
+    // localStorage hidden by the sandbox policy, or blocked by the browser
+    return null;
+  }
+}
+
+function notFound(host, syscall) {
+  return Object.assign(new Error(`${syscall} ENOTFOUND ${host}`), {
+    errno: ERRNO.ENOTFOUND,
+    code: "ENOTFOUND",
+    syscall,
+    hostname: host,
+  });
+}
+
+function refused(host, port) {
+  const address = host === "localhost" ? "127.0.0.1" : host;
+  return Object.assign(new Error(`connect ECONNREFUSED ${address}:${port}`), {
+    errno: ERRNO.ECONNREFUSED,
+    code: "ECONNREFUSED",
+    syscall: "connect",
+    address,
+    port,
+  });
+}
+
+/**
+ * @param {object} [config]  see the module comment; copied, so later
+ *   changes to it are not seen
+ */
+export function createNetworkPolicy(config) {
+  const { allow, deny, offline, proxy, headers } = config ?? {};
+  const rules = {
+    allow: allow ? [].concat(allow).map(compileHostPattern) : null,
+    deny: deny ? [].concat(deny).map(compileHostPattern) : [],
+    offline: !!offline,
+    proxy: proxy && typeof proxy === "object" ? compileMap(proxy) : proxy == null ? null : [[() => true, proxy]],
+    headers: compileMap(headers).map(([match, set]) => [
+      match,
+      Object.entries(set).map(([name, value]) => [name.toLowerCase(), value === null ? null : String(value)]),
+    ]),
+  };
+
+  function allowed(host, port) {
+    // For a lookup, a deny pattern for one port leaves the name resolvable
+    if (rules.deny.some((match) => match(host, port) && (port !== undefined || !match.port))) return false;
+    return !rules.allow || rules.allow.some((match) => match(host, port));
+  }
+
+  function denied(host, port) {
+    const err = new ERR_ACCESS_DENIED();
+    err.permission = "Net";
+    err.resource = port === undefined ? host : `${host}:${port}`;
+    return err;
+  }
+
+  return Object.freeze({
+    /** True in offline mode. */
+    get offline() {
+      return rules.offline;
+    },
+
+    /**
+     * The error resolving `host` fails with, or null when it may go ahead.
+     * @param {string} host
+     * @param {string} [syscall="getaddrinfo"]  named in the ENOTFOUND message, e.g. "queryA"
+     */
+    lookupError(host, syscall = "getaddrinfo") {
+      const name = normalizeHost(host);
+      if (!allowed(name, undefined)) return denied(name, undefined);
+      if (rules.offline && !isLoopbackHost(name)) return notFound(name, syscall);
+      return null;
+    },
+
+    /**
+     * The error a connection to `host`:`port` leaving the sandbox fails
+     * with, or null when it may go ahead.
+     * @param {string} host
+     * @param {number} port
+     */
+    connectError(host, port) {
+      const name = normalizeHost(host);
+      if (!allowed(name, port)) return denied(name, port);
+      if (!rules.offline) return null;
+      return isLoopbackHost(name) ? refused(name, port) : notFound(name, "getaddrinfo");
+    },
+
+    /**
+     * The URL to fetch for `url`: itself, or its proxied form.
+     * @param {string} url  absolute
+     */
+    rewrite(url) {
+      const target = urlTarget(url);
+      let proxy = legacyProxy();
+      if (rules.proxy) {
+        const rule = target && rules.proxy.find(([match]) => match(target.host, target.port));
+        proxy = rule ? rule[1] : null;
+      }
+      if (!proxy) return url;
+      return typeof proxy === "function" ? String(proxy(url)) : proxy + encodeURIComponent(url);
+    },
+
+    /**
+     * The header changes for a request to `url`, as [lower-case name,
+     * value] pairs; a null value removes the header.
+     * @param {string} url  absolute
+     * @returns {Array<[string, string|null]>}
+     */
+    headersFor(url) {
+      const target = urlTarget(url);
+      if (!target) return [];
+      const changes = [];
+      for (const [match, headers] of rules.headers) {
+        if (!match(target.host, target.port)) continue;
+        changes.push(...headers);
+      }
+      return changes;
+    },
+  });
+}
+
+let shared = null;
+
+/**
+ * Freezes the host's rules where they are, so the bundles that read them
+ * later (each builds its own policy) see the ones the first did.
+ */
+function lockConfig(runtime) {
+  const config = runtime.networkPolicy;
+  const freeze = (value) => {
+    if (!value || typeof value !== "object" || value instanceof RegExp || Object.isFrozen(value)) return;
+    Object.freeze(value);
+    Object.values(value).forEach(freeze);
+  };
+  freeze(config);
+  if (Object.getOwnPropertyDescriptor(runtime, "networkPolicy")?.configurable !== false) {
+    Object.defineProperty(runtime, "networkPolicy", { value: config, enumerable: true, writable: false, configurable: false });
+  }
+  return config;
+}
+
+/**
+ * The policy in force, built from globalThis._RUNTIME_.networkPolicy on
+ * first use.
+ */
+export function networkPolicy() {
+  return (shared ??= createNetworkPolicy(lockConfig((globalThis._RUNTIME_ ??= {}))));
+}
+
+/**
+ * Puts a policy built from `config` in force in place of the host's. Only
+ * modules bundled with this one see it, and sandboxed code cannot call it:
+ * it reaches the builtins, never their internals. For tests.
+ * @param {object} [config]
+ */
+export function setNetworkPolicy(config) {
+  shared = createNetworkPolicy(config);
+}
@@ -1,75 +1,28 @@
-export function createRequire(filename) {
-  // Return a require function that can be used by modules
-  return function require(id) {
-    throw new Error(`Cannot find module '${id}' from '${filename}'`)
-  }
-}
+/**
+ * node:module, backed by the runtime CommonJS loader.
+ *
+ * `Module` is the class require() itself uses, so patching
+ * `Module._resolveFilename`, `Module._load` or `Module._extensions` here
+ * changes how every require() in the sandbox behaves, and `Module._cache`
+ * is the live require.cache.
+ */
 
-export const builtinModules = [
-  "assert",
-  "buffer",
-  "child_process",
-  "cluster",
-  "console",
-  "constants",
-  "crypto",
-  "dgram",
-  "dns",
-  "domain",
-  "events",
-  "fs",
-  "http",
-  "https",
-  "module",
-  "net",
-  "os",
-  "path",
-  "perf_hooks",
-  "process",
-  "punycode",
-  "querystring",
-  "readline",
-  "repl",
-  "stream",
-  "string_decoder",
-  "sys",
-  "timers",
-  "tls",
-  "tty",
-  "url",
-  "util",
-  "v8",
-  "vm",
-  "worker_threads",
-  "zlib"
-]
+import { Module } from "./runtime/cjsLoader.js";
 
-export function isBuiltin(moduleName) {
-  // Strip node: prefix if present
-  const name = moduleName.startsWith("node:") ? moduleName.slice(5) : moduleName
-  return builtinModules.includes(name)
-}
-
-export const _cache = {}
-export const _extensions = {
-  ".js": () => {},
-  ".json": () => {},
-  ".node": () => {}
-}
-export const _pathCache = {}
-
-export function syncBuiltinESMExports() {
-  // No-op in browser
-}
-
-export const Module = {
+export const {
   createRequire,
+  findSourceMap,
+  SourceMap,
   builtinModules,
   isBuiltin,
+  register,
+  registerHooks,
+  syncBuiltinESMExports,
   _cache,
   _extensions,
   _pathCache,
-  syncBuiltinESMExports
-}
+} = Module;
+
+export { Module };
 
-export default Module
+export default Module;
@@ -6,8 +6,12 @@
 import { EventEmitter } from "events"
 import { Buffer } from 'buffer';
 import stream from 'stream-browserify';
+import { channel } from "./diagnostics_channel.js"
+import { isLoopbackHost, networkPolicy } from "./internals/net/policy.js"
 const { Duplex } = stream; 
 
+const clientSocketChannel = channel("net.client.socket")
+
 /**
  * Virtual Socket implementation
  */
@@ -67,12 +71,21 @@ export class Socket extends Duplex {
     this.remotePort = port
     this.remoteFamily = "IPv4"
     this.readyState = "opening"
+    clientSocketChannel.publish({ socket: this })
+
+    // Connections to other hosts are subject to the network policy; those
+    // to this machine stay in the sandbox
+    const refusal = isLoopbackHost(host) ? null : networkPolicy().connectError(host, port)
 
     // Simulate async connection
     queueMicrotask(() => {
       this._connecting = false
-      this._connected = true
       this.connecting = false
+      if (refusal) {
+        this.destroy(refusal)
+        return
+      }
+      this._connected = true
       this.readyState = "open"
       this.emit("connect")
       if (cb) cb()
@@ -1,8 +1,20 @@
 import process from './process.js';
 import Buffer from './buffer.js';
 import {clearImmediate, setImmediate} from './timers.js';
-globalThis.process = process;
-globalThis.Buffer = Buffer;
-globalThis.clearImmediate = clearImmediate;
-globalThis.setImmediate = setImmediate;
- 
+import { applySandboxPolicy } from './runtime/blockList/sandboxPolicy.js';
+
+// The host picks the profile (globalThis._RUNTIME_.sandboxPolicy) and can
+// read back what the sandboxed code reached for. Node globals the host
+// already set up are kept.
+globalThis._RUNTIME_.__SANDBOX_POLICY__ = applySandboxPolicy(
+  globalThis._RUNTIME_.sandboxPolicy ?? 'browser-compatible',
+  {
+    globals: {
+      process: globalThis.process ?? process,
+      Buffer: globalThis.Buffer ?? Buffer,
+      setImmediate: globalThis.setImmediate ?? setImmediate,
+      clearImmediate: globalThis.clearImmediate ?? clearImmediate,
+    },
+    onAccess: globalThis._RUNTIME_.onSandboxAccess,
+  }
+);
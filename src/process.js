@@ -2,6 +2,9 @@
 import {stdin} from "./internals/stdin.js"
  
 import makeShim from './internals/stdout.js';
+import { permissionModel } from './internals/fs/permissions.js';
+import { setSourceMapsEnabled, sourceMapsEnabled } from './runtime/sourceMaps.js';
+import { createErrorPipeline } from './runtime/errors/uncaughtErrors.js';
 const stdout = makeShim('stdout');
 const stderr = makeShim('stderr');
 
@@ -218,7 +221,10 @@ export const process = (function () {
     return prev;
   }
 
-  let cwd = "/";
+  let cwd = globalThis._RUNTIME_?.process?.cwd || "/";
+
+  // --- Uncaught exceptions / unhandled rejections ---
+  const errorPipeline = createErrorPipeline(() => processFinal);
 
   const rawMethods = {
     // ── Properties ──────────────────────────────────────────────────────────
@@ -311,6 +317,10 @@ export const process = (function () {
 
       if (_intervalId) { clearInterval(_intervalId); _intervalId = null; }
 
+      // A process started by child_process reports to its parent instead.
+      const link = globalThis._RUNTIME_?.__PROCESS_LINK__;
+      if (link) return link.exit(this.exitCode, null);
+
       const executionTime = parseFloat((performance.now() - startTime).toFixed(2));
       window.parent.postMessage({ type: "kill", logs: logs || [], executionTime, exitCode: this.exitCode }, "*");
     },
@@ -362,6 +372,28 @@ export const process = (function () {
 
     emitWarning, emitWarningSync,
     report: report(),
+
+    /**
+     * Routes uncaught exceptions to `fn` instead of 'uncaughtException'.
+     * @since Node.js v9.3.0
+     */
+    setUncaughtExceptionCaptureCallback: errorPipeline.setUncaughtExceptionCaptureCallback,
+    /** @since Node.js v9.3.0 */
+    hasUncaughtExceptionCaptureCallback: errorPipeline.hasUncaughtExceptionCaptureCallback,
+
+    /**
+     * Turns stack trace remapping through registered source maps on or off.
+     * @since Node.js v16.6.0
+     */
+    setSourceMapsEnabled,
+
+    /**
+     * Queries the fs permission rules (globalThis._RUNTIME_.fsPermissions).
+     * @since Node.js v20.0.0
+     */
+    permission: {
+      has(scope, reference) { return permissionModel().has(scope, reference); },
+    },
   };
 
   const processBase = {};
@@ -378,7 +410,7 @@ export const process = (function () {
 
   processBase.stdin = stdin;
   processBase.stdout = stdout;
-   processBase.stdout = stderr;
+  processBase.stderr = stderr;
   const processFinal = Object.create({}, { [Symbol.toStringTag]: { value: "Process", enumerable: false } });
   Object.assign(processFinal, processBase);
 
@@ -387,6 +419,11 @@ export const process = (function () {
   processFinal.traceDeprecation     = false;
   processFinal.traceProcessWarnings = false;
 
+  /** @since Node.js v20.7.0 */
+  Object.defineProperty(processFinal, "sourceMapsEnabled", { get: sourceMapsEnabled, enumerable: true, configurable: true });
+
+  errorPipeline.install(globalThis);
+
   Object.defineProperty(window,     "process", { value: processFinal, writable: false, configurable: false, enumerable: true });
   Object.defineProperty(globalThis, "process", { value: processFinal, writable: false, configurable: false, enumerable: true });
 
@@ -406,6 +443,7 @@ export const exitCode                    = process.exitCode;
 export const platform                    = process.platform;
 export const version                     = process.version;
 export const versions                    = process.versions;
+export const permission                  = process.permission;
 export const release                     = process.release;
 export const pid                         = process.pid;
 export const ppid                        = process.ppid;
@@ -444,6 +482,9 @@ export const setgid             = (...a) => process.setgid(...a);
 export const setegid            = (...a) => process.setegid(...a);
 export const getgroups          = (...a) => process.getgroups(...a);
 export const setgroups          = (...a) => process.setgroups(...a);
+export const setSourceMapsEnabled = (...a) => process.setSourceMapsEnabled(...a);
+export const setUncaughtExceptionCaptureCallback = (...a) => process.setUncaughtExceptionCaptureCallback(...a);
+export const hasUncaughtExceptionCaptureCallback = (...a) => process.hasUncaughtExceptionCaptureCallback(...a);
 
 export {stdin, stderr, stdout};
 
@@ -1,22 +1,16 @@
-export function blockGlobals(names) {
+import { applySandboxPolicy } from "./sandboxPolicy.js";
 
-  const globalObj = typeof globalThis !== 'undefined' ? globalThis : window;
-  
+/**
+ * Hides `names` from the global object; reading one throws a ReferenceError.
+ * Shorthand for a browser-compatible policy that hides just these
+ * (see ./sandboxPolicy.js).
+ * @param {string[]} names
+ */
+export function blockGlobals(names) {
   if (!Array.isArray(names)) {
     throw new TypeError("names must be an array");
   }
 
-  names.forEach(name => {
-    // ignore non-string values
-    if (typeof name !== "string" || name.trim() === "") return;
-
-    // check if property exists on global object
-    if (!(name in globalObj)) {
-      return;
-    }
-
-    globalObj[name] = function() {
-      throw new Error(`${name} is not defined`);
-    };
-  });
+  const hide = names.filter((name) => typeof name === "string" && name.trim() !== "");
+  return applySandboxPolicy({ extends: "browser-compatible", hide, nodeGlobals: false });
 }
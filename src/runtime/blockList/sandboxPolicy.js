@@ -0,0 +1,167 @@
+/**
+ * Sandbox policy: which globals code in the sandbox sees.
+ *
+ * A policy comes from a profile — `node-strict` (browser-only APIs hidden,
+ * as under Node), `browser-compatible` (everything kept) — or a custom
+ * object extending one:
+ *
+ *   {
+ *     extends: 'node-strict',
+ *     hide: ['WebAssembly'],     // hidden on top of the profile's
+ *     allow: ['localStorage'],   // kept although the profile hides them
+ *     network: false,            // also hide fetch, XMLHttpRequest, WebSocket, EventSource
+ *     nodeGlobals: true,         // install global, Buffer, process, setImmediate, clearImmediate
+ *     track: ['crypto'],         // also report when these are used
+ *   }
+ *
+ * A hidden global becomes a non-configurable accessor, so `delete` and
+ * Reflect.defineProperty cannot bring it back. Reading it throws a
+ * ReferenceError as in Node; assigning to it defines a global of that name,
+ * as a sloppy-mode assignment in Node would. The policy records which
+ * hidden globals were reached for and which tracked ones were used.
+ *
+ * Some globals cannot be hidden: a window's `document` and `location` are
+ * non-configurable. They stay reachable, and applying the policy warns
+ * about them rather than pretend otherwise.
+ */
+
+const NETWORK_GLOBALS = ["fetch", "XMLHttpRequest", "WebSocket", "EventSource"];
+
+// Browser globals Node does not have. window, self, parent, top and the
+// message/event methods stay: the runtime itself talks to the host
+// through them.
+export const BROWSER_ONLY_GLOBALS = Object.freeze([
+  "document", "location", "history", "navigation", "screen", "visualViewport",
+  "localStorage", "sessionStorage", "indexedDB", "caches", "cookieStore",
+  "innerWidth", "innerHeight", "outerWidth", "outerHeight", "devicePixelRatio",
+  "scrollX", "scrollY", "pageXOffset", "pageYOffset", "frames", "frameElement", "opener",
+  "alert", "confirm", "prompt", "print", "open", "close", "stop", "focus", "blur",
+  "scroll", "scrollBy", "scrollTo", "moveBy", "moveTo", "resizeBy", "resizeTo",
+  "requestAnimationFrame", "cancelAnimationFrame", "requestIdleCallback", "cancelIdleCallback",
+  "getComputedStyle", "getSelection", "matchMedia", "customElements", "speechSynthesis",
+  "Notification", "Image", "Audio", "Option", "FileReader", "DOMParser", "XMLSerializer",
+  "Document", "HTMLDocument", "Element", "HTMLElement", "MutationObserver",
+  "IntersectionObserver", "ResizeObserver", "XMLHttpRequest",
+]);
+
+// What the Node shims provide as globals.
+export const NODE_ONLY_GLOBALS = Object.freeze(["global", "Buffer", "process", "setImmediate", "clearImmediate"]);
+
+export const PROFILES = Object.freeze({
+  "node-strict": Object.freeze({ hide: BROWSER_ONLY_GLOBALS, allow: [], network: true, nodeGlobals: true, track: [] }),
+  "browser-compatible": Object.freeze({ hide: [], allow: [], network: true, nodeGlobals: true, track: [] }),
+});
+
+/**
+ * The settings of a profile name or custom policy object.
+ * @param {string|object} profile
+ */
+export function resolvePolicy(profile = "browser-compatible") {
+  if (typeof profile === "string") {
+    if (!Object.hasOwn(PROFILES, profile)) throw new TypeError(`Unknown sandbox profile "${profile}"`);
+    return resolvePolicy({ extends: profile });
+  }
+  if (!profile || typeof profile !== "object") throw new TypeError("profile must be a string or an object");
+
+  const base = profile.extends === undefined ? PROFILES["browser-compatible"] : PROFILES[profile.extends];
+  if (!base) throw new TypeError(`Unknown sandbox profile "${profile.extends}"`);
+  const network = profile.network ?? base.network;
+  const allow = new Set([...base.allow, ...(profile.allow || [])]);
+  const hide = new Set([...base.hide, ...(profile.hide || []), ...(network ? [] : NETWORK_GLOBALS)]);
+  for (const name of allow) hide.delete(name);
+  return {
+    hide: [...hide],
+    network,
+    nodeGlobals: profile.nodeGlobals ?? base.nodeGlobals,
+    track: [...new Set([...base.track, ...(profile.track || [])])],
+  };
+}
+
+/**
+ * Applies a policy to `target` (globalThis by default).
+ * @param {string|object} profile
+ * @param {{ target?: object, globals?: object, onAccess?: (name: string, blocked: boolean) => void,
+ *   warn?: (message: string) => void }} [options]
+ *   `globals`: the Node globals to install (Buffer, process, setImmediate, clearImmediate);
+ *   `warn`: told which globals could not be hidden (console.warn by default)
+ * @returns {{ policy: object, skipped: string[], report: () => { accessed: string[], blocked: string[] } }}
+ *   `skipped`: globals the browser would not let go (non-configurable ones)
+ */
+export function applySandboxPolicy(profile, { target = globalThis, globals = {}, onAccess, warn = console.warn } = {}) {
+  const policy = resolvePolicy(profile);
+  const accessed = new Set();
+  const blocked = new Set();
+  const skipped = [];
+
+  const record = (name, isBlocked) => {
+    (isBlocked ? blocked : accessed).add(name);
+    if (onAccess) onAccess(name, isBlocked);
+  };
+
+  for (const name of policy.hide) {
+    if (!(name in target)) continue;
+    let assigned = false;
+    let value;
+    try {
+      Object.defineProperty(target, name, {
+        configurable: false,
+        enumerable: false,
+        get() {
+          if (assigned) return value;
+          record(name, true);
+          throw new ReferenceError(`${name} is not defined`);
+        },
+        set(next) {
+          assigned = true;
+          value = next;
+        },
+      });
+    } catch {
+      skipped.push(name);
+    }
+  }
+  if (skipped.length) {
+    warn(
+      `Sandbox policy could not hide ${skipped.join(", ")}: ` +
+        `non-configurable on this global, so code in the sandbox can still reach ${skipped.length > 1 ? "them" : "it"}.`
+    );
+  }
+
+  const installed = [];
+  if (policy.nodeGlobals) {
+    for (const [name, value] of Object.entries({ global: target, ...globals })) {
+      if (!NODE_ONLY_GLOBALS.includes(name) || value === undefined) continue;
+      installed.push(name);
+      if (target[name] === value) continue;
+      try {
+        Object.defineProperty(target, name, { value, writable: true, configurable: true, enumerable: false });
+      } catch {
+        skipped.push(name);
+      }
+    }
+  }
+
+  // Tracked globals read through an accessor that notes the use.
+  for (const name of new Set([...installed, ...policy.track])) {
+    const descriptor = Object.getOwnPropertyDescriptor(target, name);
+    if (!descriptor || !descriptor.configurable || !("value" in descriptor)) continue;
+    let { value } = descriptor;
+    Object.defineProperty(target, name, {
+      configurable: true,
+      enumerable: descriptor.enumerable,
+      get() {
+        record(name, false);
+        return value;
+      },
+      set(next) {
+        if (descriptor.writable) value = next;
+      },
+    });
+  }
+
+  return {
+    policy,
+    skipped,
+    report: () => ({ accessed: [...accessed].sort(), blocked: [...blocked].sort() }),
+  };
+}
@@ -0,0 +1,86 @@
+/**
+ * The builtin module ids of Node 20, as `module.builtinModules` lists them.
+ * Ids that only exist with the `node:` prefix are listed with it.
+ */
+export const BUILTIN_MODULES = Object.freeze([
+  "_http_agent",
+  "_http_client",
+  "_http_common",
+  "_http_incoming",
+  "_http_outgoing",
+  "_http_server",
+  "_stream_duplex",
+  "_stream_passthrough",
+  "_stream_readable",
+  "_stream_transform",
+  "_stream_wrap",
+  "_stream_writable",
+  "_tls_common",
+  "_tls_wrap",
+  "assert",
+  "assert/strict",
+  "async_hooks",
+  "buffer",
+  "child_process",
+  "cluster",
+  "console",
+  "constants",
+  "crypto",
+  "dgram",
+  "diagnostics_channel",
+  "dns",
+  "dns/promises",
+  "domain",
+  "events",
+  "fs",
+  "fs/promises",
+  "http",
+  "http2",
+  "https",
+  "inspector",
+  "inspector/promises",
+  "module",
+  "net",
+  "os",
+  "path",
+  "path/posix",
+  "path/win32",
+  "perf_hooks",
+  "process",
+  "punycode",
+  "querystring",
+  "readline",
+  "readline/promises",
+  "repl",
+  "stream",
+  "stream/consumers",
+  "stream/promises",
+  "stream/web",
+  "string_decoder",
+  "sys",
+  "timers",
+  "timers/promises",
+  "tls",
+  "trace_events",
+  "tty",
+  "url",
+  "util",
+  "util/types",
+  "v8",
+  "vm",
+  "wasi",
+  "worker_threads",
+  "zlib",
+  "node:sea",
+  "node:test",
+  "node:test/reporters",
+]);
+
+const ids = new Set(BUILTIN_MODULES);
+
+/** True for "fs", "node:fs" and prefix-only ids such as "node:test". */
+export function isBuiltin(moduleName) {
+  if (typeof moduleName !== "string") return false;
+  if (ids.has(moduleName)) return true;
+  return moduleName.startsWith("node:") && ids.has(moduleName.slice(5));
+}
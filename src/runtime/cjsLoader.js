@@ -0,0 +1,361 @@
+/**
+ * Synchronous CommonJS loader for the sandbox.
+ *
+ * require() reads sources straight from the virtual fs, transforms them
+ * (TypeScript is compiled, ESM syntax is converted to CommonJS), and
+ * evaluates them in Node's `(exports, require, module, __filename, __dirname)`
+ * wrapper — all without awaiting anything, so `const x = require('./x')`
+ * works as written. Only ES modules (.mjs/.mts, or .js/.ts under
+ * `"type": "module"`) stay on the async import() path; requiring one fails
+ * with ERR_REQUIRE_ESM, as in Node.
+ *
+ * The shape follows Node's lib/internal/modules/cjs/loader.js: a Module
+ * class with a shared `_cache`, `_extensions` per file extension,
+ * `_resolveFilename` and `_load`. A module enters the cache before it runs,
+ * so a cycle sees the partial `exports` of the module still loading, and
+ * leaves it — with every cached module that required it — when its file
+ * changes in the virtual fs. Resolution and source loading go through the
+ * registerHooks() chains.
+ *
+ * The Module class lives on globalThis._RUNTIME_.__MODULE__ so `node:module`
+ * and the import loader share one cache. Builtins come from
+ * globalThis._RUNTIME_.builtins ({ fs: fsModule, … }), which the host fills
+ * in once the shim bundles are loaded.
+ */
+
+import path from "path-browserify";
+import errors from "../internals/errors.js";
+import { BUILTIN_MODULES, isBuiltin } from "./builtins.js";
+import { fileURL, filePath, loadSync, register, registerHooks, resolveSync } from "./hooks.js";
+import "./importMetaResolver.js";
+import { createResolver } from "./resolve.js";
+import {
+  SourceMap,
+  composeSourceMaps,
+  extractSourceMap,
+  findSourceMap,
+  identitySourceMap,
+  inlineSourceMap,
+  offsetSourceMap,
+  registerSourceMap,
+} from "./sourceMaps.js";
+import { convertEsmToCjs } from "./transformModules.js";
+
+const {
+  ERR_INVALID_ARG_TYPE,
+  ERR_INVALID_ARG_VALUE,
+  ERR_REQUIRE_ESM,
+  ERR_UNKNOWN_BUILTIN_MODULE,
+  ERR_UNKNOWN_FILE_EXTENSION,
+} = errors.codes;
+
+const { basename, dirname, extname, isAbsolute, join } = path;
+
+const resolver = createResolver();
+const fs = () => globalThis._RUNTIME_.__FS__;
+
+const cwd = () =>
+  typeof process !== "undefined" && typeof process.cwd === "function" ? process.cwd() : "/";
+
+const TYPESCRIPT = /\.(?:[cm]?ts|tsx)$/;
+
+// Cheap check before paying for a parse.
+const ESM_SYNTAX = /^\s*(import\s*[\w{*'"]|export\s+(\*|\{|default\b|const\b|let\b|var\b|function\b|class\b|async\b))/m;
+
+/** node_modules directories searched from `from`, nearest first. */
+function nodeModulePaths(from) {
+  const paths = [];
+  for (let dir = from; ; dir = dirname(dir)) {
+    if (!dir.endsWith("/node_modules")) paths.push(dir === "/" ? "/node_modules" : `${dir}/node_modules`);
+    if (dir === "/") return paths;
+  }
+}
+
+function updateChildren(parent, child) {
+  const children = parent && parent.children;
+  if (children && !children.includes(child)) children.push(child);
+}
+
+/** Files that required `module`, innermost first, for "Cannot find module". */
+function requireStack(parent) {
+  const stack = [];
+  for (let m = parent; m; m = m.parent) if (m.filename || m.id) stack.push(m.filename || m.id);
+  return stack;
+}
+
+function createModuleSystem() {
+  let mainModule;
+  let following = false;
+
+  // Drops a changed file and every cached module that (transitively) required it.
+  function follow() {
+    const bus = !following && fs() && fs()._changes;
+    if (!bus) return;
+    following = true;
+    bus.subscribe(({ path: changed }) => {
+      if (!Module._cache[changed]) return;
+      const stale = [Module._cache[changed]];
+      for (const module of stale) {
+        delete Module._cache[module.id];
+        for (const cached of Object.values(Module._cache)) {
+          if (cached.children.includes(module) && !stale.includes(cached)) stale.push(cached);
+        }
+      }
+    });
+  }
+
+  function Module(id = "", parent) {
+    this.id = id;
+    this.path = dirname(id);
+    this.exports = {};
+    this.filename = null;
+    this.loaded = false;
+    this.children = [];
+    this.paths = [];
+    Object.defineProperty(this, "parent", { value: parent, writable: true, enumerable: false });
+    updateChildren(parent, this);
+  }
+
+  Module.Module = Module;
+
+  /** Loaded modules by filename; `require.cache` is this object. */
+  Module._cache = Object.create(null);
+
+  /** Kept for code that pokes at it; resolution is not memoised here. */
+  Module._pathCache = Object.create(null);
+
+  /** Source handlers by file extension; `require.extensions` is this object. */
+  Module._extensions = Object.create(null);
+
+  Module.globalPaths = [];
+  Module.builtinModules = BUILTIN_MODULES;
+  Module.isBuiltin = isBuiltin;
+  Module.register = register;
+  Module.registerHooks = registerHooks;
+  Module._nodeModulePaths = nodeModulePaths;
+  Module.findSourceMap = findSourceMap;
+  Module.SourceMap = SourceMap;
+
+  /** Builtins are plain objects here, so there is nothing to sync. */
+  Module.syncBuiltinESMExports = function () {};
+
+  Module.wrapper = ["(function (exports, require, module, __filename, __dirname) { ", "\n});"];
+
+  Module.wrap = function (script) {
+    return Module.wrapper[0] + script + Module.wrapper[1];
+  };
+
+  // Longest registered extension, so ".test.js" can be hooked apart from ".js".
+  function findExtension(filename) {
+    const name = basename(filename);
+    let index = 0;
+    while ((index = name.indexOf(".", index + 1)) !== -1) {
+      const ext = name.slice(index);
+      if (Module._extensions[ext]) return ext;
+    }
+    return ".js";
+  }
+
+  /**
+   * Resolves `request` as required from `parent`.
+   * @returns {string} absolute path, or the request itself for a builtin
+   */
+  Module._resolveFilename = function (request, parent, isMain, options) {
+    const from = options && options.paths && options.paths.length
+      ? `${options.paths[0]}/[require]`
+      : (parent && (parent.filename || parent.id)) || `${cwd()}/[eval]`;
+
+    const defaultResolve = (specifier) => {
+      if (isBuiltin(specifier)) {
+        return { url: specifier.startsWith("node:") ? specifier : `node:${specifier}`, format: "builtin" };
+      }
+      const filename = resolver.resolve(specifier, from, { mode: "require", requireStack: requireStack(parent) });
+      return { url: fileURL(filename) };
+    };
+    const { url } = resolveSync(request, { parentURL: fileURL(from), conditions: ["require"] }, defaultResolve);
+
+    // Builtins keep the id they were asked for, as require.resolve('fs') is 'fs'.
+    if (url.startsWith("node:")) return request === url || `node:${request}` === url ? request : url;
+    return filePath(url);
+  };
+
+  function loadBuiltin(id) {
+    const name = id.startsWith("node:") ? id.slice("node:".length) : id;
+    const builtins = globalThis._RUNTIME_.builtins || {};
+    if (Object.hasOwn(builtins, name)) return builtins[name];
+    if (name === "module") return Module;
+    throw new ERR_UNKNOWN_BUILTIN_MODULE(id);
+  }
+
+  /**
+   * Loads `request` for `parent`: cache hit, builtin, or a new Module.
+   * @returns {*} the module's exports
+   */
+  Module._load = function (request, parent, isMain) {
+    const filename = Module._resolveFilename(request, parent, isMain);
+    if (isBuiltin(filename)) return loadBuiltin(filename);
+
+    const cached = Module._cache[filename];
+    if (cached !== undefined) {
+      updateChildren(parent, cached);
+      return cached.exports;
+    }
+
+    const module = new Module(filename, parent);
+    if (isMain) mainModule = module;
+    follow();
+    Module._cache[filename] = module;
+
+    let threw = true;
+    try {
+      module.load(filename);
+      threw = false;
+    } finally {
+      if (threw) {
+        delete Module._cache[filename];
+        if (parent) parent.children.splice(parent.children.indexOf(module), 1);
+      }
+    }
+    return module.exports;
+  };
+
+  Module.prototype.load = function (filename) {
+    this.filename = filename;
+    this.paths = nodeModulePaths(dirname(filename));
+    Module._extensions[findExtension(filename)](this, filename);
+    this.loaded = true;
+  };
+
+  Module.prototype.require = function (id) {
+    if (typeof id !== "string") throw new ERR_INVALID_ARG_TYPE("id", "string", id);
+    if (id === "") throw new ERR_INVALID_ARG_VALUE("id", id, "must be a non-empty string");
+    return Module._load(id, this, false);
+  };
+
+  /**
+   * Runs `content` as the body of this module. An inline source map in
+   * `content` is registered for `filename`, shifted past the wrapper.
+   */
+  Module.prototype._compile = function (content, filename) {
+    const { code: source, map } = extractSourceMap(content);
+    // A hashbang (bin scripts) is only valid at the start of a script, not in the wrapper.
+    const code = source.startsWith("#!") ? `//${source.slice(2)}` : source;
+    const prefix = Module.wrapper[0].split("\n");
+    const payload = offsetSourceMap(map || identitySourceMap(code, filename), prefix.length - 1, prefix[prefix.length - 1].length);
+    registerSourceMap(filename, payload);
+    const wrapper = (0, eval)(`${Module.wrap(code)}\n//# sourceURL=${filename}`);
+    const require = makeRequire(this);
+    return wrapper.call(this.exports, this.exports, require, this, filename, dirname(filename));
+  };
+
+  /** Source of `filename` after the load hooks, as a string. */
+  function loadSource(module, filename, format) {
+    const defaultLoad = (url, context) => ({ format: context.format, source: fs().readFileSync(filePath(url), "utf8") });
+    const result = loadSync(fileURL(filename), { format, conditions: ["require"] }, defaultLoad);
+    if (result.format === "module") throw new ERR_REQUIRE_ESM(filename, module.parent && module.parent.filename);
+    const { source } = result;
+    return typeof source === "string" ? source : new TextDecoder().decode(source);
+  }
+
+  // Converted sources carry their map inline, composed with any map the
+  // load hooks (TypeScript, …) left in the source.
+  function compileCommonJS(module, filename) {
+    let content = loadSource(module, filename, "commonjs");
+    if (TYPESCRIPT.test(filename)) content = compileTypeScript(content, filename);
+    if (ESM_SYNTAX.test(content)) {
+      const { code, map: loaded } = extractSourceMap(content);
+      const converted = convertEsmToCjs(code, { sourceMap: true, filename });
+      const map = loaded ? composeSourceMaps(converted.map, loaded) : converted.map;
+      content = `${converted.code}\n${inlineSourceMap(map)}`;
+    }
+    module._compile(content, filename);
+  }
+
+  // TypeScript goes through the service the host loaded (./typescriptCompiler.js).
+  function compileTypeScript(content, filename) {
+    const { typescript } = globalThis._RUNTIME_;
+    if (!typescript) throw new ERR_UNKNOWN_FILE_EXTENSION(extname(filename), filename);
+    return typescript.compile(content, filename);
+  }
+
+  // .ts and .tsx follow the package "type" like .js; .mts is always ESM.
+  Module._extensions[".js"] = function (module, filename) {
+    if (/\.m[jt]s$/.test(filename)) {
+      throw new ERR_REQUIRE_ESM(filename, module.parent && module.parent.filename);
+    }
+    if (/\.(?:js|tsx?)$/.test(filename)) {
+      const scope = resolver.packageScope(filename);
+      if (scope && scope.json.type === "module") {
+        throw new ERR_REQUIRE_ESM(filename, module.parent && module.parent.filename, `${scope.dir === "/" ? "" : scope.dir}/package.json`);
+      }
+    }
+    compileCommonJS(module, filename);
+  };
+
+  Module._extensions[".ts"] = Module._extensions[".tsx"] = Module._extensions[".mts"] = Module._extensions[".js"];
+
+  // .cjs and .cts are CommonJS whatever the package "type" says.
+  Module._extensions[".cjs"] = Module._extensions[".cts"] = compileCommonJS;
+
+  Module._extensions[".json"] = function (module, filename) {
+    const content = loadSource(module, filename, "json");
+    try {
+      module.exports = JSON.parse(content.charCodeAt(0) === 0xfeff ? content.slice(1) : content);
+    } catch (err) {
+      err.message = `${filename}: ${err.message}`;
+      throw err;
+    }
+  };
+
+  function makeRequire(module) {
+    function require(id) {
+      return module.require(id);
+    }
+
+    function resolve(request, options) {
+      if (typeof request !== "string") throw new ERR_INVALID_ARG_TYPE("request", "string", request);
+      return Module._resolveFilename(request, module, false, options);
+    }
+
+    resolve.paths = function (request) {
+      if (/^\.\.?(\/|$)/.test(request)) return [module.path];
+      if (request.startsWith("/") || isBuiltin(request)) return null;
+      return nodeModulePaths(module.path);
+    };
+
+    require.resolve = resolve;
+    require.main = mainModule;
+    require.extensions = Module._extensions;
+    require.cache = Module._cache;
+    return require;
+  }
+
+  /**
+   * A require() function that resolves relative to `filename`, as
+   * module.createRequire() does. A path ending in "/" is taken as a directory.
+   * @param {string|URL} filename  absolute path or file: URL of the requiring file
+   */
+  Module.createRequire = function createRequire(filename) {
+    const href = filename instanceof URL ? filename.href : filename;
+    const isURL = typeof href === "string" && href.startsWith("file:");
+    if (typeof href !== "string" || (!isURL && !isAbsolute(href))) {
+      throw new ERR_INVALID_ARG_VALUE(
+        "filename",
+        filename,
+        "must be a file URL object, file URL string, or absolute path string"
+      );
+    }
+    let from = isURL ? filePath(href) : href;
+    if (from.endsWith("/")) from = join(from, "noop.js");
+    const module = new Module(from);
+    module.filename = from;
+    module.paths = nodeModulePaths(dirname(from));
+    return makeRequire(module);
+  };
+
+  return Module;
+}
+
+export const Module = (globalThis._RUNTIME_.__MODULE__ ??= createModuleSystem());
+
+export const createRequire = Module.createRequire;
@@ -1,16 +1,20 @@
+import { remapStack } from '../sourceMaps.js';
+
 /**
  * Parses an unhandledrejection event into structured info
  * @param {PromiseRejectionEvent} event
  */
 export function parseError(event) {
-  const stack = reason.stack || '';
+  const reason = event?.reason ?? event?.error ?? event;
+  // Frames point at the user's files, not the transformed code.
+  const stack = remapStack(reason?.stack || '');
 
   // Extract first stack frame location
   let locationStr = null;
   const stackLines = stack.split('\n');
 
   if (stackLines.length > 1) {
-    const match = stackLines[1].match(/\(?(.+:\d+:\d+)\)?$/);
+    const match = stackLines[1].match(/(?:\(|\bat\s+|@)([^()]+:\d+:\d+)\)?\s*$/);
     if (match) locationStr = match[1];
   }
 
@@ -31,11 +35,50 @@ export function parseError(event) {
 function parseStackLocation(location) {
   if (!location) return { file: null, line: null, column: null };
 
-  const parts = location.split(':');
+  const parts = location.trim().match(/^(.*):(\d+):(\d+)$/) || [];
 
   return {
-    file: parts[0]?.trim().replace(/^at\s+/,'') || null,
-    line: parts[1] || null,
-    column: parts[2] || null
+    file: parts[1]?.trim().replace(/^at\s+/,'') || null,
+    line: parts[2] || null,
+    column: parts[3] || null
   };
 }
+
+// Virtual path of a stack frame's file: file: URLs are decoded and the
+// ?v= version the import loader adds to sourceURLs is dropped.
+function framePath(file) {
+  const path = file.replace(/[?#].*$/, '');
+  return path.startsWith('file:') ? decodeURIComponent(new URL(path).pathname) : path;
+}
+
+/**
+ * The source line at `file:line` with a caret under `column`, as Node
+ * prints above a fatal exception; null when the file is not in the
+ * virtual fs.
+ */
+export function codeFrame(file, line, column) {
+  if (!file || !line) return null;
+  const path = framePath(file);
+  let source;
+  try {
+    source = globalThis._RUNTIME_?.__FS__?.readFileSync(path, 'utf8');
+  } catch {
+    return null;
+  }
+  const text = typeof source === 'string' ? source.split(/\r?\n/)[line - 1] : undefined;
+  if (text === undefined) return null;
+  return `${path}:${line}\n${text}\n${' '.repeat(Math.max(column - 1, 0))}^\n`;
+}
+
+/**
+ * What Node prints for an error that nothing handled: the code frame of
+ * the throwing line, then the (source-mapped) stack.
+ */
+export function formatUncaught(error, version) {
+  const isError = error instanceof Error || (error && typeof error.stack === 'string');
+  const stack = isError ? remapStack(error.stack || '') || `${error.name}: ${error.message}` : null;
+  const { file, line, column } = isError ? parseError(error) : {};
+  const frame = codeFrame(file, Number(line), Number(column));
+  const body = isError ? stack : `Uncaught ${typeof error === 'string' ? `'${error}'` : String(error)}`;
+  return `${frame ? `${frame}\n` : ''}${body}${version ? `\n\nNode.js ${version}` : ''}`;
+}
@@ -0,0 +1,200 @@
+/**
+ * Uncaught exceptions and unhandled rejections, as Node reports them.
+ *
+ * The page's `error`, `unhandledrejection` and `rejectionhandled` events are
+ * routed to the process: 'uncaughtExceptionMonitor', then the
+ * setUncaughtExceptionCaptureCallback() callback or 'uncaughtException'
+ * listeners; rejections follow the --unhandled-rejections mode (from
+ * execArgv or NODE_OPTIONS, `throw` by default). An error nothing handles
+ * is printed with a code frame from the virtual fs and sets
+ * process.exitCode to 1.
+ */
+
+import errors from '../../internals/errors.js';
+import { formatUncaught } from './formatErrors.js';
+
+const {
+  ERR_INVALID_ARG_TYPE,
+  ERR_UNCAUGHT_EXCEPTION_CAPTURE_ALREADY_SET,
+  ERR_UNHANDLED_REJECTION,
+} = errors.codes;
+
+const MODES = new Set(['throw', 'strict', 'warn', 'warn-with-error-code', 'none']);
+
+const UNHANDLED_WARNING =
+  'Unhandled promise rejection. This error originated either by throwing inside of an async ' +
+  'function without a catch block, or by rejecting a promise which was not handled with .catch(). ' +
+  'To terminate the node process on unhandled promise rejection, use the CLI flag ' +
+  '`--unhandled-rejections=strict` (see https://nodejs.org/api/cli.html#cli_unhandled_rejections_mode).';
+
+// The last --unhandled-rejections in NODE_OPTIONS, then execArgv.
+function rejectionMode(process) {
+  const options = String(process.env?.NODE_OPTIONS || '').split(/\s+/);
+  let mode = 'throw';
+  for (const arg of [...options, ...(process.execArgv || [])]) {
+    const match = /^--unhandled-rejections=(.+)$/.exec(arg);
+    if (match && MODES.has(match[1])) mode = match[1];
+  }
+  return mode;
+}
+
+function describe(value) {
+  if (typeof value === 'string') return value;
+  try {
+    return JSON.stringify(value) ?? String(value);
+  } catch {
+    return String(value);
+  }
+}
+
+/**
+ * The error pipeline for `process` (a getter, so it can be created before
+ * the process object is).
+ * @param {() => object} getProcess
+ */
+export function createErrorPipeline(getProcess) {
+  let captureCallback = null;
+  let lastRejectionId = 0;
+  // Rejections reported as unhandled, with their warning ids.
+  const reported = new WeakMap();
+
+  function fatal(process, error) {
+    console.error(formatUncaught(error, process.version));
+    process.exitCode = 1;
+    // A process started by child_process ends here, as it would under Node.
+    if (globalThis._RUNTIME_?.__PROCESS_LINK__) process.exit(1);
+  }
+
+  /**
+   * Runs an uncaught error through the process; false when nothing handled it.
+   * @param {*} error
+   * @param {'uncaughtException'|'unhandledRejection'} [origin]
+   */
+  function handleException(error, origin = 'uncaughtException') {
+    const process = getProcess();
+    process.emit('uncaughtExceptionMonitor', error, origin);
+    if (process.report?.reportOnUncaughtException) process.report.writeReport(error);
+    if (captureCallback) {
+      captureCallback(error);
+      return true;
+    }
+    if (process.listenerCount('uncaughtException') > 0) {
+      process.emit('uncaughtException', error, origin);
+      return true;
+    }
+    fatal(process, error);
+    return false;
+  }
+
+  function rejectionError(reason) {
+    return reason instanceof Error ? reason : new ERR_UNHANDLED_REJECTION(describe(reason));
+  }
+
+  function warn(process, reason, id) {
+    const shown = reason instanceof Error ? reason.stack || String(reason) : describe(reason);
+    process.emitWarning(shown, 'UnhandledPromiseRejectionWarning');
+    process.emitWarning(`${UNHANDLED_WARNING} (rejection id: ${id})`, 'UnhandledPromiseRejectionWarning');
+  }
+
+  /**
+   * A rejection that was still unhandled after the microtask queue drained.
+   * @returns {boolean} whether the process handled it
+   */
+  function handleRejection(reason, promise) {
+    const process = getProcess();
+    const id = ++lastRejectionId;
+    if (promise && typeof promise === 'object') reported.set(promise, id);
+    const emit = () => {
+      const listened = process.listenerCount('unhandledRejection') > 0;
+      process.emit('unhandledRejection', reason, promise);
+      return listened;
+    };
+
+    switch (rejectionMode(process)) {
+      case 'strict':
+        if (!handleException(rejectionError(reason), 'unhandledRejection')) return false;
+        emit();
+        return true;
+      case 'warn':
+        emit();
+        warn(process, reason, id);
+        return true;
+      case 'warn-with-error-code':
+        if (emit()) return true;
+        warn(process, reason, id);
+        process.exitCode = 1;
+        return false;
+      case 'none':
+        emit();
+        return true;
+      default:
+        return emit() || handleException(rejectionError(reason), 'unhandledRejection');
+    }
+  }
+
+  /** A rejection reported as unhandled got a handler later. */
+  function handleRejectionHandled(promise) {
+    const process = getProcess();
+    const id = reported.get(promise);
+    if (id === undefined) return;
+    reported.delete(promise);
+    process.emit('rejectionHandled', promise);
+    if (rejectionMode(process).startsWith('warn')) {
+      process.emitWarning(`Promise rejection was handled asynchronously (rejection id: ${id})`, 'PromiseRejectionHandledWarning');
+    }
+  }
+
+  /**
+   * @param {Function|null} fn
+   * @since Node.js v9.3.0
+   */
+  function setUncaughtExceptionCaptureCallback(fn) {
+    if (fn === null) {
+      captureCallback = null;
+      return;
+    }
+    if (typeof fn !== 'function') throw new ERR_INVALID_ARG_TYPE('fn', 'Function or null', fn);
+    if (captureCallback) throw new ERR_UNCAUGHT_EXCEPTION_CAPTURE_ALREADY_SET();
+    captureCallback = fn;
+  }
+
+  /** @since Node.js v9.3.0 */
+  function hasUncaughtExceptionCaptureCallback() {
+    return captureCallback !== null;
+  }
+
+  /**
+   * Listens for the global error events of `target` (window or a worker);
+   * the browser's own report is suppressed. Returns a function that stops.
+   * @param {EventTarget} target
+   */
+  function install(target) {
+    if (!target || typeof target.addEventListener !== 'function') return () => {};
+    const onError = (event) => {
+      event.preventDefault();
+      handleException(event.error ?? new Error(event.message));
+    };
+    const onRejection = (event) => {
+      event.preventDefault();
+      handleRejection(event.reason, event.promise);
+    };
+    const onHandled = (event) => handleRejectionHandled(event.promise);
+    target.addEventListener('error', onError);
+    target.addEventListener('unhandledrejection', onRejection);
+    target.addEventListener('rejectionhandled', onHandled);
+    return () => {
+      target.removeEventListener('error', onError);
+      target.removeEventListener('unhandledrejection', onRejection);
+      target.removeEventListener('rejectionhandled', onHandled);
+    };
+  }
+
+  return {
+    handleException,
+    handleRejection,
+    handleRejectionHandled,
+    setUncaughtExceptionCaptureCallback,
+    hasUncaughtExceptionCaptureCallback,
+    install,
+  };
+}
@@ -0,0 +1,140 @@
+/**
+ * Module customization hooks: module.register() and module.registerHooks().
+ *
+ * registerHooks({ resolve, load }) adds synchronous hooks that apply to
+ * both require() and import. register(specifier) loads a hooks module
+ * (exporting `initialize`, `resolve`, `load`) whose hooks may be async, so
+ * they apply to import only — as Node's off-thread hooks do.
+ *
+ * Hooks chain as in Node: the last one registered runs first and gets
+ * `nextResolve(specifier, context)` / `nextLoad(url, context)`. A hook must
+ * either call next or return `shortCircuit: true`.
+ *
+ * The chains live on globalThis._RUNTIME_ so every bundle sees the same ones.
+ */
+
+import errors from "../internals/errors.js";
+
+const { ERR_INVALID_ARG_VALUE, ERR_LOADER_CHAIN_INCOMPLETE } = errors.codes;
+
+const state = (globalThis._RUNTIME_.__MODULE_HOOKS__ ??= { sync: [], async: [], pending: [] });
+
+/** file: URL for an absolute virtual path. */
+export function fileURL(path) {
+  return `file://${path.split("/").map(encodeURIComponent).join("/")}`;
+}
+
+/** Absolute virtual path for a file: URL (or a path, unchanged). */
+export function filePath(url) {
+  const href = String(url);
+  return href.startsWith("file:") ? decodeURIComponent(new URL(href).pathname) : href;
+}
+
+function chain(entries, kind, last, isAsync) {
+  let next = last;
+  for (const entry of entries) {
+    const hook = entry[kind];
+    if (typeof hook !== "function") continue;
+    const nextStep = next;
+    const name = `${entry.name} '${kind}'`;
+
+    const check = (result, calledNext) => {
+      if (!result || typeof result !== "object") {
+        throw new ERR_INVALID_ARG_VALUE(`${kind} hook result`, result, "must be an object");
+      }
+      if (!calledNext && result.shortCircuit !== true) throw new ERR_LOADER_CHAIN_INCOMPLETE(name);
+      return result;
+    };
+
+    next = (input, context = {}) => {
+      let calledNext = false;
+      const proceed = (nextInput = input, nextContext) => {
+        calledNext = true;
+        return nextStep(nextInput, { ...context, ...nextContext });
+      };
+      const result = hook(input, context, proceed);
+      return isAsync ? Promise.resolve(result).then((r) => check(r, calledNext)) : check(result, calledNext);
+    };
+  }
+  return next;
+}
+
+/** True when any hook is registered. */
+export function hasHooks() {
+  return state.sync.length > 0 || state.async.length > 0 || state.pending.length > 0;
+}
+
+/**
+ * Adds synchronous hooks.
+ * @param {{ resolve?: Function, load?: Function }} hooks
+ * @returns {{ deregister(): void }}
+ */
+export function registerHooks(hooks) {
+  const entry = { name: "registerHooks", resolve: hooks.resolve, load: hooks.load };
+  state.sync = [...state.sync, entry];
+  return {
+    deregister() {
+      state.sync = state.sync.filter((e) => e !== entry);
+    },
+  };
+}
+
+/**
+ * Loads a hooks module and adds its (possibly async) hooks once it has
+ * initialised. Imports wait for pending registrations.
+ * @param {string|URL} specifier
+ * @param {string|URL|object} [parentURL]
+ * @param {{ parentURL?: string|URL, data?: any }} [options]
+ */
+export function register(specifier, parentURL, options) {
+  if (parentURL && typeof parentURL === "object" && !(parentURL instanceof URL)) {
+    options = parentURL;
+    parentURL = options.parentURL;
+  }
+  const cwd = typeof process !== "undefined" && typeof process.cwd === "function" ? process.cwd() : "/";
+  const base = String(parentURL ?? fileURL(`${cwd === "/" ? "" : cwd}/`));
+  const href = /^(\.\.?\/|\/)/.test(String(specifier)) ? new URL(String(specifier), base).href : String(specifier);
+
+  const importHooks = globalThis._RUNTIME_.loadModule
+    ? (url) => globalThis._RUNTIME_.loadModule(filePath(url), "import")
+    : (url) => import(url);
+
+  const pending = (async () => {
+    const hooks = await importHooks(href);
+    if (typeof hooks.initialize === "function") await hooks.initialize(options && options.data);
+    state.async = [...state.async, { name: href, resolve: hooks.resolve, load: hooks.load }];
+  })();
+  state.pending.push(pending);
+  pending.finally(() => {
+    state.pending = state.pending.filter((p) => p !== pending);
+  }).catch(() => {});
+}
+
+/** Waits for register() calls still loading their hooks module. */
+export function ready() {
+  return Promise.all(state.pending);
+}
+
+/** Runs the synchronous resolve hooks around `defaultResolve`. */
+export function resolveSync(specifier, context, defaultResolve) {
+  return chain(state.sync, "resolve", defaultResolve, false)(specifier, context);
+}
+
+/** Runs the synchronous load hooks around `defaultLoad`. */
+export function loadSync(url, context, defaultLoad) {
+  return chain(state.sync, "load", defaultLoad, false)(url, context);
+}
+
+/** Runs every resolve hook, async ones outermost, around `defaultResolve`. */
+export async function resolveAsync(specifier, context, defaultResolve) {
+  await ready();
+  const inner = chain(state.sync, "resolve", defaultResolve, true);
+  return chain(state.async, "resolve", inner, true)(specifier, context);
+}
+
+/** Runs every load hook, async ones outermost, around `defaultLoad`. */
+export async function loadAsync(url, context, defaultLoad) {
+  await ready();
+  const inner = chain(state.sync, "load", defaultLoad, true);
+  return chain(state.async, "load", inner, true)(url, context);
+}
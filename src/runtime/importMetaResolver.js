@@ -1,26 +1,85 @@
 /**
- * Browser-compliant shim for import.meta.resolve
- * @param {string} specifier - The path to resolve (e.g., './utils.js')
- * @param {string} [parent=import.meta.url] - The base URL (defaults to current module)
- * @returns {string} - The absolute resolved URL string
+ * import.meta for sandboxed modules.
+ *
+ * Every module the loaders run gets an import.meta for its virtual file,
+ * as in Node 20.11+: `url` (a file: URL), `filename`, `dirname`, `main`,
+ * and `resolve()`. resolve() runs the resolution import uses — the
+ * registerHooks() chains, then package "exports"/"imports" with the import
+ * conditions — and returns builtins as `node:` URLs. Like Node, it returns
+ * the URL of a file that does not exist instead of throwing.
+ *
+ * ES modules converted to CommonJS (./transformModules.js) get theirs from
+ * globalThis._RUNTIME_.importMeta(); the import loader builds them for the
+ * modules it runs from data: URLs.
  */
-function __RUNTIME_RESOLVE__HANDLE(specifier, parent = 'file:') {
+
+import path from "path-browserify";
+import errors from "../internals/errors.js";
+import { fileURL, filePath, resolveSync } from "./hooks.js";
+import { createResolver } from "./resolve.js";
+
+const { ERR_INVALID_ARG_TYPE } = errors.codes;
+
+const resolver = createResolver();
+
+const cwd = () =>
+  typeof process !== "undefined" && process && typeof process.cwd === "function" ? process.cwd() : "/";
+
+// Looks like the engine's own resolve().
+function native(fn) {
+  Object.defineProperty(fn, "toString", {
+    value: () => "function resolve() { [native code] }",
+    writable: false,
+    configurable: true,
+  });
+  return fn;
+}
+
+/**
+ * import.meta.resolve(specifier) for a module at `parentURL`.
+ * @param {string} specifier
+ * @param {string} parentURL
+ * @returns {string} an absolute URL
+ */
+export function resolveImportMeta(specifier, parentURL) {
+  specifier = `${specifier}`;
+  const defaultResolve = (request, context) => {
+    const parent = filePath(context.parentURL);
+    // Modules that are not files (data:, http:) resolve as URLs do.
+    if (!parent.startsWith("/")) return { url: new URL(request, context.parentURL).href };
+    const target = resolver.resolve(request, parent, { mode: "import" });
+    return { url: target.startsWith("/") ? fileURL(target) : target };
+  };
   try {
-    // 1. The URL constructor handles relative './' and '../' 
-    //    against the parent URL exactly like the spec.
-    return new URL(specifier, parent).href;
+    return resolveSync(specifier, { parentURL, conditions: ["import"] }, defaultResolve).url;
   } catch (err) {
-    // 2. The spec requires throwing a TypeError on resolution failure
-    throw new TypeError(`Failed to resolve module specifier "${specifier}" relative to "${parent}"`);
+    if ((err.code === "ERR_MODULE_NOT_FOUND" || err.code === "ERR_UNSUPPORTED_DIR_IMPORT") && err.url) return err.url;
+    throw err;
   }
 }
 
-Object.defineProperty(__RUNTIME_RESOLVE__HANDLE, 'toString', {
-  value: function() {
-    return 'function resolve() { [native code] }';
-  },
-  writable: false,
-  configurable: true
-});
+/**
+ * The import.meta object of the module at `filename`.
+ * @param {string} filename  absolute virtual path
+ * @param {{ main?: boolean }} [options]  `main`: whether it is the entry point
+ */
+export function createImportMeta(filename, { main = false } = {}) {
+  if (typeof filename !== "string") throw new ERR_INVALID_ARG_TYPE("filename", "string", filename);
+  const url = fileURL(filename);
+  return Object.assign(Object.create(null), {
+    dirname: path.dirname(filename),
+    filename,
+    main,
+    resolve: native(function resolve(specifier, parent = url) {
+      return resolveImportMeta(specifier, parent);
+    }),
+    url,
+  });
+}
+
+globalThis._RUNTIME_.importMeta = (filename, main) => createImportMeta(filename, { main });
 
-globalThis._RUNTIME_.__RUNTIME_RESOLVE__HANDLE = __RUNTIME_RESOLVE__HANDLE;
+// Resolves against the working directory, for code that has no module of its own.
+globalThis._RUNTIME_.__RUNTIME_RESOLVE__HANDLE = native(function resolve(specifier, parent = fileURL(`${cwd()}/`)) {
+  return resolveImportMeta(specifier, parent);
+});
@@ -0,0 +1,283 @@
+/**
+ * Module graph for the import loader, with Vite-style hot module replacement.
+ *
+ * Every loaded module is a node keyed by its resolved id (an absolute path
+ * in the virtual fs, or `node:x` for a builtin) that records which modules
+ * it imports and which import it. Each node holds one instance per loader
+ * kind ("import" / "require"), so a cycle sees the partial exports of the
+ * module still loading.
+ *
+ * When a file the graph knows about changes, the change is propagated up
+ * the importer edges until it reaches HMR boundaries:
+ *
+ *   - a module that accepts itself (`import.meta.hot.accept(cb)`), or
+ *   - an importer that accepts the changed dependency
+ *     (`import.meta.hot.accept('./dep.js', cb)`).
+ *
+ * Every module on the way is disposed and dropped, the accepted modules are
+ * imported again, and their accept callbacks get the new namespaces. If the
+ * change reaches a module nobody imports without meeting a boundary, the
+ * page has to reload: `onFullReload` is called instead.
+ */
+
+import path from "path-browserify";
+
+const { dirname, resolve: resolvePath } = path;
+
+function defaultResolve(specifier, importer) {
+  return specifier.startsWith("/") ? specifier : resolvePath(dirname(importer), specifier);
+}
+
+function defaultFullReload() {
+  if (typeof location !== "undefined" && typeof location.reload === "function") location.reload();
+}
+
+/**
+ * @param {object} [options]
+ * @param {(id: string) => Promise<object>} [options.load]
+ *   imports the module `id` again after an update; returns its namespace
+ * @param {(specifier: string, importer: string) => string} [options.resolve]
+ *   id of a specifier passed to import.meta.hot.accept()
+ * @param {(info: { path: string, reason: string }) => void} [options.onFullReload]
+ * @param {() => object|undefined} [options.changes]  the fs change bus to follow
+ */
+export function createModuleGraph(options = {}) {
+  const {
+    load,
+    resolve = defaultResolve,
+    onFullReload = defaultFullReload,
+    changes = () => globalThis._RUNTIME_.__FS__ && globalThis._RUNTIME_.__FS__._changes,
+  } = options;
+
+  const nodes = new Map();
+  let unsubscribe = null;
+  let pending = null;
+
+  function follow() {
+    if (unsubscribe) return;
+    const bus = changes();
+    if (!bus) return;
+    unsubscribe = bus.subscribe(({ path: changed }) => {
+      if (!nodes.has(changed)) return;
+      // One write can report several events; update once per tick.
+      if (!pending) {
+        pending = new Set();
+        queueMicrotask(() => {
+          const paths = [...pending];
+          pending = null;
+          graph.update(paths).catch((err) => console.error("[hmr] update failed:", err));
+        });
+      }
+      pending.add(changed);
+    });
+  }
+
+  function createNode(id) {
+    return {
+      id,
+      imports: new Set(),
+      importers: new Set(),
+      instances: new Map(),
+      version: 0,
+      data: {},
+      hot: null,
+      accepts: [],
+      disposers: [],
+      selfAccepting: false,
+    };
+  }
+
+  /** The import.meta.hot object for one execution of `node`. */
+  function createHotContext(node) {
+    return {
+      get data() {
+        return node.data;
+      },
+
+      accept(deps, callback) {
+        if (deps === undefined || typeof deps === "function") {
+          node.selfAccepting = true;
+          if (deps) node.accepts.push({ deps: [node.id], callback: ([mod]) => deps(mod) });
+          return;
+        }
+        const list = Array.isArray(deps) ? deps : [deps];
+        const ids = list.map((dep) => resolve(dep, node.id));
+        const single = !Array.isArray(deps);
+        node.accepts.push({
+          deps: ids,
+          callback: callback ? (mods) => callback(single ? mods[0] : mods) : null,
+        });
+      },
+
+      dispose(callback) {
+        node.disposers.push(callback);
+      },
+
+      invalidate(message) {
+        graph.invalidateModule(node.id, message);
+      },
+    };
+  }
+
+  function dispose(node) {
+    for (const callback of node.disposers) callback(node.data);
+    for (const dep of node.imports) {
+      const depNode = nodes.get(dep);
+      if (depNode) depNode.importers.delete(node.id);
+    }
+    node.imports.clear();
+    node.instances.clear();
+    node.accepts = [];
+    node.disposers = [];
+    node.selfAccepting = false;
+    node.hot = null;
+    node.version += 1;
+  }
+
+  const accepting = (node, dep) => node.accepts.some((entry) => entry.deps.includes(dep));
+
+  /**
+   * Walks up from `id` collecting boundaries and the modules to drop.
+   * @returns {boolean} true when an importer-less module was reached
+   */
+  function propagate(id, boundaries, stale, skipSelf) {
+    if (stale.has(id)) return false;
+    const node = nodes.get(id);
+    if (!node) return false;
+    stale.add(id);
+    if (node.selfAccepting && !skipSelf) {
+      boundaries.push({ boundary: id, accepted: id });
+      return false;
+    }
+    if (node.importers.size === 0) return true;
+    for (const importer of node.importers) {
+      const importerNode = nodes.get(importer);
+      if (importerNode && accepting(importerNode, id)) {
+        boundaries.push({ boundary: importer, accepted: id });
+      } else if (propagate(importer, boundaries, stale, false)) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  async function applyUpdate(ids, skipSelf, reason) {
+    const boundaries = [];
+    const stale = new Set();
+    for (const id of ids) {
+      if (propagate(id, boundaries, stale, skipSelf)) {
+        for (const staleId of stale) dispose(nodes.get(staleId));
+        onFullReload({ path: id, reason });
+        return { type: "full-reload", path: id };
+      }
+    }
+
+    // A self-accepting boundary is disposed too; keep the callbacks it had.
+    const accepts = new Map(boundaries.map(({ boundary }) => [boundary, nodes.get(boundary).accepts]));
+    for (const staleId of stale) dispose(nodes.get(staleId));
+
+    const updated = [];
+    for (const { boundary, accepted } of boundaries) {
+      const mod = load ? await load(accepted) : undefined;
+      for (const entry of accepts.get(boundary)) {
+        if (!entry.deps.includes(accepted) || !entry.callback) continue;
+        entry.callback(entry.deps.map((dep) => (dep === accepted ? mod : undefined)));
+      }
+      updated.push({ boundary, accepted });
+    }
+    return { type: "update", updates: updated };
+  }
+
+  const graph = {
+    /** The node for `id`, or undefined. */
+    get(id) {
+      return nodes.get(id);
+    },
+
+    has(id) {
+      return nodes.has(id);
+    },
+
+    /** The node for `id`, created on first use. */
+    ensure(id) {
+      follow();
+      let node = nodes.get(id);
+      if (!node) {
+        node = createNode(id);
+        nodes.set(id, node);
+      }
+      return node;
+    },
+
+    /** Records that `importer` imports `id`. */
+    addImport(importer, id) {
+      if (importer === id) return;
+      graph.ensure(importer).imports.add(id);
+      graph.ensure(id).importers.add(importer);
+    },
+
+    /** The `kind` instance of `id` ({ status, exports }), if loaded. */
+    instance(id, kind) {
+      const node = nodes.get(id);
+      return node && node.instances.get(kind);
+    },
+
+    setInstance(id, kind, instance) {
+      graph.ensure(id).instances.set(kind, instance);
+    },
+
+    deleteInstance(id, kind) {
+      const node = nodes.get(id);
+      if (node) node.instances.delete(kind);
+    },
+
+    /** import.meta.hot for `id`, shared by one execution of the module. */
+    hot(id) {
+      const node = graph.ensure(id);
+      return (node.hot ??= createHotContext(node));
+    },
+
+    /**
+     * Drops `id` and everything that imports it, without HMR.
+     * @returns {string[]} the ids dropped
+     */
+    invalidate(id) {
+      const dropped = [];
+      const walk = (current) => {
+        const node = nodes.get(current);
+        if (!node || dropped.includes(current)) return;
+        dropped.push(current);
+        const importers = [...node.importers];
+        dispose(node);
+        importers.forEach(walk);
+      };
+      walk(id);
+      return dropped;
+    },
+
+    /** What import.meta.hot.invalidate() does: re-propagate past `id`. */
+    invalidateModule(id, message) {
+      return applyUpdate([id], true, message || `${id} invalidated itself`);
+    },
+
+    /**
+     * Runs HMR for changed files: dispose, re-import at the boundaries,
+     * call the accept callbacks — or ask for a full reload.
+     * @param {string[]} paths
+     */
+    update(paths) {
+      const known = paths.filter((p) => nodes.has(p));
+      if (known.length === 0) return Promise.resolve({ type: "update", updates: [] });
+      return applyUpdate(known, false, `${known.join(", ")} changed`);
+    },
+
+    /** Forgets every module and stops following the fs. */
+    clear() {
+      nodes.clear();
+      if (unsubscribe) unsubscribe();
+      unsubscribe = null;
+    },
+  };
+
+  return graph;
+}
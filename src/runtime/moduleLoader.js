@@ -1,6 +1,148 @@
-// Registry of in-flight modules to catch circular references.
-// Maps resolvedKey -> { status: 'loading' | 'done', exports, promise }
-const moduleRegistry = new Map();
+import { createRequire } from './cjsLoader.js';
+import path from 'path-browserify';
+import errors from '../internals/errors.js';
+import { fileURL, filePath, loadAsync, resolveAsync } from './hooks.js';
+import { createImportMeta } from './importMetaResolver.js';
+import { createModuleGraph } from './moduleGraph.js';
+import { createResolver } from './resolve.js';
+import {
+  composeSourceMaps,
+  extractSourceMap,
+  identitySourceMap,
+  inlineSourceMap,
+  offsetSourceMap,
+  registerSourceMap,
+} from './sourceMaps.js';
+import { replaceImportMeta } from './transformModules.js';
+
+export { createRequire };
+
+const { ERR_UNKNOWN_FILE_EXTENSION } = errors.codes;
+
+const TYPESCRIPT = /\.(?:[cm]?ts|tsx)$/;
+
+// Bare specifiers and #imports are resolved against the virtual fs.
+const resolver = createResolver();
+
+// How to import each module again after a hot update, by graph id.
+const reloaders = new Map();
+
+// Loaded modules by resolved id, with importer edges for invalidation and
+// HMR. Instances are { status: 'loading' | 'done', exports, promise }; a
+// 'loading' one is a cycle and gets the partial exports.
+const graph = (globalThis._RUNTIME_.__MODULE_GRAPH__ ??= createModuleGraph({
+  load: (id) => (reloaders.has(id) ? reloaders.get(id)() : undefined),
+  resolve: (specifier, importer) =>
+    /^\.{0,2}\//.test(specifier)
+      ? path.resolve(path.dirname(importer), specifier)
+      : filePath(resolver.resolve(specifier, importer, { mode: 'import' })),
+  onFullReload: (info) =>
+    globalThis._RUNTIME_.onFullReload
+      ? globalThis._RUNTIME_.onFullReload(info)
+      : typeof location !== 'undefined' && location.reload(),
+}));
+
+// import.meta of the modules run from data: URLs, by id.
+const importMetas = (globalThis._RUNTIME_.__IMPORT_METAS__ ??= new Map());
+
+// data: URL modules would get the URL's import.meta, so it is rewritten to
+// the one for the module's file, with import.meta.hot from the graph. The
+// map of the rewrite is composed with the one `source` carries.
+function withImportMeta(source, id, main = false) {
+  if (!id.startsWith('/')) return source;
+  const meta = createImportMeta(id, { main });
+  Object.defineProperty(meta, 'hot', { enumerable: true, get: () => graph.hot(id) });
+  importMetas.set(id, meta);
+  const { code, map } = extractSourceMap(source);
+  const rewritten = replaceImportMeta(code, `globalThis._RUNTIME_.__IMPORT_METAS__.get(${JSON.stringify(id)})`, {
+    filename: id,
+  });
+  if (!rewritten) return source;
+  return `${rewritten.code}\n${inlineSourceMap(map ? composeSourceMaps(rewritten.map, map) : rewritten.map)}`;
+}
+
+// sourceURL of a module, versioned so a hot update imports a new data: URL.
+function sourceURL(name, id) {
+  const node = graph.get(id);
+  return node && node.version ? `${name}?v=${node.version}` : name;
+}
+
+// Strips the inline map _build_file left in `source` and registers it for
+// the module's sourceURL and id, shifted past whatever `wrap` puts in front.
+function withSourceMap(source, url, id, wrap) {
+  const { code, map } = extractSourceMap(source);
+  const wrapped = wrap ? wrap(code) : code;
+  if (!map && !wrap) return code;
+  const prefix = wrapped.slice(0, Math.max(wrapped.indexOf(code), 0)).split('\n');
+  const payload = offsetSourceMap(map || identitySourceMap(code, id), prefix.length - 1, prefix[prefix.length - 1].length);
+  registerSourceMap(url, payload);
+  if (url !== id) registerSourceMap(id, payload);
+  return wrapped;
+}
+
+// TypeScript goes through the service the host loaded (./typescriptCompiler.js).
+function compileTypeScript(source, filename) {
+  const { typescript } = globalThis._RUNTIME_;
+  if (!typescript) throw new ERR_UNKNOWN_FILE_EXTENSION(path.extname(filename), filename);
+  return typescript.compile(source, filename);
+}
+
+function recordImport(importer, id) {
+  if (!importer.endsWith('/[eval]')) graph.addImport(importer, id);
+}
+
+const cwdOrRoot = () =>
+  typeof process !== 'undefined' && process && typeof process.cwd === 'function' ? process.cwd() : '/';
+
+// Absolute path of the file doing the import, for node_modules lookups.
+function importerPath(modulePath, entryPoint, parentEntryPoint) {
+  const importer = parentEntryPoint || (entryPoint !== modulePath ? entryPoint : null);
+  if (!importer || /^[a-z][a-z0-9+.-]*:/i.test(importer)) return `${cwdOrRoot()}/[eval]`;
+  return importer.startsWith('/') ? importer : `${cwdOrRoot()}/${importer.replace(/^\.\//, '')}`;
+}
+
+/**
+ * Imports a file resolved from node_modules (or a package's "imports") out
+ * of the virtual fs. require() goes through ./cjsLoader.js instead.
+ */
+async function loadResolvedFile(filename, moduleType, entryPoint) {
+  const cached = graph.instance(filename, moduleType);
+  if (cached) return cached.exports;
+
+  const partialExports = {};
+  const record = { status: 'loading', exports: partialExports, promise: null };
+  graph.setInstance(filename, moduleType, record);
+  reloaders.set(filename, () => loadResolvedFile(filename, moduleType, entryPoint));
+
+  try {
+    const loaded = await loadAsync(
+      fileURL(filename),
+      { format: filename.endsWith('.json') ? 'json' : 'module', conditions: ['import'] },
+      (url, context) => ({ format: context.format, source: globalThis._RUNTIME_.__FS__.readFileSync(filePath(url), 'utf8') })
+    );
+    let source = typeof loaded.source === 'string' ? loaded.source : new TextDecoder().decode(loaded.source);
+    let resolved;
+    if (loaded.format === 'json') {
+      resolved = { default: JSON.parse(source) };
+    } else {
+      if (TYPESCRIPT.test(filename)) source = compileTypeScript(source, filename);
+      source = await interopChannel.callParent(
+        '_build_file', source, filename, moduleType, entryPoint, filename, false
+      );
+      const url = sourceURL(filename, filename);
+      source = withSourceMap(withImportMeta(source, filename), url, filename) + `\n //# sourceURL=${url}`;
+      resolved = await importAndProxy(`data:text/javascript;charset=utf-8,${encodeURIComponent(source)}`, filename, filename, moduleType);
+    }
+
+    if (resolved && typeof resolved === 'object') Object.assign(partialExports, resolved);
+    record.status = 'done';
+    record.exports = resolved;
+    return resolved;
+  } catch (err) {
+    graph.deleteInstance(filename, moduleType);
+    throw err;
+  }
+}
 
 /**
  * @param {string} modulePath     - The import path as written (e.g. './foo', '../bar', or a URL)
@@ -28,6 +170,8 @@ export async function loadModule(modulePath, moduleType, entryPoint, parentEntry
     modulePath = modulePath.replace("/", "_");
   }
 
+  // import.meta.main: the module loaded first, not imported by another.
+  const isMain = entryPoint === undefined && parentEntryPoint == null;
   if (entryPoint === undefined) entryPoint = modulePath;
   if (parentEntryPoint === undefined) parentEntryPoint = null;
 
@@ -40,11 +184,13 @@ export async function loadModule(modulePath, moduleType, entryPoint, parentEntry
     // ─── Relative / interop-channel path ────────────────────────────────────
     if (isRelative || isNodeBuiltIn || isAbsolute) {
       relativeName = modulePath;
-      const registryKey = `${entryPoint}::${modulePath}`;
+      const importer = importerPath(modulePath, entryPoint, parentEntryPoint);
+      const id = isNodeBuiltIn ? `node:${modulePath}` : path.resolve(path.dirname(importer), modulePath);
+      recordImport(importer, id);
 
       // ── Circular reference guard ─────────────────────────────────────────
-      if (moduleRegistry.has(registryKey)) {
-        const record = moduleRegistry.get(registryKey);
+      const record = graph.instance(id, moduleType);
+      if (record) {
         if (record.status === 'loading') {
           console.warn(
             `[loadModule] Circular dependency detected for "${modulePath}" ` +
@@ -56,8 +202,9 @@ export async function loadModule(modulePath, moduleType, entryPoint, parentEntry
       }
 
       const partialExports = {};
-      const record = { status: 'loading', exports: partialExports, promise: null };
-      moduleRegistry.set(registryKey, record);
+      const loading = { status: 'loading', exports: partialExports, promise: null };
+      graph.setInstance(id, moduleType, loading);
+      reloaders.set(id, () => loadModule(modulePath, moduleType, entryPoint, parentEntryPoint));
 
       try {
         const cwd =
@@ -81,6 +228,8 @@ export async function loadModule(modulePath, moduleType, entryPoint, parentEntry
           throw new Error(`[ERR_MODULE_NOT_FOUND]: Cannot find module ${modulePath}`);
         }
 
+        if (TYPESCRIPT.test(id)) source = compileTypeScript(source, id);
+
         if (extension !== 'json' && extension !== 'css') {
           source = await interopChannel.callParent(
             '_build_file',
@@ -103,28 +252,53 @@ export async function loadModule(modulePath, moduleType, entryPoint, parentEntry
           resolved = sheet;
           return { default: resolved };
         } else {
-          if (moduleType === 'require') {
-            source = wrapCommonJS(source);
-          }
-          source = source + `\n //# sourceURL=${modulePath}`;
-          const url = `data:text/javascript;charset=utf-8,${encodeURIComponent(source)}`;
-          resolved = await importAndProxy(url, modulePath, relativeName, moduleType);
+          const url = sourceURL(modulePath, id);
+          source = withImportMeta(source, id, isMain);
+          source = withSourceMap(source, url, id, moduleType === 'require' ? wrapCommonJS : undefined) + `\n //# sourceURL=${url}`;
+          resolved = await importAndProxy(
+            `data:text/javascript;charset=utf-8,${encodeURIComponent(source)}`, modulePath, relativeName, moduleType
+          );
         }
 
         if (resolved && typeof resolved === 'object') {
           Object.assign(partialExports, resolved);
         }
 
-        record.status = 'done';
-        record.exports = resolved;
+        loading.status = 'done';
+        loading.exports = resolved;
         return resolved;
 
       } catch (err) {
-        moduleRegistry.delete(registryKey);
+        graph.deleteInstance(id, moduleType);
         throw err;
       }
     }
 
+    // ─── Bare specifiers and #imports (Node resolution) ─────────────────────
+    if (!/^[a-z][a-z0-9+.-]*:/i.test(modulePath) && !modulePath.startsWith('/')) {
+      const importer = importerPath(modulePath, entryPoint, parentEntryPoint);
+      // CommonJS is loaded synchronously, straight from the virtual fs.
+      if (moduleType === 'require') return createRequire(importer)(modulePath);
+
+      const { url } = await resolveAsync(
+        modulePath,
+        { parentURL: fileURL(importer), conditions: ['import'] },
+        (specifier, context) => {
+          const target = resolver.resolve(specifier, filePath(context.parentURL), { mode: 'import' });
+          return { url: target.startsWith('/') ? fileURL(target) : target };
+        }
+      );
+      const filename = filePath(url);
+      if (filename.startsWith('node:')) {
+        return await loadModule(filename, moduleType, entryPoint, parentEntryPoint);
+      }
+      if (filename.startsWith('/')) {
+        recordImport(importer, filename);
+        return await loadResolvedFile(filename, moduleType, entryPoint);
+      }
+      modulePath = filename; // a package "imports" entry pointing at a URL
+    }
+
     // ─── Asset handling (JSON / TXT / MD) ───────────────────────────────────
     if (['json', 'txt', 'md'].includes(extension)) {
       const response = await fetch(modulePath);
@@ -148,23 +322,8 @@ export async function loadModule(modulePath, moduleType, entryPoint, parentEntry
       return sheet;
     }
 
-    // ─── Standard JS import (absolute URL / bare specifier) ─────────────────
-    const requiredSupportedYet = false;
-    let data;
-
-    if (moduleType === 'require' && !isRelative && !isAbsolute) {
-      throw new Error(`[ERR_MODULE_NOT_FOUND]: Cannot find module ${modulePath}`);
-    }
-
-    if (moduleType === 'require' && requiredSupportedYet) {
-      let src = await fetch(modulePath).then(r => r.text());
-      src = wrapCommonJS(src);
-      const url = `data:text/javascript;charset=utf-8,${encodeURIComponent(src)}`;
-      data = await import(url);
-    } else {
-      data = await import(modulePath);
-    }
-
+    // ─── Standard JS import (absolute URL) ──────────────────────────────────
+    const data = await import(modulePath);
     return buildModuleProxy(data, modulePath, relativeName, moduleType);
 
   } catch (error) {
@@ -0,0 +1,420 @@
+/**
+ * Node's module resolution algorithm, run against the virtual fs.
+ *
+ * Follows the ESM resolver spec (https://nodejs.org/api/esm.html#resolver-algorithm-specification)
+ * for `import` and the CommonJS algorithm (https://nodejs.org/api/modules.html#all-together)
+ * for `require`:
+ *
+ *   - relative and absolute specifiers, file: URLs
+ *   - builtins, with or without the node: prefix
+ *   - bare specifiers, by walking node_modules up from the importer
+ *   - package.json "exports" with conditions and subpath patterns
+ *   - package.json "imports" (#specifiers)
+ *   - self-reference by the enclosing package's own name
+ *   - "main" (and, for import, "module") when a package has no "exports"
+ *
+ * Errors carry the same codes and messages as Node's.
+ */
+
+import errors from "../internals/errors.js";
+import { isBuiltin } from "./builtins.js";
+import { fileURL } from "./hooks.js";
+import path from "path-browserify";
+
+const { dirname, join, resolve: resolvePath } = path;
+
+const {
+  ERR_INVALID_MODULE_SPECIFIER,
+  ERR_INVALID_PACKAGE_CONFIG,
+  ERR_INVALID_PACKAGE_TARGET,
+  ERR_MODULE_NOT_FOUND,
+  ERR_PACKAGE_IMPORT_NOT_DEFINED,
+  ERR_PACKAGE_PATH_NOT_EXPORTED,
+  ERR_UNSUPPORTED_DIR_IMPORT,
+} = errors.codes;
+
+// Files require() tries after the exact name, in order.
+const REQUIRE_EXTENSIONS = [".js", ".json", ".node"];
+
+const INVALID_SEGMENT = /(^|\\|\/)((\.|%2e)(\.|%2e)?|(n|%6e|%4e)(o|%6f|%4f)(d|%64|%44)(e|%65|%45)(_|%5f)(m|%6d|%4d)(o|%6f|%4f)(d|%64|%44)(u|%75|%55)(l|%6c|%4c)(e|%65|%45)(s|%73|%53))?(\\|\/|$)/i;
+
+/** Splits a bare specifier into its package name (`name` or `@scope/name`) and subpath. */
+export function parsePackageName(specifier, base) {
+  let separator = specifier.indexOf("/");
+  let valid = true;
+  if (specifier[0] === "@") {
+    if (separator === -1) valid = false;
+    else separator = specifier.indexOf("/", separator + 1);
+  }
+  const name = separator === -1 ? specifier : specifier.slice(0, separator);
+  if (name[0] === "." || /[\\%]/.test(name)) valid = false;
+  if (!valid) {
+    throw new ERR_INVALID_MODULE_SPECIFIER(specifier, "is not a valid package name", base);
+  }
+  return { name, subpath: `.${separator === -1 ? "" : specifier.slice(separator)}` };
+}
+
+// Node's PATTERN_KEY_COMPARE: longer prefixes first, then longer keys.
+function patternKeyCompare(a, b) {
+  const starA = a.indexOf("*");
+  const starB = b.indexOf("*");
+  const baseA = starA === -1 ? a.length : starA + 1;
+  const baseB = starB === -1 ? b.length : starB + 1;
+  if (baseA > baseB) return -1;
+  if (baseB > baseA) return 1;
+  if (starA === -1) return 1;
+  if (starB === -1) return -1;
+  if (a.length > b.length) return -1;
+  if (b.length > a.length) return 1;
+  return 0;
+}
+
+function isConditionalSugar(exports, packageJsonPath, base) {
+  if (typeof exports === "string" || Array.isArray(exports)) return true;
+  if (typeof exports !== "object" || exports === null) return false;
+  let dotted;
+  for (const key of Object.keys(exports)) {
+    const current = key === "" || key[0] !== ".";
+    if (dotted === undefined) dotted = current;
+    else if (dotted !== current) {
+      throw new ERR_INVALID_PACKAGE_CONFIG(
+        packageJsonPath,
+        base,
+        "\"exports\" cannot contain some keys starting with '.' and some not. " +
+          "The exports object must either be an object of package subpath keys " +
+          "or an object of main entry condition name keys only."
+      );
+    }
+  }
+  return dotted;
+}
+
+/**
+ * @param {object} [options]
+ * @param {object} [options.fs]  fs module to resolve against (defaults to the sandbox fs)
+ */
+export function createResolver(options = {}) {
+  const fs = () => options.fs || globalThis._RUNTIME_.__FS__;
+
+  function kind(path) {
+    try {
+      const stats = fs().statSync(path);
+      return stats.isDirectory() ? "dir" : stats.isFile() ? "file" : null;
+    } catch {
+      return null;
+    }
+  }
+
+  function readPackageJson(packageJsonPath, base) {
+    let source;
+    try {
+      source = fs().readFileSync(packageJsonPath, "utf8");
+    } catch {
+      return null;
+    }
+    try {
+      return JSON.parse(source);
+    } catch (err) {
+      throw new ERR_INVALID_PACKAGE_CONFIG(packageJsonPath, base, err.message);
+    }
+  }
+
+  /** Nearest package.json at or above `path`'s directory, as { dir, json }. */
+  function packageScope(path) {
+    let dir = dirname(path);
+    for (;;) {
+      if (dir.endsWith("/node_modules")) return null;
+      const json = readPackageJson(join(dir, "package.json"));
+      if (json) return { dir, json };
+      const parent = dirname(dir);
+      if (parent === dir) return null;
+      dir = parent;
+    }
+  }
+
+  function resolveWith(specifier, parent, mode, conditions, requireStack) {
+    // Errors from import name the importer; require's do not.
+    const base = mode === "import" ? parent : undefined;
+    const pkgPath = (dir) => `${dir === "/" ? "" : dir}/`;
+    let exported = false; // set once "exports" picked the target
+
+    // Targets named by "exports" or "imports" are used as they are.
+    function exact(path) {
+      if (path.startsWith("node:") || kind(path) === "file") return path;
+      throw notFound(path);
+    }
+
+    function targetResolve(dir, target, subpath, patternMatch, isImports) {
+      const invalidTarget = () =>
+        new ERR_INVALID_PACKAGE_TARGET(pkgPath(dir), subpath, target, isImports, base);
+
+      if (typeof target === "string") {
+        if (!target.startsWith("./")) {
+          if (isImports && !target.startsWith("../") && !target.startsWith("/") && !/^[a-z][a-z0-9+.-]*:/i.test(target)) {
+            const expanded = patternMatch === null ? target : target.replace(/\*/g, patternMatch);
+            return packageResolve(expanded, join(dir, "package.json"));
+          }
+          throw invalidTarget();
+        }
+        if (INVALID_SEGMENT.test(target.slice(2))) throw invalidTarget();
+        const resolved = join(dir, target);
+        if (!resolved.startsWith(dir === "/" ? "/" : `${dir}/`)) throw invalidTarget();
+        if (patternMatch === null) return resolved;
+        if (INVALID_SEGMENT.test(patternMatch)) {
+          const request = subpath.replace("*", patternMatch);
+          throw new ERR_INVALID_MODULE_SPECIFIER(
+            request,
+            `request is not a valid match in pattern "${subpath}" for the "${isImports ? "imports" : "exports"}" resolution of ${pkgPath(dir)}package.json`,
+            base
+          );
+        }
+        return resolved.replace(/\*/g, patternMatch);
+      }
+
+      if (Array.isArray(target)) {
+        if (!target.length) return null;
+        let lastError;
+        for (const item of target) {
+          let resolved;
+          try {
+            resolved = targetResolve(dir, item, subpath, patternMatch, isImports);
+          } catch (err) {
+            lastError = err;
+            if (err.code === "ERR_INVALID_PACKAGE_TARGET") continue;
+            throw err;
+          }
+          if (resolved === undefined) continue;
+          if (resolved === null) {
+            lastError = null;
+            continue;
+          }
+          return resolved;
+        }
+        if (lastError) throw lastError;
+        return lastError === null ? null : undefined;
+      }
+
+      if (target && typeof target === "object") {
+        for (const key of Object.keys(target)) {
+          if (/^\d+$/.test(key)) {
+            throw new ERR_INVALID_PACKAGE_CONFIG(
+              join(dir, "package.json"),
+              base,
+              '"exports" cannot contain numeric property keys.'
+            );
+          }
+        }
+        for (const key of Object.keys(target)) {
+          if (key !== "default" && !conditions.includes(key)) continue;
+          const resolved = targetResolve(dir, target[key], subpath, patternMatch, isImports);
+          if (resolved === undefined) continue;
+          return resolved;
+        }
+        return undefined;
+      }
+
+      if (target === null) return null;
+      throw invalidTarget();
+    }
+
+    function importsExportsResolve(matchKey, matchObj, dir, isImports) {
+      if (Object.hasOwn(matchObj, matchKey) && !matchKey.includes("*")) {
+        return targetResolve(dir, matchObj[matchKey], matchKey, null, isImports);
+      }
+      const keys = Object.keys(matchObj)
+        .filter((key) => key.indexOf("*") !== -1 && key.indexOf("*") === key.lastIndexOf("*"))
+        .sort(patternKeyCompare);
+      for (const key of keys) {
+        const [patternBase, patternTrailer] = key.split("*");
+        if (!matchKey.startsWith(patternBase) || matchKey === patternBase) continue;
+        if (patternTrailer && !(matchKey.endsWith(patternTrailer) && matchKey.length >= key.length)) continue;
+        const patternMatch = matchKey.slice(patternBase.length, matchKey.length - patternTrailer.length);
+        return targetResolve(dir, matchObj[key], key, patternMatch, isImports);
+      }
+      return null;
+    }
+
+    function exportsResolve(dir, subpath, exports) {
+      const packageJsonPath = join(dir, "package.json");
+      const sugar = isConditionalSugar(exports, packageJsonPath, base);
+      let resolved = null;
+      if (subpath === ".") {
+        const main = sugar ? exports : exports["."];
+        if (main !== undefined) resolved = targetResolve(dir, main, ".", null, false);
+      } else if (!sugar) {
+        resolved = importsExportsResolve(subpath, exports, dir, false);
+      }
+      if (resolved == null) throw new ERR_PACKAGE_PATH_NOT_EXPORTED(pkgPath(dir), subpath, base);
+      exported = true;
+      return resolved;
+    }
+
+    function importsResolve(name) {
+      if (name === "#" || name.startsWith("#/") || name.endsWith("/")) {
+        throw new ERR_INVALID_MODULE_SPECIFIER(name, "is not a valid internal imports specifier name", parent);
+      }
+      const scope = packageScope(parent);
+      if (scope && scope.json.imports && typeof scope.json.imports === "object") {
+        const resolved = importsExportsResolve(name, scope.json.imports, scope.dir, true);
+        if (resolved != null) return resolved;
+      }
+      throw new ERR_PACKAGE_IMPORT_NOT_DEFINED(name, scope && pkgPath(scope.dir), parent);
+    }
+
+    // Entry point of a package without "exports".
+    function legacyMain(dir, json) {
+      const fields = mode === "import" ? ["module", "main"] : ["main"];
+      const field = fields.find((f) => typeof json[f] === "string" && json[f]);
+      if (mode === "require") return field ? loadAsFile(join(dir, json[field])) ?? loadIndex(join(dir, json[field])) : null;
+
+      const candidates = [];
+      if (field) {
+        const main = join(dir, json[field]);
+        candidates.push(main, `${main}.js`, `${main}.json`, `${main}.node`, `${main}/index.js`, `${main}/index.json`, `${main}/index.node`);
+      }
+      candidates.push(join(dir, "index.js"), join(dir, "index.json"), join(dir, "index.node"));
+      const found = candidates.find((c) => kind(c) === "file");
+      if (!found) throw new ERR_MODULE_NOT_FOUND("package", pkgPath(dir), base);
+      return found;
+    }
+
+    function packageResolve(specifier, from) {
+      if (isBuiltin(specifier)) return specifier.startsWith("node:") ? specifier : `node:${specifier}`;
+      const { name, subpath } = parsePackageName(specifier, base);
+      if (subpath.endsWith("/") && subpath !== "./") {
+        throw new ERR_INVALID_MODULE_SPECIFIER(specifier, "is not a valid package name", base);
+      }
+
+      // Self-reference: the importer's own package by name.
+      const scope = packageScope(from);
+      if (scope && scope.json.name === name && scope.json.exports != null) {
+        return exportsResolve(scope.dir, subpath, scope.json.exports);
+      }
+
+      for (let dir = dirname(from); ; dir = dirname(dir)) {
+        if (!dir.endsWith("/node_modules")) {
+          const packageDir = join(dir, "node_modules", name);
+          if (kind(packageDir) === "dir") {
+            const json = readPackageJson(join(packageDir, "package.json"), base) || {};
+            if (json.exports != null) return exportsResolve(packageDir, subpath, json.exports);
+            if (subpath === ".") {
+              const main = legacyMain(packageDir, json);
+              if (main) return main;
+            }
+            return join(packageDir, subpath);
+          }
+        }
+        if (dir === "/") break;
+      }
+      if (mode === "require") return null;
+      throw new ERR_MODULE_NOT_FOUND("package", name, base);
+    }
+
+    // require() probing: X, X.js, X.json, X.node
+    function loadAsFile(path) {
+      if (kind(path) === "file") return path;
+      for (const ext of REQUIRE_EXTENSIONS) {
+        if (kind(path + ext) === "file") return path + ext;
+      }
+      return null;
+    }
+
+    function loadIndex(path) {
+      for (const ext of REQUIRE_EXTENSIONS) {
+        if (kind(`${path}/index${ext}`) === "file") return `${path}/index${ext}`;
+      }
+      return null;
+    }
+
+    function loadAsDirectory(path) {
+      if (kind(path) !== "dir") return null;
+      const json = readPackageJson(join(path, "package.json"));
+      if (json && typeof json.main === "string" && json.main) {
+        const main = join(path, json.main);
+        const found = loadAsFile(main) ?? loadIndex(main);
+        if (found) return found;
+      }
+      return loadIndex(path);
+    }
+
+    function notFound(request = specifier) {
+      const stack = requireStack || [parent];
+      const err = new Error(`Cannot find module '${request}'\nRequire stack:\n- ${stack.join("\n- ")}`);
+      err.code = "MODULE_NOT_FOUND";
+      err.requireStack = stack;
+      return err;
+    }
+
+    // ── dispatch ──────────────────────────────────────────────────────────────
+    if (isBuiltin(specifier)) {
+      return specifier.startsWith("node:") ? specifier : `node:${specifier}`;
+    }
+
+    if (mode === "require") {
+      if (specifier.startsWith("#")) return exact(importsResolve(specifier));
+      if (/^(\.\.?(\/|$)|\/)/.test(specifier)) {
+        const path = resolvePath(dirname(parent), specifier);
+        const found = (specifier.endsWith("/") ? null : loadAsFile(path)) ?? loadAsDirectory(path);
+        if (!found) throw notFound();
+        return found;
+      }
+      const resolved = packageResolve(specifier, parent);
+      if (resolved === null) throw notFound();
+      if (resolved.startsWith("node:") || exported) return exact(resolved);
+      const found = loadAsFile(resolved) ?? loadAsDirectory(resolved);
+      if (!found) throw notFound();
+      return found;
+    }
+
+    let resolved;
+    if (/^(\.\.?(\/|$)|\/)/.test(specifier)) {
+      resolved = resolvePath(dirname(parent), specifier);
+    } else if (specifier.startsWith("file:")) {
+      resolved = decodeURIComponent(new URL(specifier).pathname);
+    } else if (/^[a-z][a-z0-9+.-]*:/i.test(specifier)) {
+      return specifier; // http:, data:, blob: … are loaded as they are
+    } else if (specifier.startsWith("#")) {
+      resolved = importsResolve(specifier);
+    } else {
+      resolved = packageResolve(specifier, parent);
+    }
+    if (resolved.startsWith("node:") || /^[a-z][a-z0-9+.-]*:/i.test(resolved)) return resolved;
+
+    if (/%2f|%5c/i.test(resolved)) {
+      throw new ERR_INVALID_MODULE_SPECIFIER(resolved, 'must not include encoded "/" or "\\" characters', parent);
+    }
+    const found = kind(resolved);
+    if (found === "file") return resolved;
+    // As in Node, the error carries the URL it resolved to (import.meta.resolve returns it).
+    const err = found === "dir"
+      ? new ERR_UNSUPPORTED_DIR_IMPORT(resolved, parent)
+      : new ERR_MODULE_NOT_FOUND("module", resolved, parent);
+    err.url = fileURL(resolved);
+    throw err;
+  }
+
+  return {
+    /**
+     * Resolves `specifier` as imported or required from the file `parent`.
+     * Returns an absolute path, a `node:` builtin id, or (import only) a
+     * non-file URL unchanged.
+     * @param {string} specifier
+     * @param {string} parent        absolute path of the importing file
+     * @param {object} [opts]
+     * @param {"import"|"require"} [opts.mode="import"]
+     * @param {string[]} [opts.conditions]  extra export conditions ("default" always applies)
+     * @param {string[]} [opts.requireStack]  for require's "Cannot find module" message
+     */
+    resolve(specifier, parent, opts = {}) {
+      const mode = opts.mode || "import";
+      const conditions = [
+        mode,
+        ...(opts.conditions || globalThis._RUNTIME_?.moduleConditions || ["browser", "node"]),
+      ];
+      return resolveWith(specifier, parent, mode, conditions, opts.requireStack);
+    },
+
+    /** The nearest package.json above `path`, as { dir, json }, or null. */
+    packageScope,
+  };
+}
@@ -0,0 +1,397 @@
+/**
+ * Source maps for sandboxed code, and the stack remapper that uses them.
+ *
+ * Every transform the loaders apply (ESM ↔ CommonJS conversion, the
+ * CommonJS wrapper, TypeScript, the host's _build_file) produces or keeps a
+ * source map. The loaders compose them and register the result under the
+ * name the code runs as (its `//# sourceURL`), so a stack frame in the
+ * generated code can be traced back to the user's file.
+ *
+ * While source maps are enabled (the default; hosts can opt out with
+ * globalThis._RUNTIME_.enableSourceMaps = false, code with
+ * process.setSourceMapsEnabled(false)), Error.prepareStackTrace rewrites V8
+ * stack frames. remapStack() does the same for stack strings that were
+ * captured some other way.
+ *
+ * The SourceMap class matches Node's `module.SourceMap`.
+ */
+
+import errors from "../internals/errors.js";
+
+const { ERR_INVALID_ARG_TYPE } = errors.codes;
+
+const BASE64 = "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/";
+const BASE64_VALUES = new Map([...BASE64].map((char, i) => [char, i]));
+
+function decodeVLQ(segment) {
+  const values = [];
+  let value = 0;
+  let shift = 0;
+  for (const char of segment) {
+    const digit = BASE64_VALUES.get(char);
+    if (digit === undefined) throw new Error(`Invalid base64 VLQ character "${char}"`);
+    value += (digit & 31) << shift;
+    if (digit & 32) {
+      shift += 5;
+    } else {
+      values.push(value & 1 ? -(value >>> 1) : value >>> 1);
+      value = 0;
+      shift = 0;
+    }
+  }
+  return values;
+}
+
+function encodeVLQ(value) {
+  let vlq = value < 0 ? (-value << 1) | 1 : value << 1;
+  let out = "";
+  do {
+    let digit = vlq & 31;
+    vlq >>>= 5;
+    if (vlq > 0) digit |= 32;
+    out += BASE64[digit];
+  } while (vlq > 0);
+  return out;
+}
+
+/**
+ * Decodes a `mappings` string.
+ * @returns {Array<Array<number[]>>} per generated line, segments of
+ *   [generatedColumn, sourceIndex, originalLine, originalColumn, nameIndex?]
+ */
+export function decodeMappings(mappings) {
+  const lines = [];
+  const state = [0, 0, 0, 0, 0];
+  for (const line of mappings.split(";")) {
+    const segments = [];
+    state[0] = 0;
+    if (line) {
+      for (const text of line.split(",")) {
+        if (!text) continue;
+        const values = decodeVLQ(text);
+        const segment = [];
+        for (let i = 0; i < values.length; i++) {
+          state[i] += values[i];
+          segment.push(state[i]);
+        }
+        segments.push(segment);
+      }
+    }
+    lines.push(segments);
+  }
+  return lines;
+}
+
+/** Encodes decoded lines of segments back into a `mappings` string. */
+export function encodeMappings(lines) {
+  const state = [0, 0, 0, 0, 0];
+  return lines
+    .map((segments) => {
+      state[0] = 0;
+      return [...segments]
+        .sort((a, b) => a[0] - b[0])
+        .map((segment) =>
+          segment
+            .map((value, i) => {
+              const delta = value - state[i];
+              state[i] = value;
+              return encodeVLQ(delta);
+            })
+            .join("")
+        )
+        .join(",");
+    })
+    .join(";");
+}
+
+/**
+ * A parsed source map, as module.SourceMap in Node.
+ */
+export class SourceMap {
+  #payload;
+  #entries;
+  #lineLengths;
+
+  /**
+   * @param {object} payload  a source map v3 object
+   * @param {{ lineLengths?: number[] }} [options]
+   */
+  constructor(payload, { lineLengths } = {}) {
+    if (payload === null || typeof payload !== "object") {
+      throw new ERR_INVALID_ARG_TYPE("payload", "Object", payload);
+    }
+    this.#payload = { ...payload };
+    this.#lineLengths = lineLengths;
+    this.#entries = null;
+  }
+
+  get payload() {
+    return this.#payload;
+  }
+
+  get lineLengths() {
+    return this.#lineLengths;
+  }
+
+  // Sorted flat list of [generatedLine, generatedColumn, source, line, column, name].
+  #parse() {
+    if (this.#entries) return this.#entries;
+    const { sources = [], names = [], mappings = "", sourceRoot = "" } = this.#payload;
+    const root = sourceRoot && !sourceRoot.endsWith("/") ? `${sourceRoot}/` : sourceRoot;
+    const entries = [];
+    decodeMappings(mappings).forEach((segments, line) => {
+      for (const [column, source, originalLine, originalColumn, name] of segments) {
+        if (source === undefined) continue;
+        const file = sources[source];
+        entries.push([
+          line,
+          column,
+          file != null && !/^[a-z][a-z0-9+.-]*:|^\//i.test(file) ? root + file : file,
+          originalLine,
+          originalColumn,
+          name === undefined ? undefined : names[name],
+        ]);
+      }
+    });
+    entries.sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+    return (this.#entries = entries);
+  }
+
+  /**
+   * The mapping at or before a 0-based generated position.
+   * @returns {object} empty when there is none
+   */
+  findEntry(lineOffset, columnOffset) {
+    const entries = this.#parse();
+    let low = 0;
+    let high = entries.length - 1;
+    let found = -1;
+    while (low <= high) {
+      const mid = (low + high) >> 1;
+      const [line, column] = entries[mid];
+      if (line < lineOffset || (line === lineOffset && column <= columnOffset)) {
+        found = mid;
+        low = mid + 1;
+      } else {
+        high = mid - 1;
+      }
+    }
+    if (found === -1) return {};
+    const [generatedLine, generatedColumn, originalSource, originalLine, originalColumn, name] = entries[found];
+    return { generatedLine, generatedColumn, originalSource, originalLine, originalColumn, name };
+  }
+
+  /**
+   * The original position of a 1-based generated position, for stack frames.
+   * @returns {{ fileName?: string, lineNumber?: number, columnNumber?: number, name?: string }}
+   */
+  findOrigin(lineNumber, columnNumber) {
+    const entry = this.findEntry(lineNumber - 1, columnNumber - 1);
+    if (entry.originalSource === undefined) return {};
+    // Within a mapped run on the same line, keep the column offset.
+    const delta = entry.generatedLine === lineNumber - 1 ? columnNumber - 1 - entry.generatedColumn : 0;
+    return {
+      name: entry.name,
+      fileName: entry.originalSource,
+      lineNumber: entry.originalLine + 1,
+      columnNumber: entry.originalColumn + delta + 1,
+    };
+  }
+}
+
+/**
+ * A map sending every line of `code` to the same line of `source`.
+ */
+export function identitySourceMap(code, source) {
+  const lines = code.split("\n").map((_, line) => [[0, 0, line, 0]]);
+  return { version: 3, sources: [source], sourcesContent: [code], names: [], mappings: encodeMappings(lines) };
+}
+
+/**
+ * Moves the generated side of `payload` by `lines` lines, and its first
+ * line by `columns` columns — what wrapping code in a prefix does.
+ */
+export function offsetSourceMap(payload, lines, columns = 0) {
+  const decoded = decodeMappings(payload.mappings);
+  if (decoded.length) decoded[0] = decoded[0].map(([column, ...rest]) => [column + columns, ...rest]);
+  const shifted = [...Array.from({ length: lines }, () => []), ...decoded];
+  return { ...payload, mappings: encodeMappings(shifted) };
+}
+
+/**
+ * Composes two maps: `outer` maps code C to code B and `inner` maps B to
+ * the original A; the result maps C straight to A.
+ */
+export function composeSourceMaps(outer, inner) {
+  const innerMap = inner instanceof SourceMap ? inner : new SourceMap(inner);
+  const sources = [];
+  const names = [];
+  const sourcesContent = [];
+  const indexOf = (list, value) => {
+    let index = list.indexOf(value);
+    if (index === -1) index = list.push(value) - 1;
+    return index;
+  };
+  const innerSources = innerMap.payload.sources || [];
+
+  const lines = decodeMappings(outer.mappings).map((segments) =>
+    segments.flatMap(([column, source, line, originalColumn, name]) => {
+      if (source === undefined) return [];
+      const origin = innerMap.findOrigin(line + 1, originalColumn + 1);
+      if (origin.fileName === undefined) return [];
+      const sourceIndex = indexOf(sources, origin.fileName);
+      const at = innerSources.indexOf(origin.fileName);
+      if (at !== -1 && innerMap.payload.sourcesContent) sourcesContent[sourceIndex] = innerMap.payload.sourcesContent[at];
+      const mapped = [column, sourceIndex, origin.lineNumber - 1, origin.columnNumber - 1];
+      const symbol = origin.name ?? (name === undefined ? undefined : outer.names[name]);
+      if (symbol !== undefined) mapped.push(indexOf(names, symbol));
+      return [mapped];
+    })
+  );
+
+  return {
+    version: 3,
+    file: outer.file,
+    sources,
+    sourcesContent: sources.map((_, i) => sourcesContent[i] ?? null),
+    names,
+    mappings: encodeMappings(lines),
+  };
+}
+
+const SOURCE_MAPPING_URL = /\n?\/\/[#@] sourceMappingURL=data:application\/json(?:;charset=[\w-]+)?;base64,([A-Za-z0-9+/=]+)\s*$/;
+
+/**
+ * Splits an inline `//# sourceMappingURL=data:…` comment off `code`.
+ * @returns {{ code: string, map: object|null }}
+ */
+export function extractSourceMap(code) {
+  const match = SOURCE_MAPPING_URL.exec(code);
+  if (!match) return { code, map: null };
+  try {
+    const json = new TextDecoder().decode(Uint8Array.from(atob(match[1]), (c) => c.charCodeAt(0)));
+    return { code: code.slice(0, match.index), map: JSON.parse(json) };
+  } catch {
+    return { code, map: null };
+  }
+}
+
+/** `payload` as an inline `//# sourceMappingURL=data:…` comment. */
+export function inlineSourceMap(payload) {
+  const bytes = new TextEncoder().encode(JSON.stringify(payload));
+  let binary = "";
+  for (const byte of bytes) binary += String.fromCharCode(byte);
+  return `//# sourceMappingURL=data:application/json;charset=utf-8;base64,${btoa(binary)}`;
+}
+
+// ── Registry and stack remapping ──────────────────────────────────────────────
+
+function state() {
+  return (globalThis._RUNTIME_.__SOURCE_MAPS__ ??= {
+    maps: new Map(),
+    enabled: globalThis._RUNTIME_.enableSourceMaps !== false,
+    previous: undefined,
+  });
+}
+
+const toPath = (name) => (name.startsWith("file://") ? decodeURIComponent(new URL(name).pathname) : name);
+
+/**
+ * Registers the map for code that runs as `name` (its sourceURL or path).
+ * @param {string} name
+ * @param {object|SourceMap} payload
+ */
+export function registerSourceMap(name, payload) {
+  const map = payload instanceof SourceMap ? payload : new SourceMap(payload);
+  state().maps.set(toPath(name), map);
+  install();
+  return map;
+}
+
+/**
+ * The map registered for `path` (a path or file: URL), as module.findSourceMap().
+ * @returns {SourceMap|undefined}
+ */
+export function findSourceMap(path) {
+  if (typeof path !== "string") throw new ERR_INVALID_ARG_TYPE("path", "string", path);
+  return state().maps.get(toPath(path));
+}
+
+/** process.sourceMapsEnabled */
+export function sourceMapsEnabled() {
+  return state().enabled;
+}
+
+/** process.setSourceMapsEnabled(val) */
+export function setSourceMapsEnabled(val) {
+  if (typeof val !== "boolean") throw new ERR_INVALID_ARG_TYPE("val", "boolean", val);
+  state().enabled = val;
+  if (val) install();
+  else uninstall();
+}
+
+function originOf(file, line, column) {
+  if (!file || !line) return null;
+  const map = state().maps.get(toPath(file));
+  if (!map) return null;
+  const origin = map.findOrigin(line, column || 1);
+  return origin.fileName === undefined ? null : origin;
+}
+
+function remapFrame(frame) {
+  const text = String(frame);
+  const file = (frame.getScriptNameOrSourceURL && frame.getScriptNameOrSourceURL()) || frame.getFileName();
+  const line = frame.getLineNumber();
+  const column = frame.getColumnNumber();
+  const origin = originOf(file, line, column);
+  if (!origin) return text;
+  const location = `${file}:${line}:${column}`;
+  const at = text.lastIndexOf(location);
+  if (at === -1) return text;
+  return `${text.slice(0, at)}${origin.fileName}:${origin.lineNumber}:${origin.columnNumber}${text.slice(at + location.length)}`;
+}
+
+function prepareStackTrace(error, frames) {
+  let header;
+  try {
+    header = Error.prototype.toString.call(error);
+  } catch {
+    header = "<error>";
+  }
+  return header + frames.map((frame) => `\n    at ${remapFrame(frame)}`).join("");
+}
+
+function install() {
+  const current = state();
+  if (!current.enabled || Error.prepareStackTrace === prepareStackTrace) return;
+  current.previous = Error.prepareStackTrace;
+  Error.prepareStackTrace = prepareStackTrace;
+}
+
+function uninstall() {
+  if (Error.prepareStackTrace !== prepareStackTrace) return;
+  Error.prepareStackTrace = state().previous;
+  state().previous = undefined;
+}
+
+// V8 "    at fn (file:1:2)" / "    at file:1:2" and SpiderMonkey/JSC "fn@file:1:2".
+const FRAME_LOCATION = /^(\s*at (?:.*\()?|.*@)(.+?):(\d+):(\d+)(\)?\s*)$/;
+
+/**
+ * Rewrites the frames of a stack string to original positions. Stacks
+ * built while the remapper was installed are already remapped.
+ * @param {string} stack
+ */
+export function remapStack(stack) {
+  if (typeof stack !== "string" || !state().enabled || Error.prepareStackTrace === prepareStackTrace) return stack;
+  return stack
+    .split("\n")
+    .map((line) => {
+      const match = FRAME_LOCATION.exec(line);
+      if (!match) return line;
+      const [, before, file, lineNumber, columnNumber, after] = match;
+      const origin = originOf(file, Number(lineNumber), Number(columnNumber));
+      return origin ? `${before}${origin.fileName}:${origin.lineNumber}:${origin.columnNumber}${after}` : line;
+    })
+    .join("\n");
+}
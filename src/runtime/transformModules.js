@@ -1,185 +1,643 @@
+/**
+ * ES module ↔ CommonJS source conversion.
+ *
+ * convertEsmToCjs follows what Babel and esbuild emit for CommonJS output:
+ *
+ *   - `exports.__esModule` is set, and every export — `default` included —
+ *     is a getter over the local binding, so exports stay live and a cycle
+ *     sees bindings as they are initialised;
+ *   - module requests (imports and `export … from`) are hoisted and run in
+ *     source order, and references to imported bindings read through the
+ *     required module (`x` becomes `__mod0.x`), so imports are live too;
+ *   - default and namespace imports of CommonJS go through an interop
+ *     wrapper: `default` is module.exports unless the module sets
+ *     `__esModule`;
+ *   - `import.meta` and `import()` are rewritten for the CommonJS wrapper.
+ *
+ * convertCjsToEsm runs the CommonJS code unchanged inside the usual wrapper
+ * and exports module.exports as `default` plus a snapshot of the named
+ * exports found by parseCjsExports, which detects the same patterns as
+ * Node's cjs-module-lexer.
+ *
+ * replaceImportMeta points an ES module's `import.meta` at another object,
+ * for modules that run from a URL other than their file's.
+ */
+
 import MagicString from "magic-string";
 
 import {ancestor} from "acorn-walk";
-import {parse} from "acorn";  
+import {parse} from "acorn";
 
+const SKIP_KEYS = new Set(["type", "start", "end", "loc", "range", "raw"]);
+const FUNCTIONS = new Set(["FunctionDeclaration", "FunctionExpression", "ArrowFunctionExpression"]);
+const IDENTIFIER = /^[\p{ID_Start}$_][\p{ID_Continue}$\u200c\u200d]*$/u;
 
-export function convertEsmToCjs(code) {
-  const ast = parse(code, { ecmaVersion: 2022, sourceType: "module" });
-  const s = new MagicString(code);
+const nameOf = (node) => (node.type === "Literal" ? String(node.value) : node.name);
 
-  // Pre-scan: detect if there are BOTH a default export and named exports
-  const hasDefault = ast.body.some(n => n.type === "ExportDefaultDeclaration");
-  const hasNamed = ast.body.some(
-    n => n.type === "ExportNamedDeclaration" && (n.declaration || n.specifiers.length)
-  );
-  const mixed = hasDefault && hasNamed;
+// Every identifier a binding pattern declares; `shorthand` marks `{ name }`.
+function patternIdentifiers(pattern, ids = [], shorthand = false) {
+  switch (pattern.type) {
+    case "Identifier":
+      ids.push({ node: pattern, shorthand });
+      break;
+    case "ObjectPattern":
+      for (const prop of pattern.properties) {
+        if (prop.type === "RestElement") patternIdentifiers(prop.argument, ids);
+        else patternIdentifiers(prop.value, ids, prop.shorthand);
+      }
+      break;
+    case "ArrayPattern":
+      for (const element of pattern.elements) if (element) patternIdentifiers(element, ids);
+      break;
+    case "RestElement":
+      patternIdentifiers(pattern.argument, ids);
+      break;
+    case "AssignmentPattern":
+      patternIdentifiers(pattern.left, ids, shorthand);
+      break;
+  }
+  return ids;
+}
 
-  ancestor(ast, {
-    // 1. Convert import statements
-    ImportDeclaration(node) {
-      const source = node.source.raw;
-      const specifiers = node.specifiers;
-
-      if (specifiers.length === 0) {
-        s.overwrite(node.start, node.end, `require(${source});`);
-      } else {
-        const parts = specifiers.map((spec) => {
-          if (
-            spec.type === "ImportDefaultSpecifier" ||
-            spec.type === "ImportNamespaceSpecifier"
-          ) {
-            return spec.local.name;
-          } else {
-            return spec.imported.name === spec.local.name
-              ? spec.local.name
-              : `${spec.imported.name}: ${spec.local.name}`;
+const patternNames = (pattern) => patternIdentifiers(pattern).map((id) => id.node.name);
+
+// let/const/class/function declared directly in a list of statements.
+function lexicalNames(statements, names = new Set()) {
+  for (const statement of statements) {
+    const decl = statement.type === "ExportNamedDeclaration" || statement.type === "ExportDefaultDeclaration"
+      ? statement.declaration
+      : statement;
+    if (!decl) continue;
+    if (decl.type === "VariableDeclaration" && decl.kind !== "var") {
+      for (const d of decl.declarations) patternNames(d.id).forEach((n) => names.add(n));
+    } else if ((decl.type === "FunctionDeclaration" || decl.type === "ClassDeclaration") && decl.id) {
+      names.add(decl.id.name);
+    }
+  }
+  return names;
+}
+
+// `var` names declared anywhere in a function body, outside nested functions.
+function varNames(node, names) {
+  if (!node || typeof node.type !== "string" || FUNCTIONS.has(node.type)) return names;
+  if (node.type === "VariableDeclaration" && node.kind === "var") {
+    for (const d of node.declarations) patternNames(d.id).forEach((n) => names.add(n));
+  }
+  for (const key of Object.keys(node)) {
+    if (SKIP_KEYS.has(key)) continue;
+    const value = node[key];
+    if (Array.isArray(value)) value.forEach((child) => varNames(child, names));
+    else if (value && typeof value.type === "string") varNames(value, names);
+  }
+  return names;
+}
+
+/**
+ * Walks `ast` with lexical scopes, calling the visitor for identifier
+ * references that are not shadowed, top-level `this`, `import.meta` and
+ * `import()`.
+ */
+function walkReferences(ast, visitor) {
+  const shadowed = (name, scope) => {
+    for (let s = scope; s && s.parent; s = s.parent) if (s.names.has(name)) return true;
+    return false;
+  };
+
+  function visitPattern(pattern, scope) {
+    if (!pattern) return;
+    switch (pattern.type) {
+      case "Identifier":
+        return;
+      case "ObjectPattern":
+        for (const prop of pattern.properties) {
+          if (prop.type === "RestElement") visitPattern(prop.argument, scope);
+          else {
+            if (prop.computed) visit(prop.key, prop, "key", scope, false);
+            visitPattern(prop.value, scope);
           }
-        });
+        }
+        return;
+      case "ArrayPattern":
+        pattern.elements.forEach((element) => visitPattern(element, scope));
+        return;
+      case "RestElement":
+        return visitPattern(pattern.argument, scope);
+      case "AssignmentPattern":
+        visitPattern(pattern.left, scope);
+        return visit(pattern.right, pattern, "right", scope, false);
+      default:
+        return visit(pattern, null, null, scope, false);
+    }
+  }
+
+  function visitFunction(node, scope, inFunction) {
+    const names = new Set(node.params.flatMap((p) => patternNames(p)));
+    if (node.type === "FunctionExpression" && node.id) names.add(node.id.name);
+    if (node.body.type === "BlockStatement") {
+      varNames(node.body, names);
+      lexicalNames(node.body.body, names);
+    }
+    const inner = { names, parent: scope };
+    const ownThis = node.type !== "ArrowFunctionExpression" || inFunction;
+    node.params.forEach((p) => visitPattern(p, inner));
+    if (node.body.type === "BlockStatement") node.body.body.forEach((s) => visit(s, node.body, "body", inner, ownThis));
+    else visit(node.body, node, "body", inner, ownThis);
+  }
+
+  function visitChildren(node, scope, inFunction) {
+    for (const key of Object.keys(node)) {
+      if (SKIP_KEYS.has(key)) continue;
+      const value = node[key];
+      if (Array.isArray(value)) value.forEach((child) => child && visit(child, node, key, scope, inFunction));
+      else if (value && typeof value.type === "string") visit(value, node, key, scope, inFunction);
+    }
+  }
 
-        const isDestructured = specifiers.some(
-          (s) => s.type === "ImportSpecifier"
-        );
-        const importStr = isDestructured ? `{ ${parts.join(", ")} }` : parts[0];
-        s.overwrite(node.start, node.end, `const ${importStr} = require(${source});`);
+  function visit(node, parent, key, scope, inFunction) {
+    switch (node.type) {
+      case "Identifier":
+        if (!shadowed(node.name, scope)) visitor.reference?.(node, parent, key);
+        return;
+      case "ThisExpression":
+        if (!inFunction) visitor.topLevelThis?.(node);
+        return;
+      case "MetaProperty":
+        if (node.meta.name === "import") visitor.importMeta?.(node);
+        return;
+      case "ImportExpression":
+        visitor.dynamicImport?.(node);
+        return visitChildren(node, scope, inFunction);
+      case "ImportDeclaration":
+        return;
+      case "ExportNamedDeclaration":
+        if (node.declaration) visit(node.declaration, node, "declaration", scope, inFunction);
+        return;
+      case "ExportAllDeclaration":
+        return;
+      case "MemberExpression":
+        visit(node.object, node, "object", scope, inFunction);
+        if (node.computed) visit(node.property, node, "property", scope, inFunction);
+        return;
+      case "Property":
+      case "MethodDefinition":
+      case "PropertyDefinition":
+        if (node.type === "Property" && node.shorthand && node.value.type === "Identifier") {
+          if (!shadowed(node.value.name, scope)) visitor.shorthand?.(node);
+          return;
+        }
+        if (node.computed) visit(node.key, node, "key", scope, inFunction);
+        if (node.value) {
+          // Class members have their own `this`.
+          const own = node.type !== "Property" || inFunction;
+          visit(node.value, node, "value", scope, own);
+        }
+        return;
+      case "LabeledStatement":
+        return visit(node.body, node, "body", scope, inFunction);
+      case "BreakStatement":
+      case "ContinueStatement":
+        return;
+      case "VariableDeclarator":
+        visitPattern(node.id, scope);
+        if (node.init) visit(node.init, node, "init", scope, inFunction);
+        return;
+      case "AssignmentExpression":
+        visitPattern(node.left, scope);
+        return visit(node.right, node, "right", scope, inFunction);
+      case "UpdateExpression":
+        return node.argument.type === "Identifier" ? undefined : visit(node.argument, node, "argument", scope, inFunction);
+      case "FunctionDeclaration":
+      case "FunctionExpression":
+      case "ArrowFunctionExpression":
+        return visitFunction(node, scope, inFunction);
+      case "ClassDeclaration":
+      case "ClassExpression": {
+        const inner = { names: new Set(node.id ? [node.id.name] : []), parent: scope };
+        if (node.superClass) visit(node.superClass, node, "superClass", inner, inFunction);
+        node.body.body.forEach((member) => visit(member, node.body, "body", inner, true));
+        return;
       }
-    },
+      case "StaticBlock":
+        return node.body.forEach((s) => visit(s, node, "body", { names: lexicalNames(node.body), parent: scope }, true));
+      case "BlockStatement":
+        return node.body.forEach((s) => visit(s, node, "body", { names: lexicalNames(node.body), parent: scope }, inFunction));
+      case "SwitchStatement": {
+        visit(node.discriminant, node, "discriminant", scope, inFunction);
+        const inner = { names: lexicalNames(node.cases.flatMap((c) => c.consequent)), parent: scope };
+        return node.cases.forEach((c) => visitChildren(c, inner, inFunction));
+      }
+      case "ForStatement":
+      case "ForInStatement":
+      case "ForOfStatement": {
+        const head = node.type === "ForStatement" ? node.init : node.left;
+        const names = head && head.type === "VariableDeclaration" && head.kind !== "var"
+          ? new Set(head.declarations.flatMap((d) => patternNames(d.id)))
+          : new Set();
+        const inner = { names, parent: scope };
+        if (head && head.type !== "VariableDeclaration") visitPattern(head, inner);
+        for (const part of ["init", "test", "update", "left", "right", "body"]) {
+          if (part === (node.type === "ForStatement" ? "init" : "left") && head && head.type !== "VariableDeclaration") continue;
+          if (node[part]) visit(node[part], node, part, inner, inFunction);
+        }
+        return;
+      }
+      case "CatchClause": {
+        const inner = { names: new Set(node.param ? patternNames(node.param) : []), parent: scope };
+        if (node.param) visitPattern(node.param, inner);
+        return visit(node.body, node, "body", inner, inFunction);
+      }
+      default:
+        return visitChildren(node, scope, inFunction);
+    }
+  }
 
-    // 2. Convert default export
-    ExportDefaultDeclaration(node) {
-      if (mixed) {
-        // In mixed mode, emit exports.default = ... instead of module.exports =
-        if (node.declaration.id) {
-          s.remove(node.start, node.declaration.start);
-          s.appendLeft(node.end, `\nexports.default = ${node.declaration.id.name};`);
+  // Top-level declarations never shadow imports, so the program scope is the root.
+  visitChildren(ast, { names: new Set(), parent: null }, false);
+}
+
+// Names that `code` already uses, so generated ones can avoid them.
+function uniqueNamer(code) {
+  let count = 0;
+  return (base) => {
+    let name;
+    do name = `${base}${count++}`;
+    while (code.includes(name));
+    return name;
+  };
+}
+
+// The CommonJS wrapper's parameters; top-level bindings with these names are renamed.
+const WRAPPER_NAMES = new Set(["exports", "require", "module", "__filename", "__dirname"]);
+
+const HELPERS = {
+  __toESM:
+    "function __toESM(mod) {\n" +
+    "  if (mod && mod.__esModule) return mod;\n" +
+    "  const proto = mod !== null && (typeof mod === \"object\" || typeof mod === \"function\") ? mod : null;\n" +
+    "  return Object.create(proto, { default: { value: mod, enumerable: true } });\n" +
+    "}",
+  __reExport:
+    "function __reExport(target, mod) {\n" +
+    "  for (const key of Object.keys(mod)) {\n" +
+    "    if (key === \"default\" || key === \"__esModule\" || Object.prototype.hasOwnProperty.call(target, key)) continue;\n" +
+    "    Object.defineProperty(target, key, { enumerable: true, get: () => mod[key] });\n" +
+    "  }\n" +
+    "}",
+  __import:
+    "function __import(specifier) {\n" +
+    "  return Promise.resolve(`${specifier}`).then((id) => __toESM(require(id)));\n" +
+    "}",
+  __importMeta:
+    "const __importMeta = globalThis._RUNTIME_.importMeta(__filename, require.main === module);",
+};
+
+/**
+ * Converts an ES module to CommonJS.
+ * @param {string} code
+ * @param {{ sourceMap?: boolean, filename?: string }} [options]
+ * @returns {string|{ code: string, map: object }} the code, or with
+ *   `sourceMap` set, the code and a source map back to `code`
+ */
+export function convertEsmToCjs(code, { sourceMap = false, filename = "input.js" } = {}) {
+  const ast = parse(code, { ecmaVersion: "latest", sourceType: "module", allowHashBang: true });
+  const s = new MagicString(code);
+  const unique = uniqueNamer(code);
+  const helpers = new Set();
+
+  const exported = new Map(); // exported name -> getter expression
+  const requests = []; // hoisted `const … = require(…)` lines, in source order
+  const imports = new Map(); // local name -> expression reading the binding
+  const renames = new Map(); // top-level binding -> name that does not clash with the wrapper
+
+  for (const statement of ast.body) {
+    const decl = /^Export(Named|Default)Declaration$/.test(statement.type) ? statement.declaration : statement;
+    if (!decl) continue;
+    const ids = decl.type === "VariableDeclaration"
+      ? decl.declarations.flatMap((d) => patternIdentifiers(d.id))
+      : /^(Function|Class)Declaration$/.test(decl.type) && decl.id ? [{ node: decl.id, shorthand: false }] : [];
+    for (const { node, shorthand } of ids) {
+      if (!WRAPPER_NAMES.has(node.name)) continue;
+      if (!renames.has(node.name)) renames.set(node.name, unique(`__${node.name}`));
+      const renamed = renames.get(node.name);
+      s.overwrite(node.start, node.end, shorthand ? `${node.name}: ${renamed}` : renamed);
+    }
+  }
+  const local = (name) => imports.get(name) || renames.get(name) || name;
+
+  // Drops a statement together with the line break after it.
+  const remove = (node) => s.remove(node.start, code[node.end] === "\n" ? node.end + 1 : node.end);
+
+  for (const node of ast.body) {
+    switch (node.type) {
+      case "ImportDeclaration": {
+        const source = node.source.raw;
+        remove(node);
+        if (node.specifiers.length === 0) {
+          requests.push(`require(${source});`);
+          break;
+        }
+        const namespace = node.specifiers.find((spec) => spec.type === "ImportNamespaceSpecifier");
+        const needsInterop = node.specifiers.some((spec) => spec.type !== "ImportSpecifier" || nameOf(spec.imported) === "default");
+        const binding = namespace && !WRAPPER_NAMES.has(namespace.local.name) ? namespace.local.name : unique("__mod");
+        if (needsInterop) helpers.add("__toESM");
+        requests.push(`const ${binding} = ${needsInterop ? `__toESM(require(${source}))` : `require(${source})`};`);
+        for (const spec of node.specifiers) {
+          if (spec.type === "ImportNamespaceSpecifier") {
+            if (binding !== spec.local.name) imports.set(spec.local.name, binding);
+            continue;
+          }
+          const imported = spec.type === "ImportDefaultSpecifier" ? "default" : nameOf(spec.imported);
+          imports.set(spec.local.name, IDENTIFIER.test(imported) ? `${binding}.${imported}` : `${binding}[${JSON.stringify(imported)}]`);
+        }
+        break;
+      }
+
+      case "ExportAllDeclaration": {
+        remove(node);
+        if (node.exported) {
+          helpers.add("__toESM");
+          const binding = unique("__mod");
+          requests.push(`const ${binding} = __toESM(require(${node.source.raw}));`);
+          exported.set(nameOf(node.exported), binding);
         } else {
-          s.overwrite(node.start, node.declaration.start, "exports.default = ");
+          helpers.add("__reExport");
+          requests.push(`__reExport(exports, require(${node.source.raw}));`);
         }
-      } else {
-        if (node.declaration.id) {
+        break;
+      }
+
+      case "ExportNamedDeclaration": {
+        if (node.source) {
+          remove(node);
+          const binding = unique("__mod");
+          const needsInterop = node.specifiers.some((spec) => nameOf(spec.local) === "default");
+          if (needsInterop) helpers.add("__toESM");
+          requests.push(`const ${binding} = ${needsInterop ? `__toESM(require(${node.source.raw}))` : `require(${node.source.raw})`};`);
+          for (const spec of node.specifiers) {
+            const local = nameOf(spec.local);
+            exported.set(nameOf(spec.exported), IDENTIFIER.test(local) ? `${binding}.${local}` : `${binding}[${JSON.stringify(local)}]`);
+          }
+        } else if (node.declaration) {
           s.remove(node.start, node.declaration.start);
-          s.appendLeft(node.end, `\nmodule.exports = ${node.declaration.id.name};`);
+          const decl = node.declaration;
+          const names = decl.type === "VariableDeclaration"
+            ? decl.declarations.flatMap((d) => patternNames(d.id))
+            : [decl.id.name];
+          for (const name of names) exported.set(name, renames.get(name) || name);
         } else {
-          s.overwrite(node.start, node.declaration.start, "module.exports = ");
+          remove(node);
+          // Resolved after the imports are known: `export { x }` of an import re-exports it.
+          for (const spec of node.specifiers) exported.set(nameOf(spec.exported), { local: nameOf(spec.local) });
         }
+        break;
       }
-    },
 
-    // 3. Convert named exports
-    ExportNamedDeclaration(node) {
-      if (node.declaration) {
-        s.remove(node.start, node.declaration.start);
-
-        if (node.declaration.type === "VariableDeclaration") {
-          node.declaration.declarations.forEach((decl) => {
-            s.appendRight(node.end, `\nexports.${decl.id.name} = ${decl.id.name};`);
-          });
-        } else if (node.declaration.id) {
-          s.appendRight(node.end, `\nexports.${node.declaration.id.name} = ${node.declaration.id.name};`);
+      case "ExportDefaultDeclaration": {
+        const decl = node.declaration;
+        if ((decl.type === "FunctionDeclaration" || decl.type === "ClassDeclaration") && decl.id) {
+          s.remove(node.start, decl.start);
+          exported.set("default", renames.get(decl.id.name) || decl.id.name);
+        } else if (decl.type === "FunctionDeclaration") {
+          // Still hoisted, so it needs a name.
+          const name = unique("__default");
+          s.remove(node.start, decl.start);
+          const params = code.indexOf("(", decl.start);
+          s.appendLeft(params, code[params - 1] === " " ? name : ` ${name}`);
+          exported.set("default", name);
+        } else {
+          const name = unique("__default");
+          s.overwrite(node.start, decl.start, `const ${name} = `);
+          if (code[node.end - 1] !== ";") s.appendLeft(node.end, ";");
+          exported.set("default", name);
         }
-      } else if (node.specifiers.length && node.source) {
-        const temp = `_tmp_${Math.random().toString(36).slice(2, 8)}`;
-        const imports = `const ${temp} = require(${node.source.raw});\n`;
-        const exportsStr = node.specifiers
-          .map((spec) => {
-            const exported = spec.exported.name;
-            const local = spec.local.name;
-            return `exports.${exported} = ${temp}.${local};`;
-          })
-          .join("\n");
-        s.overwrite(node.start, node.end, imports + exportsStr);
+        break;
       }
+    }
+  }
+
+  walkReferences(ast, {
+    reference(node) {
+      if (local(node.name) !== node.name) s.overwrite(node.start, node.end, local(node.name));
+    },
+    shorthand(node) {
+      if (local(node.value.name) !== node.value.name) s.overwrite(node.start, node.end, `${node.key.name}: ${local(node.value.name)}`);
+    },
+    topLevelThis(node) {
+      s.overwrite(node.start, node.end, "undefined");
     },
+    importMeta(node) {
+      helpers.add("__importMeta");
+      s.overwrite(node.start, node.end, "__importMeta");
+    },
+    dynamicImport(node) {
+      helpers.add("__toESM").add("__import");
+      s.overwrite(node.start, node.start + "import".length, "__import");
+    },
+  });
 
-    // 4. Export all
-    ExportAllDeclaration(node) {
-      s.overwrite(
-        node.start,
-        node.end,
-        `Object.assign(exports, require(${node.source.raw}));`
-      );
-    }
+  const getters = [...exported].map(([name, target]) => {
+    const expression = typeof target === "string" ? target : local(target.local);
+    return `  ${JSON.stringify(name)}: { enumerable: true, get: () => ${expression} },`;
   });
 
-  return s.toString().trim();
+  const prelude = [
+    '"use strict";',
+    'Object.defineProperty(exports, "__esModule", { value: true });',
+    ...(getters.length ? ["Object.defineProperties(exports, {", ...getters, "});"] : []),
+    ...Object.keys(HELPERS).filter((name) => helpers.has(name)).map((name) => HELPERS[name]),
+    ...requests,
+  ];
+
+  const hashBang = code.startsWith("#!") ? code.indexOf("\n") + 1 || code.length : 0;
+  s.appendLeft(hashBang, `${prelude.join("\n")}\n`);
+
+  s.trim();
+  if (!sourceMap) return s.toString();
+  return { code: s.toString(), map: s.generateMap({ hires: true, source: filename, includeContent: true }) };
 }
 
-export function convertCjsToEsm(code) {
-  const ast = parse(code, { ecmaVersion: 2022, sourceType: "script" });
+/**
+ * Replaces every `import.meta` in an ES module with `expression`; strings,
+ * templates and comments that mention it are left alone.
+ * @param {string} code
+ * @param {string} expression
+ * @param {{ filename?: string }} [options]
+ * @returns {{ code: string, map: object }|null} the code and a source map
+ *   back to `code`; null when there is no `import.meta` to replace, or the
+ *   code does not parse (importing it reports the error)
+ */
+export function replaceImportMeta(code, expression, { filename = "input.js" } = {}) {
+  if (!/\bimport\s*\.\s*meta\b/.test(code)) return null;
+  let ast;
+  try {
+    ast = parse(code, { ecmaVersion: "latest", sourceType: "module", allowHashBang: true });
+  } catch {
+    return null;
+  }
   const s = new MagicString(code);
+  walkReferences(ast, {
+    importMeta(node) {
+      if (node.property.name === "meta") s.overwrite(node.start, node.end, expression);
+    },
+  });
+  if (!s.hasChanged()) return null;
+  return { code: s.toString(), map: s.generateMap({ hires: true, source: filename, includeContent: true }) };
+}
+
+/**
+ * Named exports of a CommonJS module, detected the way Node's
+ * cjs-module-lexer does:
+ *
+ *   exports.a = …  exports['b'] = …  module.exports.c = …
+ *   Object.defineProperty(exports, 'd', …)
+ *   module.exports = { e, f: …, 'g': …, ...require('./h') }
+ *   module.exports = require('./i')
+ *   __exportStar(require('./j'), exports) and Babel's Object.keys(_k).forEach(…)
+ *
+ * Assignments are found anywhere, so conditional exports count.
+ *
+ * @param {string} code
+ * @returns {{ exports: string[], reexports: string[] }}
+ */
+export function parseCjsExports(code) {
+  const ast = parse(code, {
+    ecmaVersion: "latest",
+    sourceType: "script",
+    allowHashBang: true,
+    allowReturnOutsideFunction: true,
+  });
 
-  let lastModuleExport = null;
-  const exportsProps = [];
-  const deadZones = [];
+  const names = new Set();
+  const reexports = new Set();
+  const requires = new Map(); // variable -> specifier, for Babel's re-export loop
+
+  const isIdentifier = (node, name) => node && node.type === "Identifier" && node.name === name;
+  const isModuleExports = (node) =>
+    node && node.type === "MemberExpression" && isIdentifier(node.object, "module") &&
+    !node.computed && node.property.name === "exports";
+  const isExports = (node) => isIdentifier(node, "exports") || isModuleExports(node);
+  const keyOf = (member) => {
+    if (!member.computed) return member.property.name;
+    return member.property.type === "Literal" && typeof member.property.value === "string" ? member.property.value : null;
+  };
+  const requireOf = (node) => {
+    if (node && node.type === "CallExpression" && node.arguments.length === 1 && node.arguments[0].type === "CallExpression") {
+      return requireOf(node.arguments[0]); // _interopRequireWildcard(require('x'))
+    }
+    return node && node.type === "CallExpression" && isIdentifier(node.callee, "require") &&
+      node.arguments[0] && node.arguments[0].type === "Literal" && typeof node.arguments[0].value === "string"
+      ? node.arguments[0].value
+      : null;
+  };
 
-  // Pass 1: detect module.exports and exports.*
   ancestor(ast, {
-    AssignmentExpression(node, ancestors) {
-      const isTopLevel = !ancestors.some((a) =>
-        [
-          "FunctionDeclaration",
-          "FunctionExpression",
-          "ArrowFunctionExpression"
-        ].includes(a.type)
-      );
-      if (!isTopLevel) return;
-
-      const { left } = node;
-
-      // module.exports = ...
-      if (left.object?.name === "module" && left.property?.name === "exports") {
-        if (lastModuleExport) {
-          // previous module.exports is dead
-          deadZones.push({
-            start: lastModuleExport.start,
-            end: lastModuleExport.end
-          });
+    VariableDeclarator(node) {
+      const specifier = requireOf(node.init);
+      if (specifier && node.id.type === "Identifier") requires.set(node.id.name, specifier);
+    },
+
+    AssignmentExpression(node) {
+      const { left, right } = node;
+      if (left.type !== "MemberExpression") return;
+
+      if (isExports(left.object)) {
+        const key = keyOf(left);
+        if (key !== null) names.add(key);
+        return;
+      }
+
+      if (!isModuleExports(left)) return;
+      const specifier = requireOf(right);
+      if (specifier) {
+        reexports.add(specifier);
+      } else if (right.type === "ObjectExpression") {
+        for (const prop of right.properties) {
+          if (prop.type === "SpreadElement") {
+            const spread = requireOf(prop.argument);
+            if (spread) reexports.add(spread);
+          } else if (!prop.computed) {
+            names.add(prop.key.type === "Literal" ? String(prop.key.value) : prop.key.name);
+          }
         }
-        lastModuleExport = node;
       }
-      // exports.prop = ...
-      else if (left.object?.name === "exports") {
-        exportsProps.push({ node, name: left.property.name });
+    },
+
+    CallExpression(node) {
+      const { callee, arguments: args } = node;
+      // Object.defineProperty(exports, 'name', …)
+      if (
+        callee.type === "MemberExpression" && isIdentifier(callee.object, "Object") &&
+        callee.property.name === "defineProperty" && isExports(args[0]) &&
+        args[1] && args[1].type === "Literal" && typeof args[1].value === "string"
+      ) {
+        names.add(args[1].value);
+        return;
       }
-    }
+      // __exportStar(require('x'), exports) / __export(require('x'))
+      if (callee.type === "Identifier" && /^(__exportStar|__export)$/.test(callee.name)) {
+        const specifier = requireOf(args[0]) || (args[0] && requires.get(args[0].name));
+        if (specifier) reexports.add(specifier);
+        return;
+      }
+      // Object.keys(_x).forEach(function (key) { … exports[key] … })
+      if (
+        callee.type === "MemberExpression" && callee.property.name === "forEach" &&
+        callee.object.type === "CallExpression" && callee.object.callee.type === "MemberExpression" &&
+        isIdentifier(callee.object.callee.object, "Object") && callee.object.callee.property.name === "keys"
+      ) {
+        const source = callee.object.arguments[0];
+        if (source && source.type === "Identifier" && requires.has(source.name)) reexports.add(requires.get(source.name));
+      }
+    },
   });
 
-  // Pass 2: remove dead module.exports
-  deadZones.forEach((zone) => {
-    s.remove(zone.start, zone.end + (code[zone.end] === ";" ? 1 : 0));
-  });
+  return { exports: [...names], reexports: [...reexports] };
+}
 
-  // Remove exports.* only if there’s a module.exports assignment (module.exports wins)
-  if (lastModuleExport) {
-    exportsProps.forEach((exp) => {
-      s.remove(
-        exp.node.start,
-        exp.node.end + (code[exp.node.end] === ";" ? 1 : 0)
-      );
-    });
-  }
+/**
+ * Converts a CommonJS module to an ES module. The code runs unchanged in the
+ * CommonJS wrapper; `default` is module.exports (or its `default` when the
+ * module sets `__esModule`) and the named exports are read once after it
+ * ran, as Node does when importing CommonJS.
+ *
+ * @param {string} code
+ * @param {{ filename?: string }} [options]  path the module's require() and
+ *   __filename use; defaults to import.meta.url
+ * @returns {string}
+ */
+export function convertCjsToEsm(code, options = {}) {
+  const { exports: names, reexports } = parseCjsExports(code);
+  const unique = uniqueNamer(code);
+  const body = code.startsWith("#!") ? code.slice(code.indexOf("\n") + 1) : code;
 
-  // Pass 3: transform the last module.exports to default
-  if (lastModuleExport) {
-    s.overwrite(
-      lastModuleExport.start,
-      lastModuleExport.right.start,
-      "export default "
-    );
-  }
-  // Otherwise, transform exports.* to named exports
-  else {
-    exportsProps.forEach((exp) => {
-      s.overwrite(
-        exp.node.start,
-        exp.node.right.start,
-        `export const ${exp.name} = `
-      );
-    });
+  const moduleVar = unique("__module");
+  const exportsVar = unique("__exports");
+  const filename = options.filename
+    ? JSON.stringify(options.filename)
+    : `decodeURIComponent(new URL(import.meta.url).pathname)`;
+
+  const lines = [
+    `import { createRequire as __createRequire } from "module";`,
+    ...reexports.map((specifier) => `export * from ${JSON.stringify(specifier)};`),
+    `const __filename = ${filename};`,
+    `const __dirname = __filename.slice(0, __filename.lastIndexOf("/")) || "/";`,
+    `const require = __createRequire(__filename);`,
+    `const ${moduleVar} = { exports: {} };`,
+    `(function (exports, require, module, __filename, __dirname) {`,
+    body,
+    `}).call(${moduleVar}.exports, ${moduleVar}.exports, require, ${moduleVar}, __filename, __dirname);`,
+    `const ${exportsVar} = ${moduleVar}.exports;`,
+    names.includes("__esModule")
+      ? `export default ${exportsVar} && ${exportsVar}.__esModule ? ${exportsVar}.default : ${exportsVar};`
+      : `export default ${exportsVar};`,
+  ];
+
+  const named = names.filter((name) => name !== "default" && name !== "__esModule");
+  if (named.length) {
+    const locals = named.map((name) => [unique("__export"), name]);
+    lines.push(`const ${locals.map(([local, name]) => `${local} = ${exportsVar}[${JSON.stringify(name)}]`).join(", ")};`);
+    lines.push(`export { ${locals.map(([local, name]) => `${local} as ${IDENTIFIER.test(name) ? name : JSON.stringify(name)}`).join(", ")} };`);
   }
 
-  return s
-    .toString()
-    .trim()
-    .replace(/\n\s*\n/g, "\n"); // clean empty lines
+  return lines.join("\n");
 }
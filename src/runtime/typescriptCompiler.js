@@ -1,94 +1,472 @@
-import ts from "https://esm.sh/typescript";
-import {
-  createDefaultMapFromCDN,
-  createSystem,
-  createVirtualCompilerHost
-} from "https://esm.sh/@typescript/vfs";
-
-const options = {
+/**
+ * TypeScript for the module loaders, offline.
+ *
+ * Two modes, picked with globalThis._RUNTIME_.typescriptMode:
+ *
+ *  - "strip" (default) works like Node's --experimental-strip-types: type
+ *    syntax is replaced with whitespace, so line and column numbers stay
+ *    where they were and no source map is needed. Syntax that would need
+ *    code generated for it (enums, namespaces with values, parameter
+ *    properties, `import x = require()`) fails with
+ *    ERR_UNSUPPORTED_TYPESCRIPT_SYNTAX, as in Node.
+ *  - "check" type-checks each file against the nearest tsconfig.json in the
+ *    virtual fs before emitting it. Diagnostics go to
+ *    globalThis._RUNTIME_.onTypeScriptDiagnostics (or the console); with
+ *    `noEmitOnError` they fail the load instead.
+ *
+ * .tsx is always transpiled, since JSX has to be compiled either way.
+ *
+ * The lib .d.ts files come from globalThis._RUNTIME_.typescriptLibs
+ * ({ "lib.es5.d.ts": text, … }, which the build bundles into the VFS as
+ * TYPESCRIPT_LIBS), falling back to /node_modules/typescript/lib in the
+ * virtual fs. Nothing is fetched.
+ *
+ * Importing this module registers it as globalThis._RUNTIME_.typescript;
+ * the loaders look it up there so only hosts that load the TypeScript
+ * bundle pay for it.
+ */
+
+import ts from "typescript";
+import errors from "../internals/errors.js";
+import { inlineSourceMap } from "./sourceMaps.js";
+
+const { ERR_INVALID_ARG_TYPE, ERR_INVALID_ARG_VALUE, ERR_INVALID_TYPESCRIPT_SYNTAX, ERR_TYPESCRIPT_DIAGNOSTICS, ERR_UNSUPPORTED_TYPESCRIPT_SYNTAX } =
+  errors.codes;
+
+const LIB_DIR = "/node_modules/typescript/lib/";
+
+const runtime = () => globalThis._RUNTIME_;
+const fs = () => globalThis._RUNTIME_.__FS__;
+
+/** Whether `filename` is TypeScript (.ts, .mts, .cts or .tsx). */
+export function isTypeScriptFile(filename) {
+  return /\.(?:[cm]?ts|tsx)$/.test(filename) && !/\.d\.[cm]?ts$/.test(filename);
+}
+
+function scriptKind(filename) {
+  return filename.endsWith(".tsx") ? ts.ScriptKind.TSX : ts.ScriptKind.TS;
+}
+
+function position(sourceFile, pos) {
+  const { line, character } = sourceFile.getLineAndCharacterOfPosition(pos);
+  return `${sourceFile.fileName}:${line + 1}:${character + 1}`;
+}
+
+// ── Strip mode ───────────────────────────────────────────────────────────────
+
+const ERASED_MODIFIERS = new Set([
+  ts.SyntaxKind.PublicKeyword,
+  ts.SyntaxKind.PrivateKeyword,
+  ts.SyntaxKind.ProtectedKeyword,
+  ts.SyntaxKind.ReadonlyKeyword,
+  ts.SyntaxKind.OverrideKeyword,
+  ts.SyntaxKind.AbstractKeyword,
+]);
+
+// Declarations whose `.type` is an annotation written after a colon.
+const ANNOTATED = new Set([
+  ts.SyntaxKind.VariableDeclaration,
+  ts.SyntaxKind.Parameter,
+  ts.SyntaxKind.PropertyDeclaration,
+  ts.SyntaxKind.FunctionDeclaration,
+  ts.SyntaxKind.FunctionExpression,
+  ts.SyntaxKind.ArrowFunction,
+  ts.SyntaxKind.MethodDeclaration,
+  ts.SyntaxKind.GetAccessor,
+  ts.SyntaxKind.SetAccessor,
+  ts.SyntaxKind.Constructor,
+]);
+
+const hasModifier = (node, kind) => !!node.modifiers && node.modifiers.some((m) => m.kind === kind);
+
+// Whether a namespace only declares types, so erasing it loses nothing.
+function isTypeOnlyNamespace(node) {
+  if (hasModifier(node, ts.SyntaxKind.DeclareKeyword)) return true;
+  const { body } = node;
+  if (!body) return true;
+  if (ts.isModuleDeclaration(body)) return isTypeOnlyNamespace(body);
+  return body.statements.every(
+    (statement) =>
+      ts.isInterfaceDeclaration(statement) ||
+      ts.isTypeAliasDeclaration(statement) ||
+      (ts.isModuleDeclaration(statement) && isTypeOnlyNamespace(statement)) ||
+      hasModifier(statement, ts.SyntaxKind.DeclareKeyword)
+  );
+}
+
+/**
+ * Replaces the type syntax in `source` with whitespace.
+ * @param {string} source
+ * @param {string} [filename]
+ * @returns {string}
+ */
+export function stripTypes(source, filename = "input.ts") {
+  const sourceFile = ts.createSourceFile(filename, source, ts.ScriptTarget.Latest, true, ts.ScriptKind.TS);
+  const [syntaxError] = sourceFile.parseDiagnostics;
+  if (syntaxError) {
+    throw new ERR_INVALID_TYPESCRIPT_SYNTAX(
+      `${ts.flattenDiagnosticMessageText(syntaxError.messageText, "\n")} (${position(sourceFile, syntaxError.start)})`
+    );
+  }
+
+  const chars = source.split("");
+  const blank = (start, end) => {
+    for (let i = start; i < end; i++) if (chars[i] !== "\n" && chars[i] !== "\r") chars[i] = " ";
+  };
+  const erase = (node) => blank(node.getStart(sourceFile), node.end);
+  const unsupported = (node, what) => {
+    throw new ERR_UNSUPPORTED_TYPESCRIPT_SYNTAX(
+      `${what} is not supported in strip-only mode (${position(sourceFile, node.getStart(sourceFile))})`
+    );
+  };
+  const children = (node) => node.getChildren(sourceFile);
+
+  // `<…>` around a list of type parameters or arguments.
+  const eraseAngles = (node, list) => {
+    const siblings = children(node);
+    const at = siblings.findIndex((child) => child.kind === ts.SyntaxKind.SyntaxList && child.pos === list.pos);
+    if (at > 0) blank(siblings[at - 1].getStart(sourceFile), siblings[at + 1].end);
+  };
+  // `: Type` after a declaration.
+  const eraseAnnotation = (node) => {
+    const colon = children(node).find((child) => child.kind === ts.SyntaxKind.ColonToken && child.end <= node.type.pos);
+    blank(colon ? colon.getStart(sourceFile) : node.type.getStart(sourceFile), node.type.end);
+  };
+  // An import/export specifier or parameter together with the comma after it.
+  const eraseListItem = (node) => {
+    const after = source.slice(node.end).match(/^\s*,/);
+    blank(node.getStart(sourceFile), node.end + (after ? after[0].length : 0));
+  };
+
+  function visit(node) {
+    switch (node.kind) {
+      case ts.SyntaxKind.InterfaceDeclaration:
+      case ts.SyntaxKind.TypeAliasDeclaration:
+        return erase(node);
+      case ts.SyntaxKind.ModuleDeclaration:
+        if (isTypeOnlyNamespace(node)) return erase(node);
+        return unsupported(node, "TypeScript namespace declaration");
+      case ts.SyntaxKind.EnumDeclaration:
+        if (hasModifier(node, ts.SyntaxKind.DeclareKeyword)) return erase(node);
+        return unsupported(node, "TypeScript enum");
+      case ts.SyntaxKind.ImportEqualsDeclaration:
+        if (node.isTypeOnly) return erase(node);
+        return unsupported(node, "TypeScript import equals declaration");
+      case ts.SyntaxKind.ExportAssignment:
+        if (node.isExportEquals) return unsupported(node, "TypeScript export assignment");
+        break;
+      case ts.SyntaxKind.ImportDeclaration:
+        if (node.importClause && node.importClause.isTypeOnly) return erase(node);
+        break;
+      case ts.SyntaxKind.ExportDeclaration:
+        if (node.isTypeOnly) return erase(node);
+        break;
+      case ts.SyntaxKind.ImportSpecifier:
+      case ts.SyntaxKind.ExportSpecifier:
+        if (node.isTypeOnly) return eraseListItem(node);
+        break;
+      case ts.SyntaxKind.VariableStatement:
+      case ts.SyntaxKind.ClassDeclaration:
+      case ts.SyntaxKind.PropertyDeclaration:
+        if (hasModifier(node, ts.SyntaxKind.DeclareKeyword)) return erase(node);
+        if (node.kind === ts.SyntaxKind.PropertyDeclaration && hasModifier(node, ts.SyntaxKind.AbstractKeyword)) return erase(node);
+        break;
+      case ts.SyntaxKind.FunctionDeclaration:
+      case ts.SyntaxKind.MethodDeclaration:
+      case ts.SyntaxKind.Constructor:
+        // Overload signatures and abstract or declared members have no body.
+        if (!node.body) return erase(node);
+        break;
+      case ts.SyntaxKind.IndexSignature:
+        return erase(node);
+      case ts.SyntaxKind.Parameter:
+        if (ts.isIdentifier(node.name) && node.name.escapedText === "this") return eraseListItem(node);
+        if (node.modifiers && node.modifiers.some((m) => ERASED_MODIFIERS.has(m.kind))) {
+          return unsupported(node, "TypeScript parameter property");
+        }
+        break;
+      case ts.SyntaxKind.HeritageClause:
+        if (node.token === ts.SyntaxKind.ImplementsKeyword) return erase(node);
+        break;
+      case ts.SyntaxKind.AsExpression:
+      case ts.SyntaxKind.SatisfiesExpression:
+        blank(node.expression.end, node.end);
+        return visit(node.expression);
+      case ts.SyntaxKind.TypeAssertionExpression:
+        blank(node.getStart(sourceFile), node.expression.getStart(sourceFile));
+        return visit(node.expression);
+      case ts.SyntaxKind.NonNullExpression:
+        blank(node.end - 1, node.end);
+        break;
+    }
+
+    if (node.modifiers) {
+      for (const modifier of node.modifiers) if (ERASED_MODIFIERS.has(modifier.kind)) erase(modifier);
+    }
+    if (node.typeParameters) eraseAngles(node, node.typeParameters);
+    if (node.typeArguments) eraseAngles(node, node.typeArguments);
+    if (node.type && ANNOTATED.has(node.kind)) eraseAnnotation(node);
+    if (node.questionToken && (ts.isParameter(node) || ts.isPropertyDeclaration(node) || ts.isMethodDeclaration(node))) {
+      erase(node.questionToken);
+    }
+    if (node.exclamationToken && (ts.isPropertyDeclaration(node) || ts.isVariableDeclaration(node))) erase(node.exclamationToken);
+
+    ts.forEachChild(node, visit);
+  }
+
+  ts.forEachChild(sourceFile, visit);
+  return chars.join("");
+}
+
+// ── Transpile and check modes ────────────────────────────────────────────────
+
+const DEFAULT_OPTIONS = {
+  target: ts.ScriptTarget.ES2022,
   module: ts.ModuleKind.ESNext,
-  target: ts.ScriptTarget.ES2020,
-  strict: true,
-  resolveJsonModule: true,
+  moduleResolution: ts.ModuleResolutionKind.Bundler,
+  allowImportingTsExtensions: true,
   esModuleInterop: true,
-  moduleResolution: ts.ModuleResolutionKind.NodeJs,
-
-  // source maps + debug
-  sourceMap: true,
-  inlineSources: true,
-  inlineSourceMap: false,
-  noEmitOnError: false,
+  resolveJsonModule: true,
+  jsx: ts.JsxEmit.ReactJSX,
+  skipLibCheck: true,
+  noEmit: true,
 };
 
-// 1. Build lib map
-const fsMap = await createDefaultMapFromCDN(
-  { target: ts.ScriptTarget.ES2020 },
-  "5.4.5",
-  false,
-  ts
-);
-
-// 2. Add files
-fsMap.set("/index.ts", `
-import data from "./data.json";
-
-type ExpectedData = {
-  test: number;
-  num: number;
+/**
+ * Compiles one file to JavaScript without type information, keeping
+ * import/export syntax for the loaders.
+ * @returns {{ code: string, map: object }}
+ */
+export function transpile(source, filename, compilerOptions = DEFAULT_OPTIONS) {
+  const { outputText, sourceMapText } = ts.transpileModule(source, {
+    fileName: filename,
+    compilerOptions: {
+      ...compilerOptions,
+      module: ts.ModuleKind.Preserve,
+      noEmit: false,
+      declaration: false,
+      emitDeclarationOnly: false,
+      sourceMap: true,
+      inlineSourceMap: false,
+      inlineSources: true,
+      outDir: undefined,
+      outFile: undefined,
+    },
+  });
+  const map = JSON.parse(sourceMapText);
+  map.file = filename;
+  map.sources = [filename];
+  return { code: outputText.replace(/\n?\/\/# sourceMappingURL=\S*\s*$/, ""), map };
+}
+
+const readFile = (path) => {
+  if (path.startsWith(LIB_DIR)) {
+    const libs = runtime().typescriptLibs;
+    const name = path.slice(LIB_DIR.length);
+    if (libs && Object.prototype.hasOwnProperty.call(libs, name)) return libs[name];
+  }
+  try {
+    return fs().readFileSync(path, "utf8");
+  } catch {
+    return undefined;
+  }
 };
 
-const typedData: ExpectedData = data;
+const fileExists = (path) => readFile(path) !== undefined;
 
-console.log(typedData);
-`);
+function directoryExists(path) {
+  if (`${path}/`.startsWith(LIB_DIR) && runtime().typescriptLibs) return true;
+  try {
+    return fs().statSync(path).isDirectory();
+  } catch {
+    return false;
+  }
+}
 
-fsMap.set("/data.json", JSON.stringify({ value: 123 }));
+function getDirectories(path) {
+  try {
+    return fs().readdirSync(path, { withFileTypes: true }).filter((entry) => entry.isDirectory()).map((entry) => entry.name);
+  } catch {
+    return [];
+  }
+}
 
-// 3. System + host
-const system = createSystem(fsMap);
-const host = createVirtualCompilerHost(system, options, ts);
+function findConfig(filename) {
+  let dir = filename.slice(0, filename.lastIndexOf("/")) || "/";
+  for (;;) {
+    const candidate = `${dir === "/" ? "" : dir}/tsconfig.json`;
+    if (fileExists(candidate)) return candidate;
+    if (dir === "/") return null;
+    dir = dir.slice(0, dir.lastIndexOf("/")) || "/";
+  }
+}
 
-// 4. Program
-const program = ts.createProgram(
-  ["/index.ts"],
-  options,
-  host.compilerHost
-);
+// "No inputs were found": the loader supplies the files itself.
+const NO_INPUTS = 18003;
 
-// 5. Diagnostics (pretty CLI-style)
-const diagnostics = ts.getPreEmitDiagnostics(program);
+function parseConfig(configPath) {
+  if (!configPath) return { options: DEFAULT_OPTIONS, errors: [] };
+  const { config, error } = ts.readConfigFile(configPath, readFile);
+  if (error) return { options: DEFAULT_OPTIONS, errors: [error] };
+  const host = {
+    useCaseSensitiveFileNames: true,
+    readDirectory: () => [],
+    fileExists,
+    readFile,
+  };
+  const parsed = ts.parseJsonConfigFileContent(config, host, configPath.slice(0, configPath.lastIndexOf("/")) || "/", undefined, configPath);
+  return { options: parsed.options, errors: parsed.errors.filter((d) => d.code !== NO_INPUTS) };
+}
 
-const formatHost = {
-  getCanonicalFileName: (f) => f,
-  getCurrentDirectory: () => "/",
-  getNewLine: () => "\n",
-};
+function scriptVersion(path) {
+  if (path.startsWith(LIB_DIR) && runtime().typescriptLibs) return "0";
+  try {
+    const stats = fs().statSync(path);
+    return `${stats.mtimeMs}:${stats.size}`;
+  } catch {
+    return "missing";
+  }
+}
+
+// Language services by tsconfig path, kept so later files reuse the work.
+const services = new Map();
 
-console.error(
-  ts.formatDiagnosticsWithColorAndContext(diagnostics, formatHost)
-);
+function languageService(configPath) {
+  const key = configPath || "";
+  const configVersion = configPath ? scriptVersion(configPath) : "";
+  const cached = services.get(key);
+  if (cached && cached.configVersion === configVersion) return cached;
+
+  const { options, errors: configErrors } = parseConfig(configPath);
+  // Loaded files, as the loader saw them (load hooks may have changed them).
+  const roots = new Map();
+  const read = (path) => (roots.has(path) ? roots.get(path).text : readFile(path));
+  const service = ts.createLanguageService({
+    getScriptFileNames: () => [...roots.keys()],
+    getScriptVersion: (path) => (roots.has(path) ? `loaded:${roots.get(path).version}` : scriptVersion(path)),
+    getScriptSnapshot: (path) => {
+      const text = read(path);
+      return text === undefined ? undefined : ts.ScriptSnapshot.fromString(text);
+    },
+    getCurrentDirectory: () => (configPath ? configPath.slice(0, configPath.lastIndexOf("/")) || "/" : "/"),
+    getCompilationSettings: () => options,
+    getDefaultLibFileName: (settings) => LIB_DIR + ts.getDefaultLibFileName(settings),
+    fileExists: (path) => roots.has(path) || fileExists(path),
+    readFile: read,
+    directoryExists,
+    getDirectories,
+    realpath: (path) => path,
+    useCaseSensitiveFileNames: () => true,
+  });
+  const entry = { service, roots, options, configErrors, configVersion };
+  services.set(key, entry);
+  return entry;
+}
 
-// 6. Structured diagnostics (machine-friendly)
-const structured = diagnostics
-  .filter(d => d.file && d.start != null)
-  .map(d => {
-    const pos = d.file.getLineAndCharacterOfPosition(d.start);
+/**
+ * Diagnostics as plain objects.
+ * @returns {Array<{ file: string|null, line: number|null, column: number|null, code: number, category: string, message: string }>}
+ */
+function structure(diagnostics) {
+  return diagnostics.map((d) => {
+    const at = d.file && d.start !== undefined ? d.file.getLineAndCharacterOfPosition(d.start) : null;
     return {
-      file: d.file.fileName,
-      line: pos.line + 1,
-      column: pos.character + 1,
+      file: d.file ? d.file.fileName : null,
+      line: at && at.line + 1,
+      column: at && at.character + 1,
       code: d.code,
+      category: ts.DiagnosticCategory[d.category].toLowerCase(),
       message: ts.flattenDiagnosticMessageText(d.messageText, "\n"),
     };
   });
+}
+
+const FORMAT_HOST = {
+  getCanonicalFileName: (path) => path,
+  getCurrentDirectory: () => "/",
+  getNewLine: () => "\n",
+};
 
-console.log("Structured diagnostics:", structured);
+/**
+ * Type-checks `filename` against its tsconfig.json and compiles it.
+ * @param {string} source
+ * @param {string} filename
+ * @returns {{ code: string, map: object, diagnostics: object[], pretty: string, failed: boolean }}
+ *   `failed` is set when there are errors and the config has noEmitOnError
+ */
+export function check(source, filename) {
+  const { service, roots, options, configErrors } = languageService(findConfig(filename));
+  const loaded = roots.get(filename);
+  if (!loaded || loaded.text !== source) roots.set(filename, { text: source, version: loaded ? loaded.version + 1 : 0 });
+  const found = [
+    ...configErrors,
+    ...service.getCompilerOptionsDiagnostics(),
+    ...service.getSyntacticDiagnostics(filename),
+    ...service.getSemanticDiagnostics(filename),
+  ];
+  const { code, map } = transpile(source, filename, options);
+  return {
+    code,
+    map,
+    diagnostics: structure(found),
+    pretty: found.length ? ts.formatDiagnosticsWithColorAndContext(found, FORMAT_HOST) : "",
+    failed: !!options.noEmitOnError && found.some((d) => d.category === ts.DiagnosticCategory.Error),
+  };
+}
 
-// 7. Emit
-const output = {};
+/**
+ * Turns a TypeScript source into JavaScript for the loaders, in the mode
+ * globalThis._RUNTIME_.typescriptMode selects. A source map, if the
+ * output needs one, is inlined.
+ * @param {string} source
+ * @param {string} filename
+ * @returns {string}
+ */
+export function compile(source, filename) {
+  const mode = runtime().typescriptMode || "strip";
+  if (mode === "check") {
+    const result = check(source, filename);
+    if (result.failed) {
+      const error = new ERR_TYPESCRIPT_DIAGNOSTICS(result.pretty);
+      error.diagnostics = result.diagnostics;
+      throw error;
+    }
+    if (result.diagnostics.length) {
+      const report = runtime().onTypeScriptDiagnostics || (({ pretty }) => console.error(pretty));
+      report({ filename, diagnostics: result.diagnostics, pretty: result.pretty });
+    }
+    return `${result.code}\n${inlineSourceMap(result.map)}`;
+  }
+  if (mode !== "strip") throw new ERR_INVALID_ARG_VALUE("typescriptMode", mode, "must be 'strip' or 'check'");
+  if (scriptKind(filename) === ts.ScriptKind.TSX) {
+    const { code, map } = transpile(source, filename);
+    return `${code}\n${inlineSourceMap(map)}`;
+  }
+  return stripTypes(source, filename);
+}
 
-program.emit(undefined, (fileName, content) => {
-  output[fileName] = content;
-});
+/**
+ * module.stripTypeScriptTypes(code[, options]), as in Node.
+ * @param {string} code
+ * @param {{ mode?: 'strip'|'transform', sourceMap?: boolean, sourceUrl?: string }} [options]
+ */
+export function stripTypeScriptTypes(code, { mode = "strip", sourceMap = false, sourceUrl = "" } = {}) {
+  if (typeof code !== "string") throw new ERR_INVALID_ARG_TYPE("code", "string", code);
+  if (mode !== "strip" && mode !== "transform") {
+    throw new ERR_INVALID_ARG_VALUE("options.mode", mode, "must be 'strip' or 'transform'");
+  }
+  if (mode === "strip" && sourceMap) {
+    throw new ERR_INVALID_ARG_VALUE("options.sourceMap", sourceMap, "must be false when options.mode is 'strip'");
+  }
+  const filename = sourceUrl || "input.ts";
+  let output;
+  if (mode === "strip") {
+    output = stripTypes(code, filename);
+  } else {
+    const { code: js, map } = transpile(code, filename);
+    output = sourceMap ? `${js}\n${inlineSourceMap(map)}` : js;
+  }
+  return sourceUrl ? `${output}\n//# sourceURL=${sourceUrl}` : output;
+}
 
-console.log("Emitted files:", output);
+globalThis._RUNTIME_.typescript = { isTypeScriptFile, compile, check, stripTypeScriptTypes };
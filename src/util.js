@@ -2,9 +2,31 @@
 
 // Import all named exports as a namespace
 import * as util from 'util';
+import { remapStack } from './runtime/sourceMaps.js';
 
 // Export everything as named exports
 export * from 'util';
 
+/**
+ * util.inspect, with error stacks mapped back to the user's files through
+ * registered source maps.
+ */
+export function inspect(value, ...args) {
+  if (value instanceof Error && typeof value.stack === 'string') {
+    const { stack } = value;
+    const remapped = remapStack(stack);
+    if (remapped !== stack) {
+      try {
+        value.stack = remapped;
+        return util.inspect(value, ...args);
+      } finally {
+        value.stack = stack;
+      }
+    }
+  }
+  return util.inspect(value, ...args);
+}
+Object.assign(inspect, util.inspect);
+
 // Export the namespace as default
 // export default util;
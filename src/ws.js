@@ -4,6 +4,7 @@
  */
 
 import { EventEmitter } from "events"
+import { isLoopbackHost, networkPolicy, urlTarget } from "./internals/net/policy.js"
 
 // Polyfill for CloseEvent (not available in Node.js)
 const CloseEventPolyfill =
@@ -60,6 +61,7 @@ export class WebSocket extends EventEmitter {
 
   _server = null
   _nativeWs = null
+  _peer = null
 
   // Event handler properties
   onopen = null
@@ -93,7 +95,14 @@ export class WebSocket extends EventEmitter {
     // This allows libraries like the Convex CLI (which require('ws')) to
     // communicate with real remote servers.
     if (this.url.startsWith("ws://") || this.url.startsWith("wss://")) {
-      this._connectNative()
+      // Other hosts than this machine only as the network policy allows
+      const target = urlTarget(this.url)
+      const refusal =
+        target && !isLoopbackHost(target.host)
+          ? networkPolicy().connectError(target.host, target.port)
+          : null
+      if (refusal) this._refuse(refusal)
+      else this._connectNative()
       return
     }
 
@@ -169,6 +178,25 @@ export class WebSocket extends EventEmitter {
     }, 100)
   }
 
+  // A connection that never opened: the error, then an abnormal close, as
+  // the ws library reports one
+  _refuse(error) {
+    this.readyState = WebSocket.CLOSED
+    this.emit("error", error)
+    if (this.onerror) {
+      this.onerror(
+        Object.assign(new Event("error"), { error, message: error.message })
+      )
+    }
+    const closeEvent = new CloseEventPolyfill("close", {
+      code: 1006,
+      reason: "",
+      wasClean: false
+    })
+    this.emit("close", closeEvent)
+    if (this.onclose) this.onclose(closeEvent)
+  }
+
   _connectNative() {
     // Check that the browser's native WebSocket is available and is not our own shim.
     // Only use native WebSocket in a real browser — Node.js 21+ has native WebSocket
@@ -246,6 +274,12 @@ export class WebSocket extends EventEmitter {
       return
     }
 
+    // If upgraded from a preview page (see internals/http/previewBridge.js)
+    if (this._peer) {
+      this._peer.send(data)
+      return
+    }
+
     // If connected to internal server
     if (this._server) {
       this._server._handleClientMessage(this, data)
@@ -279,7 +313,9 @@ export class WebSocket extends EventEmitter {
       return
     }
 
-    if (messageChannel) {
+    if (this._peer) {
+      this._peer.close(code, reason)
+    } else if (messageChannel) {
       messageChannel.postMessage({
         type: "disconnect",
         clientId: this._id,
@@ -334,6 +370,20 @@ export class WebSocket extends EventEmitter {
     this.emit("message", msgEvent)
     if (this.onmessage) this.onmessage(msgEvent)
   }
+
+  // The other end closed
+  _receiveClose(code, reason) {
+    if (this.readyState === WebSocket.CLOSED) return
+    this.readyState = WebSocket.CLOSED
+    this._server?.clients.delete(this)
+    const closeEvent = new CloseEventPolyfill("close", {
+      code: code || 1005,
+      reason: reason || "",
+      wasClean: true
+    })
+    this.emit("close", closeEvent)
+    if (this.onclose) this.onclose(closeEvent)
+  }
 }
 
 export class WebSocketServer extends EventEmitter {
@@ -350,6 +400,19 @@ export class WebSocketServer extends EventEmitter {
       this._setupListener()
     }
 
+    // Upgrades of an http.Server, as ws handles them with `server`
+    if (options.server) {
+      options.server.on("upgrade", (request, socket, head) => {
+        const { pathname } = new URL(request.url, "http://localhost")
+        if (options.path && pathname !== options.path) {
+          // ws answers 400 and drops the connection
+          socket.destroy()
+          return
+        }
+        this.handleUpgrade(request, socket, head, () => {})
+      })
+    }
+
     // Register server
     servers.set(this._path, this)
   }
@@ -413,12 +476,21 @@ export class WebSocketServer extends EventEmitter {
     const ws = new WebSocket("internal://" + this._path)
     ws._setServer(this)
 
+    // A bridged socket carries the messages of the client's end
+    const peer = socket?._webSocketPeer
+    if (peer) {
+      ws._peer = peer
+      ws.protocol =
+        request.headers["sec-websocket-protocol"]?.split(",")[0].trim() || ""
+    }
+
     if (this.options.clientTracking !== false) {
       this.clients.add(ws)
     }
 
     // Async callback
     setTimeout(() => {
+      if (peer) peer.accept(ws)
       callback(ws, request)
       this.emit("connection", ws, request)
     }, 0)
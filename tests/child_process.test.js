@@ -0,0 +1,195 @@
+import { describe, test, expect, beforeAll, afterEach, jest } from '@jest/globals';
+
+import { createChildProcessHost } from '../src/internals/child_process/host.js';
+
+// ---------------------------------------------------------------------------
+// Mock host: the reference host handler in front of a fake command runner,
+// talking to the sandbox through message events as a parent frame would.
+// ---------------------------------------------------------------------------
+
+const sandbox = new EventTarget();
+const deliver = (message) => setTimeout(() => sandbox.dispatchEvent(new MessageEvent('message', { data: structuredClone(message) })));
+
+const flow = [];
+const runner = jest.fn((command, args, options, events) => {
+  if (options.shell) [command, ...args] = command.split(' ');
+  switch (command) {
+    case 'echo':
+      setTimeout(() => { events.stdout(`${args.join(' ')}\n`); events.exit(0); });
+      return {};
+    case 'fail':
+      setTimeout(() => { events.stderr('bad things\n'); events.exit(2); });
+      return {};
+    case 'cat': {
+      let closed = false;
+      return {
+        write: (chunk) => new Promise((resolve) => setTimeout(() => { events.stdout(chunk); resolve(); })),
+        end: () => { if (!closed) { closed = true; setTimeout(() => events.exit(0)); } },
+      };
+    }
+    case 'sleep':
+      return { kill: (signal) => setTimeout(() => events.exit(null, signal)) };
+    case 'flood': {
+      let sent = 0;
+      let paused = false;
+      // One chunk per tick, so a pause lands mid-stream.
+      const pump = () => {
+        if (paused) return;
+        if (sent === 64) return events.exit(0);
+        events.stdout(new Uint8Array(4096).fill(1));
+        sent++;
+        setTimeout(pump);
+      };
+      setTimeout(pump);
+      return {
+        pause: (stream) => { flow.push(`pause ${stream}`); paused = true; },
+        resume: (stream) => { flow.push(`resume ${stream}`); if (paused) { paused = false; setTimeout(pump); } },
+      };
+    }
+    default:
+      throw Object.assign(new Error(`spawn ${command} ENOENT`), {
+        code: 'ENOENT', errno: -2, syscall: `spawn ${command}`, path: command,
+      });
+  }
+});
+const host = createChildProcessHost({ spawn: runner, post: deliver });
+
+let cp;
+
+beforeAll(async () => {
+  globalThis._RUNTIME_ ??= {};
+  globalThis._RUNTIME_.taskTracker ??= { patchChildProcess: (fn) => fn, start() {}, stop() {} };
+  globalThis.addEventListener = sandbox.addEventListener.bind(sandbox);
+  globalThis.removeEventListener = sandbox.removeEventListener.bind(sandbox);
+  globalThis.parent = { postMessage: (message) => host.handleMessage(structuredClone(message)) };
+  cp = await import('../src/child_process.js');
+});
+
+afterEach(() => {
+  runner.mockClear();
+  flow.length = 0;
+});
+
+const closed = (child) => new Promise((resolve) => child.on('close', (code, signal) => resolve({ code, signal })));
+
+describe('spawn', () => {
+  test('streams output and reports exit then close', async () => {
+    const child = cp.spawn('echo', ['hello', 'world'], { cwd: '/app' });
+    expect(child.pid).toEqual(expect.any(Number));
+    expect(child.spawnargs).toEqual(['echo', 'hello', 'world']);
+    const events = [];
+    child.on('spawn', () => events.push('spawn'));
+    child.on('exit', (code) => events.push(`exit ${code}`));
+    let out = '';
+    child.stdout.setEncoding('utf8').on('data', (chunk) => { out += chunk; });
+
+    expect(await closed(child)).toEqual({ code: 0, signal: null });
+    expect(events).toEqual(['spawn', 'exit 0']);
+    expect(out).toBe('hello world\n');
+    expect(runner).toHaveBeenCalledWith('echo', ['hello', 'world'], expect.objectContaining({
+      cwd: '/app', shell: false, stdio: ['pipe', 'pipe', 'pipe'],
+    }), expect.any(Object));
+  });
+
+  test('forwards stdin writes and end to the host', async () => {
+    const child = cp.spawn('cat');
+    const chunks = [];
+    child.stdout.on('data', (chunk) => chunks.push(chunk.toString()));
+    const written = new Promise((resolve) => child.stdin.write('one\n', resolve));
+    await written;
+    expect(chunks).toEqual(['one\n']);
+    child.stdin.end('two\n');
+    expect(await closed(child)).toEqual({ code: 0, signal: null });
+    expect(chunks).toEqual(['one\n', 'two\n']);
+  });
+
+  test('kill() reaches the host and the exit carries the signal', async () => {
+    const child = cp.spawn('sleep', ['100']);
+    await new Promise((resolve) => child.once('spawn', resolve));
+    expect(child.kill('SIGINT')).toBe(true);
+    expect(child.killed).toBe(true);
+    expect(await closed(child)).toEqual({ code: null, signal: 'SIGINT' });
+    expect(child.signalCode).toBe('SIGINT');
+    expect(child.kill()).toBe(false);
+    expect(() => child.kill('SIGNOPE')).toThrow(expect.objectContaining({ code: 'ERR_UNKNOWN_SIGNAL' }));
+  });
+
+  test('a command that cannot start emits error and close', async () => {
+    const child = cp.spawn('nope');
+    const error = new Promise((resolve) => child.on('error', resolve));
+    const close = closed(child);
+    const exit = jest.fn();
+    child.on('exit', exit);
+    expect(await error).toMatchObject({ code: 'ENOENT', errno: -2, syscall: 'spawn nope', spawnargs: [] });
+    expect(await close).toEqual({ code: -2, signal: null });
+    expect(exit).not.toHaveBeenCalled();
+  });
+
+  test('a full stdout pauses the host until it is read', async () => {
+    const child = cp.spawn('flood');
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    expect(flow).toEqual(['pause stdout']);
+
+    let total = 0;
+    child.stdout.on('data', (chunk) => { total += chunk.length; });
+    await closed(child);
+    expect(total).toBe(64 * 4096);
+    expect(flow).toContain('resume stdout');
+  });
+
+  test('stdio: inherit writes to process.stdout and ignore drops output', async () => {
+    const write = jest.spyOn(process.stdout, 'write').mockImplementation(() => true);
+    try {
+      const inherited = cp.spawn('echo', ['shown'], { stdio: 'inherit' });
+      expect(inherited.stdout).toBe(null);
+      await closed(inherited);
+      expect(write).toHaveBeenCalledWith(Buffer.from('shown\n'));
+    } finally {
+      write.mockRestore();
+    }
+
+    const ignored = cp.spawn('echo', ['hidden'], { stdio: ['pipe', 'ignore', 'pipe'] });
+    expect(ignored.stdout).toBe(null);
+    expect(ignored.stdin).not.toBe(null);
+    await closed(ignored);
+    expect(runner.mock.calls.at(-1)[2].stdio).toEqual(['pipe', 'ignore', 'pipe']);
+    expect(() => cp.spawn('echo', [], { stdio: 'bogus' })).toThrow(expect.objectContaining({ code: 'ERR_INVALID_ARG_VALUE' }));
+  });
+
+  test('timeout and signal kill the child', async () => {
+    const timed = cp.spawn('sleep', [], { timeout: 5, killSignal: 'SIGKILL' });
+    expect(await closed(timed)).toEqual({ code: null, signal: 'SIGKILL' });
+
+    const controller = new AbortController();
+    const aborted = cp.spawn('sleep', [], { signal: controller.signal });
+    const error = new Promise((resolve) => aborted.on('error', resolve));
+    controller.abort();
+    expect(await error).toMatchObject({ name: 'AbortError' });
+    expect(await closed(aborted)).toEqual({ code: null, signal: 'SIGTERM' });
+  });
+});
+
+describe('exec / execFile', () => {
+  test('exec runs a shell command line and buffers the output', async () => {
+    const { err, stdout, stderr } = await new Promise((resolve) =>
+      cp.exec('echo hi there', (err, stdout, stderr) => resolve({ err, stdout, stderr })));
+    expect(err).toBe(null);
+    expect(stdout).toBe('hi there\n');
+    expect(stderr).toBe('');
+    expect(runner).toHaveBeenCalledWith('echo hi there', [], expect.objectContaining({ shell: true }), expect.any(Object));
+  });
+
+  test('a failing command gives a Node-style error', async () => {
+    const err = await new Promise((resolve) => cp.execFile('fail', ['x'], (err) => resolve(err)));
+    expect(err).toMatchObject({ message: 'Command failed: fail x\nbad things\n', code: 2, killed: false, signal: null, cmd: 'fail x' });
+  });
+
+  test('maxBuffer and encoding', async () => {
+    const big = await new Promise((resolve) => cp.execFile('flood', { maxBuffer: 8192 }, (err) => resolve(err)));
+    expect(big).toMatchObject({ code: 'ERR_CHILD_PROCESS_STDIO_MAXBUFFER', message: 'stdout maxBuffer length exceeded' });
+
+    const stdout = await new Promise((resolve) => cp.execFile('echo', ['raw'], { encoding: 'buffer' }, (err, out) => resolve(out)));
+    expect(Buffer.isBuffer(stdout)).toBe(true);
+    expect(stdout.toString()).toBe('raw\n');
+  });
+});
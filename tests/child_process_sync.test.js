@@ -0,0 +1,154 @@
+import { describe, test, expect, beforeAll, afterAll, jest } from '@jest/globals';
+import { Worker } from 'node:worker_threads';
+
+// The sandbox blocks while the host runs the command, so the host lives on
+// another thread: the reference host handler in a worker, in front of a fake
+// command runner.
+const hostURL = new URL('../src/internals/child_process/host.js', import.meta.url).href;
+const hostSource = `
+const { parentPort } = require('node:worker_threads');
+const runner = (command, args, options, events) => {
+  if (options.shell) [command, ...args] = command.split(' ');
+  switch (command) {
+    case 'echo':
+      setTimeout(() => { events.stdout(args.join(' ') + '\\n'); events.exit(0); });
+      return {};
+    case 'fail':
+      setTimeout(() => { events.stderr('bad things\\n'); events.exit(2); });
+      return {};
+    case 'cat': {
+      const chunks = [];
+      return {
+        write: (chunk) => { chunks.push(typeof chunk === 'string' ? chunk : Buffer.from(chunk).toString()); },
+        end: () => setTimeout(() => { events.stdout(chunks.join('').toUpperCase()); events.exit(0); }),
+      };
+    }
+    case 'sleep':
+      return { kill: (signal) => setTimeout(() => events.exit(null, signal)) };
+    case 'flood':
+      setTimeout(() => { for (let i = 0; i < 4; i++) events.stdout(new Uint8Array(4096).fill(97)); events.exit(0); });
+      return { kill: () => {} };
+    default:
+      throw Object.assign(new Error('spawn ' + command + ' ENOENT'), {
+        code: 'ENOENT', errno: -2, syscall: 'spawn ' + command, path: command,
+      });
+  }
+};
+import(${JSON.stringify(hostURL)}).then(({ createChildProcessHost }) => {
+  const host = createChildProcessHost({ spawn: runner, post: () => {} });
+  parentPort.on('message', (message) => host.handleMessage(message));
+  parentPort.postMessage('ready');
+});
+`;
+
+let worker;
+let cp;
+
+beforeAll(async () => {
+  worker = new Worker(hostSource, { eval: true });
+  await new Promise((resolve) => worker.once('message', resolve));
+
+  globalThis._RUNTIME_ ??= {};
+  globalThis._RUNTIME_.taskTracker ??= { patchChildProcess: (fn) => fn, start() {}, stop() {} };
+  globalThis.addEventListener ??= () => {};
+  globalThis.removeEventListener ??= () => {};
+  globalThis.parent = { postMessage: (message) => worker.postMessage(message) };
+  globalThis.crossOriginIsolated = true;
+  cp = await import('../src/child_process.js');
+});
+
+afterAll(async () => {
+  delete globalThis.crossOriginIsolated;
+  await worker.terminate();
+});
+
+describe('spawnSync', () => {
+  test('returns the output, status and signal', () => {
+    const ret = cp.spawnSync('echo', ['hello', 'sync']);
+    expect(ret).toMatchObject({ status: 0, signal: null, pid: expect.any(Number) });
+    expect(Buffer.isBuffer(ret.stdout)).toBe(true);
+    expect(ret.stdout.toString()).toBe('hello sync\n');
+    expect(ret.output).toEqual([null, ret.stdout, ret.stderr]);
+
+    expect(cp.spawnSync('fail', [], { encoding: 'utf8' })).toMatchObject({ status: 2, stdout: '', stderr: 'bad things\n' });
+  });
+
+  test('feeds input to stdin', () => {
+    expect(cp.spawnSync('cat', { input: 'shout', encoding: 'utf8' }).stdout).toBe('SHOUT');
+    expect(cp.spawnSync('cat', { input: new Uint8Array([104, 105]), encoding: 'utf8' }).stdout).toBe('HI');
+  });
+
+  test('timeout, maxBuffer and spawn errors come back as result.error', () => {
+    const timed = cp.spawnSync('sleep', ['10'], { timeout: 20, killSignal: 'SIGKILL' });
+    expect(timed).toMatchObject({ status: null, signal: 'SIGKILL' });
+    expect(timed.error).toMatchObject({ code: 'ETIMEDOUT', errno: -110, syscall: 'spawnSync sleep', spawnargs: ['10'] });
+
+    const big = cp.spawnSync('flood', [], { maxBuffer: 8192 });
+    expect(big.error).toMatchObject({ code: 'ENOBUFS', message: 'spawnSync flood ENOBUFS' });
+    expect(big.stdout.length).toBe(8192);
+
+    // Output takes the room it needs, however much is allowed
+    const unlimited = cp.spawnSync('flood', [], { maxBuffer: Infinity });
+    expect(unlimited.error).toBeUndefined();
+    expect(unlimited.stdout.length).toBe(4 * 4096);
+
+    const missing = cp.spawnSync('nope');
+    expect(missing.error).toMatchObject({ code: 'ENOENT', message: 'spawnSync nope ENOENT', syscall: 'spawnSync nope' });
+    expect(missing.status).toBe(null);
+  });
+});
+
+describe('execSync / execFileSync', () => {
+  test('return stdout and pass stderr through', () => {
+    const write = jest.spyOn(process.stderr, 'write').mockImplementation(() => true);
+    try {
+      expect(cp.execSync('echo hi there').toString()).toBe('hi there\n');
+      expect(cp.execFileSync('echo', ['a'], { encoding: 'utf8' })).toBe('a\n');
+      expect(() => cp.execFileSync('fail', ['x'])).toThrow('Command failed: fail x\nbad things\n');
+      expect(write).toHaveBeenCalledWith(Buffer.from('bad things\n'));
+    } finally {
+      write.mockRestore();
+    }
+  });
+
+  test('a failing command throws with status and output', () => {
+    let error;
+    try {
+      cp.execSync('fail now', { stdio: 'pipe', encoding: 'utf8' });
+    } catch (err) {
+      error = err;
+    }
+    expect(error).toMatchObject({ status: 2, signal: null, stdout: '', stderr: 'bad things\n', output: [null, '', 'bad things\n'] });
+
+    expect(() => cp.execFileSync('nope')).toThrow(expect.objectContaining({ code: 'ENOENT', status: null }));
+  });
+
+  test('refuse to start on a thread that cannot wait for them', () => {
+    const post = jest.spyOn(globalThis.parent, 'postMessage');
+    const wait = jest.spyOn(Atomics, 'wait').mockImplementation(() => {
+      throw new TypeError('Atomics.wait cannot be called in this context');
+    });
+    try {
+      expect(() => cp.execSync('echo')).toThrow(expect.objectContaining({
+        code: 'ERR_FEATURE_UNAVAILABLE_ON_PLATFORM',
+        message: expect.stringContaining('child_process.execSync outside a worker'),
+      }));
+      expect(post).not.toHaveBeenCalled();
+    } finally {
+      wait.mockRestore();
+      post.mockRestore();
+    }
+  });
+
+  test('need cross-origin isolation', () => {
+    globalThis.crossOriginIsolated = false;
+    try {
+      expect(() => cp.execSync('echo')).toThrow(expect.objectContaining({
+        code: 'ERR_FEATURE_UNAVAILABLE_ON_PLATFORM',
+        message: expect.stringContaining('child_process.execSync without cross-origin isolation'),
+      }));
+    } finally {
+      globalThis.crossOriginIsolated = true;
+    }
+  });
+});
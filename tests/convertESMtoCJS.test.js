@@ -1,104 +1,285 @@
- 
+
 import { jest, describe, test, expect, beforeEach, afterEach } from '@jest/globals';
 
-import { convertEsmToCjs, convertCjsToEsm } from '../src/runtime/transformModules.js';
+import { convertEsmToCjs, convertCjsToEsm, parseCjsExports } from '../src/runtime/transformModules.js';
+
+// Converted modules take import.meta from the runtime.
+globalThis._RUNTIME_ ??= {};
+await import('../src/runtime/importMetaResolver.js');
+
+// A tiny CommonJS runtime: `files` maps ids to sources; ES modules (.mjs)
+// go through convertEsmToCjs first.
+function createRuntime(files) {
+  const cache = {};
+  let main;
+  function load(request) {
+    const id = request.replace(/^\.\//, '');
+    if (id === 'module') return { createRequire: () => (request) => load(request) };
+    if (cache[id]) return cache[id].exports;
+    if (!(id in files)) throw new Error(`Cannot find module '${id}'`);
+    const module = (cache[id] = { exports: {} });
+    if (!main) main = module;
+    const source = id.endsWith('.mjs') ? convertEsmToCjs(files[id]) : files[id];
+    const require = (request) => load(request);
+    require.main = main;
+    require.resolve = (request) => `/${request.replace(/^\.\//, '')}`;
+    new Function('exports', 'require', 'module', '__filename', '__dirname', source).call(
+      module.exports, module.exports, require, module, `/app/${id}`, '/app'
+    );
+    return module.exports;
+  }
+  return load;
+}
 
+const run = (files, entry = Object.keys(files)[0]) => createRuntime(files)(entry);
 
 describe("convertEsmToCjs", () => {
-  test("converts default export of a literal", () => {
-    const code = `export default 42;`;
-    const cjs = convertEsmToCjs(code);
-    expect(cjs).toBe("module.exports = 42;");
+  test("marks the exports with __esModule and exports default as .default", () => {
+    const exports = run({ 'a.mjs': `export default 42;` });
+    expect(exports.__esModule).toBe(true);
+    expect(exports.default).toBe(42);
+    expect(Object.keys(exports)).toEqual(['default']);
   });
 
   test("converts default export of a named function", () => {
-    const code = `export default function foo() {}`;
-    const cjs = convertEsmToCjs(code);
-    expect(cjs).toContain("module.exports = foo;");
+    const exports = run({ 'a.mjs': `export default function foo() { return 1; }` });
+    expect(exports.default.name).toBe('foo');
+    expect(exports.default()).toBe(1);
   });
 
-  test("converts named export of variable", () => {
-    const code = `export const a = 1, b = 2;`;
-    const cjs = convertEsmToCjs(code);
-    expect(cjs).toContain("exports.a = a;");
-    expect(cjs).toContain("exports.b = b;");
+  test("anonymous default functions stay hoisted", () => {
+    const exports = run({
+      'main.mjs': `import f from './f.mjs'; export const value = f();`,
+      'f.mjs': `import { value } from './main.mjs'; export default function () { return 'called'; }`,
+    }, 'main.mjs');
+    expect(exports.value).toBe('called');
   });
 
-  test("converts named export of function", () => {
-    const code = `export function bar() {}`;
-    const cjs = convertEsmToCjs(code);
-    expect(cjs).toContain("exports.bar = bar;");
+  test("converts named exports of variables, functions and classes", () => {
+    const exports = run({
+      'a.mjs': `export const a = 1, b = 2; export function bar() { return 3; } export class Baz {}`,
+    });
+    expect(exports).toMatchObject({ a: 1, b: 2 });
+    expect(exports.bar()).toBe(3);
+    expect(typeof exports.Baz).toBe('function');
   });
 
-  test("converts import statements (default, named, namespace, bare)", () => {
-    const code = `
-      import x from 'mod1';
-      import { a, b as c } from 'mod2';
-      import * as ns from 'mod3';
-      import 'setup';
-    `;
-    const cjs = convertEsmToCjs(code);
+  test("exports destructured declarations", () => {
+    const exports = run({
+      'a.mjs': `const obj = { a: 1, nested: [2], rest: 3 }; export const { a, nested: [b], ...others } = obj;`,
+    });
+    expect(exports).toMatchObject({ a: 1, b: 2, others: { rest: 3 } });
+  });
+
+  test("exports local bindings under other names", () => {
+    const exports = run({ 'a.mjs': `const a = 1; function f() {} export { a as b, f, a as "kebab-name", a as default };` });
+    expect(exports).toMatchObject({ b: 1, 'kebab-name': 1, default: 1 });
+    expect(typeof exports.f).toBe('function');
+    expect('a' in exports).toBe(false);
+  });
+
+  test("exports stay live", () => {
+    const exports = run({ 'a.mjs': `export let count = 0; export function inc() { count++; }` });
+    exports.inc();
+    exports.inc();
+    expect(exports.count).toBe(2);
+  });
+
+  test("imported bindings stay live", () => {
+    const exports = run({
+      'main.mjs': `import { count, inc } from './counter.mjs'; inc(); export const seen = count; export const read = () => count;`,
+      'counter.mjs': `export let count = 0; export function inc() { count++; }`,
+    }, 'main.mjs');
+    expect(exports.seen).toBe(1);
+    expect(exports.read()).toBe(1);
+  });
+
+  test("default and named imports from one declaration", () => {
+    const exports = run({
+      'main.mjs': `import x, { y, z as w } from './lib.mjs'; export const all = [x, y, w];`,
+      'lib.mjs': `export default 'x'; export const y = 'y', z = 'z';`,
+    }, 'main.mjs');
+    expect(exports.all).toEqual(['x', 'y', 'z']);
+  });
+
+  test("imports of CommonJS use module.exports as default unless __esModule is set", () => {
+    const exports = run({
+      'main.mjs': `
+        import fn, { named } from './plain.js';
+        import * as ns from './plain.js';
+        import transpiled from './transpiled.js';
+        export const result = [fn(), named, ns.default === fn, ns.named, transpiled];
+      `,
+      'plain.js': `module.exports = () => 'fn'; module.exports.named = 'named';`,
+      'transpiled.js': `Object.defineProperty(exports, '__esModule', { value: true }); exports.default = 'transpiled';`,
+    }, 'main.mjs');
+    expect(exports.result).toEqual(['fn', 'named', true, 'named', 'transpiled']);
+  });
+
+  test("re-exports: named, star, and namespace", () => {
+    const exports = run({
+      'main.mjs': `
+        export { x, y as z, default as d } from './lib.mjs';
+        export * from './lib.mjs';
+        export * as ns from './lib.mjs';
+        export const y = 'local';
+      `,
+      'lib.mjs': `export const x = 1, y = 2, w = 3; export default 'def';`,
+    }, 'main.mjs');
+    expect(exports).toMatchObject({ x: 1, z: 2, d: 'def', w: 3, y: 'local' });
+    // Star exports never carry `default` and lose to local names.
+    expect(exports.default).toBeUndefined();
+    expect(exports.ns).toMatchObject({ x: 1, y: 2, w: 3, default: 'def' });
+  });
+
+  test("cycles see hoisted functions and live bindings", () => {
+    const exports = run({
+      'a.mjs': `import { b } from './b.mjs'; export function a() { return 'a'; } export const fromB = b();`,
+      'b.mjs': `import { a } from './a.mjs'; export function b() { return a() + 'b'; }`,
+    }, 'a.mjs');
+    expect(exports.fromB).toBe('ab');
+  });
+
+  test("module requests run first, in source order", () => {
+    globalThis.__order = [];
+    run({
+      'main.mjs': `__order.push('main'); import './one.mjs'; export * from './two.mjs';`,
+      'one.mjs': `__order.push('one'); export {};`,
+      'two.mjs': `__order.push('two'); export {};`,
+    }, 'main.mjs');
+    expect(globalThis.__order).toEqual(['one', 'two', 'main']);
+    delete globalThis.__order;
+  });
 
-    expect(cjs).toContain(`const x = require('mod1');`);
-    expect(cjs).toContain(`const { a, b: c } = require('mod2');`);
-    expect(cjs).toContain(`const ns = require('mod3');`);
+  test("local declarations shadow imported names", () => {
+    const exports = run({
+      'main.mjs': `
+        import { v } from './lib.mjs';
+        function param(v) { return v; }
+        function block() { { const v = 'block'; return v; } }
+        const obj = { v, nested: { v: 'key' } };
+        export const results = [param('param'), block(), obj.v, obj.nested.v, v];
+      `,
+      'lib.mjs': `export const v = 'imported';`,
+    }, 'main.mjs');
+    expect(exports.results).toEqual(['param', 'block', 'imported', 'key', 'imported']);
+  });
+
+  test("top-level this is undefined and import.meta describes the file", () => {
+    const exports = run({
+      'a.mjs': `import { meta as dep } from './b.mjs'; export const self = this; export const meta = [import.meta.url, import.meta.dirname, import.meta.filename, import.meta.main, dep];`,
+      'b.mjs': `export const meta = import.meta.main;`,
+    });
+    expect(exports.self).toBeUndefined();
+    expect(exports.meta).toEqual(['file:///app/a.mjs', '/app', '/app/a.mjs', true, false]);
+  });
+
+  test("dynamic import() resolves to the module namespace", async () => {
+    const exports = run({
+      'main.mjs': `export const lazy = import('./lazy.js');`,
+      'lazy.js': `module.exports = { value: 1 };`,
+    }, 'main.mjs');
+    const ns = await exports.lazy;
+    expect(ns.default).toEqual({ value: 1 });
+    expect(ns.value).toBe(1);
+  });
+
+  test("top-level bindings named like the wrapper's parameters are renamed", () => {
+    const exports = run({
+      'main.mjs': `
+        import { createRequire } from 'module';
+        const require = createRequire(import.meta.url);
+        export const { module } = { module: 'm' };
+        export const dep = require('./dep.js');
+      `,
+      'dep.js': `module.exports = 'dep';`,
+    }, 'main.mjs');
+    expect(exports).toMatchObject({ dep: 'dep', module: 'm' });
+  });
+
+  test("side-effect imports keep the require", () => {
+    const cjs = convertEsmToCjs(`import 'setup';`);
     expect(cjs).toContain(`require('setup');`);
   });
+});
 
-  test("converts export all and re-export", () => {
+describe("parseCjsExports", () => {
+  const corpus = [
+    ['exports.a = 1; exports["b"] = 2;', ['a', 'b']],
+    ['module.exports.c = 1; module.exports["d"] = 2;', ['c', 'd']],
+    ['if (cond) { exports.e = 1; } else { exports.f = 2; }', ['e', 'f']],
+    ["Object.defineProperty(exports, 'g', { enumerable: true, get: function () { return g; } });", ['g']],
+    ["Object.defineProperty(module.exports, 'h', { value: 1 });", ['h']],
+    ["Object.defineProperty(exports, '__esModule', { value: true }); exports.default = 1;", ['__esModule', 'default']],
+    ["module.exports = { i, j: 1, 'k-l': 2, [computed]: 3, m() {} };", ['i', 'j', 'k-l', 'm']],
+    ['exports[dynamic] = 1; other.exports.n = 2;', []],
+  ];
+
+  test.each(corpus)('%s', (code, names) => {
+    expect(parseCjsExports(code).exports).toEqual(names);
+  });
+
+  test("finds re-exports", () => {
     const code = `
-      export * from './lib.js';
-      export { x, y as z } from './lib2.js';
+      module.exports = require('./a');
+      module.exports = { ...require('./b') };
+      __exportStar(require('./c'), exports);
+      var _d = _interopRequireWildcard(require('./d'));
+      Object.keys(_d).forEach(function (key) { exports[key] = _d[key]; });
     `;
-    const cjs = convertEsmToCjs(code);
-    expect(cjs).toContain(`Object.assign(exports, require('./lib.js'));`);
-    expect(cjs).toContain('exports.x = _tmp_');
-    expect(cjs).toContain('exports.z = _tmp_');
+    expect(parseCjsExports(code).reexports).toEqual(['./a', './b', './c', './d']);
   });
 });
 
 describe("convertCjsToEsm", () => {
-  test("converts module.exports = literal to default export", () => {
-    const code = `module.exports = 42;`;
-    const esm = convertCjsToEsm(code);
-    expect(esm).toBe("export default 42;");
-  });
+  // CommonJS → ES module → back through convertEsmToCjs, then run.
+  const roundTrip = (files, entry) =>
+    run({ ...files, 'entry.mjs': convertCjsToEsm(files[entry], { filename: `/app/${entry}` }) }, 'entry.mjs');
 
-  test("converts module.exports = named function to default export", () => {
-    const code = `function foo() {}\nmodule.exports = foo;`;
-    const esm = convertCjsToEsm(code);
-    expect(esm).toContain("export default foo;");
+  test("module.exports becomes the default export", () => {
+    const exports = roundTrip({ 'a.js': `module.exports = 42;` }, 'a.js');
+    expect(exports.default).toBe(42);
   });
 
-  test("converts exports properties to named exports if no module.exports", () => {
-    const code = `exports.a = 1;\nexports.b = 2;`;
-    const esm = convertCjsToEsm(code);
-
-    expect(esm).toContain("export const a = 1;");
-    expect(esm).toContain("export const b = 2;");
+  test("named exports are detected, including conditional and defineProperty ones", () => {
+    const exports = roundTrip({
+      'a.js': `
+        exports.a = 1;
+        if (true) module.exports.b = 2; else exports.c = 3;
+        Object.defineProperty(exports, 'd', { enumerable: true, get() { return 4; } });
+      `,
+    }, 'a.js');
+    expect(exports).toMatchObject({ a: 1, b: 2, c: undefined, d: 4 });
+    expect(exports.default).toEqual({ a: 1, b: 2, d: 4 });
   });
 
-  test("removes previous module.exports if overwritten", () => {
-    const code = `
-      module.exports = { a: 1 };
-      module.exports = { b: 2 };
-    `;
-    const esm = convertCjsToEsm(code);
+  test("the last module.exports assignment wins", () => {
+    const exports = roundTrip({ 'a.js': `module.exports = { a: 1 }; module.exports = { b: 2 };` }, 'a.js');
+    expect(exports.default).toEqual({ b: 2 });
+    expect(exports.b).toBe(2);
+    expect(exports.a).toBeUndefined();
+  });
 
-    expect(esm).not.toContain("{ a: 1 }");
-    expect(esm).toContain("export default { b: 2 };");
+  test("__esModule modules export their .default as default", () => {
+    const exports = roundTrip({
+      'a.js': `Object.defineProperty(exports, '__esModule', { value: true }); exports.default = 'def'; exports.named = 1;`,
+    }, 'a.js');
+    expect(exports.default).toBe('def');
+    expect(exports.named).toBe(1);
   });
 
-  test("removes exports.* if module.exports is used", () => {
-    const code = `
-      exports.a = 1;
-      module.exports = 42;
-    `;
-    const esm = convertCjsToEsm(code);
+  test("require, __filename, __dirname and top-level return work", () => {
+    const exports = roundTrip({
+      'a.js': `exports.dep = require('./dep.js'); exports.where = [__filename, __dirname]; return; exports.late = 1;`,
+      'dep.js': `module.exports = 'dep';`,
+    }, 'a.js');
+    expect(exports.dep).toBe('dep');
+    expect(exports.where).toEqual(['/app/a.js', '/app']);
+    expect(exports.late).toBeUndefined();
+  });
 
-    expect(esm).not.toContain("exports.a");
-    expect(esm).toContain("export default 42;");
+  test("re-exported modules are re-exported with export *", () => {
+    const esm = convertCjsToEsm(`module.exports = require('./other');`);
+    expect(esm).toContain(`export * from "./other";`);
   });
 });
- 
-
@@ -0,0 +1,176 @@
+import { describe, test, expect, beforeAll, afterEach, jest } from '@jest/globals';
+import { EventEmitter } from 'node:events';
+
+let fs;
+let cp;
+let manager;
+let ipc;
+
+// Runs forked scripts from the virtual fs right here, with a process object
+// whose channel works like the one ./internals/child_process/processEntry.js
+// sets up.
+function createProcessContext(spec, events) {
+  const child = new EventEmitter();
+  let done = false;
+  const exit = (code, signal = null) => {
+    if (done) return;
+    done = true;
+    events.exit(code, signal);
+  };
+  const closed = () => {
+    if (!child.connected) return;
+    child.connected = false;
+    child.emit('disconnect');
+    exit(0);
+  };
+  Object.assign(child, {
+    argv: spec.argv,
+    connected: spec.ipc,
+    stdout: { write: (chunk) => events.stdout(chunk) },
+    exit: (code = 0) => exit(code),
+    send: ipc.createSend({
+      connected: () => child.connected,
+      post: (message) => events.message(message),
+      onError: (err) => child.emit('error', err),
+      serialization: spec.serialization,
+    }),
+    disconnect() {
+      events.disconnect();
+      closed();
+    },
+  });
+
+  let inbox = [];
+  const receive = (message) => child.emit('message', ipc.decodeMessage(message));
+  setTimeout(() => {
+    new Function('process', fs.readFileSync(spec.script, 'utf8'))(child);
+    inbox.forEach(receive);
+    inbox = null;
+  });
+  return {
+    send: (message) => (inbox ? inbox.push(message) : receive(message)),
+    disconnect: closed,
+    kill: (signal) => exit(null, signal),
+  };
+}
+
+beforeAll(async () => {
+  globalThis._RUNTIME_ ??= {};
+  globalThis._RUNTIME_.taskTracker ??= { patchChildProcess: (fn) => fn, start() {}, stop() {} };
+  globalThis._RUNTIME_.createProcessContext = createProcessContext;
+  globalThis.addEventListener ??= () => {};
+  globalThis.removeEventListener ??= () => {};
+  fs = (await import('../src/fs.js')).default;
+  ipc = await import('../src/internals/child_process/ipc.js');
+  manager = await import('../src/internals/child_process/processManager.js');
+  cp = await import('../src/child_process.js');
+
+  fs.mkdirSync('/app', { recursive: true });
+  fs.writeFileSync('/app/worker.js', `
+    process.on('message', (m) => {
+      if (m.cmd === 'double') process.send({ result: m.value * 2 });
+      if (m.cmd === 'echo') process.send(m.value);
+      if (m.cmd === 'bye') process.disconnect();
+    });
+    process.send({ ready: true, args: process.argv.slice(2) });
+  `);
+  fs.writeFileSync('/app/print.js', 'process.stdout.write("printed"); process.disconnect();');
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+const next = (emitter, event) => new Promise((resolve) => emitter.once(event, (...args) => resolve(args)));
+
+describe('fork', () => {
+  test('parent and child exchange messages until one disconnects', async () => {
+    const child = cp.fork('worker.js', ['a', 'b'], { cwd: '/app' });
+    expect(child.connected).toBe(true);
+    expect(child.spawnargs.slice(-3)).toEqual(['/app/worker.js', 'a', 'b'].map((arg, i) => (i ? arg : 'worker.js')));
+    expect(manager.listProcesses()).toEqual([expect.objectContaining({ pid: child.pid })]);
+
+    expect(await next(child, 'message')).toEqual([{ ready: true, args: ['a', 'b'] }]);
+
+    const payload = { cmd: 'double', value: 21 };
+    const sent = jest.fn();
+    expect(child.send(payload, sent)).toBe(true);
+    payload.value = 0;
+    expect(await next(child, 'message')).toEqual([{ result: 42 }]);
+    expect(sent).toHaveBeenCalledWith(null);
+
+    const events = [];
+    child.on('disconnect', () => events.push('disconnect'));
+    child.on('exit', (code) => events.push(`exit ${code}`));
+    child.send({ cmd: 'bye' });
+    await next(child, 'close');
+    expect(events).toEqual(['disconnect', 'exit 0']);
+    expect(child.connected).toBe(false);
+    expect(manager.listProcesses()).toEqual([]);
+  });
+
+  test('json and advanced serialization', async () => {
+    const json = cp.fork('/app/worker.js', { cwd: '/app' });
+    await next(json, 'message');
+    json.send({ cmd: 'echo', value: { when: new Date(0), skip: undefined } });
+    expect(await next(json, 'message')).toEqual([{ when: '1970-01-01T00:00:00.000Z' }]);
+    expect(() => json.send({ big: 1n })).toThrow(TypeError);
+
+    const advanced = cp.fork('/app/worker.js', { cwd: '/app', serialization: 'advanced' });
+    await next(advanced, 'message');
+    advanced.send({ cmd: 'echo', value: { when: new Date(0), map: new Map([[1, 2n]]) } });
+    expect(await next(advanced, 'message')).toEqual([{ when: new Date(0), map: new Map([[1, 2n]]) }]);
+    expect(() => advanced.send({ fn() {} })).toThrow();
+
+    json.disconnect();
+    advanced.kill();
+    await Promise.all([next(json, 'close'), next(advanced, 'close')]);
+  });
+
+  test('handles and closed channels are refused without throwing', async () => {
+    const child = cp.fork('/app/worker.js', { cwd: '/app' });
+    await next(child, 'message');
+
+    const callback = jest.fn();
+    expect(child.send({ cmd: 'echo', value: 1 }, { fd: 3 }, callback)).toBe(false);
+    await Promise.resolve();
+    expect(callback).toHaveBeenCalledWith(expect.objectContaining({ code: 'ERR_INVALID_HANDLE_TYPE' }));
+
+    child.disconnect();
+    const error = next(child, 'error');
+    expect(child.send({ cmd: 'echo', value: 1 })).toBe(false);
+    expect((await error)[0]).toMatchObject({ code: 'ERR_IPC_CHANNEL_CLOSED', message: 'Channel closed' });
+
+    const again = next(child, 'error');
+    child.disconnect();
+    expect((await again)[0]).toMatchObject({ code: 'ERR_IPC_DISCONNECTED' });
+    await next(child, 'close');
+  });
+
+  test('options', async () => {
+    expect(() => cp.fork('/app/worker.js', { stdio: ['pipe', 'pipe', 'pipe'] }))
+      .toThrow(expect.objectContaining({ code: 'ERR_CHILD_PROCESS_IPC_REQUIRED' }));
+    expect(() => cp.fork('/app/worker.js', { serialization: 'v8' }))
+      .toThrow(expect.objectContaining({ code: 'ERR_INVALID_ARG_VALUE' }));
+
+    const unforked = new cp.ChildProcess();
+    const error = next(unforked, 'error');
+    expect(unforked.send('hi')).toBe(false);
+    expect((await error)[0]).toMatchObject({ code: 'ERR_IPC_CHANNEL_CLOSED' });
+
+    const silent = cp.fork('/app/print.js', { cwd: '/app', silent: true });
+    let out = '';
+    silent.stdout.setEncoding('utf8').on('data', (chunk) => { out += chunk; });
+    await next(silent, 'close');
+    expect(out).toBe('printed');
+  });
+});
+
+test('messages are copied through their wire form', () => {
+  const { encodeMessage, decodeMessage } = ipc;
+  const original = { list: [1, { deep: true }] };
+  const copy = decodeMessage(encodeMessage(original));
+  expect(copy).toEqual(original);
+  expect(copy.list[1]).not.toBe(original.list[1]);
+  expect(decodeMessage(encodeMessage(new Set([1]), 'advanced'))).toEqual(new Set([1]));
+});
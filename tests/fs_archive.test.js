@@ -0,0 +1,208 @@
+import { deflateRawSync } from 'node:zlib';
+import { describe, test, expect, beforeAll, beforeEach } from '@jest/globals';
+
+// Minimal ustar header for hand-built archives.
+function tarHeader(name, { type = '0', size = 0, linkname = '' } = {}) {
+  const block = Buffer.alloc(512);
+  block.write(name, 0);
+  block.write('0000644', 100);
+  block.write(size.toString(8).padStart(11, '0'), 124);
+  block.write('00000000000', 136);
+  block.fill(' ', 148, 156);
+  block.write(type, 156);
+  block.write(linkname, 157);
+  block.write('ustar\u000000', 257);
+  let sum = 0;
+  for (const byte of block) sum += byte;
+  block.write(sum.toString(8).padStart(6, '0') + '\u0000 ', 148);
+  return block;
+}
+
+function tarFile(name, content) {
+  const data = Buffer.from(content);
+  const pad = Buffer.alloc((512 - (data.length % 512)) % 512);
+  return [tarHeader(name, { size: data.length }), data, pad];
+}
+
+function crc32(data) {
+  let crc = ~0;
+  for (const byte of data) {
+    crc ^= byte;
+    for (let k = 0; k < 8; k++) crc = crc & 1 ? 0xedb88320 ^ (crc >>> 1) : crc >>> 1;
+  }
+  return ~crc >>> 0;
+}
+
+describe('fs archives', () => {
+  let fs;
+  let archive;
+
+  beforeAll(async () => {
+    globalThis._RUNTIME_ ??= {};
+    fs = (await import('../src/fs.js')).default;
+    archive = fs._archive;
+  });
+
+  const mtime = new Date('2024-03-01T12:00:00Z');
+
+  beforeEach(() => {
+    for (const dir of ['/proj', '/copy', '/outside']) fs.rmSync(dir, { recursive: true, force: true });
+    fs.mkdirSync('/proj/src', { recursive: true });
+    fs.mkdirSync('/proj/empty');
+    fs.writeFileSync('/proj/src/index.js', 'console.log("hi");\n'.repeat(50));
+    fs.writeFileSync('/proj/run.sh', '#!/bin/sh\n');
+    fs.chmodSync('/proj/run.sh', 0o755);
+    fs.symlinkSync('/proj/src/index.js', '/proj/main.js');
+    fs.utimesSync('/proj/run.sh', mtime, mtime);
+    fs.utimesSync('/proj/empty', mtime, mtime);
+  });
+
+  const expectSameTree = (root) => {
+    expect(fs.readdirSync(root).sort()).toEqual(['empty', 'main.js', 'run.sh', 'src']);
+    expect(fs.readFileSync(`${root}/src/index.js`, 'utf8')).toBe(fs.readFileSync('/proj/src/index.js', 'utf8'));
+    expect(fs.statSync(`${root}/run.sh`).mode & 0o777).toBe(0o755);
+    expect(fs.statSync(`${root}/run.sh`).mtimeMs).toBe(mtime.getTime());
+    expect(fs.readlinkSync(`${root}/main.js`)).toBe('/proj/src/index.js');
+    expect(fs.readdirSync(`${root}/empty`)).toEqual([]);
+    expect(fs.statSync(`${root}/empty`).mtimeMs).toBe(mtime.getTime());
+  };
+
+  test.each(['tar', 'tgz', 'zip'])('%s round-trips modes, mtimes, symlinks and empty directories', (format) => {
+    const buffer = archive.exportVolume('/proj', { format });
+    expect(Buffer.isBuffer(buffer)).toBe(true);
+
+    const paths = archive.importArchive(buffer, '/copy');
+    expect(paths).toContain('/copy/src/index.js');
+    expectSameTree('/copy');
+  });
+
+  test('detects the format from the data', () => {
+    expect(archive.exportVolume('/proj', { format: 'tgz' }).subarray(0, 2)).toEqual(Buffer.from([0x1f, 0x8b]));
+    expect(archive.exportVolume('/proj', { format: 'zip' }).subarray(0, 2).toString()).toBe('PK');
+    expect(archive.exportVolume('/proj').readUInt8(257 + 512)).toBe('u'.charCodeAt(0)); // ustar magic
+  });
+
+  test('strip drops leading components, as for npm tarballs', () => {
+    fs.mkdirSync('/pkg/package', { recursive: true });
+    fs.writeFileSync('/pkg/package/package.json', '{"name":"left-pad"}');
+    const tgz = archive.exportVolume('/pkg', { format: 'tgz' });
+    fs.rmSync('/pkg', { recursive: true });
+
+    archive.importArchive(tgz, '/node_modules/left-pad', { strip: 1 });
+    expect(JSON.parse(fs.readFileSync('/node_modules/left-pad/package.json', 'utf8')).name).toBe('left-pad');
+  });
+
+  test('long names survive through pax headers', () => {
+    const deep = `/proj/${'d'.repeat(120)}/${'f'.repeat(110)}.txt`;
+    fs.mkdirSync(deep.slice(0, deep.lastIndexOf('/')));
+    fs.writeFileSync(deep, 'deep');
+
+    archive.importArchive(archive.exportVolume('/proj'), '/copy');
+    expect(fs.readFileSync(deep.replace('/proj', '/copy'), 'utf8')).toBe('deep');
+  });
+
+  test('exporting a single file archives it under its basename', () => {
+    archive.importArchive(archive.exportVolume('/proj/run.sh', { format: 'zip' }), '/copy');
+    expect(fs.readdirSync('/copy')).toEqual(['run.sh']);
+  });
+
+  test.each(['tar', 'tgz', 'zip'])('%s streams export and import in small chunks', async (format) => {
+    const chunks = [];
+    for await (const chunk of archive.createExportStream('/proj', { format })) chunks.push(chunk);
+    // gzip output only appears once enough input has gone in.
+    expect(chunks.length).toBeGreaterThan(format === 'tgz' ? 0 : 1);
+    const whole = Buffer.concat(chunks);
+
+    const sink = archive.createImportStream('/copy');
+    const entries = [];
+    sink.on('entry', (entry) => entries.push(entry));
+    const finished = new Promise((resolve, reject) => {
+      sink.on('finish', resolve);
+      sink.on('error', reject);
+    });
+    for (let i = 0; i < whole.length; i += 7) sink.write(whole.subarray(i, i + 7));
+    sink.end();
+    await finished;
+
+    expectSameTree('/copy');
+    expect(entries).toContainEqual({ path: '/copy/main.js', type: 'symlink' });
+    expect(sink.paths).toEqual(entries.map((e) => e.path));
+  });
+
+  test('reads zips written with data descriptors', () => {
+    const name = Buffer.from('streamed.txt');
+    const content = Buffer.from('x'.repeat(1000));
+    const body = deflateRawSync(content);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(0x0008, 6);
+    local.writeUInt16LE(8, 8);
+    local.writeUInt16LE(name.length, 26);
+
+    const descriptor = Buffer.alloc(16);
+    descriptor.writeUInt32LE(0x08074b50, 0);
+    descriptor.writeUInt32LE(crc32(content), 4);
+    descriptor.writeUInt32LE(body.length, 8);
+    descriptor.writeUInt32LE(content.length, 12);
+
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+
+    archive.importArchive(Buffer.concat([local, name, body, descriptor, end]), '/copy');
+    expect(fs.readFileSync('/copy/streamed.txt', 'utf8')).toBe(content.toString());
+  });
+
+  test('hard links in tar archives are restored', () => {
+    const tar = Buffer.concat([
+      ...tarFile('a.txt', 'shared'),
+      tarHeader('b.txt', { type: '1', linkname: 'a.txt' }),
+      Buffer.alloc(1024),
+    ]);
+    archive.importArchive(tar, '/copy');
+    expect(fs.statSync('/copy/b.txt').ino).toBe(fs.statSync('/copy/a.txt').ino);
+  });
+
+  test('rejects entries that escape the target directory', () => {
+    const dotdot = Buffer.concat([...tarFile('../escaped.txt', 'x'), Buffer.alloc(1024)]);
+    expect(() => archive.importArchive(dotdot, '/copy')).toThrow(
+      expect.objectContaining({ code: 'ERR_INVALID_ARCHIVE' })
+    );
+    expect(fs.existsSync('/escaped.txt')).toBe(false);
+
+    fs.mkdirSync('/outside');
+    const viaSymlink = Buffer.concat([
+      tarHeader('link', { type: '2', linkname: '/outside' }),
+      ...tarFile('link/pwned.txt', 'x'),
+      Buffer.alloc(1024),
+    ]);
+    expect(() => archive.importArchive(viaSymlink, '/copy')).toThrow(/points outside/);
+    expect(fs.readdirSync('/outside')).toEqual([]);
+  });
+
+  test('reports corrupt archives and unknown formats', () => {
+    const tar = archive.exportVolume('/proj');
+    tar[10] ^= 0xff;
+    expect(() => archive.importArchive(tar, '/copy')).toThrow(/checksum/);
+
+    const zip = archive.exportVolume('/proj', { format: 'zip' });
+    expect(() => archive.importArchive(zip.subarray(0, zip.length - 40), '/copy')).toThrow(
+      expect.objectContaining({ code: 'ERR_INVALID_ARCHIVE' })
+    );
+
+    expect(() => archive.exportVolume('/proj', { format: 'rar' })).toThrow(
+      expect.objectContaining({ code: 'ERR_INVALID_ARG_VALUE' })
+    );
+  });
+
+  test('imports reach fs.watch like any other write', async () => {
+    fs.mkdirSync('/copy');
+    const events = [];
+    const watcher = fs.watch('/copy', (type, name) => events.push(name));
+    archive.importArchive(archive.exportVolume('/proj/run.sh'), '/copy');
+    await new Promise((resolve) => setTimeout(resolve, 10));
+    watcher.close();
+    expect(events).toContain('run.sh');
+  });
+});
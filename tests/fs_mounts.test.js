@@ -0,0 +1,266 @@
+import { Volume } from 'memfs';
+import { describe, test, expect, beforeAll, afterEach } from '@jest/globals';
+
+describe('fs mount table', () => {
+  let fs;
+  let fsp;
+
+  beforeAll(async () => {
+    globalThis._RUNTIME_ ??= {};
+    fs = (await import('../src/fs.js')).default;
+    fsp = (await import('../src/fs/promises.js')).default;
+  });
+
+  afterEach(() => {
+    for (const { mountPoint } of fs._mounts.list()) {
+      if (mountPoint !== '/') fs._mounts.unmount(mountPoint);
+    }
+  });
+
+  describe('tmpfs', () => {
+    test('keeps its files out of the root volume', () => {
+      fs._mounts.mount('/tmp', { type: 'tmpfs' });
+      fs.writeFileSync('/tmp/scratch.txt', 'hi');
+
+      expect(fs.readFileSync('/tmp/scratch.txt', 'utf8')).toBe('hi');
+      expect(fs._vol.existsSync('/tmp/scratch.txt')).toBe(false);
+      expect(fs.readdirSync('/')).toContain('tmp');
+    });
+
+    test('errors name the full path, not the mount-relative one', () => {
+      fs._mounts.mount('/tmp', { type: 'tmpfs' });
+      expect(() => fs.readFileSync('/tmp/missing.txt')).toThrow("'/tmp/missing.txt'");
+    });
+
+    test('fs/promises and callbacks are routed too', async () => {
+      fs._mounts.mount('/tmp', { type: 'tmpfs' });
+      await fsp.writeFile('/tmp/p.txt', 'promised');
+      const text = await new Promise((resolve, reject) =>
+        fs.readFile('/tmp/p.txt', 'utf8', (err, data) => (err ? reject(err) : resolve(data)))
+      );
+      expect(text).toBe('promised');
+    });
+
+    test('descriptors stay bound to their mount', () => {
+      fs._mounts.mount('/tmp', { type: 'tmpfs' });
+      const fd = fs.openSync('/tmp/fd.txt', 'w');
+      fs.writeSync(fd, 'abc');
+      expect(() => fs._mounts.unmount('/tmp')).toThrow(expect.objectContaining({ code: 'EBUSY' }));
+      fs.closeSync(fd);
+      expect(fs.readFileSync('/tmp/fd.txt', 'utf8')).toBe('abc');
+    });
+
+    test('streams read and write through the mount', async () => {
+      fs._mounts.mount('/tmp', { type: 'tmpfs' });
+      const out = fs.createWriteStream('/tmp/s.txt');
+      await new Promise((resolve) => out.end('streamed', resolve));
+
+      const chunks = [];
+      for await (const chunk of fs.createReadStream('/tmp/s.txt')) chunks.push(chunk);
+      expect(Buffer.concat(chunks).toString()).toBe('streamed');
+    });
+  });
+
+  describe('readonly', () => {
+    test('serves preloaded files and rejects writes with EROFS', async () => {
+      fs._mounts.mount('/node_modules', {
+        type: 'readonly',
+        files: { '/lodash/package.json': '{"name":"lodash"}' },
+      });
+
+      expect(JSON.parse(fs.readFileSync('/node_modules/lodash/package.json', 'utf8')).name).toBe('lodash');
+
+      let err;
+      try {
+        fs.writeFileSync('/node_modules/lodash/index.js', '');
+      } catch (e) {
+        err = e;
+      }
+      expect(err.code).toBe('EROFS');
+      expect(err.errno).toBe(-30);
+      expect(err.syscall).toBe('open');
+      expect(err.message).toBe("EROFS: read-only file system, open '/node_modules/lodash/index.js'");
+
+      await expect(fsp.unlink('/node_modules/lodash/package.json')).rejects.toMatchObject({ code: 'EROFS' });
+      const stream = fs.createWriteStream('/node_modules/x');
+      const [streamError] = await new Promise((resolve) => stream.once('error', (...args) => resolve(args)));
+      expect(streamError).toMatchObject({ code: 'EROFS', syscall: 'open', path: '/node_modules/x' });
+    });
+  });
+
+  describe('cross-mount operations', () => {
+    test('rename and link fail with EXDEV; copyFile copies', () => {
+      fs._mounts.mount('/tmp', { type: 'tmpfs' });
+      fs.mkdirSync('/work', { recursive: true });
+      fs.writeFileSync('/work/a.txt', 'A');
+
+      let err;
+      try {
+        fs.renameSync('/work/a.txt', '/tmp/a.txt');
+      } catch (e) {
+        err = e;
+      }
+      expect(err).toMatchObject({ code: 'EXDEV', syscall: 'rename', path: '/work/a.txt', dest: '/tmp/a.txt' });
+      expect(err.message).toBe("EXDEV: cross-device link not permitted, rename '/work/a.txt' -> '/tmp/a.txt'");
+      expect(() => fs.linkSync('/work/a.txt', '/tmp/b.txt')).toThrow(/EXDEV/);
+
+      fs.copyFileSync('/work/a.txt', '/tmp/c.txt');
+      expect(fs.readFileSync('/tmp/c.txt', 'utf8')).toBe('A');
+    });
+  });
+
+  describe('symlinks', () => {
+    test('absolute targets resolve from the root of the tree', () => {
+      fs._mounts.mount('/tmp', { type: 'tmpfs' });
+      fs.writeFileSync('/tmp/x', 'in tmp');
+      fs.symlinkSync('/tmp/x', '/tmp/l');
+
+      expect(fs.readlinkSync('/tmp/l')).toBe('/tmp/x');
+      expect(fs.readFileSync('/tmp/l', 'utf8')).toBe('in tmp');
+      expect(fs.realpathSync('/tmp/l')).toBe('/tmp/x');
+      expect(fs.lstatSync('/tmp/l').isSymbolicLink()).toBe(true);
+    });
+
+    test('links between the root volume and a mount work both ways', () => {
+      fs._mounts.mount('/tmp', { type: 'tmpfs' });
+      fs.mkdirSync('/tmp/dir', { recursive: true });
+      fs.writeFileSync('/tmp/dir/x', 'in tmp');
+      fs.mkdirSync('/links', { recursive: true });
+      fs.writeFileSync('/links/root.txt', 'in root');
+      fs.rmSync('/links/into', { force: true });
+      fs.symlinkSync('/tmp/dir', '/links/into');
+      fs.symlinkSync('/links/root.txt', '/tmp/out');
+
+      expect(fs.readFileSync('/links/into/x', 'utf8')).toBe('in tmp');
+      expect(fs.readdirSync('/links/into')).toEqual(['x']);
+      expect(fs.readFileSync('/tmp/out', 'utf8')).toBe('in root');
+
+      // Writes land where the link leads; removing the link leaves it there
+      fs.writeFileSync('/links/into/y', 'written');
+      expect(fs.readFileSync('/tmp/dir/y', 'utf8')).toBe('written');
+      fs.unlinkSync('/links/into');
+      expect(fs.existsSync('/tmp/dir/y')).toBe(true);
+    });
+
+    test('links inside an overlay point into the overlay', () => {
+      fs._mounts.mount('/project', { type: 'overlay', lower: Volume.fromJSON({ '/src/index.js': 'code' }) });
+      fs.symlinkSync('/project/src/index.js', '/project/main.js');
+      expect(fs.readFileSync('/project/main.js', 'utf8')).toBe('code');
+    });
+
+    test('errors name the link, and loops fail with ELOOP', () => {
+      fs._mounts.mount('/tmp', { type: 'tmpfs' });
+      fs.symlinkSync('/tmp/gone', '/tmp/dangling');
+      expect(() => fs.readFileSync('/tmp/dangling')).toThrow("ENOENT: no such file or directory, open '/tmp/dangling'");
+
+      fs.symlinkSync('/tmp/b', '/tmp/a');
+      fs.symlinkSync('/tmp/a', '/tmp/b');
+      expect(() => fs.statSync('/tmp/a')).toThrow(expect.objectContaining({ code: 'ELOOP', errno: -40, syscall: 'stat' }));
+      expect(fs.existsSync('/tmp/a')).toBe(false);
+    });
+  });
+
+  describe('overlay', () => {
+    const pristine = () =>
+      Volume.fromJSON({
+        '/package.json': '{"name":"app"}',
+        '/src/index.js': 'old',
+        '/src/util.js': 'util',
+      });
+
+    test('reads fall through, writes copy up and leave the lower layer untouched', () => {
+      const lower = pristine();
+      fs._mounts.mount('/project', { type: 'overlay', lower });
+
+      expect(fs.readFileSync('/project/src/util.js', 'utf8')).toBe('util');
+      fs.writeFileSync('/project/src/index.js', 'new');
+      fs.appendFileSync('/project/src/util.js', '!');
+
+      expect(fs.readFileSync('/project/src/index.js', 'utf8')).toBe('new');
+      expect(fs.readFileSync('/project/src/util.js', 'utf8')).toBe('util!');
+      expect(lower.readFileSync('/src/index.js', 'utf8')).toBe('old');
+      expect(lower.readFileSync('/src/util.js', 'utf8')).toBe('util');
+    });
+
+    test('readdir merges layers and hides deletions', () => {
+      fs._mounts.mount('/project', { type: 'overlay', lower: pristine() });
+      fs.writeFileSync('/project/src/added.js', '');
+      fs.unlinkSync('/project/src/util.js');
+
+      expect(fs.readdirSync('/project/src')).toEqual(['added.js', 'index.js']);
+      expect(fs.existsSync('/project/src/util.js')).toBe(false);
+      expect(() => fs.readFileSync('/project/src/util.js')).toThrow(/ENOENT/);
+    });
+
+    test('a recreated directory does not resurrect lower children', () => {
+      fs._mounts.mount('/project', { type: 'overlay', lower: pristine() });
+      fs.rmSync('/project/src', { recursive: true });
+      fs.mkdirSync('/project/src');
+
+      expect(fs.readdirSync('/project/src')).toEqual([]);
+    });
+
+    test('rename moves lower content into the upper layer', () => {
+      fs._mounts.mount('/project', { type: 'overlay', lower: pristine() });
+      fs.renameSync('/project/src', '/project/lib');
+
+      expect(fs.readdirSync('/project/lib')).toEqual(['index.js', 'util.js']);
+      expect(fs.existsSync('/project/src')).toBe(false);
+    });
+
+    test('rmdir reports ENOTEMPTY for directories with lower children', () => {
+      fs._mounts.mount('/project', { type: 'overlay', lower: pristine() });
+      expect(() => fs.rmdirSync('/project/src')).toThrow(expect.objectContaining({ code: 'ENOTEMPTY' }));
+    });
+
+    test('diff() lists upper-layer changes with full paths', () => {
+      fs._mounts.mount('/project', { type: 'overlay', lower: pristine() });
+      fs.writeFileSync('/project/src/index.js', 'new');
+      fs.writeFileSync('/project/README.md', '# app');
+      fs.unlinkSync('/project/src/util.js');
+      fs.readFileSync('/project/package.json'); // reads are not changes
+      fs.writeFileSync('/project/package.json', '{"name":"app"}'); // same bytes
+
+      expect(fs._mounts.diff('/project')).toEqual([
+        { path: '/project/README.md', change: 'added', type: 'file' },
+        { path: '/project/src/index.js', change: 'modified', type: 'file' },
+        { path: '/project/src/util.js', change: 'deleted', type: 'file' },
+      ]);
+    });
+
+    test('watchers see writes made through the overlay', async () => {
+      fs._mounts.mount('/project', { type: 'overlay', lower: pristine() });
+      const events = [];
+      const watcher = fs.watch('/project/src', (type, filename) => events.push([type, filename]));
+      fs.writeFileSync('/project/src/index.js', 'changed');
+      await new Promise((resolve) => setTimeout(resolve, 10));
+      watcher.close();
+
+      expect(events.some(([, name]) => name === 'index.js')).toBe(true);
+    });
+  });
+
+  describe('management', () => {
+    test('rejects duplicate mounts and unknown types', () => {
+      fs._mounts.mount('/tmp');
+      expect(() => fs._mounts.mount('/tmp')).toThrow(expect.objectContaining({ code: 'EBUSY' }));
+      expect(() => fs._mounts.mount('/x', { type: 'nfs' })).toThrow(TypeError);
+      expect(() => fs._mounts.diff('/tmp')).toThrow(TypeError);
+    });
+
+    test('host mounts delegate to the provided fs object', () => {
+      const hostVol = Volume.fromJSON({ '/from-host.txt': 'host' });
+      fs._mounts.mount('/host', { type: 'host', fs: hostVol });
+      expect(fs.readFileSync('/host/from-host.txt', 'utf8')).toBe('host');
+      fs.writeFileSync('/host/back.txt', 'ok');
+      expect(hostVol.readFileSync('/back.txt', 'utf8')).toBe('ok');
+    });
+
+    test('realpath returns paths outside the mount', () => {
+      fs._mounts.mount('/tmp');
+      fs.writeFileSync('/tmp/r.txt', '');
+      expect(fs.realpathSync('/tmp/r.txt')).toBe('/tmp/r.txt');
+      expect(fs.mkdtempSync('/tmp/x-').startsWith('/tmp/x-')).toBe(true);
+    });
+  });
+});
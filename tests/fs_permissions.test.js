@@ -0,0 +1,200 @@
+import { describe, test, expect, beforeAll, beforeEach, afterEach } from '@jest/globals';
+
+describe('fs permissions and quotas', () => {
+  let fs;
+  let fsp;
+  let permissionModel;
+
+  beforeAll(async () => {
+    globalThis._RUNTIME_ ??= {};
+    fs = (await import('../src/fs.js')).default;
+    fsp = (await import('../src/fs/promises.js')).default;
+    ({ permissionModel } = await import('../src/internals/fs/permissions.js'));
+  });
+
+  beforeEach(() => {
+    fs.rmSync('/app', { recursive: true, force: true });
+    fs.rmSync('/tmp', { recursive: true, force: true });
+    fs.mkdirSync('/app/secrets', { recursive: true });
+    fs.mkdirSync('/tmp');
+    fs.writeFileSync('/app/index.js', 'module.exports = 1;');
+    fs.writeFileSync('/app/secrets/key', 'hunter2');
+  });
+
+  afterEach(() => {
+    fs._permissions.configure({});
+    fs._quota.set({});
+    fs._quota.refresh();
+  });
+
+  const denied = (permission, resource) =>
+    expect.objectContaining({ code: 'ERR_ACCESS_DENIED', permission, resource });
+
+  const sandbox = () =>
+    fs._permissions.configure({
+      read: { allow: ['/app/**', '/tmp'], deny: ['/app/secrets/**'] },
+      write: ['/tmp/**'],
+    });
+
+  test('denied calls fail with a Node-shaped ERR_ACCESS_DENIED', () => {
+    sandbox();
+    let error;
+    try {
+      fs.readFileSync('/app/secrets/key');
+    } catch (err) {
+      error = err;
+    }
+    expect(error).toBeInstanceOf(Error);
+    expect(error.message).toBe('Access to this API has been restricted');
+    expect(error).toMatchObject({ code: 'ERR_ACCESS_DENIED', permission: 'FileSystemRead', resource: '/app/secrets/key' });
+
+    expect(fs.readFileSync('/app/index.js', 'utf8')).toBe('module.exports = 1;');
+    expect(() => fs.writeFileSync('/app/index.js', '')).toThrow(denied('FileSystemWrite', '/app/index.js'));
+    fs.writeFileSync('/tmp/out.txt', 'ok');
+    expect(fs.readFileSync('/tmp/out.txt', 'utf8')).toBe('ok');
+  });
+
+  test('rules apply to callback, promise and stream calls alike', async () => {
+    sandbox();
+
+    const cbError = await new Promise((resolve) => fs.readFile('/app/secrets/key', resolve));
+    expect(cbError).toEqual(denied('FileSystemRead', '/app/secrets/key'));
+
+    await expect(fsp.writeFile('/app/new.js', '')).rejects.toEqual(denied('FileSystemWrite', '/app/new.js'));
+    await expect(fsp.readdir('/app')).resolves.toEqual(['index.js', 'secrets']);
+    await expect(fsp.readdir('/app/secrets')).rejects.toEqual(denied('FileSystemRead', '/app/secrets'));
+    await expect(fsp.open('/app/index.js', 'r+')).rejects.toEqual(denied('FileSystemWrite', '/app/index.js'));
+
+    // Streams report it as Node's do: an 'error' event, not a throw
+    const streamError = (stream) => new Promise((resolve) => stream.once('error', resolve));
+    await expect(streamError(fs.createReadStream('/app/secrets/key'))).resolves.toEqual(denied('FileSystemRead', '/app/secrets/key'));
+    await expect(streamError(fs.createWriteStream('/app/out.log'))).resolves.toEqual(denied('FileSystemWrite', '/app/out.log'));
+    expect(fs.existsSync('/app/new.js')).toBe(false);
+  });
+
+  test('two-path calls check both ends', () => {
+    sandbox();
+    expect(() => fs.copyFileSync('/app/secrets/key', '/tmp/key')).toThrow(denied('FileSystemRead', '/app/secrets/key'));
+    expect(() => fs.renameSync('/tmp', '/app/tmp')).toThrow(denied('FileSystemWrite', '/app/tmp'));
+    fs.copyFileSync('/app/index.js', '/tmp/index.js');
+    expect(fs.readFileSync('/tmp/index.js', 'utf8')).toBe('module.exports = 1;');
+  });
+
+  test('symlinks are checked where they lead', async () => {
+    fs.mkdirSync('/secret');
+    fs.writeFileSync('/secret/key', 'hunter2');
+    fs._permissions.configure({ read: ['/tmp/**'], write: ['/tmp/**'] });
+    try {
+      fs.symlinkSync('/secret/key', '/tmp/key');
+      fs.symlinkSync('/secret', '/tmp/dir');
+      fs.symlinkSync('/secret/new', '/tmp/dangling');
+
+      expect(() => fs.readFileSync('/tmp/key')).toThrow(denied('FileSystemRead', '/secret/key'));
+      await expect(fsp.readFile('/tmp/key')).rejects.toEqual(denied('FileSystemRead', '/secret/key'));
+      expect(() => fs.writeFileSync('/tmp/dir/planted', 'x')).toThrow(denied('FileSystemWrite', '/secret/planted'));
+      expect(() => fs.writeFileSync('/tmp/dangling', 'x')).toThrow(denied('FileSystemWrite', '/secret/new'));
+      expect(() => fs.readdirSync('/tmp/dir')).toThrow(denied('FileSystemRead', '/secret'));
+
+      // The links themselves are still the sandbox's to look at and remove
+      expect(fs.readlinkSync('/tmp/key')).toBe('/secret/key');
+      expect(fs.lstatSync('/tmp/dir').isSymbolicLink()).toBe(true);
+      fs.unlinkSync('/tmp/dir');
+    } finally {
+      fs._permissions.configure({});
+      fs.rmSync('/secret', { recursive: true, force: true });
+    }
+    expect(fs.existsSync('/secret')).toBe(false);
+  });
+
+  test('relative paths are resolved before matching', () => {
+    fs._permissions.configure({ read: { deny: ['**/*.key'] } });
+    expect(() => fs.readFileSync('id.key')).toThrow(denied('FileSystemRead', `${process.cwd()}/id.key`));
+  });
+
+  test('denied paths look absent to exists()', async () => {
+    sandbox();
+    expect(fs.existsSync('/app/secrets/key')).toBe(false);
+    expect(await new Promise((resolve) => fs.exists('/app/secrets/key', resolve))).toBe(false);
+    expect(fs.existsSync('/app/index.js')).toBe(true);
+  });
+
+  test('has() answers like process.permission.has()', () => {
+    const model = permissionModel();
+    expect(model).toBe(fs._permissions);
+    expect(model.has('fs.read')).toBe(true);
+
+    sandbox();
+    expect(model.has('fs.read')).toBe(false);
+    expect(model.has('fs.read', '/app/index.js')).toBe(true);
+    expect(model.has('fs.read', '/app/secrets/key')).toBe(false);
+    expect(model.has('fs.write', '/tmp/a/b')).toBe(true);
+    expect(model.has('fs', '/tmp/x')).toBe(true);
+    expect(model.has('fs', '/app/index.js')).toBe(false);
+    expect(model.has('child')).toBe(true);
+  });
+
+  test('globs match within and across segments', async () => {
+    const { compileGlob } = await import('../src/internals/fs/permissions.js');
+    expect(compileGlob('/app/*.js')('/app/index.js')).toBe(true);
+    expect(compileGlob('/app/*.js')('/app/lib/index.js')).toBe(false);
+    expect(compileGlob('/app/**/*.js')('/app/index.js')).toBe(true);
+    expect(compileGlob('/app/**/*.js')('/app/lib/deep/index.js')).toBe(true);
+    expect(compileGlob('/app/?.txt')('/app/a.txt')).toBe(true);
+    expect(compileGlob('/app')('/app/anything/below')).toBe(true);
+    expect(compileGlob('/app')('/application')).toBe(false);
+  });
+
+  test('writes past the byte quota fail with ENOSPC', async () => {
+    const { bytes } = fs._quota.usage();
+    fs._quota.set({ bytes: bytes + 10 });
+
+    fs.writeFileSync('/tmp/a', '12345');
+    expect(() => fs.appendFileSync('/tmp/a', '123456')).toThrow(
+      expect.objectContaining({ code: 'ENOSPC', errno: -28, path: '/tmp/a' })
+    );
+    expect(fs.readFileSync('/tmp/a', 'utf8')).toBe('12345');
+    await expect(fsp.writeFile('/tmp/b', 'x'.repeat(6))).rejects.toMatchObject({ code: 'ENOSPC' });
+
+    // Overwriting and removing files gives space back.
+    fs.writeFileSync('/tmp/a', '1');
+    fs.writeFileSync('/tmp/b', 'x'.repeat(9));
+    fs.unlinkSync('/tmp/a');
+    fs.writeFileSync('/tmp/c', '1');
+    expect(fs._quota.usage().bytes).toBe(bytes + 10);
+  });
+
+  test('descriptor writes and streams count towards the quota', async () => {
+    const { bytes } = fs._quota.usage();
+    fs._quota.set({ bytes: bytes + 8 });
+
+    const fd = fs.openSync('/tmp/fd', 'w');
+    fs.writeSync(fd, 'abcd');
+    expect(() => fs.writeSync(fd, 'efghi')).toThrow(expect.objectContaining({ code: 'ENOSPC' }));
+    fs.closeSync(fd);
+
+    const out = fs.createWriteStream('/tmp/stream');
+    const failed = new Promise((resolve) => out.on('error', resolve));
+    out.write('1234');
+    out.write('5678');
+    expect(await failed).toMatchObject({ code: 'ENOSPC' });
+    expect(fs.readFileSync('/tmp/stream', 'utf8')).toBe('1234');
+  });
+
+  test('the inode quota limits files, directories and symlinks', () => {
+    const { inodes } = fs._quota.usage();
+    fs._quota.set({ inodes: inodes + 3 });
+
+    expect(() => fs.mkdirSync('/tmp/a/b/c/d', { recursive: true })).toThrow(
+      expect.objectContaining({ code: 'ENOSPC', syscall: 'mkdir' })
+    );
+    expect(fs.existsSync('/tmp/a')).toBe(false);
+
+    fs.mkdirSync('/tmp/a/b', { recursive: true });
+    fs.symlinkSync('/tmp/a', '/tmp/link');
+    expect(() => fs.writeFileSync('/tmp/a/file', '')).toThrow(expect.objectContaining({ code: 'ENOSPC' }));
+
+    fs.rmSync('/tmp/a', { recursive: true });
+    fs.writeFileSync('/tmp/file', '');
+    expect(fs._quota.usage().inodes).toBe(inodes + 2);
+  });
+});
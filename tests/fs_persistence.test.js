@@ -0,0 +1,286 @@
+import { Volume } from 'memfs';
+import { jest, describe, test, expect, beforeAll, beforeEach } from '@jest/globals';
+
+import {
+  createPersistence,
+  createIndexedDBBackend,
+  createMemoryBackend,
+} from '../src/internals/fs/persistence.js';
+
+// ── Minimal in-memory IndexedDB ───────────────────────────────────────────────
+// Implements just the surface the IndexedDB backend touches: open/upgrade,
+// readonly + readwrite transactions, put/delete/clear/getAll.
+function createFakeIndexedDB() {
+  const databases = new Map();
+
+  const later = (fn) => setTimeout(fn, 0);
+
+  function makeRequest(compute) {
+    const request = {};
+    later(() => {
+      try {
+        request.result = compute();
+        request.onsuccess && request.onsuccess();
+      } catch (err) {
+        request.error = err;
+        request.onerror && request.onerror();
+      }
+    });
+    return request;
+  }
+
+  function makeDb(stores) {
+    return {
+      objectStoreNames: { contains: (n) => stores.has(n) },
+      createObjectStore(n, { keyPath }) {
+        stores.set(n, { keyPath, records: new Map() });
+      },
+      transaction(n) {
+        const tx = {};
+        const { keyPath, records } = stores.get(n);
+        tx.objectStore = () => ({
+          put: (value) => makeRequest(() => records.set(value[keyPath], structuredClone(value))),
+          delete: (key) => makeRequest(() => records.delete(key)),
+          clear: () => makeRequest(() => records.clear()),
+          getAll: () => makeRequest(() => [...records.values()].map((v) => structuredClone(v))),
+        });
+        later(() => later(() => tx.oncomplete && tx.oncomplete()));
+        return tx;
+      },
+      close() {},
+    };
+  }
+
+  return {
+    databases,
+    open(name) {
+      const request = {};
+      later(() => {
+        let stores = databases.get(name);
+        const isNew = !stores;
+        if (isNew) {
+          stores = new Map();
+          databases.set(name, stores);
+        }
+        request.result = makeDb(stores);
+        if (isNew && request.onupgradeneeded) request.onupgradeneeded();
+        request.onsuccess && request.onsuccess();
+      });
+      return request;
+    },
+  };
+}
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+describe('fs persistence', () => {
+  let idb;
+
+  beforeEach(() => {
+    idb = createFakeIndexedDB();
+  });
+
+  const idbBackend = () => createIndexedDBBackend({ indexedDB: idb });
+
+  test('round-trips files, modes, mtimes, symlinks and empty dirs through IndexedDB', async () => {
+    const vol = new Volume();
+    const first = createPersistence(vol, { backend: idbBackend(), mode: 'write-through' });
+    await first.ready;
+
+    vol.mkdirSync('/project/empty', { recursive: true });
+    vol.writeFileSync('/project/main.js', 'console.log(1)');
+    vol.chmodSync('/project/main.js', 0o755);
+    const mtime = new Date('2024-01-02T03:04:05Z');
+    vol.utimesSync('/project/main.js', mtime, mtime);
+    vol.symlinkSync('/project/main.js', '/project/link.js');
+    first.notify('/project');
+    await first.flush();
+
+    const reloaded = new Volume();
+    const second = createPersistence(reloaded, { backend: idbBackend() });
+    await second.ready;
+
+    expect(reloaded.readFileSync('/project/main.js', 'utf8')).toBe('console.log(1)');
+    expect(reloaded.statSync('/project/main.js').mode & 0o777).toBe(0o755);
+    expect(reloaded.statSync('/project/main.js').mtime.getTime()).toBe(mtime.getTime());
+    expect(reloaded.readlinkSync('/project/link.js')).toBe('/project/main.js');
+    expect(reloaded.readdirSync('/project/empty')).toEqual([]);
+  });
+
+  test('debounce mode coalesces bursts of changes into one backend write', async () => {
+    const backend = createMemoryBackend();
+    const write = jest.spyOn(backend, 'write');
+    const vol = new Volume();
+    const p = createPersistence(vol, { backend, delay: 20 });
+    await p.ready;
+
+    for (let i = 0; i < 5; i++) {
+      vol.writeFileSync(`/f${i}.txt`, String(i));
+      p.notify(`/f${i}.txt`);
+    }
+    expect(write).not.toHaveBeenCalled();
+
+    await sleep(50);
+    expect(write).toHaveBeenCalledTimes(1);
+    expect(backend.records.has('/f4.txt')).toBe(true);
+  });
+
+  test('deleting a directory removes its descendants from the backend', async () => {
+    const backend = createMemoryBackend();
+    const vol = new Volume();
+    const p = createPersistence(vol, { backend, mode: 'write-through' });
+    await p.ready;
+
+    vol.mkdirSync('/a/b', { recursive: true });
+    vol.writeFileSync('/a/b/c.txt', 'x');
+    p.notify('/a');
+    await p.flush();
+    expect(backend.records.has('/a/b/c.txt')).toBe(true);
+
+    vol.unlinkSync('/a/b/c.txt');
+    vol.rmdirSync('/a/b');
+    p.notify('/a/b');
+    await p.flush();
+    expect(backend.records.has('/a/b')).toBe(false);
+    expect(backend.records.has('/a/b/c.txt')).toBe(false);
+    expect(backend.records.has('/a')).toBe(true);
+  });
+
+  test('ignores paths outside the configured root', async () => {
+    const backend = createMemoryBackend();
+    const vol = new Volume();
+    const p = createPersistence(vol, { backend, root: '/home', mode: 'write-through' });
+    await p.ready;
+
+    vol.mkdirSync('/home');
+    vol.writeFileSync('/home/keep', '1');
+    vol.writeFileSync('/skip', '2');
+    p.notify('/home/keep');
+    p.notify('/skip');
+    await p.flush();
+
+    expect([...backend.records.keys()]).toEqual(['/home/keep']);
+  });
+
+  test('snapshot() and restore() replace the tree and the stored copy', async () => {
+    const backend = createMemoryBackend();
+    const vol = new Volume();
+    const p = createPersistence(vol, { backend });
+    await p.ready;
+
+    vol.writeFileSync('/state.json', '{"v":1}');
+    const snap = p.snapshot();
+    expect(structuredClone(snap).entries.map((e) => e.path)).toEqual(['/', '/state.json']);
+
+    vol.writeFileSync('/state.json', '{"v":2}');
+    vol.writeFileSync('/extra.txt', 'later');
+    p.notify('/');
+    await p.flush();
+
+    await p.restore(snap);
+    expect(vol.readFileSync('/state.json', 'utf8')).toBe('{"v":1}');
+    expect(vol.existsSync('/extra.txt')).toBe(false);
+    expect(backend.records.has('/extra.txt')).toBe(false);
+    expect(Buffer.from(backend.records.get('/state.json').data).toString()).toBe('{"v":1}');
+  });
+
+  test('close() releases the backend when the last flush fails, reporting both', async () => {
+    const backend = createMemoryBackend();
+    const writeFailure = new Error('quota exceeded');
+    const closeFailure = new Error('already closed');
+    backend.write = async () => {
+      throw writeFailure;
+    };
+    backend.close = jest.fn(() => {
+      throw closeFailure;
+    });
+    const onError = jest.fn();
+    const vol = new Volume();
+    const p = createPersistence(vol, { backend, onError });
+    await p.ready;
+
+    vol.writeFileSync('/pending.txt', 'x');
+    p.notify('/pending.txt');
+    await expect(p.close()).rejects.toBe(closeFailure);
+    expect(backend.close).toHaveBeenCalled();
+    expect(onError.mock.calls).toEqual([[writeFailure], [closeFailure]]);
+  });
+
+  test('restore() rejects malformed snapshots', async () => {
+    const p = createPersistence(new Volume(), { backend: createMemoryBackend() });
+    await p.ready;
+    expect(() => p.restore({ entries: [] })).toThrow('Invalid fs snapshot');
+  });
+
+  test('rejects unknown backends and modes', () => {
+    expect(() => createPersistence(new Volume(), { backend: 'floppy' })).toThrow(TypeError);
+    expect(() => createPersistence(new Volume(), { backend: 'memory', mode: 'sometimes' })).toThrow(TypeError);
+  });
+});
+
+describe('fs singleton integration', () => {
+  let fs;
+  let backend;
+
+  beforeAll(async () => {
+    globalThis._RUNTIME_ ??= {};
+    fs = (await import('../src/fs.js')).default;
+  });
+
+  beforeEach(async () => {
+    backend = createMemoryBackend();
+    await fs._enablePersistence({ backend, mode: 'write-through' }).ready;
+  });
+
+  test('sync, callback and promise writes all reach the backend', async () => {
+    fs.mkdirSync('/persist', { recursive: true });
+    fs.writeFileSync('/persist/sync.txt', 'a');
+    await new Promise((resolve, reject) =>
+      fs.writeFile('/persist/cb.txt', 'b', (err) => (err ? reject(err) : resolve()))
+    );
+    await fs.promises.writeFile('/persist/promise.txt', 'c');
+    await fs._persistence.flush();
+
+    expect(backend.records.has('/persist/sync.txt')).toBe(true);
+    expect(backend.records.has('/persist/cb.txt')).toBe(true);
+    expect(backend.records.has('/persist/promise.txt')).toBe(true);
+  });
+
+  test('rename records both the removed and the new path', async () => {
+    fs.mkdirSync('/persist', { recursive: true });
+    fs.writeFileSync('/persist/old.txt', 'x');
+    fs.renameSync('/persist/old.txt', '/persist/new.txt');
+    await fs._persistence.flush();
+
+    expect(backend.records.has('/persist/old.txt')).toBe(false);
+    expect(backend.records.has('/persist/new.txt')).toBe(true);
+  });
+
+  test('enabling again closes the previous persistence, reporting its failures', async () => {
+    const failure = new Error('disk gone');
+    const onError = jest.fn();
+    const failing = createMemoryBackend();
+    failing.write = async () => {
+      throw failure;
+    };
+    await fs._enablePersistence({ backend: failing, onError }).ready;
+    fs.mkdirSync('/persist', { recursive: true });
+    fs.writeFileSync('/persist/lost.txt', 'x');
+
+    const next = fs._enablePersistence({ backend: createMemoryBackend() });
+    await next.ready;
+    await new Promise((resolve) => setTimeout(resolve, 0));
+    expect(onError).toHaveBeenCalledWith(failure);
+    expect(fs._persistence).toBe(next);
+  });
+
+  test('write streams are persisted once they finish', async () => {
+    fs.mkdirSync('/persist', { recursive: true });
+    const stream = fs.createWriteStream('/persist/stream.txt');
+    await new Promise((resolve) => stream.end('streamed', resolve));
+    await new Promise((resolve) => setTimeout(resolve, 0));
+    await fs._persistence.flush();
+
+    expect(Buffer.from(backend.records.get('/persist/stream.txt').data).toString()).toBe('streamed');
+  });
+});
@@ -0,0 +1,172 @@
+import { describe, test, expect, beforeAll, beforeEach, afterEach } from '@jest/globals';
+
+describe('fs tracing', () => {
+  let fs;
+  let fsp;
+  let dc;
+  let cleanups;
+
+  beforeAll(async () => {
+    globalThis._RUNTIME_ ??= {};
+    fs = (await import('../src/fs.js')).default;
+    fsp = (await import('../src/fs/promises.js')).default;
+    dc = await import('../src/diagnostics_channel.js');
+  });
+
+  beforeEach(() => {
+    cleanups = [];
+    fs.rmSync('/t', { recursive: true, force: true });
+    fs.mkdirSync('/t', { recursive: true });
+    fs._trace.clear();
+  });
+
+  afterEach(() => {
+    for (const fn of cleanups) fn();
+  });
+
+  const collect = (filter) => {
+    const events = [];
+    cleanups.push(fs._trace.subscribe((e) => events.push(e), filter));
+    return events;
+  };
+
+  test('sync, callback and promise calls each produce one event', async () => {
+    const events = collect({ paths: ['/t'] });
+
+    fs.writeFileSync('/t/a.txt', 'hello');
+    await new Promise((resolve) => fs.readFile('/t/a.txt', resolve));
+    await fsp.stat('/t/a.txt');
+
+    expect(events.map((e) => [e.op, e.api, e.path])).toEqual([
+      ['writeFile', 'sync', '/t/a.txt'],
+      ['readFile', 'callback', '/t/a.txt'],
+      ['stat', 'promise', '/t/a.txt'],
+    ]);
+    expect(events[0]).toMatchObject({ flags: 'w', bytes: 5, errorCode: null, error: null });
+    expect(events[1]).toMatchObject({ flags: 'r', bytes: 5 });
+    for (const e of events) {
+      expect(typeof e.start).toBe('number');
+      expect(e.duration).toBeGreaterThanOrEqual(0);
+    }
+  });
+
+  test('errors carry their code instead of disappearing', async () => {
+    const events = collect({ errorsOnly: true });
+
+    expect(() => fs.readFileSync('/t/missing')).toThrow();
+    await expect(fsp.unlink('/t/missing')).rejects.toThrow();
+    await new Promise((resolve) => fs.stat('/t/missing', resolve));
+
+    expect(events.map((e) => [e.op, e.api, e.errorCode])).toEqual([
+      ['readFile', 'sync', 'ENOENT'],
+      ['unlink', 'promise', 'ENOENT'],
+      ['stat', 'callback', 'ENOENT'],
+    ]);
+    expect(events[0].error).toMatchObject({ code: 'ENOENT', message: expect.stringContaining('/t/missing') });
+  });
+
+  test('descriptor calls are mapped back to their path', () => {
+    const events = collect({ paths: ['/t'] });
+
+    const fd = fs.openSync('/t/fd.txt', 'w+');
+    fs.writeSync(fd, 'abc');
+    fs.closeSync(fd);
+
+    expect(events.map((e) => [e.op, e.path, e.fd])).toEqual([
+      ['open', '/t/fd.txt', fd],
+      ['write', '/t/fd.txt', fd],
+      ['close', '/t/fd.txt', fd],
+    ]);
+    expect(events[0].flags).toBe('w+');
+    expect(events[1].bytes).toBe(3);
+  });
+
+  test('publishes on fs:<op> and fs:error channels', () => {
+    const opens = [];
+    const failures = [];
+    const onOpen = (msg) => opens.push(msg);
+    const onError = (msg) => failures.push(msg);
+    dc.subscribe('fs:open', onOpen);
+    dc.subscribe('fs:error', onError);
+    cleanups.push(() => dc.unsubscribe('fs:open', onOpen));
+    cleanups.push(() => dc.unsubscribe('fs:error', onError));
+
+    fs.closeSync(fs.openSync('/t/c.txt', 'w'));
+    expect(() => fs.openSync('/t/nope/c.txt', 'r')).toThrow();
+
+    expect(opens.map((e) => e.errorCode)).toEqual([null, 'ENOENT']);
+    expect(failures).toHaveLength(1);
+    expect(failures[0]).toMatchObject({ op: 'open', path: '/t/nope/c.txt' });
+  });
+
+  test('filters by path prefix, pattern and op', () => {
+    const underSrc = collect({ paths: ['/t/src'] });
+    const jsonOnly = collect({ paths: [/\.json$/] });
+    const mkdirs = collect({ ops: ['mkdir'] });
+
+    fs.mkdirSync('/t/src');
+    fs.writeFileSync('/t/src/index.js', '');
+    fs.writeFileSync('/t/package.json', '{}');
+    fs.writeFileSync('/t/srcfile.js', '');
+
+    expect(underSrc.map((e) => e.path)).toEqual(['/t/src', '/t/src/index.js']);
+    expect(jsonOnly.map((e) => e.path)).toEqual(['/t/package.json']);
+    expect(mkdirs.map((e) => e.path)).toEqual(['/t/src']);
+  });
+
+  test('unsubscribe stops delivery', () => {
+    const events = [];
+    const listener = (e) => events.push(e);
+    fs._trace.subscribe(listener);
+    fs.existsSync('/t');
+    fs._trace.unsubscribe(listener);
+    fs.existsSync('/t');
+    expect(events).toHaveLength(1);
+  });
+
+  test('the ring buffer keeps the newest events and can be dumped by path', () => {
+    fs._trace.setBufferSize(3);
+    cleanups.push(() => fs._trace.setBufferSize(1000));
+
+    for (const name of ['1', '2', '3', '4']) fs.writeFileSync(`/t/${name}`, name);
+    fs.readFileSync('/t/4');
+
+    expect(fs._trace.dump().map((e) => [e.op, e.path])).toEqual([
+      ['writeFile', '/t/3'],
+      ['writeFile', '/t/4'],
+      ['readFile', '/t/4'],
+    ]);
+    expect(fs._trace.dump('/t/4')).toHaveLength(2);
+  });
+
+  test('touched() summarises reads, writes and errors per path', () => {
+    fs.writeFileSync('/t/a', 'x');
+    fs.readFileSync('/t/a');
+    fs.closeSync(fs.openSync('/t/a', 'r'));
+    fs.renameSync('/t/a', '/t/b');
+    expect(() => fs.readFileSync('/t/a')).toThrow();
+
+    const touched = fs._trace.touched().filter((e) => e.path.startsWith('/t/'));
+    expect(touched).toEqual([
+      { path: '/t/a', reads: 3, writes: 2, errors: 1 },
+      { path: '/t/b', reads: 0, writes: 1, errors: 0 },
+    ]);
+  });
+
+  test('streams are traced until they close, with the bytes they moved', async () => {
+    const events = collect({ ops: ['createWriteStream', 'createReadStream'] });
+
+    const out = fs.createWriteStream('/t/s.txt');
+    const closed = new Promise((resolve) => out.once('close', resolve));
+    out.end('streamed');
+    await closed;
+
+    for await (const chunk of fs.createReadStream('/t/s.txt')) void chunk;
+    await new Promise((resolve) => setTimeout(resolve, 10));
+
+    expect(events.map((e) => [e.op, e.api, e.path, e.bytes])).toEqual([
+      ['createWriteStream', 'stream', '/t/s.txt', 8],
+      ['createReadStream', 'stream', '/t/s.txt', 8],
+    ]);
+  });
+});
@@ -0,0 +1,204 @@
+import { describe, test, expect, beforeAll, beforeEach, afterEach } from '@jest/globals';
+
+const tick = (ms = 10) => new Promise((resolve) => setTimeout(resolve, ms));
+
+describe('fs watchers driven by the change bus', () => {
+  let fs;
+  let fsp;
+  let watchers;
+
+  beforeAll(async () => {
+    globalThis._RUNTIME_ ??= {};
+    fs = (await import('../src/fs.js')).default;
+    fsp = (await import('../src/fs/promises.js')).default;
+  });
+
+  beforeEach(() => {
+    watchers = [];
+    fs.rmSync('/w', { recursive: true, force: true });
+    fs.mkdirSync('/w/sub', { recursive: true });
+  });
+
+  afterEach(() => {
+    for (const w of watchers) w.close();
+  });
+
+  const record = (path, options = {}) => {
+    const events = [];
+    const watcher = fs.watch(path, options, (type, filename) => events.push([type, filename]));
+    watchers.push(watcher);
+    return events;
+  };
+
+  test('creating a file reports rename then change; rewriting reports change', async () => {
+    const events = record('/w');
+    fs.writeFileSync('/w/a.txt', '1');
+    await tick();
+    expect(events).toEqual([['rename', 'a.txt'], ['change', 'a.txt']]);
+
+    events.length = 0;
+    fs.writeFileSync('/w/a.txt', '2');
+    await tick();
+    expect(events).toEqual([['change', 'a.txt']]);
+  });
+
+  test('unlink and rename report rename for each affected name', async () => {
+    fs.writeFileSync('/w/a.txt', '1');
+    fs.writeFileSync('/w/b.txt', '1');
+    const events = record('/w');
+
+    fs.renameSync('/w/a.txt', '/w/c.txt');
+    fs.unlinkSync('/w/b.txt');
+    await tick();
+    expect(events).toEqual([['rename', 'a.txt'], ['rename', 'c.txt'], ['rename', 'b.txt']]);
+  });
+
+  test('non-recursive watches ignore nested changes; recursive ones report relative paths', async () => {
+    const flat = record('/w');
+    const deep = record('/w', { recursive: true });
+
+    fs.writeFileSync('/w/sub/deep.txt', 'x');
+    await tick();
+    expect(flat).toEqual([]);
+    expect(deep).toEqual([['rename', 'sub/deep.txt'], ['change', 'sub/deep.txt']]);
+  });
+
+  test('watching a file reports its basename', async () => {
+    fs.writeFileSync('/w/file.txt', 'x');
+    const events = record('/w/file.txt');
+    await fsp.appendFile('/w/file.txt', 'y');
+    await tick();
+    expect(events).toEqual([['change', 'file.txt']]);
+  });
+
+  test('removing or renaming a directory above a watched file reports its rename', async () => {
+    fs.writeFileSync('/w/sub/file.txt', 'x');
+    const file = record('/w/sub/file.txt');
+    const dir = record('/w/sub');
+    const stats = [];
+    const listener = (curr, prev) => stats.push([curr.size, prev.size]);
+    fs.watchFile('/w/sub/file.txt', listener);
+
+    fs.chmodSync('/w', 0o755);
+    fs.renameSync('/w', '/w-moved');
+    await tick();
+    expect(file).toEqual([['rename', 'file.txt']]);
+    expect(dir).toEqual([['rename', 'sub']]);
+    expect(stats).toEqual([[0, 1]]);
+
+    fs.renameSync('/w-moved', '/w');
+    await tick();
+    file.length = 0;
+    stats.length = 0;
+    fs.rmSync('/w', { recursive: true });
+    await tick();
+    fs.unwatchFile('/w/sub/file.txt', listener);
+    expect(file).toEqual([['rename', 'file.txt']]);
+    expect(stats).toEqual([[0, 1]]);
+  });
+
+  test('callback and descriptor writes fire watchers too', async () => {
+    const events = record('/w');
+    await new Promise((resolve) => fs.writeFile('/w/cb.txt', 'x', resolve));
+    const fd = fs.openSync('/w/cb.txt', 'r+');
+    fs.writeSync(fd, 'z');
+    fs.closeSync(fd);
+    await tick();
+    expect(events.filter(([, name]) => name === 'cb.txt').map(([type]) => type)).toEqual([
+      'rename',
+      'change',
+      'change',
+      'change',
+    ]);
+  });
+
+  test('buffer encoding delivers Buffer filenames', async () => {
+    const events = record('/w', { encoding: 'buffer' });
+    fs.mkdirSync('/w/dir');
+    await tick();
+    expect(Buffer.isBuffer(events[0][1])).toBe(true);
+    expect(events[0][1].toString()).toBe('dir');
+  });
+
+  test('close() stops delivery and emits close', async () => {
+    const events = [];
+    const watcher = fs.watch('/w', (type, name) => events.push(name));
+    const closed = new Promise((resolve) => watcher.on('close', resolve));
+    watcher.close();
+    fs.writeFileSync('/w/late.txt', '');
+    await closed;
+    await tick();
+    expect(events).toEqual([]);
+  });
+
+  test('watching a missing path throws ENOENT', () => {
+    expect(() => fs.watch('/w/missing')).toThrow(expect.objectContaining({ code: 'ENOENT' }));
+  });
+
+  test('host-injected changes reach watchers', async () => {
+    const events = record('/w');
+    fs._vol.writeFileSync('/w/external.txt', 'edited by host');
+    fs._changes.notify('change', '/w/external.txt', { external: true });
+    await tick();
+    expect(events).toEqual([['change', 'external.txt']]);
+  });
+
+  test('watchFile reports curr/prev stats and unwatchFile stops it', async () => {
+    const calls = [];
+    const listener = (curr, prev) => calls.push([curr.size, prev.size]);
+    fs.watchFile('/w/stat.txt', listener);
+
+    fs.writeFileSync('/w/stat.txt', 'abc');
+    await tick();
+    fs.writeFileSync('/w/stat.txt', 'abcdef');
+    await tick();
+    fs.unwatchFile('/w/stat.txt', listener);
+    fs.writeFileSync('/w/stat.txt', '');
+    await tick();
+
+    expect(calls).toEqual([[3, 0], [6, 3]]);
+  });
+
+  test('fs.promises.watch yields events and ends on abort', async () => {
+    const ac = new AbortController();
+    const iterator = fsp.watch('/w', { signal: ac.signal });
+    const seen = [];
+
+    const consumer = (async () => {
+      try {
+        for await (const event of iterator) {
+          seen.push(event);
+          if (seen.length === 2) ac.abort();
+        }
+      } catch (err) {
+        return err;
+      }
+    })();
+
+    await tick();
+    fs.writeFileSync('/w/iter.txt', 'x');
+    const err = await consumer;
+
+    expect(seen).toEqual([
+      { eventType: 'rename', filename: 'iter.txt' },
+      { eventType: 'change', filename: 'iter.txt' },
+    ]);
+    expect(err.name).toBe('AbortError');
+  });
+
+  test('fs.promises.watch rejects for missing paths', async () => {
+    await expect(fsp.watch('/w/missing').next()).rejects.toMatchObject({ code: 'ENOENT' });
+  });
+
+  test('watchers on a tmpfs mount see writes to it', async () => {
+    fs._mounts.mount('/scratch', { type: 'tmpfs' });
+    try {
+      const events = record('/scratch');
+      fs.writeFileSync('/scratch/t.txt', '');
+      await tick();
+      expect(events).toEqual([['rename', 't.txt'], ['change', 't.txt']]);
+    } finally {
+      fs._mounts.unmount('/scratch');
+    }
+  });
+});
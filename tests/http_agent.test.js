@@ -0,0 +1,162 @@
+import { describe, test, expect, beforeAll, afterEach, jest } from '@jest/globals';
+
+let http;
+
+beforeAll(async () => {
+  http = await import('../src/http.js');
+});
+
+const servers = [];
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  servers.splice(0).forEach((server) => server.close());
+});
+
+function listen(handler) {
+  const server = http.createServer(handler);
+  servers.push(server);
+  return new Promise((resolve) => server.listen(0, () => resolve(server.address().port)));
+}
+
+const next = (emitter, event) => new Promise((resolve) => emitter.once(event, (...args) => resolve(args)));
+const tick = () => new Promise((resolve) => setTimeout(resolve, 5));
+
+async function readAll(stream) {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return Buffer.concat(chunks).toString();
+}
+
+describe('pooling', () => {
+  test('requests beyond maxSockets wait for a freed socket and reuse it', async () => {
+    const port = await listen((req, res) => res.end(req.url));
+    const agent = new http.Agent({ keepAlive: true, keepAliveMsecs: 3000, maxSockets: 1 });
+    const name = `localhost:${port}:`;
+    const freed = [];
+    agent.on('free', (socket, options) => freed.push(agent.getName(options)));
+
+    const first = http.get({ hostname: 'localhost', port, path: '/one', agent });
+    const second = http.get({ hostname: 'localhost', port, path: '/two', agent });
+    const reused = next(second, 'socket');
+    const response = next(second, 'response');
+    expect(agent.getName({ host: 'localhost', port })).toBe(name);
+    expect([agent.sockets[name].length, agent.requests[name]]).toEqual([1, [second]]);
+
+    const [socket] = await next(first, 'socket');
+    const keepAlive = jest.spyOn(socket, 'setKeepAlive');
+    const [res1] = await next(first, 'response');
+    expect(second.socket).toBe(null);
+    expect(await readAll(res1)).toBe('/one');
+
+    expect([(await reused)[0], second.reusedSocket, agent.requests[name]]).toEqual([socket, true, undefined]);
+    const [res2] = await response;
+    expect(await readAll(res2)).toBe('/two');
+
+    expect(freed).toEqual([name, name]);
+    expect([agent.sockets[name], agent.freeSockets[name], agent.totalSocketCount]).toEqual([undefined, [socket], 1]);
+    expect(keepAlive).toHaveBeenCalledWith(true, 3000);
+    agent.destroy();
+  });
+
+  test('pools are kept per origin', async () => {
+    const ports = [await listen((req, res) => res.end('a')), await listen((req, res) => res.end('b'))];
+    const agent = new http.Agent({ maxSockets: 1 });
+
+    const requests = ports.map((port) => http.get({ hostname: 'localhost', port, agent }));
+    expect(Object.keys(agent.sockets).sort()).toEqual(ports.map((port) => `localhost:${port}:`).sort());
+    expect(agent.requests).toEqual({});
+    const bodies = await Promise.all(requests.map(async (req) => readAll((await next(req, 'response'))[0])));
+    expect(bodies).toEqual(['a', 'b']);
+  });
+
+  test('without keepAlive sockets close after their response', async () => {
+    const port = await listen((req, res) => res.end('done'));
+    const agent = new http.Agent();
+
+    const req = http.get({ hostname: 'localhost', port, agent });
+    const [socket] = await next(req, 'socket');
+    const [res] = await next(req, 'response');
+    await readAll(res);
+    await tick();
+
+    expect(socket.destroyed).toBe(true);
+    expect([agent.sockets, agent.freeSockets, agent.totalSocketCount]).toEqual([{}, {}, 0]);
+  });
+
+  test('idle sockets close after the agent timeout', async () => {
+    const port = await listen((req, res) => res.end());
+    const agent = new http.Agent({ keepAlive: true, timeout: 20 });
+
+    const req = http.get({ hostname: 'localhost', port, agent });
+    const [socket] = await next(req, 'socket');
+    await readAll((await next(req, 'response'))[0]);
+    expect(agent.freeSockets[`localhost:${port}:`]).toEqual([socket]);
+
+    await next(socket, 'close');
+    expect([agent.freeSockets, agent.totalSocketCount]).toEqual([{}, 0]);
+  });
+
+  test('responses nobody listens for are read so their socket is freed', async () => {
+    const port = await listen((req, res) => res.end('unread'));
+    const agent = new http.Agent({ keepAlive: true });
+
+    http.get({ hostname: 'localhost', port, agent });
+    await new Promise((resolve) => agent.once('free', resolve));
+    expect(agent.freeSockets[`localhost:${port}:`]).toHaveLength(1);
+    agent.destroy();
+  });
+});
+
+describe('requests', () => {
+  test('through fetch hold a socket until their response is read', async () => {
+    jest.spyOn(globalThis, 'fetch').mockImplementation(async () => new Response('remote'));
+    const agent = new http.Agent({ keepAlive: true, maxSockets: 1 });
+
+    const first = http.get('http://example.com/a', { agent });
+    const second = http.get('http://example.com/b', { agent });
+    const secondResponse = next(second, 'response');
+    expect(agent.requests['example.com:80:']).toEqual([second]);
+
+    const [res] = await next(first, 'response');
+    expect(globalThis.fetch).toHaveBeenCalledTimes(1);
+    await readAll(res);
+    await secondResponse;
+    expect(globalThis.fetch).toHaveBeenCalledTimes(2);
+    agent.destroy();
+  });
+
+  test('aborted while queued hand their socket on', async () => {
+    const port = await listen((req, res) => res.end(req.url));
+    const agent = new http.Agent({ maxSockets: 1 });
+
+    const first = http.get({ hostname: 'localhost', port, path: '/first', agent });
+    const dropped = http.get({ hostname: 'localhost', port, path: '/dropped', agent });
+    const last = http.get({ hostname: 'localhost', port, path: '/last', agent });
+    const response = next(last, 'response');
+    dropped.abort();
+
+    await readAll((await next(first, 'response'))[0]);
+    const [res] = await response;
+    expect(await readAll(res)).toBe('/last');
+    expect(dropped.socket).toBe(null);
+  });
+
+  test('agent: false gets a socket of its own', async () => {
+    const port = await listen((req, res) => res.end());
+    const req = http.get({ hostname: 'localhost', port, agent: false });
+    expect(req.agent).toBeInstanceOf(http.Agent);
+    expect(req.agent).not.toBe(http.globalAgent);
+    const [socket] = await next(req, 'socket');
+    await readAll((await next(req, 'response'))[0]);
+    expect(socket.destroyed).toBe(true);
+  });
+});
+
+test('getName keys', () => {
+  const agent = new http.Agent();
+  expect(agent.getName({ host: 'example.com', port: 443 })).toBe('example.com:443:');
+  expect(agent.getName({ host: '::1', port: 80, family: 6 })).toBe('::1:80::6');
+  expect(agent.getName({ host: 'h', port: 8080, localAddress: '10.0.0.2' })).toBe('h:8080:10.0.0.2');
+  expect(agent.getName()).toBe('localhost::');
+});
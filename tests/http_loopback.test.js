@@ -0,0 +1,300 @@
+import { describe, test, expect, beforeAll, afterEach, jest } from '@jest/globals';
+
+let http;
+let loopback;
+
+// Stands in for the browser's XMLHttpRequest: the network path only records
+// what it was asked, and on* handlers run as they do for dispatched events.
+class FakeXMLHttpRequest extends EventTarget {
+  timeout = 0;
+  responseType = '';
+
+  constructor() {
+    super();
+    for (const type of ['readystatechange', 'loadstart', 'load', 'loadend', 'error', 'abort', 'timeout']) {
+      this.addEventListener(type, (event) => this[`on${type}`]?.(event));
+    }
+  }
+
+  open(...args) {
+    this.opened = args;
+  }
+
+  send(body) {
+    this.sent = body;
+  }
+
+  get readyState() {
+    return this.opened ? 1 : 0;
+  }
+}
+
+beforeAll(async () => {
+  globalThis.XMLHttpRequest = FakeXMLHttpRequest;
+  http = await import('../src/http.js');
+  loopback = await import('../src/internals/http/loopback.js');
+});
+
+const servers = [];
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  servers.splice(0).forEach((server) => server.close());
+});
+
+function listen(handler) {
+  const server = http.createServer(handler);
+  servers.push(server);
+  return new Promise((resolve) => server.listen(0, () => resolve(server.address().port)));
+}
+
+const next = (emitter, event) => new Promise((resolve) => emitter.once(event, (...args) => resolve(args)));
+
+async function readAll(stream) {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return Buffer.concat(chunks).toString();
+}
+
+describe('http.request on localhost', () => {
+  test('reaches the server with the request and returns its response', async () => {
+    const seen = [];
+    const port = await listen(async (req, res) => {
+      seen.push({ method: req.method, url: req.url, headers: req.headers, body: await readAll(req) });
+      res.setHeader('Set-Cookie', ['a=1', 'b=2']);
+      res.writeHead(201, { 'Content-Type': 'text/plain', 'X-Served-By': 'sandbox' });
+      res.end('created');
+    });
+
+    const req = http.request({ host: `localhost:${port}`, path: '/items?x=1', method: 'POST', headers: { 'X-Token': 'abc' } });
+    const response = next(req, 'response');
+    req.write('hello ');
+    req.end('there');
+    const [res] = await response;
+
+    expect(seen).toEqual([{
+      method: 'POST',
+      url: '/items?x=1',
+      headers: { host: `localhost:${port}`, 'x-token': 'abc', 'content-length': '11' },
+      body: 'hello there',
+    }]);
+    expect(res.statusCode).toBe(201);
+    expect(res.statusMessage).toBe('Created');
+    expect(res.headers).toEqual({ 'set-cookie': ['a=1', 'b=2'], 'content-type': 'text/plain', 'x-served-by': 'sandbox', 'content-length': '7' });
+    expect(res.rawHeaders).toEqual(['set-cookie', 'a=1', 'set-cookie', 'b=2', 'content-type', 'text/plain', 'x-served-by', 'sandbox', 'content-length', '7']);
+    expect(await readAll(res)).toBe('created');
+  });
+
+  test('every loopback address, status messages and HEAD', async () => {
+    const port = await listen((req, res) => {
+      res.statusCode = req.url === '/missing' ? 404 : 200;
+      res.end('body');
+    });
+
+    for (const host of ['127.0.0.1', '0.0.0.0', 'localhost']) {
+      const [res] = await next(http.get(`http://${host}:${port}/missing`), 'response');
+      expect([res.statusCode, res.statusMessage]).toEqual([404, 'Not Found']);
+    }
+
+    const head = http.request({ hostname: 'localhost', port, method: 'HEAD' });
+    head.end();
+    const [res] = await next(head, 'response');
+    expect(res.statusCode).toBe(200);
+    expect(await readAll(res)).toBe('');
+  });
+
+  test('a failing handler is a hung-up socket and a silent one times out', async () => {
+    const failure = new Error('handler broke');
+    const port = await listen((req) => {
+      if (req.url === '/throw') throw failure;
+    });
+
+    const [error] = await next(http.get(`http://localhost:${port}/throw`), 'error');
+    expect(error).toMatchObject({ message: 'socket hang up', code: 'ECONNRESET', cause: failure });
+
+    const req = http.request(`http://localhost:${port}/hang`);
+    const onError = jest.fn();
+    req.on('error', onError);
+    req.setTimeout(20);
+    req.end();
+    await next(req, 'timeout');
+    await new Promise((resolve) => setTimeout(resolve, 10));
+    expect(onError).not.toHaveBeenCalled();
+  });
+
+  test('ports without a server go to fetch', async () => {
+    const fetch = jest.spyOn(globalThis, 'fetch').mockResolvedValue(new Response('from the network'));
+    const [res] = await next(http.get('http://localhost:1/'), 'response');
+    expect(fetch).toHaveBeenCalledWith('http://localhost:1/', expect.any(Object));
+    expect(await readAll(res)).toBe('from the network');
+  });
+});
+
+describe('fetch on localhost', () => {
+  test('Request objects and streamed bodies round-trip', async () => {
+    const port = await listen(async (req, res) => {
+      const body = JSON.parse(await readAll(req));
+      res.writeHead(202, 'Queued', { 'Content-Type': 'application/json', 'X-Method': req.method });
+      res.end(JSON.stringify({ got: body, type: req.headers['content-type'] }));
+    });
+
+    const stream = new ReadableStream({
+      start(controller) {
+        controller.enqueue(new TextEncoder().encode('{"n":'));
+        controller.enqueue(new TextEncoder().encode('1}'));
+        controller.close();
+      },
+    });
+    const request = new Request(`http://localhost:${port}/jobs`, {
+      method: 'PUT',
+      body: stream,
+      duplex: 'half',
+      headers: { 'Content-Type': 'application/json' },
+    });
+    const response = await fetch(request, { dispatcher: {} });
+
+    expect(response).toMatchObject({ status: 202, statusText: 'Queued', ok: true, url: `http://localhost:${port}/jobs`, redirected: false });
+    expect(response.headers.get('x-method')).toBe('PUT');
+    expect(await response.json()).toEqual({ got: { n: 1 }, type: 'application/json' });
+  });
+
+  test('stream bodies reach the server while the page still sends them', async () => {
+    const port = await listen((req, res) => {
+      if (req.url === '/moved') return res.redirect(307, '/');
+      req.once('data', (chunk) => res.end(`${req.headers['transfer-encoding']} ${chunk}`));
+    });
+    let controller;
+    const body = new ReadableStream({
+      start(c) {
+        controller = c;
+        c.enqueue(new TextEncoder().encode('first'));
+      },
+    });
+
+    // Answered before the body ends, which a buffered upload never would be
+    const response = await fetch(`http://localhost:${port}/`, { method: 'POST', body, duplex: 'half' });
+    expect(await response.text()).toBe('chunked first');
+    controller.close();
+
+    const redirected = fetch(`http://localhost:${port}/moved`, { method: 'POST', body: new ReadableStream(), duplex: 'half' });
+    await expect(redirected).rejects.toMatchObject({ message: 'fetch failed', cause: { message: 'cannot follow a redirect with a streamed body' } });
+  });
+
+  test('redirects are followed as fetch follows them', async () => {
+    const port = await listen(async (req, res) => {
+      const body = await readAll(req);
+      if (req.url === '/old') return res.redirect(301, '/new');
+      if (req.url === '/form') return res.writeHead(303, { Location: '/done' }).end();
+      if (req.url === '/loop') return res.redirect('/loop');
+      res.end(`${req.method} ${req.url} ${body}`);
+    });
+    const base = `http://localhost:${port}`;
+
+    const moved = await fetch(`${base}/old`);
+    expect(moved).toMatchObject({ redirected: true, url: `${base}/new` });
+    expect(await moved.text()).toBe('GET /new ');
+
+    const posted = await fetch(`${base}/form`, { method: 'POST', body: 'a=1' });
+    expect(await posted.text()).toBe('GET /done ');
+
+    const manual = await fetch(`${base}/old`, { redirect: 'manual' });
+    expect([manual.status, manual.headers.get('location')]).toEqual([301, '/new']);
+
+    await expect(fetch(`${base}/old`, { redirect: 'error' })).rejects.toThrow('fetch failed');
+    await expect(fetch(`${base}/loop`)).rejects.toMatchObject({ cause: { message: 'redirect count exceeded' } });
+  });
+
+  test('null-body statuses, failures and aborts', async () => {
+    const failure = new Error('handler broke');
+    const port = await listen((req, res) => {
+      if (req.url === '/throw') throw failure;
+      if (req.url === '/empty') return res.status(204).end();
+    });
+    const base = `http://localhost:${port}`;
+
+    const empty = await fetch(`${base}/empty`);
+    expect([empty.status, empty.body]).toEqual([204, null]);
+
+    const error = await fetch(`${base}/throw`).catch((err) => err);
+    expect(error).toBeInstanceOf(TypeError);
+    expect(error).toMatchObject({ message: 'fetch failed', cause: failure });
+
+    const controller = new AbortController();
+    const pending = fetch(`${base}/hang`, { signal: controller.signal });
+    controller.abort();
+    await expect(pending).rejects.toMatchObject({ name: 'AbortError' });
+  });
+
+  test('other addresses are passed on untouched', async () => {
+    const network = jest.fn(async () => new Response('network'));
+    const wrapped = loopback.createLoopbackFetch(network, http.getServer);
+    const init = { method: 'POST', body: 'x' };
+    await wrapped('https://example.com/', init);
+    await wrapped('/relative');
+    await wrapped('http://localhost:1/');
+    expect(network.mock.calls).toEqual([['https://example.com/', init], ['/relative', undefined], ['http://localhost:1/', undefined]]);
+  });
+});
+
+describe('XMLHttpRequest on localhost', () => {
+  test('goes through its states and events', async () => {
+    const port = await listen(async (req, res) => {
+      res.setHeader('Content-Type', 'application/json');
+      res.setHeader('Set-Cookie', 'hidden=1');
+      res.end(JSON.stringify({ echo: await readAll(req), type: req.headers['content-type'] }));
+    });
+
+    const xhr = new XMLHttpRequest();
+    const events = [];
+    xhr.onreadystatechange = () => events.push(xhr.readyState);
+    xhr.onload = () => events.push('load');
+    const loaded = new Promise((resolve) => { xhr.onloadend = resolve; });
+
+    xhr.open('post', `http://localhost:${port}/api`);
+    xhr.responseType = 'json';
+    xhr.send(new URLSearchParams({ q: 'x' }));
+    await loaded;
+
+    expect(events).toEqual([1, 2, 3, 4, 'load']);
+    expect([xhr.status, xhr.statusText, xhr.responseURL]).toEqual([200, 'OK', `http://localhost:${port}/api`]);
+    expect(xhr.response).toEqual({ echo: 'q=x', type: 'application/x-www-form-urlencoded;charset=UTF-8' });
+    expect(xhr.getResponseHeader('Set-Cookie')).toBe(null);
+    expect(xhr.getAllResponseHeaders()).toBe('content-length: 71\r\ncontent-type: application/json\r\n');
+  });
+
+  test('errors, timeouts and other addresses', async () => {
+    const port = await listen((req) => {
+      if (req.url === '/throw') throw new Error('handler broke');
+    });
+
+    const failing = new XMLHttpRequest();
+    failing.open('GET', `http://localhost:${port}/throw`);
+    const error = new Promise((resolve) => { failing.onerror = resolve; });
+    failing.send();
+    await error;
+    expect([failing.readyState, failing.status, failing.responseText]).toEqual([4, 0, '']);
+
+    const slow = new XMLHttpRequest();
+    slow.open('GET', `http://localhost:${port}/hang`);
+    slow.timeout = 20;
+    const timedOut = new Promise((resolve) => { slow.ontimeout = resolve; });
+    slow.send();
+    await timedOut;
+
+    expect(() => new XMLHttpRequest().open('GET', `http://localhost:${port}/`, false)).toThrow('Synchronous requests');
+
+    const outside = new XMLHttpRequest();
+    outside.open('GET', 'https://example.com/');
+    outside.send('ignored');
+    expect([outside.opened, outside.sent]).toEqual([['GET', 'https://example.com/', true], 'ignored']);
+  });
+});
+
+test('isLoopbackHost', () => {
+  for (const host of ['localhost', 'LOCALHOST', '127.0.0.1', '127.1.2.3', '0.0.0.0', '[::1]', '::1']) {
+    expect(loopback.isLoopbackHost(host)).toBe(true);
+  }
+  for (const host of ['example.com', '128.0.0.1', '10.0.0.1', 'localhost.example.com']) {
+    expect(loopback.isLoopbackHost(host)).toBe(false);
+  }
+});
@@ -0,0 +1,164 @@
+import { describe, test, expect, beforeAll, afterEach, jest } from '@jest/globals';
+
+let http;
+
+beforeAll(async () => {
+  http = await import('../src/http.js');
+});
+
+const servers = [];
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  servers.splice(0).forEach((server) => server.close());
+});
+
+function listen(handler) {
+  const server = http.createServer(handler);
+  servers.push(server);
+  return new Promise((resolve) => server.listen(0, () => resolve(server.address().port)));
+}
+
+const next = (emitter, event) => new Promise((resolve) => emitter.once(event, (...args) => resolve(args)));
+const tick = () => new Promise((resolve) => setTimeout(resolve, 5));
+
+async function readAll(stream) {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return Buffer.concat(chunks).toString();
+}
+
+describe('server responses', () => {
+  test('are framed by Content-Length when whole, chunked when written', async () => {
+    const server = http.createServer((req, res) => {
+      if (req.url === '/whole') return res.end('abc');
+      if (req.url === '/empty') return res.writeHead(204).end();
+      res.write('a');
+      res.end('bc');
+    });
+
+    const whole = await server.handleRequest('GET', '/whole', {}, null);
+    expect([whole.headers['content-length'], whole.headers['transfer-encoding'], whole.body.toString()]).toEqual(['3', undefined, 'abc']);
+
+    const written = await server.handleRequest('GET', '/written', {}, null);
+    expect([written.headers['content-length'], written.headers['transfer-encoding'], written.body.toString()]).toEqual([undefined, 'chunked', 'abc']);
+
+    const empty = await server.handleRequest('GET', '/empty', {}, null);
+    expect(empty.rawHeaders).toEqual([]);
+  });
+
+  test('reach the client chunk by chunk, with trailers', async () => {
+    let release;
+    const port = await listen((req, res) => {
+      res.setHeader('Content-Type', 'text/event-stream');
+      res.flushHeaders();
+      release = (last) => {
+        res.addTrailers({ 'X-Checksum': 'abc' });
+        res.end(last);
+      };
+      res.write('data: one\n\n');
+    });
+
+    const [res] = await next(http.get(`http://localhost:${port}/events`), 'response');
+    expect(res.headers).toEqual({ 'content-type': 'text/event-stream', 'transfer-encoding': 'chunked' });
+    const [first] = await next(res, 'data');
+    expect(first.toString()).toBe('data: one\n\n');
+
+    release('data: two\n\n');
+    expect(await readAll(res)).toBe('data: two\n\n');
+    expect([res.trailers, res.rawTrailers]).toEqual([{ 'x-checksum': 'abc' }, ['X-Checksum', 'abc']]);
+  });
+
+  test('write() reports backpressure and the response drains', async () => {
+    let writes = 1;
+    const server = http.createServer((req, res) => {
+      while (res.write(Buffer.alloc(1024))) writes++;
+      res.once('drain', () => res.end('done'));
+    });
+
+    const response = await server.dispatchRequest('GET', '/', {}, null);
+    expect(writes).toBeGreaterThan(1);
+    const body = await readAll(response.body);
+    expect(body.length).toBe(writes * 1024 + 'done'.length);
+  });
+
+  test('fetch on localhost reads them as they are written', async () => {
+    let release;
+    const port = await listen((req, res) => {
+      res.write('first');
+      release = () => res.end('second');
+    });
+
+    const response = await fetch(`http://localhost:${port}/`);
+    const reader = response.body.getReader();
+    expect(Buffer.from((await reader.read()).value).toString()).toBe('first');
+    release();
+    expect(Buffer.from((await reader.read()).value).toString()).toBe('second');
+    expect((await reader.read()).done).toBe(true);
+  });
+});
+
+describe('client requests', () => {
+  test('written across tasks stream to a server on localhost', async () => {
+    const seen = [];
+    const port = await listen((req, res) => {
+      seen.push(req.headers['transfer-encoding']);
+      req.on('data', (chunk) => seen.push(chunk.toString()));
+      req.on('end', () => res.end('done'));
+    });
+
+    const req = http.request({ hostname: 'localhost', port, method: 'POST' });
+    const response = next(req, 'response');
+    req.write('one');
+    await tick();
+    expect(seen).toEqual(['chunked', 'one']);
+
+    req.end('two');
+    const [res] = await response;
+    expect(await readAll(res)).toBe('done');
+    expect(seen).toEqual(['chunked', 'one', 'two']);
+  });
+
+  test('send a ReadableStream to fetch and read the response as it arrives', async () => {
+    const sent = [];
+    let push;
+    const fetch = jest.spyOn(globalThis, 'fetch').mockImplementation(async (url, init) => {
+      (async () => {
+        for await (const chunk of init.body) sent.push(Buffer.from(chunk).toString());
+      })();
+      const body = new ReadableStream({
+        start(controller) {
+          push = (text) => (text === null ? controller.close() : controller.enqueue(new TextEncoder().encode(text)));
+        },
+      });
+      return new Response(body, { headers: { 'Content-Type': 'text/plain' } });
+    });
+
+    const req = http.request('http://example.com/upload', { method: 'PUT' });
+    const response = next(req, 'response');
+    req.flushHeaders();
+    req.write('part one');
+    const [res] = await response;
+    expect(fetch.mock.calls[0][1]).toMatchObject({ method: 'PUT', duplex: 'half', body: expect.any(ReadableStream) });
+
+    push('down one');
+    const [chunk] = await next(res, 'data');
+    expect(chunk.toString()).toBe('down one');
+
+    req.end('part two');
+    push('down two');
+    push(null);
+    expect(await readAll(res)).toBe('down two');
+    expect(sent).toEqual(['part one', 'part two']);
+  });
+
+  test('ended in the task they start in send the body whole', async () => {
+    const fetch = jest.spyOn(globalThis, 'fetch').mockResolvedValue(new Response('ok'));
+    const req = http.request('http://example.com/', { method: 'POST' });
+    req.write('a');
+    req.end('b');
+    const [res] = await next(req, 'response');
+    expect(await readAll(res)).toBe('ok');
+    expect(fetch.mock.calls[0][1].body).toEqual(Buffer.from('ab'));
+  });
+});
@@ -0,0 +1,80 @@
+import { describe, test, expect, beforeAll, beforeEach } from '@jest/globals';
+
+describe('import.meta', () => {
+  let fs;
+  let Module;
+  let createImportMeta;
+
+  beforeAll(async () => {
+    globalThis._RUNTIME_ ??= {};
+    fs = (await import('../src/fs.js')).default;
+    ({ Module } = await import('../src/runtime/cjsLoader.js'));
+    ({ createImportMeta } = await import('../src/runtime/importMetaResolver.js'));
+  });
+
+  const files = (tree) => {
+    for (const [path, content] of Object.entries(tree)) {
+      fs.mkdirSync(path.slice(0, path.lastIndexOf('/')) || '/', { recursive: true });
+      fs.writeFileSync(path, typeof content === 'string' ? content : JSON.stringify(content));
+    }
+  };
+
+  beforeEach(() => {
+    fs.rmSync('/app', { recursive: true, force: true });
+    for (const key of Object.keys(Module._cache)) delete Module._cache[key];
+    files({
+      '/app/package.json': { name: 'app', imports: { '#config': './config.js' } },
+      '/app/config.js': '',
+      '/app/src/util.js': '',
+      '/app/node_modules/dual/package.json': {
+        name: 'dual',
+        exports: { '.': { import: './esm/index.mjs', require: './cjs/index.cjs' } },
+      },
+      '/app/node_modules/dual/esm/index.mjs': '',
+      '/app/node_modules/dual/cjs/index.cjs': '',
+      '/app/src/meta.js': `
+        export const meta = import.meta;
+        export const resolve = (specifier) => import.meta.resolve(specifier);
+      `,
+    });
+  });
+
+  const load = (isMain = false) => Module._load('/app/src/meta.js', null, isMain);
+
+  test('describes the module file as in Node', () => {
+    const { meta } = load();
+    expect(meta.url).toBe('file:///app/src/meta.js');
+    expect(meta.filename).toBe('/app/src/meta.js');
+    expect(meta.dirname).toBe('/app/src');
+    expect(Object.getPrototypeOf(meta)).toBe(null);
+    expect(String(meta.resolve)).toBe('function resolve() { [native code] }');
+  });
+
+  test('main is true only for the entry point', () => {
+    expect(load().meta.main).toBe(false);
+    for (const key of Object.keys(Module._cache)) delete Module._cache[key];
+    expect(load(true).meta.main).toBe(true);
+  });
+
+  test('resolve() follows import resolution', () => {
+    const { resolve } = load();
+    expect(resolve('./util.js')).toBe('file:///app/src/util.js');
+    expect(resolve('../config.js')).toBe('file:///app/config.js');
+    expect(resolve('dual')).toBe('file:///app/node_modules/dual/esm/index.mjs');
+    expect(resolve('#config')).toBe('file:///app/config.js');
+    expect(resolve('fs')).toBe('node:fs');
+    expect(resolve('node:path')).toBe('node:path');
+  });
+
+  test('resolve() returns the URL of a missing file but throws for an unknown package', () => {
+    const { resolve } = load();
+    expect(resolve('./missing.js')).toBe('file:///app/src/missing.js');
+    expect(() => resolve('not-installed')).toThrow(expect.objectContaining({ code: 'ERR_MODULE_NOT_FOUND' }));
+  });
+
+  test('resolve() takes a parent URL', () => {
+    const meta = createImportMeta('/app/src/meta.js');
+    expect(meta.resolve('./util.js', 'file:///app/other/x.js')).toBe('file:///app/other/util.js');
+    expect(meta.resolve('./a.js', 'https://example.com/lib/b.js')).toBe('https://example.com/lib/a.js');
+  });
+});
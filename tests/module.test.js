@@ -0,0 +1,208 @@
+import { describe, test, expect, beforeAll, beforeEach, afterEach } from '@jest/globals';
+
+describe('node:module', () => {
+  let fs;
+  let module;
+  let Module;
+
+  beforeAll(async () => {
+    globalThis._RUNTIME_ ??= {};
+    fs = (await import('../src/fs.js')).default;
+    module = await import('../src/module.js');
+    Module = module.default;
+  });
+
+  const files = (tree) => {
+    for (const [path, content] of Object.entries(tree)) {
+      fs.mkdirSync(path.slice(0, path.lastIndexOf('/')) || '/', { recursive: true });
+      fs.writeFileSync(path, typeof content === 'string' ? content : JSON.stringify(content));
+    }
+  };
+
+  beforeEach(() => {
+    fs.rmSync('/app', { recursive: true, force: true });
+    for (const key of Object.keys(Module._cache)) delete Module._cache[key];
+  });
+
+  test('is the same Module the runtime loader uses', async () => {
+    const { Module: loaderModule } = await import('../src/runtime/cjsLoader.js');
+    expect(Module).toBe(loaderModule);
+    expect(module.Module).toBe(Module);
+    expect(module._cache).toBe(Module._cache);
+    expect(module._extensions).toBe(Module._extensions);
+    expect(Object.keys(Module._extensions)).toEqual(expect.arrayContaining(['.js', '.json', '.cjs']));
+  });
+
+  test('createRequire accepts paths, file URLs and directories', () => {
+    files({ '/app/lib/a.js': 'module.exports = "a";' });
+    expect(module.createRequire('/app/main.js')('./lib/a')).toBe('a');
+    expect(module.createRequire('file:///app/main.js')('./lib/a')).toBe('a');
+    expect(module.createRequire(new URL('file:///app/lib/'))('./a')).toBe('a');
+    expect(() => module.createRequire('relative.js')).toThrow(
+      expect.objectContaining({
+        code: 'ERR_INVALID_ARG_VALUE',
+        message: expect.stringContaining('must be a file URL object, file URL string, or absolute path string'),
+      })
+    );
+  });
+
+  test('_cache is the live require.cache', () => {
+    files({ '/app/a.js': 'module.exports = {};' });
+    const require = module.createRequire('/app/main.js');
+    const a = require('./a');
+    expect(module._cache['/app/a.js'].exports).toBe(a);
+    expect(require.cache).toBe(module._cache);
+  });
+
+  test('patching _resolveFilename and _load changes require()', () => {
+    files({ '/app/real.js': 'module.exports = "real";', '/app/alias.js': 'module.exports = "alias";' });
+    const require = module.createRequire('/app/main.js');
+    const { _resolveFilename, _load } = Module;
+    Module._resolveFilename = function (request, ...rest) {
+      return _resolveFilename.call(this, request === 'virtual:alias' ? './alias' : request, ...rest);
+    };
+    const loads = [];
+    Module._load = function (request, ...rest) {
+      loads.push(request);
+      return _load.call(this, request, ...rest);
+    };
+    try {
+      expect(require('virtual:alias')).toBe('alias');
+      expect(require.resolve('virtual:alias')).toBe('/app/alias.js');
+      expect(require('./real')).toBe('real');
+      expect(loads).toEqual(['virtual:alias', './real']);
+    } finally {
+      Module._resolveFilename = _resolveFilename;
+      Module._load = _load;
+    }
+  });
+
+  test('_extensions can register new file types', () => {
+    files({ '/app/note.txt': 'hello' });
+    Module._extensions['.txt'] = (mod, filename) => {
+      mod.exports = fs.readFileSync(filename, 'utf8').toUpperCase();
+    };
+    try {
+      expect(module.createRequire('/app/main.js')('./note.txt')).toBe('HELLO');
+    } finally {
+      delete Module._extensions['.txt'];
+    }
+  });
+
+  test('.cjs is CommonJS even under "type": "module"', () => {
+    files({
+      '/app/package.json': { type: 'module' },
+      '/app/legacy.cjs': 'module.exports = "cjs";',
+    });
+    expect(module.createRequire('/app/main.js')('./legacy.cjs')).toBe('cjs');
+  });
+
+  test('builtinModules matches Node', () => {
+    for (const id of ['diagnostics_channel', 'stream/web', 'wasi', 'fs/promises', 'node:test']) {
+      expect(module.builtinModules).toContain(id);
+    }
+    expect(module.isBuiltin('node:fs')).toBe(true);
+    expect(module.isBuiltin('node:test')).toBe(true);
+    expect(module.isBuiltin('test')).toBe(false);
+    expect(module.isBuiltin('left-pad')).toBe(false);
+  });
+
+  describe('customization hooks', () => {
+    let handles;
+
+    beforeEach(() => {
+      handles = [];
+    });
+
+    afterEach(() => {
+      for (const handle of handles) handle.deregister();
+    });
+
+    test('registerHooks resolve and load apply to require()', () => {
+      files({ '/app/config.js': 'module.exports = 1;' });
+      handles.push(
+        module.registerHooks({
+          resolve(specifier, context, nextResolve) {
+            if (specifier === 'app-config') return nextResolve('./config.js', context);
+            return nextResolve(specifier, context);
+          },
+          load(url, context, nextLoad) {
+            const result = nextLoad(url, context);
+            if (!url.endsWith('/config.js')) return result;
+            return { ...result, source: `${result.source}\nmodule.exports += 41;` };
+          },
+        })
+      );
+      expect(module.createRequire('/app/main.js')('app-config')).toBe(42);
+    });
+
+    test('the last hook registered runs first and may short-circuit', () => {
+      const order = [];
+      handles.push(
+        module.registerHooks({
+          resolve(specifier, context, nextResolve) {
+            order.push('first');
+            return nextResolve(specifier, context);
+          },
+        }),
+        module.registerHooks({
+          resolve(specifier, context, nextResolve) {
+            order.push('second');
+            if (specifier === 'fake') return { url: 'node:os', shortCircuit: true };
+            return nextResolve(specifier, context);
+          },
+        })
+      );
+      const require = module.createRequire('/app/main.js');
+      expect(require.resolve('fs')).toBe('fs');
+      expect(order).toEqual(['second', 'first']);
+      expect(require.resolve('fake')).toBe('node:os');
+    });
+
+    test('a hook that neither calls next nor short-circuits fails', () => {
+      handles.push(module.registerHooks({ resolve: () => ({ url: 'node:os' }) }));
+      expect(() => module.createRequire('/app/main.js').resolve('x')).toThrow(
+        expect.objectContaining({ code: 'ERR_LOADER_CHAIN_INCOMPLETE' })
+      );
+    });
+
+    test('deregister removes the hooks', () => {
+      files({ '/app/a.js': 'module.exports = "a";' });
+      const handle = module.registerHooks({
+        load: (url, context) => ({ format: 'commonjs', source: 'module.exports = "hooked";', shortCircuit: true }),
+      });
+      const require = module.createRequire('/app/main.js');
+      expect(require('./a')).toBe('hooked');
+      handle.deregister();
+      delete require.cache['/app/a.js'];
+      expect(require('./a')).toBe('a');
+    });
+
+    test('register() loads a hooks module and initializes it with data', async () => {
+      const seen = [];
+      const hooksModule = {
+        initialize(data) {
+          seen.push(data);
+        },
+        async resolve(specifier, context, nextResolve) {
+          return nextResolve(specifier, context);
+        },
+      };
+      globalThis._RUNTIME_.loadModule = async (path) => {
+        seen.push(path);
+        return hooksModule;
+      };
+      const hooks = await import('../src/runtime/hooks.js');
+      try {
+        module.register('./hooks.mjs', 'file:///app/', { data: { level: 1 } });
+        await hooks.ready();
+        expect(seen).toEqual(['/app/hooks.mjs', { level: 1 }]);
+        const result = await hooks.resolveAsync('x', {}, (specifier) => ({ url: `file:///app/${specifier}.js` }));
+        expect(result.url).toBe('file:///app/x.js');
+      } finally {
+        delete globalThis._RUNTIME_.loadModule;
+        globalThis._RUNTIME_.__MODULE_HOOKS__.async = [];
+      }
+    });
+  });
+});
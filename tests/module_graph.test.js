@@ -0,0 +1,152 @@
+import { describe, test, expect, beforeAll, beforeEach, afterEach } from '@jest/globals';
+
+describe('module graph and hot module replacement', () => {
+  let fs;
+  let createModuleGraph;
+  let createRequire;
+
+  beforeAll(async () => {
+    globalThis._RUNTIME_ ??= {};
+    fs = (await import('../src/fs.js')).default;
+    ({ createModuleGraph } = await import('../src/runtime/moduleGraph.js'));
+    ({ createRequire } = await import('../src/runtime/cjsLoader.js'));
+  });
+
+  let graph;
+  let loads;
+  let reloads;
+
+  beforeEach(() => {
+    fs.rmSync('/app', { recursive: true, force: true });
+    fs.mkdirSync('/app', { recursive: true });
+    loads = [];
+    reloads = [];
+    graph = createModuleGraph({
+      load: async (id) => {
+        loads.push(id);
+        return { id, source: fs.readFileSync(id, 'utf8') };
+      },
+      onFullReload: (info) => reloads.push(info),
+    });
+  });
+
+  afterEach(() => graph.clear());
+
+  // Lets the batched fs listener and the async update run.
+  const settle = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+  test('an importer that accepts a dependency gets the new module', async () => {
+    graph.addImport('/app/main.js', '/app/dep.js');
+    const accepted = [];
+    graph.hot('/app/main.js').accept('./dep.js', (mod) => accepted.push(mod));
+
+    fs.writeFileSync('/app/dep.js', 'v2');
+    await settle();
+
+    expect(loads).toEqual(['/app/dep.js']);
+    expect(accepted).toEqual([{ id: '/app/dep.js', source: 'v2' }]);
+    expect(reloads).toEqual([]);
+  });
+
+  test('several events from one write update once', async () => {
+    graph.addImport('/app/main.js', '/app/dep.js');
+    graph.hot('/app/main.js').accept(['./dep.js'], () => {});
+    fs.writeFileSync('/app/dep.js', 'a');
+    fs.appendFileSync('/app/dep.js', 'b');
+    await settle();
+    expect(loads).toEqual(['/app/dep.js']);
+  });
+
+  test('a self-accepting module is disposed, reloaded and keeps hot.data', async () => {
+    graph.addImport('/app/main.js', '/app/counter.js');
+    graph.setInstance('/app/counter.js', 'import', { status: 'done', exports: {} });
+    const hot = graph.hot('/app/counter.js');
+    hot.data.count = 1;
+    const disposed = [];
+    hot.dispose((data) => {
+      disposed.push({ ...data });
+      data.count += 1;
+    });
+    const accepted = [];
+    hot.accept((mod) => accepted.push(mod.source));
+
+    fs.writeFileSync('/app/counter.js', 'next');
+    await settle();
+
+    expect(disposed).toEqual([{ count: 1 }]);
+    expect(accepted).toEqual(['next']);
+    expect(graph.instance('/app/counter.js', 'import')).toBeUndefined();
+    expect(graph.get('/app/counter.js').version).toBe(1);
+    const next = graph.hot('/app/counter.js');
+    expect(next).not.toBe(hot);
+    expect(next.data.count).toBe(2);
+  });
+
+  test('changes are propagated through importers to the nearest boundary', async () => {
+    fs.writeFileSync('/app/view.js', 'view');
+    graph.addImport('/app/main.js', '/app/view.js');
+    graph.addImport('/app/view.js', '/app/util.js');
+    graph.setInstance('/app/view.js', 'import', { status: 'done', exports: {} });
+    graph.setInstance('/app/util.js', 'import', { status: 'done', exports: {} });
+    graph.hot('/app/main.js').accept('./view.js');
+
+    fs.writeFileSync('/app/util.js', 'changed');
+    await settle();
+
+    expect(loads).toEqual(['/app/view.js']);
+    expect(graph.instance('/app/view.js', 'import')).toBeUndefined();
+    expect(graph.instance('/app/util.js', 'import')).toBeUndefined();
+    // The edges of dropped modules are recorded again when they run.
+    expect([...graph.get('/app/util.js').importers]).toEqual([]);
+  });
+
+  test('a change that reaches an entry with no boundary asks for a full reload', async () => {
+    graph.addImport('/app/main.js', '/app/dep.js');
+    fs.writeFileSync('/app/dep.js', 'x');
+    await settle();
+    expect(loads).toEqual([]);
+    expect(reloads).toEqual([expect.objectContaining({ path: '/app/dep.js' })]);
+  });
+
+  test('files outside the graph are ignored', async () => {
+    fs.writeFileSync('/app/unrelated.js', 'x');
+    await settle();
+    expect(loads).toEqual([]);
+    expect(reloads).toEqual([]);
+  });
+
+  test('hot.invalidate() passes the update on to the importers', async () => {
+    fs.writeFileSync('/app/dep.js', 'dep');
+    graph.addImport('/app/main.js', '/app/dep.js');
+    graph.hot('/app/dep.js').accept();
+    const accepted = [];
+    graph.hot('/app/main.js').accept('./dep.js', (mod) => accepted.push(mod.id));
+
+    const result = await graph.invalidateModule('/app/dep.js');
+    expect(result).toEqual({ type: 'update', updates: [{ boundary: '/app/main.js', accepted: '/app/dep.js' }] });
+    expect(accepted).toEqual(['/app/dep.js']);
+  });
+
+  test('invalidate() drops a module and everything importing it', () => {
+    graph.addImport('/app/main.js', '/app/a.js');
+    graph.addImport('/app/a.js', '/app/b.js');
+    graph.addImport('/app/other.js', '/app/c.js');
+    for (const id of ['/app/main.js', '/app/a.js', '/app/b.js', '/app/c.js']) {
+      graph.setInstance(id, 'import', { status: 'done', exports: {} });
+    }
+    expect(graph.invalidate('/app/b.js').sort()).toEqual(['/app/a.js', '/app/b.js', '/app/main.js']);
+    expect(graph.instance('/app/main.js', 'import')).toBeUndefined();
+    expect(graph.instance('/app/c.js', 'import')).toBeDefined();
+  });
+
+  test('editing a file evicts the CommonJS modules that required it', () => {
+    fs.writeFileSync('/app/b.js', 'module.exports = 1;');
+    fs.writeFileSync('/app/a.js', "module.exports = require('./b') + 1;");
+    const require = createRequire('/app/main.js');
+    expect(require('./a')).toBe(2);
+
+    fs.writeFileSync('/app/b.js', 'module.exports = 10;');
+    expect(require.cache['/app/a.js']).toBeUndefined();
+    expect(require('./a')).toBe(11);
+  });
+});
@@ -0,0 +1,138 @@
+import { describe, test, expect, beforeAll, beforeEach } from '@jest/globals';
+
+describe('synchronous require()', () => {
+  let fs;
+  let Module;
+  let createRequire;
+
+  beforeAll(async () => {
+    globalThis._RUNTIME_ ??= {};
+    fs = (await import('../src/fs.js')).default;
+    ({ Module, createRequire } = await import('../src/runtime/cjsLoader.js'));
+  });
+
+  const files = (tree) => {
+    for (const [path, content] of Object.entries(tree)) {
+      fs.mkdirSync(path.slice(0, path.lastIndexOf('/')) || '/', { recursive: true });
+      fs.writeFileSync(path, typeof content === 'string' ? content : JSON.stringify(content));
+    }
+  };
+
+  let require;
+
+  beforeEach(() => {
+    fs.rmSync('/app', { recursive: true, force: true });
+    for (const key of Object.keys(Module._cache)) delete Module._cache[key];
+    require = createRequire('/app/main.js');
+  });
+
+  test('loads CommonJS from the virtual fs without awaiting', () => {
+    files({
+      '/app/math.js': 'exports.add = (a, b) => a + b; exports.where = [__filename, __dirname];',
+      '/app/data.json': { answer: 42 },
+    });
+    const math = require('./math');
+    expect(math.add(1, 2)).toBe(3);
+    expect(math.where).toEqual(['/app/math.js', '/app']);
+    expect(require('./data.json')).toEqual({ answer: 42 });
+  });
+
+  test('module.exports replaces exports and `this` is the original exports', () => {
+    files({ '/app/fn.js': 'const self = this; module.exports = () => self === exports;' });
+    expect(require('./fn')()).toBe(true);
+  });
+
+  test('modules are evaluated once and kept in require.cache', () => {
+    files({ '/app/counter.js': 'globalThis.__loads = (globalThis.__loads || 0) + 1; module.exports = {};' });
+    globalThis.__loads = 0;
+    expect(require('./counter')).toBe(require('./counter.js'));
+    expect(globalThis.__loads).toBe(1);
+    expect(require.cache['/app/counter.js'].loaded).toBe(true);
+
+    delete require.cache['/app/counter.js'];
+    require('./counter');
+    expect(globalThis.__loads).toBe(2);
+  });
+
+  test('cycles see the partial exports of the module still loading', () => {
+    files({
+      '/app/a.js': "exports.early = 'a'; const b = require('./b'); exports.seenByA = b.seenA; exports.done = true;",
+      '/app/b.js': "const a = require('./a'); exports.seenA = { ...a };",
+    });
+    const a = require('./a');
+    expect(a.seenByA).toEqual({ early: 'a' });
+    expect(a.done).toBe(true);
+  });
+
+  test('module.children and parent record who loaded what', () => {
+    files({
+      '/app/parent.js': "require('./child'); require('./child');",
+      '/app/child.js': '',
+    });
+    require('./parent');
+    const parent = require.cache['/app/parent.js'];
+    expect(parent.children.map((m) => m.id)).toEqual(['/app/child.js']);
+    expect(parent.children[0].parent).toBe(parent);
+  });
+
+  test('require.resolve and require.resolve.paths', () => {
+    files({
+      '/app/node_modules/pkg/package.json': { main: 'lib.js' },
+      '/app/node_modules/pkg/lib.js': '',
+    });
+    expect(require.resolve('pkg')).toBe('/app/node_modules/pkg/lib.js');
+    expect(require.resolve('fs')).toBe('fs');
+    expect(require.resolve.paths('pkg').slice(0, 2)).toEqual(['/app/node_modules', '/node_modules']);
+    expect(require.resolve.paths('node:fs')).toBe(null);
+  });
+
+  test('missing modules list the require stack', () => {
+    files({ '/app/outer.js': "require('./inner');", '/app/inner.js': "require('nope');" });
+    let error;
+    try {
+      require('./outer');
+    } catch (err) {
+      error = err;
+    }
+    expect(error.code).toBe('MODULE_NOT_FOUND');
+    expect(error.requireStack).toEqual(['/app/inner.js', '/app/outer.js', '/app/main.js']);
+    // Failed loads do not stay cached.
+    expect(require.cache['/app/outer.js']).toBeUndefined();
+  });
+
+  test('ESM syntax is converted; real ES modules need import()', () => {
+    files({
+      '/app/esm-syntax.js': 'export const x = 1;',
+      '/app/real.mjs': 'export const x = 1;',
+      '/app/typed/package.json': { type: 'module' },
+      '/app/typed/index.js': 'export const x = 1;',
+    });
+    expect(require('./esm-syntax').x).toBe(1);
+    expect(() => require('./real.mjs')).toThrow(
+      expect.objectContaining({
+        code: 'ERR_REQUIRE_ESM',
+        message: expect.stringContaining('require() of ES Module /app/real.mjs from /app/main.js not supported.'),
+      })
+    );
+    expect(() => require('./typed')).toThrow(/"type": "module" to "type": "commonjs" in \/app\/typed\/package.json/);
+  });
+
+  test('builtins come from the runtime registry', () => {
+    const fakeOs = { platform: () => 'browser' };
+    globalThis._RUNTIME_.builtins = { os: fakeOs };
+    try {
+      expect(require('os')).toBe(fakeOs);
+      expect(require('node:os')).toBe(fakeOs);
+      expect(() => require('node:zlib')).toThrow(
+        expect.objectContaining({ code: 'ERR_UNKNOWN_BUILTIN_MODULE', message: 'No such built-in module: node:zlib' })
+      );
+    } finally {
+      delete globalThis._RUNTIME_.builtins;
+    }
+  });
+
+  test('rejects invalid ids like Node', () => {
+    expect(() => require('')).toThrow("The argument 'id' must be a non-empty string. Received ''");
+    expect(() => require(42)).toThrow(expect.objectContaining({ code: 'ERR_INVALID_ARG_TYPE' }));
+  });
+});
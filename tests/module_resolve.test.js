@@ -0,0 +1,166 @@
+import { describe, test, expect, beforeAll, beforeEach } from '@jest/globals';
+
+describe('module resolution against the virtual fs', () => {
+  let fs;
+  let resolver;
+
+  beforeAll(async () => {
+    globalThis._RUNTIME_ ??= {};
+    fs = (await import('../src/fs.js')).default;
+    const { createResolver } = await import('../src/runtime/resolve.js');
+    resolver = createResolver({ fs });
+  });
+
+  const files = (tree) => {
+    for (const [path, content] of Object.entries(tree)) {
+      fs.mkdirSync(path.slice(0, path.lastIndexOf('/')) || '/', { recursive: true });
+      fs.writeFileSync(path, typeof content === 'string' ? content : JSON.stringify(content));
+    }
+  };
+
+  const importer = '/app/src/index.js';
+  const resolve = (specifier, mode = 'import', from = importer, conditions) =>
+    resolver.resolve(specifier, from, { mode, conditions });
+
+  beforeEach(() => {
+    fs.rmSync('/app', { recursive: true, force: true });
+    fs.rmSync('/node_modules', { recursive: true, force: true });
+    files({
+      '/app/package.json': {
+        name: 'my-app',
+        exports: { '.': './src/index.js', './utils': './src/utils.js' },
+        imports: {
+          '#config': { browser: './src/config.browser.js', default: './src/config.js' },
+          '#lib/*': './src/lib/*.js',
+          '#dep': 'plain',
+        },
+      },
+      '/app/src/index.js': '',
+      '/app/src/utils.js': '',
+      '/app/src/config.js': '',
+      '/app/src/config.browser.js': '',
+      '/app/src/lib/math.js': '',
+      '/app/node_modules/plain/package.json': { name: 'plain', main: 'lib/main' },
+      '/app/node_modules/plain/lib/main.js': '',
+      '/app/node_modules/plain/lib/other.js': '',
+      '/app/node_modules/dual/package.json': {
+        name: 'dual',
+        exports: {
+          '.': { import: './esm/index.mjs', require: './cjs/index.cjs' },
+          './features/*': './src/features/*.js',
+          './features/private/*': null,
+          './package.json': './package.json',
+        },
+      },
+      '/app/node_modules/dual/esm/index.mjs': '',
+      '/app/node_modules/dual/cjs/index.cjs': '',
+      '/app/node_modules/dual/src/features/a.js': '',
+      '/app/node_modules/dual/src/features/private/b.js': '',
+      '/app/node_modules/@scope/pkg/package.json': { name: '@scope/pkg', module: 'index.mjs', main: 'index.cjs' },
+      '/app/node_modules/@scope/pkg/index.mjs': '',
+      '/app/node_modules/@scope/pkg/index.cjs': '',
+      '/node_modules/hoisted/index.js': '',
+    });
+  });
+
+  test('builtins resolve to node: ids with or without the prefix', () => {
+    expect(resolve('fs')).toBe('node:fs');
+    expect(resolve('node:path', 'require')).toBe('node:path');
+  });
+
+  test('node_modules is searched upwards from the importer', () => {
+    expect(resolve('plain')).toBe('/app/node_modules/plain/lib/main.js');
+    expect(resolve('hoisted', 'require')).toBe('/node_modules/hoisted/index.js');
+    expect(resolve('plain/lib/other', 'require')).toBe('/app/node_modules/plain/lib/other.js');
+    expect(resolve('plain/lib/other.js')).toBe('/app/node_modules/plain/lib/other.js');
+  });
+
+  test('import prefers "module" over "main"; require only uses "main"', () => {
+    expect(resolve('@scope/pkg')).toBe('/app/node_modules/@scope/pkg/index.mjs');
+    expect(resolve('@scope/pkg', 'require')).toBe('/app/node_modules/@scope/pkg/index.cjs');
+  });
+
+  test('"exports" conditions follow the import or require mode', () => {
+    expect(resolve('dual')).toBe('/app/node_modules/dual/esm/index.mjs');
+    expect(resolve('dual', 'require')).toBe('/app/node_modules/dual/cjs/index.cjs');
+    expect(resolve('dual/package.json')).toBe('/app/node_modules/dual/package.json');
+  });
+
+  test('subpath patterns expand, and null targets hide subpaths', () => {
+    expect(resolve('dual/features/a')).toBe('/app/node_modules/dual/src/features/a.js');
+    expect(() => resolve('dual/features/private/b')).toThrow(
+      expect.objectContaining({
+        code: 'ERR_PACKAGE_PATH_NOT_EXPORTED',
+        message:
+          "Package subpath './features/private/b' is not defined by \"exports\" in " +
+          `/app/node_modules/dual/package.json imported from ${importer}`,
+      })
+    );
+  });
+
+  test('unexported subpaths fail like Node, with and without the importer', () => {
+    expect(() => resolve('dual/esm/index.mjs')).toThrow(
+      `Package subpath './esm/index.mjs' is not defined by "exports" in /app/node_modules/dual/package.json imported from ${importer}`
+    );
+    expect(() => resolve('dual/esm/index.mjs', 'require')).toThrow(
+      `Package subpath './esm/index.mjs' is not defined by "exports" in /app/node_modules/dual/package.json`
+    );
+  });
+
+  test('#imports resolve through the nearest package.json', () => {
+    expect(resolve('#config')).toBe('/app/src/config.browser.js');
+    expect(resolve('#config', 'import', importer, [])).toBe('/app/src/config.js');
+    expect(resolve('#lib/math')).toBe('/app/src/lib/math.js');
+    expect(resolve('#dep')).toBe('/app/node_modules/plain/lib/main.js');
+    expect(() => resolve('#missing')).toThrow(
+      expect.objectContaining({
+        code: 'ERR_PACKAGE_IMPORT_NOT_DEFINED',
+        message: `Package import specifier "#missing" is not defined in package /app/package.json imported from ${importer}`,
+      })
+    );
+  });
+
+  test('a package can import itself by name', () => {
+    expect(resolve('my-app/utils')).toBe('/app/src/utils.js');
+  });
+
+  test('missing packages and files report Node errors', () => {
+    expect(() => resolve('nope')).toThrow(
+      expect.objectContaining({
+        code: 'ERR_MODULE_NOT_FOUND',
+        message: `Cannot find package 'nope' imported from ${importer}`,
+      })
+    );
+    expect(() => resolve('./missing.js')).toThrow(`Cannot find module '/app/src/missing.js' imported from ${importer}`);
+    expect(() => resolve('./lib')).toThrow(expect.objectContaining({ code: 'ERR_UNSUPPORTED_DIR_IMPORT' }));
+
+    let error;
+    try {
+      resolver.resolve('nope', importer, { mode: 'require', requireStack: [importer, '/app/main.js'] });
+    } catch (err) {
+      error = err;
+    }
+    expect(error.code).toBe('MODULE_NOT_FOUND');
+    expect(error.message).toBe(`Cannot find module 'nope'\nRequire stack:\n- ${importer}\n- /app/main.js`);
+    expect(error.requireStack).toEqual([importer, '/app/main.js']);
+  });
+
+  test('require probes extensions and directory indexes; import does not', () => {
+    expect(resolve('./lib/math', 'require')).toBe('/app/src/lib/math.js');
+    expect(resolve('../node_modules/plain', 'require')).toBe('/app/node_modules/plain/lib/main.js');
+    expect(() => resolve('./lib/math')).toThrow(expect.objectContaining({ code: 'ERR_MODULE_NOT_FOUND' }));
+  });
+
+  test('invalid specifiers and targets are rejected', () => {
+    expect(() => resolve('@scope')).toThrow(
+      expect.objectContaining({ code: 'ERR_INVALID_MODULE_SPECIFIER' })
+    );
+    files({
+      '/app/node_modules/bad/package.json': { name: 'bad', exports: { '.': 'index.js' } },
+    });
+    expect(() => resolve('bad')).toThrow(
+      `Invalid "exports" main target "index.js" defined in the package config ` +
+        `/app/node_modules/bad/package.json imported from ${importer}; targets must start with "./"`
+    );
+  });
+});
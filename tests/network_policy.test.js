@@ -0,0 +1,304 @@
+import { describe, test, expect, beforeAll, afterEach, jest } from '@jest/globals';
+
+let http;
+let net;
+let dns;
+let WebSocket;
+let diagnostics;
+let configure;
+let createPolicyFetch;
+let installOutbound;
+let networkPolicy;
+let compileHostPattern;
+
+beforeAll(async () => {
+  globalThis._RUNTIME_ ??= {};
+  http = await import('../src/http.js');
+  net = await import('../src/net.js');
+  dns = await import('../src/dns.js');
+  ({ WebSocket } = await import('../src/ws.js'));
+  diagnostics = await import('../src/diagnostics_channel.js');
+  ({ createPolicyFetch, installOutbound } = await import('../src/internals/http/outbound.js'));
+  ({ setNetworkPolicy: configure, networkPolicy, compileHostPattern } = await import('../src/internals/net/policy.js'));
+});
+
+const servers = [];
+
+afterEach(() => {
+  configure({});
+  jest.restoreAllMocks();
+  servers.splice(0).forEach((server) => server.close());
+});
+
+function listen(handler) {
+  const server = http.createServer(handler);
+  servers.push(server);
+  return new Promise((resolve) => server.listen(0, () => resolve(server.address().port)));
+}
+
+const next = (emitter, event) => new Promise((resolve) => emitter.once(event, (...args) => resolve(args)));
+
+async function readAll(stream) {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return Buffer.concat(chunks).toString();
+}
+
+const denied = (resource) => expect.objectContaining({ code: 'ERR_ACCESS_DENIED', permission: 'Net', resource });
+
+test('host patterns', () => {
+  const matches = (pattern, host, port) => compileHostPattern(pattern)(host, port);
+  expect(matches('*.example.com', 'api.example.com', 443)).toBe(true);
+  expect(matches('*.example.com', 'example.com', 443)).toBe(false);
+  expect(matches('*.example.com', 'a.b.example.com', 443)).toBe(false);
+  expect(matches('**.example.com', 'example.com', 443)).toBe(true);
+  expect(matches('**.example.com', 'a.b.example.com', 443)).toBe(true);
+  expect(matches('**.example.com', 'badexample.com', 443)).toBe(false);
+  expect(matches('Localhost:5173', 'localhost', 5173)).toBe(true);
+  expect(matches('localhost:5173', 'localhost', 3000)).toBe(false);
+  expect(matches('localhost:5173', 'localhost')).toBe(true);
+  expect(matches('[::1]:8080', '::1', 8080)).toBe(true);
+  expect(matches(/^10\./, '10.0.0.1', 80)).toBe(true);
+  expect(matches((host, port) => port === 8443, 'anything', 8443)).toBe(true);
+});
+
+describe('http requests', () => {
+  test('to hosts the rules deny fail without reaching fetch', async () => {
+    const fetch = jest.spyOn(globalThis, 'fetch').mockResolvedValue(new Response('ok'));
+    configure({ allow: ['**.example.com'], deny: ['tracker.example.com'] });
+
+    const [error] = await next(http.get('http://tracker.example.com/pixel'), 'error');
+    expect(error).toEqual(denied('tracker.example.com:80'));
+    const [other] = await next(http.get('http://elsewhere.test:8443/'), 'error');
+    expect(other).toEqual(denied('elsewhere.test:8443'));
+    expect(fetch).not.toHaveBeenCalled();
+
+    const [res] = await next(http.get('http://api.example.com/'), 'response');
+    expect(await readAll(res)).toBe('ok');
+  });
+
+  test('offline, fail as Node does without a network, while the sandbox still answers itself', async () => {
+    const fetch = jest.spyOn(globalThis, 'fetch');
+    const port = await listen((req, res) => res.end('inside'));
+    configure({ offline: true });
+
+    const [notFound] = await next(http.get('http://example.com/'), 'error');
+    expect(notFound).toMatchObject({
+      message: 'getaddrinfo ENOTFOUND example.com',
+      code: 'ENOTFOUND',
+      errno: -3008,
+      syscall: 'getaddrinfo',
+      hostname: 'example.com',
+    });
+    const [refused] = await next(http.get('http://localhost:1/'), 'error');
+    expect(refused).toMatchObject({
+      message: 'connect ECONNREFUSED 127.0.0.1:1',
+      code: 'ECONNREFUSED',
+      syscall: 'connect',
+      address: '127.0.0.1',
+      port: 1,
+    });
+    expect(fetch).not.toHaveBeenCalled();
+
+    const [res] = await next(http.get(`http://localhost:${port}/`), 'response');
+    expect(await readAll(res)).toBe('inside');
+  });
+
+  // The sandbox's fetch, as the globals bundle installs it over the browser's
+  function policyFetch(response) {
+    const inner = jest.fn(async () => new Response(response));
+    jest.spyOn(globalThis, 'fetch').mockImplementation(createPolicyFetch(inner));
+    return inner;
+  }
+
+  test('go out through the proxy for their host, with its headers', async () => {
+    const fetch = policyFetch('proxied');
+    configure({
+      proxy: { 'api.example.com': 'https://cors.test/?url=', '**.other.test': (url) => url.replace('http:', 'https:') },
+      headers: {
+        '**.example.com': { 'X-Api-Key': 'secret', cookie: null },
+        'api.example.com': { 'X-Trace': 'on' },
+      },
+    });
+
+    const req = http.request('http://api.example.com/data?q=1', { headers: { Cookie: 'a=1', Accept: 'text/plain' } });
+    req.end();
+    const [res] = await next(req, 'response');
+    expect(await readAll(res)).toBe('proxied');
+    expect(fetch.mock.calls[0][0]).toBe(`https://cors.test/?url=${encodeURIComponent('http://api.example.com/data?q=1')}`);
+    expect(Object.fromEntries(fetch.mock.calls[0][1].headers)).toEqual({
+      accept: 'text/plain',
+      'x-api-key': 'secret',
+      'x-trace': 'on',
+    });
+
+    await readAll((await next(http.get('http://www.other.test/'), 'response'))[0]);
+    expect(fetch.mock.calls[1][0]).toBe('https://www.other.test/');
+  });
+
+  test('without a proxy rule use the one saved in localStorage', async () => {
+    const fetch = policyFetch('');
+    globalThis.localStorage = { getItem: (key) => (key === '__corsProxyUrl' ? 'https://saved.test/' : null) };
+    try {
+      await readAll((await next(http.get('http://example.com/'), 'response'))[0]);
+      expect(fetch.mock.calls[0][0]).toBe('https://saved.test/http%3A%2F%2Fexample.com%2F');
+    } finally {
+      delete globalThis.localStorage;
+    }
+  });
+
+  test('are published on diagnostics_channel', async () => {
+    jest.spyOn(globalThis, 'fetch').mockImplementation(async () => new Response('ok'));
+    configure({ deny: ['blocked.test'] });
+    const seen = [];
+    const subscriptions = {
+      'http.client.request.created': ({ request }) => seen.push(['created', request.path]),
+      'http.client.request.start': ({ request }) => seen.push(['start', request.path]),
+      'http.client.request.error': ({ request, error }) => seen.push(['error', request.path, error.code]),
+      'http.client.response.finish': ({ response }) => seen.push(['finish', response.statusCode]),
+    };
+    Object.entries(subscriptions).forEach(([name, fn]) => diagnostics.subscribe(name, fn));
+    try {
+      await readAll((await next(http.get('http://allowed.test/a'), 'response'))[0]);
+      await next(http.get('http://blocked.test/b'), 'error');
+    } finally {
+      Object.entries(subscriptions).forEach(([name, fn]) => diagnostics.unsubscribe(name, fn));
+    }
+    expect(seen).toEqual([
+      ['created', '/a'],
+      ['start', '/a'],
+      ['finish', 200],
+      ['created', '/b'],
+      ['error', '/b', 'ERR_ACCESS_DENIED'],
+    ]);
+  });
+});
+
+describe('fetch', () => {
+  test('fails as undici does, with the reason as its cause', async () => {
+    const inner = jest.fn(async () => new Response('ok'));
+    const fetch = createPolicyFetch(inner);
+    configure({ offline: true });
+
+    const error = await fetch('https://example.com/').catch((err) => err);
+    expect(error).toBeInstanceOf(TypeError);
+    expect(error.message).toBe('fetch failed');
+    expect(error.cause).toMatchObject({ code: 'ENOTFOUND', hostname: 'example.com' });
+
+    await fetch('data:text/plain,inline');
+    expect(inner).toHaveBeenCalledTimes(1);
+  });
+
+  test('rewrites requests for the proxy and applies the header rules', async () => {
+    const inner = jest.fn(async () => new Response('ok'));
+    const fetch = createPolicyFetch(inner);
+    configure({ proxy: 'https://cors.test/', headers: { 'example.com': { authorization: 'Bearer t' } } });
+
+    await fetch(new Request('https://example.com/x', { method: 'POST', body: 'hi' }));
+    const [request, init] = inner.mock.calls[0];
+    expect([request.url, request.method, await request.text()]).toEqual([
+      `https://cors.test/${encodeURIComponent('https://example.com/x')}`,
+      'POST',
+      'hi',
+    ]);
+    expect(init.headers.get('authorization')).toBe('Bearer t');
+  });
+
+  test('cannot be told the policy was already applied', async () => {
+    const inner = jest.fn(async () => new Response('ok'));
+    const fetch = createPolicyFetch(inner);
+    configure({ deny: ['evil.test'] });
+
+    const init = { [Symbol.for('vfs.network.policyApplied')]: true };
+    await expect(fetch('https://evil.test/', init)).rejects.toMatchObject({ cause: denied('evil.test:443') });
+    expect(inner).not.toHaveBeenCalled();
+  });
+
+  test('is installed over the one the sandbox had', async () => {
+    const inner = jest.fn(async () => new Response('ok'));
+    const target = { fetch: inner };
+    installOutbound(target);
+    configure({ offline: true });
+    await expect(target.fetch('https://example.com/')).rejects.toThrow('fetch failed');
+    expect(inner).not.toHaveBeenCalled();
+  });
+});
+
+describe('the rules', () => {
+  test('cannot be changed by sandboxed code', () => {
+    configure({ deny: ['evil.test'] });
+    const policy = networkPolicy();
+    expect(policy.configure).toBeUndefined();
+    expect(() => {
+      policy.configure = () => {};
+    }).toThrow(TypeError);
+    expect(globalThis._RUNTIME_.__NETWORK_POLICY__).toBeUndefined();
+    expect(policy.connectError('evil.test', 443)).toEqual(denied('evil.test:443'));
+  });
+
+  test('are copied when read', async () => {
+    const { createNetworkPolicy } = await import('../src/internals/net/policy.js');
+    const rules = { deny: ['evil.test'], headers: { 'evil.test': { 'x-key': 'k' } } };
+    const policy = createNetworkPolicy(rules);
+    rules.deny.length = 0;
+    rules.headers['evil.test']['x-key'] = 'stolen';
+    expect(policy.connectError('evil.test', 443)).toEqual(denied('evil.test:443'));
+    expect(policy.headersFor('https://evil.test/')).toEqual([['x-key', 'k']]);
+  });
+
+  test('are frozen where the host set them once read', async () => {
+    const rules = { deny: ['evil.test'] };
+    const runtime = { networkPolicy: rules };
+    const saved = globalThis._RUNTIME_;
+    globalThis._RUNTIME_ = runtime;
+    try {
+      // A fresh copy of the module, as another bundle would have
+      const { networkPolicy: fresh } = await import(`../src/internals/net/policy.js?bundle=${Date.now()}`);
+      expect(fresh().connectError('evil.test', 443)).toEqual(denied('evil.test:443'));
+      expect(Object.isFrozen(rules) && Object.isFrozen(rules.deny)).toBe(true);
+      expect(() => {
+        runtime.networkPolicy = {};
+      }).toThrow(TypeError);
+    } finally {
+      globalThis._RUNTIME_ = saved;
+    }
+  });
+});
+
+describe('other modules', () => {
+  test('net sockets to refused hosts emit the error and close', async () => {
+    configure({ offline: true });
+    const socket = net.connect(443, 'example.com');
+    const connected = jest.fn();
+    socket.on('connect', connected);
+    const closed = next(socket, 'close');
+    const [error] = await next(socket, 'error');
+    expect(error.code).toBe('ENOTFOUND');
+    await closed;
+    expect(connected).not.toHaveBeenCalled();
+
+    const local = net.connect(8080, 'localhost');
+    await next(local, 'connect');
+    local.destroy();
+  });
+
+  test('dns lookups fail offline without a query', async () => {
+    configure({ offline: true });
+    const [error] = await new Promise((resolve) => dns.lookup('example.com', (...args) => resolve(args)));
+    expect(error).toMatchObject({ code: 'ENOTFOUND', syscall: 'getaddrinfo', hostname: 'example.com' });
+    await expect(dns.promises.resolve4('example.com')).rejects.toMatchObject({ message: 'queryA ENOTFOUND example.com' });
+
+    configure({ deny: ['**.internal'] });
+    await expect(dns.promises.resolve4('db.internal')).rejects.toEqual(denied('db.internal'));
+  });
+
+  test('ws clients for denied hosts error and close abnormally', async () => {
+    configure({ deny: ['evil.test'] });
+    const ws = new WebSocket('wss://evil.test/socket');
+    const closed = next(ws, 'close');
+    const [error] = await next(ws, 'error');
+    expect(error).toEqual(denied('evil.test:443'));
+    const [event] = await closed;
+    expect([event.code, ws.readyState]).toEqual([1006, WebSocket.CLOSED]);
+  });
+});
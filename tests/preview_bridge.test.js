@@ -0,0 +1,348 @@
+import { describe, test, expect, beforeAll, afterAll, afterEach } from '@jest/globals';
+
+let http;
+let WebSocketServer;
+let preview;
+let bridge;
+let worker;
+let hub;
+let startPreviewBridge;
+const hostMessages = [];
+
+const ORIGIN = 'https://app.test';
+
+// BroadcastChannel stand-in: each end hears what the others post, copied
+// and a task later.
+function createHub() {
+  const ends = new Set();
+  return {
+    channel() {
+      const listeners = new Set();
+      const end = {
+        onmessage: null,
+        postMessage(data) {
+          for (const other of ends) {
+            if (other !== end) {
+              const copy = structuredClone(data);
+              setTimeout(() => other.deliver(copy));
+            }
+          }
+        },
+        addEventListener: (type, fn) => listeners.add(fn),
+        removeEventListener: (type, fn) => listeners.delete(fn),
+        deliver(data) {
+          listeners.forEach((fn) => fn({ data }));
+          end.onmessage?.({ data });
+        },
+        close: () => ends.delete(end),
+      };
+      ends.add(end);
+      return end;
+    },
+  };
+}
+
+// What the browser hands the service worker's fetch listener.
+function fetchEvent(url, init, { clientId = '', resultingClientId = '' } = {}) {
+  return {
+    request: new Request(url, init),
+    clientId,
+    resultingClientId,
+    response: null,
+    respondWith(response) {
+      this.response = Promise.resolve(response);
+    },
+  };
+}
+
+async function open(url, init, clients) {
+  const event = fetchEvent(url, init, clients);
+  expect(worker.onFetch(event)).toBe(true);
+  return event.response;
+}
+
+const tick = () => new Promise((resolve) => setTimeout(resolve, 5));
+
+beforeAll(async () => {
+  http = await import('../src/http.js');
+  ({ WebSocketServer } = await import('../src/ws.js'));
+  preview = await import('../src/internals/http/previewWorker.js');
+  ({ startPreviewBridge } = await import('../src/internals/http/previewBridge.js'));
+
+  hub = createHub();
+  bridge = startPreviewBridge(http, { channel: hub.channel(), post: (message) => hostMessages.push(message) });
+  worker = preview.createPreviewWorker({ channel: hub.channel(), origin: ORIGIN, portTimeout: 50 });
+});
+
+afterAll(() => {
+  worker.close();
+  bridge.stop();
+});
+
+const servers = [];
+
+afterEach(() => {
+  servers.splice(0).forEach((server) => server.close());
+  hostMessages.length = 0;
+});
+
+async function listen(handler) {
+  const server = http.createServer(handler);
+  servers.push(server);
+  await new Promise((resolve) => server.listen(0, resolve));
+  await tick();
+  return server;
+}
+
+describe('servers', () => {
+  test('the host and the worker hear of listening and closed ports', async () => {
+    const server = await listen(() => {});
+    const { port } = server.address();
+    expect(hostMessages).toEqual([{ type: 'PARENT_SERVER_LISTENING', port, path: `/__vfs_port__/${port}/` }]);
+    expect(worker.ports.has(port)).toBe(true);
+
+    servers.pop().close();
+    await tick();
+    expect(hostMessages[1]).toEqual({ type: 'PARENT_SERVER_CLOSED', port, path: `/__vfs_port__/${port}/` });
+    expect(worker.ports.has(port)).toBe(false);
+  });
+  test('the host\'s own server callbacks keep working', async () => {
+    const heard = [];
+    http.setServerListenCallback((port) => heard.push(['listen', port]));
+    http.setServerCloseCallback((port) => heard.push(['close', port]));
+    try {
+      // Another bridge coming and going leaves them alone
+      startPreviewBridge(http, { channel: hub.channel(), post: () => {} }).stop();
+
+      const { port } = (await listen(() => {})).address();
+      servers.pop().close();
+      await tick();
+      expect(heard).toEqual([['listen', port], ['close', port]]);
+      expect(hostMessages.map(({ type }) => type)).toEqual(['PARENT_SERVER_LISTENING', 'PARENT_SERVER_CLOSED']);
+    } finally {
+      http.setServerListenCallback(null);
+      http.setServerCloseCallback(null);
+    }
+  });
+});
+
+describe('requests', () => {
+  test('reach the server under the prefix and nothing else does', async () => {
+    let seen;
+    const server = await listen((req, res) => {
+      seen = { method: req.method, url: req.url, host: req.headers.host, accept: req.headers.accept };
+      res.writeHead(404, { 'Content-Type': 'text/plain', 'X-Custom': 'yes' });
+      res.end('no such page');
+    });
+    const { port } = server.address();
+
+    const response = await open(`${ORIGIN}/__vfs_port__/${port}/missing?x=1`, { headers: { Accept: 'text/plain' } });
+    expect(seen).toEqual({ method: 'GET', url: '/missing?x=1', host: 'app.test', accept: 'text/plain' });
+    expect([response.status, response.statusText, response.headers.get('x-custom')]).toEqual([404, 'Not Found', 'yes']);
+    expect(await response.text()).toBe('no such page');
+
+    for (const url of [`${ORIGIN}/index.html`, `https://other.test/__vfs_port__/${port}/`, `${ORIGIN}/__vfs_port__/x/`]) {
+      expect(worker.onFetch(fetchEvent(url))).toBe(false);
+    }
+  });
+
+  test('request bodies arrive while the page still sends them', async () => {
+    const server = await listen((req, res) => {
+      req.once('data', (chunk) => res.end(`first: ${chunk}`));
+    });
+    let controller;
+    const body = new ReadableStream({
+      start(c) {
+        controller = c;
+        c.enqueue(new TextEncoder().encode('part one'));
+      },
+    });
+
+    const response = await open(`${ORIGIN}/__vfs_port__/${server.address().port}/upload`, { method: 'POST', body, duplex: 'half' });
+    expect(await response.text()).toBe('first: part one');
+    controller.close();
+  });
+
+  test('large responses come back in chunks', async () => {
+    const big = Buffer.alloc(200 * 1024, 'x');
+    const server = await listen((req, res) => res.end(big));
+
+    const response = await open(`${ORIGIN}/__vfs_port__/${server.address().port}/`);
+    const reader = response.body.getReader();
+    const sizes = [];
+    for (let read = await reader.read(); !read.done; read = await reader.read()) sizes.push(read.value.length);
+    expect(sizes.length).toBeGreaterThan(1);
+    expect(sizes.reduce((a, b) => a + b)).toBe(big.length);
+  });
+
+  test('responses reach the page as the server writes them', async () => {
+    let release;
+    const server = await listen((req, res) => {
+      res.write('first');
+      release = () => res.end('second');
+    });
+
+    const response = await open(`${ORIGIN}/__vfs_port__/${server.address().port}/`);
+    expect(response.headers.get('transfer-encoding')).toBe('chunked');
+    const reader = response.body.getReader();
+    expect(Buffer.from((await reader.read()).value).toString()).toBe('first');
+    release();
+    expect(Buffer.from((await reader.read()).value).toString()).toBe('second');
+  });
+
+  test('pages get the client script and their root-relative requests', async () => {
+    const urls = [];
+    const server = await listen((req, res) => {
+      urls.push(req.url);
+      if (req.url === '/') {
+        res.setHeader('Content-Type', 'text/html');
+        res.setHeader('Content-Length', '60');
+        return res.end('<!DOCTYPE html><html><head><title>App</title></head></html>');
+      }
+      res.end('asset');
+    });
+    const { port } = server.address();
+
+    const page = await open(`${ORIGIN}/__vfs_port__/${port}/`, undefined, { resultingClientId: 'page-1' });
+    const html = await page.text();
+    expect(html.startsWith('<!DOCTYPE html><html><head><script>(function previewClient')).toBe(true);
+    expect(html.endsWith('</script><title>App</title></head></html>')).toBe(true);
+    expect(page.headers.has('content-length')).toBe(false);
+
+    const asset = await open(`${ORIGIN}/assets/app.js`, undefined, { clientId: 'page-1' });
+    expect(await asset.text()).toBe('asset');
+    expect(urls).toEqual(['/', '/assets/app.js']);
+  });
+
+  test('compressed pages are left as the server sent them', async () => {
+    const { gzipSync } = await import('node:zlib');
+    const page = gzipSync('<html><head></head></html>');
+    const server = await listen((req, res) => {
+      res.writeHead(200, { 'Content-Type': 'text/html', 'Content-Encoding': 'gzip', 'Content-Length': page.length });
+      res.end(page);
+    });
+
+    const response = await open(`${ORIGIN}/__vfs_port__/${server.address().port}/`);
+    expect(response.headers.get('content-length')).toBe(String(page.length));
+    expect(Buffer.from(await response.arrayBuffer())).toEqual(page);
+  });
+
+  test('failures are bad gateways', async () => {
+    const server = await listen(() => {
+      throw new Error('handler broke');
+    });
+
+    const failed = await open(`${ORIGIN}/__vfs_port__/${server.address().port}/`);
+    expect([failed.status, await failed.text()]).toEqual([502, 'handler broke\n']);
+
+    const nobody = await open(`${ORIGIN}/__vfs_port__/1/`);
+    expect([nobody.status, await nobody.text()]).toEqual([502, 'No server is listening on port 1\n']);
+
+    // A port the worker still thinks is open
+    const { port } = (await listen(() => {})).address();
+    servers.pop().close();
+    await tick();
+    worker.ports.add(port);
+    const gone = await open(`${ORIGIN}/__vfs_port__/${port}/`);
+    expect([gone.status, await gone.text()]).toEqual([502, `No server is listening on port ${port}\n`]);
+    worker.ports.delete(port);
+  });
+
+  test('only the sandbox serving a port answers for it', async () => {
+    const idle = startPreviewBridge(
+      { getServer: () => undefined, getAllServers: () => new Map(), observeServers: () => () => {}, IncomingMessage: http.IncomingMessage },
+      { channel: hub.channel(), post: () => {} }
+    );
+    const probe = hub.channel();
+    const heard = [];
+    probe.addEventListener('message', ({ data }) => heard.push(data.type));
+    try {
+      const { port } = (await listen((req, res) => setTimeout(() => res.end('served'), 5))).address();
+      const response = await open(`${ORIGIN}/__vfs_port__/${port}/`);
+      expect([response.status, await response.text()]).toEqual([200, 'served']);
+
+      // Nobody announced port 9: the worker's timeout answers, not a sandbox
+      await tick();
+      heard.length = 0;
+      probe.postMessage({ type: 'PREVIEW_REQUEST', id: 'probe-1', port: 9, method: 'GET', url: '/', rawHeaders: [], body: false });
+      probe.postMessage({ type: 'PREVIEW_UPGRADE', id: 'probe-2', port: 9, url: '/', rawHeaders: [] });
+      await tick();
+      expect(heard).toEqual([]);
+    } finally {
+      idle.stop();
+      probe.close();
+    }
+  });
+
+  test('a custom route maps other URLs', async () => {
+    const server = await listen((req, res) => res.end(req.url));
+    const { port } = server.address();
+    const custom = preview.createPreviewWorker({
+      channel: hub.channel(),
+      origin: null,
+      route: (url) => (url.hostname.endsWith('.preview.test') ? { port: Number(url.hostname.split('.')[0]), path: url.pathname } : null),
+    });
+    try {
+      const event = fetchEvent(`https://${port}.preview.test/from-subdomain`);
+      expect(custom.onFetch(event)).toBe(true);
+      expect(await (await event.response).text()).toBe('/from-subdomain');
+    } finally {
+      custom.close();
+    }
+  });
+});
+
+describe('WebSockets', () => {
+  test('upgrades from a preview page reach the ws server', async () => {
+    const server = await listen(() => {});
+    const { port } = server.address();
+    const wss = new WebSocketServer({ server, path: '/live' });
+    const serverSide = [];
+    wss.on('connection', (ws, req) => {
+      serverSide.push(`connected ${req.url} ${ws.protocol}`);
+      ws.on('message', (event) => ws.send(`echo: ${event.data}`));
+      ws.on('close', (event) => serverSide.push(`closed ${event.code}`));
+    });
+
+    class NativeWebSocket {
+      constructor(url) {
+        this.native = url;
+      }
+    }
+    const scope = {
+      WebSocket: NativeWebSocket,
+      BroadcastChannel: class {
+        constructor() {
+          return hub.channel();
+        }
+      },
+      location: new URL(`${ORIGIN}/__vfs_port__/${port}/`),
+    };
+    const source = preview.previewClientScript({ port }).replace(/^<script>|<\/script>$/g, '');
+    new Function('window', source)(scope);
+
+    expect(new scope.WebSocket('wss://elsewhere.test/')).toEqual({ native: 'wss://elsewhere.test/' });
+
+    const ws = new scope.WebSocket(`ws://app.test/__vfs_port__/${port}/live`, ['chat']);
+    const received = [];
+    await new Promise((resolve) => {
+      ws.onopen = () => ws.send('hello');
+      ws.onmessage = (event) => {
+        received.push(event.data);
+        resolve();
+      };
+    });
+    expect(ws.protocol).toBe('chat');
+    expect(received).toEqual(['echo: hello']);
+
+    ws.close(4000, 'done');
+    await tick();
+    expect(serverSide).toEqual(['connected /live chat', 'closed 4000']);
+    expect(wss.clients.size).toBe(0);
+
+    const unhandled = new scope.WebSocket(`ws://app.test/__vfs_port__/${port}/other`);
+    const closed = await new Promise((resolve) => { unhandled.onclose = resolve; });
+    expect(closed.code).toBe(1006);
+    wss.close();
+  });
+});
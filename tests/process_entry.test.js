@@ -0,0 +1,183 @@
+import { describe, test, expect, beforeAll, beforeEach, afterEach, jest } from '@jest/globals';
+import { EventEmitter } from 'node:events';
+
+// The process object the entry wires up, standing in for ../src/process.js
+// (whose exit also reports to the link); globals.js is the sandbox's setup,
+// which the entry only needs to have run.
+const child = new EventEmitter();
+jest.unstable_mockModule('../src/process.js', () => ({ process: child, default: child }));
+jest.unstable_mockModule('../src/globals.js', () => ({}));
+
+let fs;
+let http;
+let ipc;
+let runs = 0;
+
+beforeAll(async () => {
+  globalThis._RUNTIME_ ??= {};
+  fs = (await import('../src/fs.js')).default;
+  http = await import('../src/http.js');
+  ipc = await import('../src/internals/child_process/ipc.js');
+});
+
+const saved = {};
+const GLOBALS = ['setTimeout', 'clearTimeout', 'setInterval', 'clearInterval', 'fetch'];
+const CONSOLE = ['log', 'info', 'debug', 'error', 'warn'];
+
+beforeEach(() => {
+  GLOBALS.forEach((name) => { saved[name] = globalThis[name]; });
+  CONSOLE.forEach((name) => { saved[`console.${name}`] = console[name]; });
+  saved.builtins = globalThis._RUNTIME_.builtins;
+  globalThis._RUNTIME_.builtins = { http, fs };
+
+  child.removeAllListeners();
+  for (const key of ['send', 'disconnect', 'connected', 'channel', 'exitCode']) delete child[key];
+  Object.assign(child, {
+    exiting: false,
+    stdout: { write() {} },
+    stderr: { write() {} },
+    stdin: new EventEmitter(),
+    exit(code = 0) {
+      if (this.exiting) return;
+      this.exiting = true;
+      this.exitCode = code;
+      globalThis._RUNTIME_.__PROCESS_LINK__.exit(code, null);
+    },
+  });
+  fs.rmSync('/entry', { recursive: true, force: true });
+  fs.mkdirSync('/entry', { recursive: true });
+});
+
+afterEach(() => {
+  GLOBALS.forEach((name) => { globalThis[name] = saved[name]; });
+  CONSOLE.forEach((name) => { console[name] = saved[`console.${name}`]; });
+  globalThis._RUNTIME_.builtins = saved.builtins;
+  delete globalThis._RUNTIME_.__PROCESS_LINK__;
+});
+
+const tick = (ms = 10) => new Promise((resolve) => saved.setTimeout(resolve, ms));
+
+// Starts the entry on `spec` through a link like the frame's, recording what
+// the process sends back.
+async function start(spec) {
+  const inboxes = { stdin: null, message: null, disconnect: null, signal: null };
+  const run = { stdout: '', stderr: '', sent: [], disconnected: false, code: undefined };
+  run.exited = new Promise((resolve) => {
+    run.link = {
+      spec: { cwd: '/entry', execArgv: [], ...spec },
+      stdout: (chunk) => { run.stdout += Buffer.from(chunk); },
+      stderr: (chunk) => { run.stderr += Buffer.from(chunk); },
+      exit: (code) => resolve((run.code = code)),
+      send: (message) => run.sent.push(message),
+      disconnect: () => { run.disconnected = true; },
+      onStdin: (fn) => { inboxes.stdin = fn; },
+      onMessage: (fn) => { inboxes.message = fn; },
+      onDisconnect: (fn) => { inboxes.disconnect = fn; },
+      onSignal: (fn) => { inboxes.signal = fn; },
+    };
+  });
+  run.inboxes = inboxes;
+  globalThis._RUNTIME_.__PROCESS_LINK__ = run.link;
+  await import(`../src/internals/child_process/processEntry.js?run=${++runs}`);
+  return run;
+}
+
+function script(name, source) {
+  fs.writeFileSync(`/entry/${name}`, `const process = require('process');\n${source}`);
+  return `/entry/${name}`;
+}
+
+describe('the process entry', () => {
+  test('-p prints the result of code run in the cwd', async () => {
+    const printed = await start({ eval: '[1 + 2, __filename]', print: true });
+    expect(await printed.exited).toBe(0);
+    expect(printed.stdout).toBe(`[ 3, '/entry/[eval]' ]\n`);
+  });
+
+  test('-e only runs it', async () => {
+    const evaluated = await start({ eval: 'console.error("to stderr"); 1' });
+    expect(await evaluated.exited).toBe(0);
+    expect([evaluated.stdout, evaluated.stderr]).toEqual(['', 'to stderr\n']);
+  });
+
+  test('scripts write to the pipes and exit with their code', async () => {
+    const run = await start({ script: script('exit.js', 'console.log("out"); process.stdout.write(Buffer.from("raw")); process.exitCode = 4;') });
+    expect(await run.exited).toBe(4);
+    expect(run.stdout).toBe('out\nraw');
+  });
+
+  test('a timer or a stdin being read keeps the process alive', async () => {
+    const run = await start({ script: script('wait.js', `
+      setTimeout(() => console.log('timer'), 20);
+      process.stdin.on('data', (chunk) => console.log('in', String(chunk)));
+    `) });
+    await tick(40);
+    expect(run.code).toBe(undefined);
+    run.inboxes.stdin(new TextEncoder().encode('abc'));
+    run.inboxes.stdin(null);
+    expect(await run.exited).toBe(0);
+    expect(run.stdout).toBe('timer\nin abc\n');
+  });
+
+  test('signals reach the listeners the process has, and only then', async () => {
+    const run = await start({ script: script('signal.js', `
+      process.stdin.on('data', () => {});
+      process.on('SIGINT', (signal) => { console.log('got', signal); process.exit(130); });
+    `) });
+    await tick();
+    expect(run.inboxes.signal('SIGTERM')).toBe(false);
+    expect(run.inboxes.signal('SIGINT')).toBe(true);
+    expect(await run.exited).toBe(130);
+    expect(run.stdout).toBe('got SIGINT\n');
+  });
+
+  test('a listening server keeps the process alive until it closes', async () => {
+    const run = await start({ script: script('server.js', `
+      const server = require('http').createServer((req, res) => {
+        res.end('served');
+        server.close();
+      });
+      server.listen(0, () => console.log('listening'));
+    `) });
+    await tick(30);
+    expect(run.code).toBe(undefined);
+    const [port] = [...http.getAllServers().keys()].slice(-1);
+    const response = await fetch(`http://localhost:${port}/`);
+    expect(await response.text()).toBe('served');
+    expect(await run.exited).toBe(0);
+    expect(run.stdout).toBe('listening\n');
+  });
+
+  test('an open watcher keeps the process alive until it closes', async () => {
+    const run = await start({ script: script('watch.js', `
+      const fs = require('fs');
+      const watcher = fs.watch('/entry', () => {
+        console.log('changed');
+        watcher.close();
+      });
+    `) });
+    await tick(30);
+    expect(run.code).toBe(undefined);
+    fs.writeFileSync('/entry/touched.txt', 'x');
+    expect(await run.exited).toBe(0);
+    expect(run.stdout).toBe('changed\n');
+  });
+
+  test('a fork()ed process talks over its channel until it disconnects', async () => {
+    const run = await start({
+      ipc: true,
+      script: script('ipc.js', `
+        process.on('message', (message) => {
+          process.send({ echo: message, connected: process.connected });
+          if (message === 'bye') process.disconnect();
+        });
+      `),
+    });
+    await tick();
+    run.inboxes.message(ipc.encodeMessage({ n: 1 }));
+    run.inboxes.message(ipc.encodeMessage('bye'));
+    expect(await run.exited).toBe(0);
+    expect(run.sent.map(ipc.decodeMessage)).toEqual([{ echo: { n: 1 }, connected: true }, { echo: 'bye', connected: true }]);
+    expect(run.disconnected).toBe(true);
+  });
+});
@@ -0,0 +1,258 @@
+import { describe, test, expect, beforeAll, beforeEach, afterEach, jest } from '@jest/globals';
+import { EventEmitter } from 'node:events';
+
+let fs;
+let cp;
+let manager;
+let Module;
+
+// A process context that runs scripts from the virtual fs right here, with a
+// process object of their own, in place of an iframe.
+const started = [];
+function createProcessContext(spec, events) {
+  started.push(spec);
+  const stdin = new EventEmitter();
+  let done = false;
+  const exit = (code, signal = null) => {
+    if (done) return;
+    done = true;
+    events.exit(code, signal);
+  };
+  const child = {
+    argv: spec.argv,
+    env: spec.env,
+    pid: spec.pid,
+    ppid: spec.ppid,
+    cwd: () => spec.cwd,
+    stdin,
+    stdout: { write: (chunk) => events.stdout(chunk) },
+    stderr: { write: (chunk) => events.stderr(chunk) },
+    exit: (code = 0) => exit(code),
+  };
+  const source = spec.eval ?? fs.readFileSync(spec.script, 'utf8').replace(/^#!.*/, '');
+  // Like the iframe, stdin waits for the script to be running.
+  let pending = [];
+  const input = (chunk) => (chunk === null ? stdin.emit('end') : stdin.emit('data', Buffer.from(chunk).toString()));
+  setTimeout(() => {
+    new Function('process', source)(child);
+    pending.forEach(input);
+    pending = null;
+    if (stdin.listenerCount('data') === 0) exit(0);
+  });
+  const feed = (chunk) => (pending ? pending.push(chunk) : input(chunk));
+  return {
+    write: feed,
+    end: () => feed(null),
+    kill: (signal) => exit(null, signal),
+  };
+}
+
+const hostMessages = [];
+
+beforeAll(async () => {
+  globalThis._RUNTIME_ ??= {};
+  globalThis._RUNTIME_.taskTracker ??= { patchChildProcess: (fn) => fn, start() {}, stop() {} };
+  globalThis.addEventListener ??= () => {};
+  globalThis.removeEventListener ??= () => {};
+  globalThis.parent = { postMessage: (message) => hostMessages.push(message) };
+  fs = (await import('../src/fs.js')).default;
+  ({ Module } = await import('../src/runtime/cjsLoader.js'));
+  manager = await import('../src/internals/child_process/processManager.js');
+  cp = await import('../src/child_process.js');
+});
+
+const files = (tree) => {
+  for (const [path, content] of Object.entries(tree)) {
+    fs.mkdirSync(path.slice(0, path.lastIndexOf('/')) || '/', { recursive: true });
+    fs.writeFileSync(path, typeof content === 'string' ? content : JSON.stringify(content));
+  }
+};
+
+beforeEach(() => {
+  fs.rmSync('/app', { recursive: true, force: true });
+  files({
+    '/app/package.json': { name: 'app', bin: { 'app-cli': './cli.js' } },
+    '/app/cli.js': '#!/usr/bin/env node\nprocess.stdout.write("cli " + process.argv.slice(2).join(","));',
+    '/app/args.js': 'process.stdout.write(JSON.stringify({ argv: process.argv, env: process.env.GREETING, cwd: process.cwd(), pid: process.pid, ppid: process.ppid }));',
+    '/app/exit.js': 'process.stderr.write("oops\\n"); process.exit(3);',
+    '/app/cat.js': 'process.stdin.on("data", (c) => process.stdout.write(c.toUpperCase())); process.stdin.on("end", () => process.exit(0));',
+    '/app/node_modules/tool/package.json': { name: 'tool', bin: './bin/tool.js' },
+    '/app/node_modules/tool/bin/tool.js': 'process.stdout.write("tool");',
+    '/app/node_modules/@scope/multi/package.json': { name: '@scope/multi', bin: { multi: 'multi.js' } },
+    '/app/node_modules/@scope/multi/multi.js': '',
+  });
+  globalThis._RUNTIME_.createProcessContext = createProcessContext;
+});
+
+afterEach(() => {
+  started.length = 0;
+  hostMessages.length = 0;
+});
+
+const run = (child) => {
+  let stdout = '';
+  let stderr = '';
+  child.stdout?.setEncoding('utf8').on('data', (chunk) => { stdout += chunk; });
+  child.stderr?.setEncoding('utf8').on('data', (chunk) => { stderr += chunk; });
+  return new Promise((resolve) => child.on('close', (code, signal) => resolve({ code, signal, stdout, stderr })));
+};
+
+describe('resolveCommand', () => {
+  test('node options, scripts and -e/-p', () => {
+    const { resolveCommand } = manager;
+    expect(resolveCommand('node', ['--inspect', '-r', 'dotenv/config', 'args.js', 'a', '--flag'], { cwd: '/app', env: {} })).toEqual({
+      script: '/app/args.js', execArgv: ['--inspect', '-r', 'dotenv/config'], args: ['a', '--flag'], print: false, cwd: '/app', env: {},
+    });
+    expect(resolveCommand('node', ['-p', '1 + 1', 'x'], { cwd: '/' })).toMatchObject({ eval: '1 + 1', print: true, args: ['x'] });
+    expect(resolveCommand('node', ['--eval=run()'], { cwd: '/' })).toMatchObject({ eval: 'run()', print: false, execArgv: ['--eval=run()'] });
+    expect(resolveCommand('/usr/bin/node', ['--', '-weird.js'], { cwd: '/app' })).toMatchObject({ script: '/app/-weird.js' });
+    expect(resolveCommand('node', ['--inspect'])).toBe(null);
+    expect(resolveCommand('node', ['-'])).toBe(null);
+  });
+
+  test('package bins, from node_modules and the package itself', () => {
+    const { resolveCommand, findBin } = manager;
+    fs.mkdirSync('/app/node_modules/.bin', { recursive: true });
+    fs.symlinkSync('/app/node_modules/tool/bin/tool.js', '/app/node_modules/.bin/linked');
+
+    expect(findBin('linked', '/app/src')).toBe('/app/node_modules/tool/bin/tool.js');
+    expect(findBin('tool', '/app')).toBe('/app/node_modules/tool/bin/tool.js');
+    expect(findBin('multi', '/app')).toBe('/app/node_modules/@scope/multi/multi.js');
+    expect(findBin('app-cli', '/app')).toBe('/app/cli.js');
+    expect(findBin('nope', '/app')).toBe(null);
+    expect(resolveCommand('npx', ['--yes', 'tool', '--help'], { cwd: '/app' })).toMatchObject({
+      script: '/app/node_modules/tool/bin/tool.js', args: ['--help'],
+    });
+    expect(resolveCommand('git', ['status'], { cwd: '/app' })).toBe(null);
+  });
+
+  test('simple shell lines; anything more goes to the host', () => {
+    const { resolveCommand, splitCommandLine } = manager;
+    expect(splitCommandLine(`node -e "console.log('a b')" 'c d' e\\ f`)).toEqual(['node', '-e', "console.log('a b')", 'c d', 'e f']);
+    expect(resolveCommand('GREETING=hi node args.js', [], { cwd: '/app', env: { A: '1' }, shell: true })).toMatchObject({
+      script: '/app/args.js', env: { A: '1', GREETING: 'hi' },
+    });
+    expect(resolveCommand('node args.js | cat', [], { cwd: '/app', shell: true })).toBe(null);
+    expect(resolveCommand('node "$HOME/x.js"', [], { cwd: '/app', shell: true })).toBe(null);
+  });
+});
+
+describe('child_process runs JavaScript processes in the sandbox', () => {
+  test('argv, env and cwd reach the process, with a process table entry', async () => {
+    const child = cp.spawn('node', ['args.js', 'one'], { cwd: '/app', env: { GREETING: 'hello' } });
+    expect(manager.listProcesses()).toEqual([expect.objectContaining({
+      pid: child.pid, ppid: process.pid, command: 'node args.js one', cwd: '/app',
+    })]);
+
+    const { code, stdout } = await run(child);
+    expect(code).toBe(0);
+    expect(JSON.parse(stdout)).toEqual({
+      argv: [process.execPath, '/app/args.js', 'one'], env: 'hello', cwd: '/app', pid: child.pid, ppid: process.pid,
+    });
+    expect(manager.listProcesses()).toEqual([]);
+    expect(hostMessages).toEqual([]);
+  });
+
+  test('exit codes and stderr come back', async () => {
+    const { code, stderr } = await run(cp.spawn('node', ['exit.js'], { cwd: '/app' }));
+    expect(code).toBe(3);
+    expect(stderr).toBe('oops\n');
+
+    const err = await new Promise((resolve) => cp.execFile('node', ['exit.js'], { cwd: '/app' }, resolve));
+    expect(err).toMatchObject({ code: 3, message: 'Command failed: node exit.js\noops\n' });
+  });
+
+  test('exec() runs bins and shell lines with env assignments', async () => {
+    const out = await new Promise((resolve) => cp.exec('app-cli a b', { cwd: '/app' }, (err, stdout) => resolve({ err, stdout })));
+    expect(out).toEqual({ err: null, stdout: 'cli a,b' });
+
+    const env = await new Promise((resolve) => cp.exec('GREETING=yo node args.js', { cwd: '/app' }, (err, stdout) => resolve(JSON.parse(stdout).env)));
+    expect(env).toBe('yo');
+    expect(started.at(-1).argv).toEqual([process.execPath, '/app/args.js']);
+  });
+
+  test('stdin is piped and kill() ends the process', async () => {
+    const child = cp.spawn('node', ['cat.js'], { cwd: '/app' });
+    child.stdin.write('abc');
+    child.stdin.end('def');
+    expect(await run(child)).toMatchObject({ code: 0, stdout: 'ABCDEF' });
+
+    const killed = cp.spawn('node', ['cat.js'], { cwd: '/app' });
+    await new Promise((resolve) => killed.once('spawn', resolve));
+    killed.kill('SIGINT');
+    expect(await run(killed)).toMatchObject({ code: null, signal: 'SIGINT' });
+    expect(manager.listProcesses()).toEqual([]);
+  });
+
+  test('other commands still go to the host', () => {
+    cp.spawn('git', ['status'], { cwd: '/app' });
+    expect(hostMessages[0]).toMatchObject({ type: 'PARENT_SPAWN_REQUEST', payload: { command: 'git' } });
+    expect(started).toEqual([]);
+  });
+});
+
+describe('the iframe context', () => {
+  const fakeDocument = () => {
+    const frames = [];
+    return {
+      frames,
+      createElement: () => ({ remove() { frames.splice(frames.indexOf(this), 1); } }),
+      body: { appendChild: (frame) => frames.push(frame) },
+    };
+  };
+
+  test('hands the frame its runtime and relays stdio, exit and signals', () => {
+    const runtime = globalThis._RUNTIME_;
+    const document = fakeDocument();
+    globalThis.document = document;
+    runtime.processRuntimeURL = 'blob:process-runtime';
+    runtime.process = { version: 'v20.0.0' };
+    try {
+      const events = { stdout: jest.fn(), stderr: jest.fn(), exit: jest.fn() };
+      const spec = manager.resolveCommand('node', ['args.js'], { cwd: '/app', env: { A: '1' } });
+      const handle = manager.createFrameContext({ ...spec, pid: 77, ppid: 1, argv: ['node', '/app/args.js'], execPath: 'node' }, events);
+
+      const [frame] = document.frames;
+      expect(frame.hidden).toBe(true);
+      expect(frame.srcdoc).toContain('parent._RUNTIME_.__PROCESS_LINKS__.get(77)');
+      expect(frame.srcdoc).toContain('<script type="module" src="blob:process-runtime">');
+
+      const child = runtime.__PROCESS_LINKS__.get(77);
+      expect(child.__FS__).toBe(runtime.__FS__);
+      expect(child.__MODULE__).toBeUndefined();
+      expect(child.process).toMatchObject({ version: 'v20.0.0', argv: ['node', '/app/args.js'], env: { A: '1' }, cwd: '/app', pid: 77, ppid: 1 });
+
+      // stdin written before the process is listening is held for it.
+      handle.write('early');
+      const stdin = [];
+      child.__PROCESS_LINK__.onStdin((chunk) => stdin.push(chunk));
+      handle.end();
+      expect(stdin).toEqual(['early', null]);
+
+      child.__PROCESS_LINK__.onSignal((signal) => signal === 'SIGINT');
+      handle.kill('SIGINT');
+      expect(events.exit).not.toHaveBeenCalled();
+
+      child.__PROCESS_LINK__.stdout('out');
+      child.__PROCESS_LINK__.exit(5);
+      child.__PROCESS_LINK__.stdout('late');
+      expect(events.stdout.mock.calls).toEqual([['out']]);
+      expect(events.exit).toHaveBeenCalledWith(5, null);
+      expect(document.frames).toEqual([]);
+      expect(runtime.__PROCESS_LINKS__.has(77)).toBe(false);
+    } finally {
+      delete globalThis.document;
+      delete runtime.processRuntimeURL;
+      delete runtime.process;
+    }
+  });
+
+  test('cannot start without a runtime URL', () => {
+    expect(() => manager.createFrameContext({ argv: ['node'] }, {})).toThrow(expect.objectContaining({ code: 'ENOSYS' }));
+  });
+});
+
+test('scripts with a hashbang load as CommonJS', () => {
+  files({ '/app/hashbang.js': '#!/usr/bin/env node\nmodule.exports = 42;' });
+  expect(Module._load('/app/hashbang.js', null, false)).toBe(42);
+});
@@ -0,0 +1,116 @@
+import { describe, test, expect, jest } from '@jest/globals';
+
+import { applySandboxPolicy, resolvePolicy, BROWSER_ONLY_GLOBALS } from '../src/runtime/blockList/sandboxPolicy.js';
+import { blockGlobals } from '../src/runtime/blockList/blockGlobals.js';
+
+// A global object with a few browser APIs on it.
+const browserGlobals = () => ({
+  document: { title: 'page' },
+  localStorage: { getItem: () => 'v' },
+  fetch: () => 'response',
+  XMLHttpRequest: function XMLHttpRequest() {},
+  crypto: { randomUUID: () => 'id' },
+  Array,
+});
+
+const run = (target, code) => new Function('globalThis', `with (globalThis) { return (${code}); }`)(target);
+
+describe('sandbox policy', () => {
+  test('profiles resolve to what they hide and install', () => {
+    expect(resolvePolicy('node-strict')).toMatchObject({ network: true, nodeGlobals: true });
+    expect(resolvePolicy('node-strict').hide).toEqual(expect.arrayContaining(['document', 'localStorage']));
+    expect(resolvePolicy('node-strict').hide).not.toContain('fetch');
+    expect(resolvePolicy('browser-compatible').hide).toEqual([]);
+
+    const custom = resolvePolicy({ extends: 'node-strict', allow: ['localStorage'], network: false, hide: ['Array'] });
+    expect(custom.hide).not.toContain('localStorage');
+    expect(custom.hide).toEqual(expect.arrayContaining(['fetch', 'XMLHttpRequest', 'WebSocket', 'Array']));
+
+    expect(() => resolvePolicy('nope')).toThrow(TypeError);
+    expect(() => resolvePolicy({ extends: 'nope' })).toThrow(TypeError);
+    expect(BROWSER_ONLY_GLOBALS).not.toContain('window');
+  });
+
+  test('node-strict hides browser-only globals for good', () => {
+    const target = browserGlobals();
+    applySandboxPolicy('node-strict', { target });
+
+    expect(() => target.document).toThrow(new ReferenceError('document is not defined'));
+    expect(() => run(target, 'localStorage.getItem("k")')).toThrow(ReferenceError);
+    expect(Reflect.deleteProperty(target, 'document')).toBe(false);
+    expect(Reflect.defineProperty(target, 'document', { value: {} })).toBe(false);
+    expect(() => target.document).toThrow(ReferenceError);
+    expect(target.fetch()).toBe('response');
+
+    // Assigning defines the global, as a sloppy assignment under Node does.
+    target.document = 'mine';
+    expect(target.document).toBe('mine');
+  });
+
+  test('network: false hides fetch and friends', () => {
+    const target = browserGlobals();
+    applySandboxPolicy({ extends: 'browser-compatible', network: false }, { target });
+    expect(() => target.fetch).toThrow(new ReferenceError('fetch is not defined'));
+    expect(() => target.XMLHttpRequest).toThrow(ReferenceError);
+    expect(target.document.title).toBe('page');
+  });
+
+  test('installs the Node globals', () => {
+    const target = browserGlobals();
+    const process = { pid: 1 };
+    const Buffer = function Buffer() {};
+    const setImmediate = () => {};
+    applySandboxPolicy('node-strict', { target, globals: { process, Buffer, setImmediate, other: 1 } });
+    expect(target.global).toBe(target);
+    expect(target.process).toBe(process);
+    expect(target.Buffer).toBe(Buffer);
+    expect(target.setImmediate).toBe(setImmediate);
+    expect('other' in target).toBe(false);
+    expect(Object.keys(target)).not.toContain('Buffer');
+  });
+
+  test('reports the globals code used and reached for', () => {
+    const target = browserGlobals();
+    const onAccess = jest.fn();
+    const { report } = applySandboxPolicy(
+      { extends: 'node-strict', track: ['crypto'] },
+      { target, globals: { process: {} }, onAccess }
+    );
+    expect(report()).toEqual({ accessed: [], blocked: [] });
+
+    run(target, 'crypto.randomUUID() && process');
+    try { run(target, 'document.title'); } catch {}
+    expect(report()).toEqual({ accessed: ['crypto', 'process'], blocked: ['document'] });
+    expect(onAccess).toHaveBeenCalledWith('document', true);
+    expect(onAccess).toHaveBeenCalledWith('crypto', false);
+  });
+
+  test('warns about the globals it cannot hide', () => {
+    // As on a window: document and location are non-configurable accessors
+    const target = browserGlobals();
+    for (const [name, value] of [['document', { title: 'page' }], ['location', { href: 'https://host.test/' }]]) {
+      Object.defineProperty(target, name, { get: () => value, enumerable: true, configurable: false });
+    }
+    const warn = jest.fn();
+    const { skipped } = applySandboxPolicy('node-strict', { target, warn });
+    expect(skipped).toEqual(['document', 'location']);
+    expect(warn).toHaveBeenCalledTimes(1);
+    expect(warn.mock.calls[0][0]).toMatch(/could not hide document, location/);
+    expect(target.document.title).toBe('page');
+    expect(() => target.localStorage).toThrow(ReferenceError);
+
+    const quiet = jest.fn();
+    applySandboxPolicy('node-strict', { target: browserGlobals(), warn: quiet });
+    expect(quiet).not.toHaveBeenCalled();
+  });
+
+  test('blockGlobals hides just the names given', () => {
+    const target = globalThis;
+    target.__blockMe = () => 1;
+    target.__blockMeToo = 2;
+    blockGlobals(['__blockMe', '__blockMeToo', '', 3]);
+    expect(() => target.__blockMe).toThrow(new ReferenceError('__blockMe is not defined'));
+    expect(() => target.__blockMeToo).toThrow(ReferenceError);
+    expect(() => blockGlobals('x')).toThrow(TypeError);
+  });
+});
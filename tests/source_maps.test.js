@@ -0,0 +1,210 @@
+import { describe, test, expect, beforeAll, beforeEach } from '@jest/globals';
+
+import {
+  SourceMap,
+  composeSourceMaps,
+  decodeMappings,
+  encodeMappings,
+  extractSourceMap,
+  identitySourceMap,
+  inlineSourceMap,
+  offsetSourceMap,
+  remapStack,
+  registerSourceMap,
+  setSourceMapsEnabled,
+  sourceMapsEnabled,
+} from '../src/runtime/sourceMaps.js';
+import { convertEsmToCjs, replaceImportMeta } from '../src/runtime/transformModules.js';
+import { parseError } from '../src/runtime/errors/formatErrors.js';
+
+// Line/column (1-based) of the first occurrence of `text` in `code`.
+const positionOf = (code, text) => {
+  const before = code.slice(0, code.indexOf(text)).split('\n');
+  return { line: before.length, column: before[before.length - 1].length + 1 };
+};
+
+describe('SourceMap', () => {
+  // Generated "a;b" (line 0) maps col 0 -> src.js 1:0 and col 2 -> src.js 4:2 named "b".
+  const payload = {
+    version: 3,
+    sources: ['src.js'],
+    names: ['b'],
+    mappings: encodeMappings([[[0, 0, 0, 0], [2, 0, 3, 2, 0]], [[0, 0, 5, 0]]]),
+  };
+
+  test('mappings round-trip through VLQ', () => {
+    expect(decodeMappings(payload.mappings)).toEqual([[[0, 0, 0, 0], [2, 0, 3, 2, 0]], [[0, 0, 5, 0]]]);
+    expect(decodeMappings('AAAA;;ACCE')).toEqual([[[0, 0, 0, 0]], [], [[0, 1, 1, 2]]]);
+  });
+
+  test('findEntry takes 0-based offsets and finds the closest mapping before them', () => {
+    const map = new SourceMap(payload);
+    expect(map.payload).toEqual(payload);
+    expect(map.findEntry(0, 3)).toEqual({
+      generatedLine: 0, generatedColumn: 2, originalSource: 'src.js', originalLine: 3, originalColumn: 2, name: 'b',
+    });
+    expect(map.findEntry(1, 10)).toMatchObject({ originalLine: 5, originalColumn: 0 });
+  });
+
+  test('findOrigin takes 1-based positions and keeps the column offset', () => {
+    const map = new SourceMap(payload);
+    expect(map.findOrigin(1, 4)).toEqual({ name: 'b', fileName: 'src.js', lineNumber: 4, columnNumber: 4 });
+    expect(new SourceMap({ version: 3, sources: [], mappings: '' }).findOrigin(1, 1)).toEqual({});
+  });
+
+  test('rejects non-object payloads', () => {
+    expect(() => new SourceMap('nope')).toThrow(expect.objectContaining({ code: 'ERR_INVALID_ARG_TYPE' }));
+  });
+
+  test('composes a chain of maps and shifts past a prefix', () => {
+    const inner = { version: 3, sources: ['a.ts'], names: [], mappings: encodeMappings([[], [[0, 0, 0, 0]]]) };
+    const outer = { version: 3, sources: ['b.js'], names: [], mappings: encodeMappings([[[4, 0, 1, 0]]]) };
+    const composed = composeSourceMaps(outer, inner);
+    expect(new SourceMap(composed).findOrigin(1, 5)).toMatchObject({ fileName: 'a.ts', lineNumber: 1, columnNumber: 1 });
+
+    const shifted = new SourceMap(offsetSourceMap(composed, 2, 10));
+    expect(shifted.findOrigin(3, 15)).toMatchObject({ fileName: 'a.ts', lineNumber: 1, columnNumber: 1 });
+  });
+
+  test('inline maps can be written and extracted', () => {
+    const { code, map } = extractSourceMap(`let x;\n${inlineSourceMap(payload)}`);
+    expect(code).toBe('let x;');
+    expect(map).toEqual(payload);
+    expect(extractSourceMap('let y;')).toEqual({ code: 'let y;', map: null });
+  });
+});
+
+describe('convertEsmToCjs source maps', () => {
+  test('maps the converted code back to the module', () => {
+    const source = `import { a } from './a.js';\n\nexport function f() {\n  return a + 1;\n}\n`;
+    const { code, map } = convertEsmToCjs(source, { sourceMap: true, filename: '/app/f.mjs' });
+    expect(code).toBe(convertEsmToCjs(source));
+    expect(map.sources).toEqual(['/app/f.mjs']);
+
+    const generated = positionOf(code, 'return');
+    expect(new SourceMap(map).findOrigin(generated.line, generated.column)).toMatchObject({
+      fileName: '/app/f.mjs',
+      ...(({ line, column }) => ({ lineNumber: line, columnNumber: column }))(positionOf(source, 'return')),
+    });
+  });
+});
+
+describe('replaceImportMeta', () => {
+  const source = [
+    `// import.meta stays in comments`,
+    `const text = 'import.meta', tpl = \`import.meta \${import.meta.url}\`;`,
+    `export const url = import.meta.url; throw new Error(url);`,
+  ].join('\n');
+
+  test('rewrites import.meta only where it is code', () => {
+    const { code } = replaceImportMeta(source, 'META', { filename: '/app/m.mjs' });
+    expect(code).toBe(source.replace('${import.meta.url}', '${META.url}').replace('= import.meta.url', '= META.url'));
+    expect(replaceImportMeta(`const s = "import.meta";`, 'META')).toBeNull();
+    expect(replaceImportMeta(`import.meta +`, 'META')).toBeNull();
+  });
+
+  test('maps the rewritten lines back to the module, through any map it had', () => {
+    const expression = 'globalThis._RUNTIME_.__IMPORT_METAS__.get("/app/m.mjs")';
+    const { code, map } = replaceImportMeta(source, expression, { filename: '/app/m.mjs' });
+    const generated = positionOf(code, 'throw');
+    const original = positionOf(source, 'throw');
+    expect(new SourceMap(map).findOrigin(generated.line, generated.column)).toMatchObject({
+      fileName: '/app/m.mjs',
+      lineNumber: original.line,
+      columnNumber: original.column,
+    });
+
+    // Composed with the map of an earlier step, e.g. TypeScript's
+    const earlier = identitySourceMap(source, '/app/m.ts');
+    const composed = new SourceMap(composeSourceMaps(map, earlier));
+    expect(composed.findOrigin(generated.line, generated.column)).toMatchObject({
+      fileName: '/app/m.ts',
+      lineNumber: original.line,
+      columnNumber: original.column,
+    });
+  });
+});
+
+describe('stack remapping', () => {
+  let fs;
+  let module;
+
+  beforeAll(async () => {
+    globalThis._RUNTIME_ ??= {};
+    fs = (await import('../src/fs.js')).default;
+    module = await import('../src/module.js');
+  });
+
+  beforeEach(() => {
+    setSourceMapsEnabled(true);
+    fs.rmSync('/maps', { recursive: true, force: true });
+    fs.mkdirSync('/maps', { recursive: true });
+    for (const key of Object.keys(module._cache)) delete module._cache[key];
+  });
+
+  const source = [
+    `import { helper } from './helper.js';`,
+    ``,
+    `export function explode() {`,
+    `  throw new Error('boom');`,
+    `}`,
+  ].join('\n');
+
+  test('errors thrown from converted modules point at the original line', () => {
+    fs.writeFileSync('/maps/helper.js', 'exports.helper = 1;');
+    fs.writeFileSync('/maps/boom.js', source);
+    const { explode } = module.createRequire('/maps/main.js')('./boom.js');
+
+    let error;
+    try { explode(); } catch (err) { error = err; }
+    expect(error.stack).toContain('/maps/boom.js:4:9');
+    expect(parseError({ reason: error })).toMatchObject({ file: expect.stringContaining('/maps/boom.js'), line: '4', column: '9' });
+  });
+
+  test('CommonJS modules are mapped past the wrapper', () => {
+    fs.writeFileSync('/maps/plain.js', `exports.fail = () => { throw new Error('plain'); };`);
+    const { fail } = module.createRequire('/maps/main.js')('./plain.js');
+    let error;
+    try { fail(); } catch (err) { error = err; }
+    expect(error.stack).toContain('/maps/plain.js:1:30');
+  });
+
+  test('module.findSourceMap returns the map for a loaded file', () => {
+    fs.writeFileSync('/maps/helper.js', 'exports.helper = 1;');
+    fs.writeFileSync('/maps/boom.js', source);
+    module.createRequire('/maps/main.js')('./boom.js');
+
+    const map = module.findSourceMap('file:///maps/boom.js');
+    expect(map).toBeInstanceOf(module.SourceMap);
+    expect(map).toBe(module.findSourceMap('/maps/boom.js'));
+    expect(map.payload.sourcesContent).toContain(source);
+    expect(module.findSourceMap('/maps/missing.js')).toBeUndefined();
+  });
+
+  test('remapStack rewrites stacks captured without the remapper', () => {
+    registerSourceMap('/gen/out.js', {
+      version: 3, sources: ['/src/in.ts'], names: [], mappings: encodeMappings([[], [[0, 0, 9, 4]]]),
+    });
+    expect(sourceMapsEnabled()).toBe(true);
+    const stack = 'Error: x\n    at run (/gen/out.js:2:3)\n    at /gen/out.js:2:1\n    at other (/lib.js:1:1)';
+    // As if the stack was built before the remapper was installed.
+    const prepare = Error.prepareStackTrace;
+    Error.prepareStackTrace = undefined;
+    try {
+      expect(remapStack(stack)).toBe('Error: x\n    at run (/src/in.ts:10:7)\n    at /src/in.ts:10:5\n    at other (/lib.js:1:1)');
+    } finally {
+      Error.prepareStackTrace = prepare;
+    }
+  });
+
+  test('setSourceMapsEnabled(false) restores the previous prepareStackTrace', () => {
+    const installed = Error.prepareStackTrace;
+    expect(typeof installed).toBe('function');
+    setSourceMapsEnabled(false);
+    expect(Error.prepareStackTrace).not.toBe(installed);
+    expect(remapStack('Error\n    at /gen/out.js:2:3')).toBe('Error\n    at /gen/out.js:2:3');
+    setSourceMapsEnabled(true);
+    expect(Error.prepareStackTrace).toBe(installed);
+    expect(() => setSourceMapsEnabled('yes')).toThrow(expect.objectContaining({ code: 'ERR_INVALID_ARG_TYPE' }));
+  });
+});
@@ -0,0 +1,207 @@
+import { describe, test, expect, beforeAll, beforeEach, afterEach, jest } from '@jest/globals';
+import { readdirSync, readFileSync } from 'node:fs';
+import { createRequire as createHostRequire } from 'node:module';
+
+globalThis._RUNTIME_ ??= {};
+const { stripTypes, stripTypeScriptTypes, transpile } = await import('../src/runtime/typescriptCompiler.js');
+
+// What the build bundles as TYPESCRIPT_LIBS.
+function bundledLibs() {
+  const dir = createHostRequire(import.meta.url).resolve('typescript').replace(/[^/]+$/, '');
+  const libs = {};
+  for (const name of readdirSync(dir)) if (/^lib\.(?:.*\.)?d\.ts$/.test(name)) libs[name] = readFileSync(dir + name, 'utf8');
+  return libs;
+}
+
+describe('strip mode', () => {
+  test('erases types in place, keeping every position', () => {
+    const source = [
+      `import type { A } from './a';`,
+      `import { type B, c } from './b';`,
+      `interface I { x: number }`,
+      `type T = string;`,
+      `declare const g: number;`,
+      `abstract class Base<T> implements I {`,
+      `  private readonly x!: number;`,
+      `  y?: string = 'y';`,
+      `  abstract m(): void;`,
+      `  over(a: string): void;`,
+      `  over(a: any) { return a as T; }`,
+      `}`,
+      `function f<T,>(this: unknown, a?: T): T { return a!; }`,
+      `const n = f<number>(1) satisfies number, cast = <any>n;`,
+      `export { type I, c };`,
+    ].join('\n');
+    const output = stripTypes(source, '/app/a.ts');
+    expect(output).toHaveLength(source.length);
+    expect(output.split('\n').map((line) => line.trim())).toEqual([
+      '',
+      'import {         c } from \'./b\';',
+      '',
+      '',
+      '',
+      'class Base                 {',
+      'x         ;',
+      'y          = \'y\';',
+      '',
+      '',
+      'over(a     ) { return a     ; }',
+      '}',
+      'function f    (               a    )    { return a ; }',
+      'const n = f        (1)                 , cast =      n;',
+      'export {         c };',
+    ]);
+  });
+
+  test('rejects syntax that needs code generated for it', () => {
+    for (const source of [
+      'enum E { A }',
+      'namespace N { export const x = 1; }',
+      'class C { constructor(private x: number) {} }',
+      'import fs = require("fs");',
+    ]) {
+      expect(() => stripTypes(source, '/app/a.ts')).toThrow(
+        expect.objectContaining({ code: 'ERR_UNSUPPORTED_TYPESCRIPT_SYNTAX' })
+      );
+      expect(() => stripTypes(source, '/app/a.ts')).toThrow(SyntaxError);
+    }
+    expect(stripTypes('declare enum E { A }\nnamespace Types { export type X = 1; }', '/app/a.ts').trim()).toBe('');
+  });
+
+  test('reports invalid syntax with its location', () => {
+    expect(() => stripTypes('let x: = 1;', '/app/bad.ts')).toThrow(
+      expect.objectContaining({ code: 'ERR_INVALID_TYPESCRIPT_SYNTAX', message: expect.stringContaining('/app/bad.ts:1:8') })
+    );
+  });
+
+  test('stripTypeScriptTypes follows node:module', () => {
+    expect(stripTypeScriptTypes('const a: number = 1;')).toBe('const a         = 1;');
+    expect(stripTypeScriptTypes('enum E { A }', { mode: 'transform' })).toContain('E[E["A"] = 0] = "A"');
+    expect(stripTypeScriptTypes('let a: number;', { sourceUrl: 'a.ts' })).toBe('let a        ;\n//# sourceURL=a.ts');
+    expect(stripTypeScriptTypes('let a;', { mode: 'transform', sourceMap: true })).toMatch(/sourceMappingURL=data:application\/json/);
+    expect(() => stripTypeScriptTypes('let a;', { sourceMap: true })).toThrow(expect.objectContaining({ code: 'ERR_INVALID_ARG_VALUE' }));
+    expect(() => stripTypeScriptTypes(1)).toThrow(expect.objectContaining({ code: 'ERR_INVALID_ARG_TYPE' }));
+  });
+
+  test('transpile returns a source map back to the TypeScript file', () => {
+    const { code, map } = transpile('enum E { A }\nexport const x: E = E.A;\n', '/app/e.ts');
+    expect(code).not.toContain('sourceMappingURL');
+    expect(map.sources).toEqual(['/app/e.ts']);
+    expect(map.sourcesContent[0]).toContain('enum E');
+  });
+});
+
+describe('loading TypeScript', () => {
+  let fs;
+  let module;
+
+  beforeAll(async () => {
+    fs = (await import('../src/fs.js')).default;
+    module = await import('../src/module.js');
+    globalThis._RUNTIME_.typescriptLibs = bundledLibs();
+  });
+
+  const files = (tree) => {
+    for (const [path, content] of Object.entries(tree)) {
+      fs.mkdirSync(path.slice(0, path.lastIndexOf('/')) || '/', { recursive: true });
+      fs.writeFileSync(path, typeof content === 'string' ? content : JSON.stringify(content));
+    }
+  };
+  const requireFrom = () => module.createRequire('/ts/main.js');
+
+  beforeEach(() => {
+    fs.rmSync('/ts', { recursive: true, force: true });
+    for (const key of Object.keys(module._cache)) delete module._cache[key];
+  });
+
+  afterEach(() => {
+    delete globalThis._RUNTIME_.typescriptMode;
+    delete globalThis._RUNTIME_.onTypeScriptDiagnostics;
+  });
+
+  test('require() compiles .ts, .cts and ESM-syntax TypeScript', () => {
+    files({
+      '/ts/math.ts': `export function add(a: number, b: number): number { return a + b; }`,
+      '/ts/legacy.cts': `const { add } = require('./math.ts') as typeof import('./math');\nmodule.exports = add(1, 2);`,
+    });
+    expect(requireFrom()('./legacy.cts')).toBe(3);
+  });
+
+  test('.mts and .ts under "type": "module" are ES modules', () => {
+    files({ '/ts/a.mts': 'export {};', '/ts/esm/package.json': { type: 'module' }, '/ts/esm/b.ts': 'export {};' });
+    expect(() => requireFrom()('./a.mts')).toThrow(expect.objectContaining({ code: 'ERR_REQUIRE_ESM' }));
+    expect(() => requireFrom()('./esm/b.ts')).toThrow(expect.objectContaining({ code: 'ERR_REQUIRE_ESM' }));
+  });
+
+  test('stack traces point at the TypeScript source', () => {
+    files({ '/ts/fail.ts': `interface Boom {}\nexport const fail = (why: string): never => {\n  throw new Error(why);\n};` });
+    let error;
+    try { requireFrom()('./fail.ts').fail('no'); } catch (err) { error = err; }
+    expect(error.stack).toContain('/ts/fail.ts:3:9');
+  });
+
+  test('.tsx is compiled with the JSX runtime', () => {
+    files({
+      '/ts/node_modules/react/jsx-runtime.js': `exports.jsx = (type, props) => ({ type, props });`,
+      '/ts/view.tsx': `export const view = (name: string) => <b title={name}>hi</b>;`,
+    });
+    expect(requireFrom()('./view.tsx').view('x')).toEqual({ type: 'b', props: { title: 'x', children: 'hi' } });
+  });
+
+  test('without the service TypeScript is an unknown file extension', () => {
+    files({ '/ts/a.ts': 'module.exports = 1;' });
+    const { typescript } = globalThis._RUNTIME_;
+    delete globalThis._RUNTIME_.typescript;
+    try {
+      expect(() => requireFrom()('./a.ts')).toThrow(
+        expect.objectContaining({ code: 'ERR_UNKNOWN_FILE_EXTENSION', message: 'Unknown file extension ".ts" for /ts/a.ts' })
+      );
+    } finally {
+      globalThis._RUNTIME_.typescript = typescript;
+    }
+  });
+
+  test('check mode type-checks against tsconfig.json and reports diagnostics', () => {
+    globalThis._RUNTIME_.typescriptMode = 'check';
+    const report = jest.fn();
+    globalThis._RUNTIME_.onTypeScriptDiagnostics = report;
+    files({
+      '/ts/tsconfig.json': { compilerOptions: { strict: true, target: 'es2022', allowImportingTsExtensions: true, noEmit: true } },
+      '/ts/dep.ts': `export const n: number = 1;`,
+      '/ts/main.ts': `import { n } from './dep.ts';\nconst s: string = n;\nexport enum E { A = n }`,
+    });
+
+    expect(requireFrom()('./main.ts').E).toEqual({ 1: 'A', A: 1 });
+    expect(report).toHaveBeenCalledTimes(1);
+    const [{ filename, diagnostics, pretty }] = report.mock.calls[0];
+    expect(filename).toBe('/ts/main.ts');
+    expect(diagnostics).toEqual([{
+      file: '/ts/main.ts', line: 2, column: 7, code: 2322, category: 'error',
+      message: "Type 'number' is not assignable to type 'string'.",
+    }]);
+    expect(pretty).toContain('TS2322');
+    expect(pretty).toContain('const s: string = n;');
+  });
+
+  test('check mode refuses to run code with errors under noEmitOnError', () => {
+    globalThis._RUNTIME_.typescriptMode = 'check';
+    files({
+      '/ts/tsconfig.json': `{
+        // comments are allowed
+        "compilerOptions": { "noEmitOnError": true, "noImplicitAny": true },
+      }`,
+      '/ts/bad.ts': `export function f(x) { return x; }`,
+    });
+    expect(() => requireFrom()('./bad.ts')).toThrow(
+      expect.objectContaining({
+        code: 'ERR_TYPESCRIPT_DIAGNOSTICS',
+        diagnostics: [expect.objectContaining({ code: 7006, line: 1, column: 19 })],
+      })
+    );
+
+    // Fixing the file is picked up by the cached language service.
+    files({ '/ts/bad.ts': `export function f(x: unknown) { return x; }` });
+    for (const key of Object.keys(module._cache)) delete module._cache[key];
+    expect(requireFrom()('./bad.ts').f(1)).toBe(1);
+  });
+});
@@ -0,0 +1,180 @@
+import { describe, test, expect, beforeAll, beforeEach, afterEach, jest } from '@jest/globals';
+import { EventEmitter } from 'node:events';
+
+globalThis._RUNTIME_ ??= {};
+const { createErrorPipeline } = await import('../src/runtime/errors/uncaughtErrors.js');
+const { codeFrame, formatUncaught } = await import('../src/runtime/errors/formatErrors.js');
+
+// The parts of process the pipeline uses.
+function fakeProcess(execArgv = []) {
+  return Object.assign(new EventEmitter(), {
+    exitCode: 0,
+    execArgv,
+    env: {},
+    version: 'v20.0.0',
+    emitWarning: jest.fn(),
+  });
+}
+
+const errorEvent = (error) => Object.assign(new Event('error', { cancelable: true }), { error, message: error?.message });
+const rejectionEvent = (type, reason, promise) => Object.assign(new Event(type, { cancelable: true }), { reason, promise });
+
+describe('uncaught error pipeline', () => {
+  let process;
+  let pipeline;
+  let target;
+  let uninstall;
+  let printed;
+
+  beforeEach(() => {
+    process = fakeProcess();
+    pipeline = createErrorPipeline(() => process);
+    target = new EventTarget();
+    uninstall = pipeline.install(target);
+    printed = jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    uninstall();
+    printed.mockRestore();
+  });
+
+  test('error events go to uncaughtExceptionMonitor and uncaughtException', () => {
+    const seen = [];
+    process.on('uncaughtExceptionMonitor', (err, origin) => seen.push(['monitor', err.message, origin]));
+    process.on('uncaughtException', (err, origin) => seen.push(['handler', err.message, origin]));
+    const event = errorEvent(new Error('boom'));
+    target.dispatchEvent(event);
+    expect(seen).toEqual([['monitor', 'boom', 'uncaughtException'], ['handler', 'boom', 'uncaughtException']]);
+    expect(event.defaultPrevented).toBe(true);
+    expect(process.exitCode).toBe(0);
+    expect(printed).not.toHaveBeenCalled();
+  });
+
+  test('an unhandled exception is printed and sets exitCode', () => {
+    target.dispatchEvent(errorEvent(new TypeError('bad')));
+    expect(process.exitCode).toBe(1);
+    expect(printed.mock.calls[0][0]).toMatch(/^TypeError: bad\n[\s\S]*\n\nNode\.js v20\.0\.0$/);
+  });
+
+  test('the capture callback takes precedence over listeners', () => {
+    const captured = jest.fn();
+    const listener = jest.fn();
+    process.on('uncaughtException', listener);
+    pipeline.setUncaughtExceptionCaptureCallback(captured);
+    expect(pipeline.hasUncaughtExceptionCaptureCallback()).toBe(true);
+    expect(() => pipeline.setUncaughtExceptionCaptureCallback(() => {})).toThrow(
+      expect.objectContaining({ code: 'ERR_UNCAUGHT_EXCEPTION_CAPTURE_ALREADY_SET' })
+    );
+    expect(() => pipeline.setUncaughtExceptionCaptureCallback(1)).toThrow(
+      expect.objectContaining({ code: 'ERR_INVALID_ARG_TYPE' })
+    );
+
+    const error = new Error('x');
+    target.dispatchEvent(errorEvent(error));
+    expect(captured).toHaveBeenCalledWith(error);
+    expect(listener).not.toHaveBeenCalled();
+
+    pipeline.setUncaughtExceptionCaptureCallback(null);
+    expect(pipeline.hasUncaughtExceptionCaptureCallback()).toBe(false);
+  });
+
+  describe('--unhandled-rejections', () => {
+    const reject = (reason) => {
+      const promise = Promise.reject(reason);
+      promise.catch(() => {});
+      const event = rejectionEvent('unhandledrejection', reason, promise);
+      target.dispatchEvent(event);
+      return { promise, event };
+    };
+
+    test('throw (the default) emits unhandledRejection when listened to', () => {
+      const listener = jest.fn();
+      process.on('unhandledRejection', listener);
+      const { promise, event } = reject(new Error('r'));
+      expect(listener).toHaveBeenCalledWith(expect.objectContaining({ message: 'r' }), promise);
+      expect(event.defaultPrevented).toBe(true);
+      expect(process.exitCode).toBe(0);
+    });
+
+    test('throw raises an uncaught exception otherwise, wrapping non-errors', () => {
+      const handler = jest.fn();
+      process.on('uncaughtException', handler);
+      reject('plain');
+      expect(handler).toHaveBeenCalledWith(
+        expect.objectContaining({ code: 'ERR_UNHANDLED_REJECTION', message: expect.stringContaining('the reason "plain"') }),
+        'unhandledRejection'
+      );
+
+      process.removeAllListeners('uncaughtException');
+      reject(new Error('fatal'));
+      expect(process.exitCode).toBe(1);
+      expect(printed.mock.calls[0][0]).toContain('Error: fatal');
+    });
+
+    test('strict raises first and emits unhandledRejection only if that was handled', () => {
+      process.execArgv = ['--unhandled-rejections=strict'];
+      const order = [];
+      process.on('unhandledRejection', () => order.push('unhandledRejection'));
+      process.on('uncaughtException', () => order.push('uncaughtException'));
+      reject(new Error('s'));
+      expect(order).toEqual(['uncaughtException', 'unhandledRejection']);
+
+      process.removeAllListeners('uncaughtException');
+      order.length = 0;
+      reject(new Error('s'));
+      expect(order).toEqual([]);
+      expect(process.exitCode).toBe(1);
+    });
+
+    test('warn always warns; none stays silent', () => {
+      process.env.NODE_OPTIONS = '--unhandled-rejections=warn';
+      const listener = jest.fn();
+      process.on('unhandledRejection', listener);
+      const { promise } = reject(new Error('w'));
+      expect(listener).toHaveBeenCalled();
+      expect(process.emitWarning).toHaveBeenCalledWith(expect.stringContaining('Error: w'), 'UnhandledPromiseRejectionWarning');
+      expect(process.emitWarning).toHaveBeenCalledWith(expect.stringContaining('(rejection id: 1)'), 'UnhandledPromiseRejectionWarning');
+
+      const handled = jest.fn();
+      process.on('rejectionHandled', handled);
+      target.dispatchEvent(rejectionEvent('rejectionhandled', undefined, promise));
+      expect(handled).toHaveBeenCalledWith(promise);
+      expect(process.emitWarning).toHaveBeenLastCalledWith(
+        'Promise rejection was handled asynchronously (rejection id: 1)', 'PromiseRejectionHandledWarning'
+      );
+
+      process.emitWarning.mockClear();
+      process.execArgv = ['--unhandled-rejections=none'];
+      process.removeAllListeners('unhandledRejection');
+      reject(new Error('n'));
+      expect(process.emitWarning).not.toHaveBeenCalled();
+      expect(process.exitCode).toBe(0);
+    });
+  });
+});
+
+describe('formatting', () => {
+  let fs;
+
+  beforeAll(async () => {
+    fs = (await import('../src/fs.js')).default;
+    fs.mkdirSync('/crash', { recursive: true });
+    fs.writeFileSync('/crash/main.js', 'const a = 1;\n  throw new Error("boom");\n');
+  });
+
+  test('codeFrame points at the column in the virtual fs source', () => {
+    expect(codeFrame('file:///crash/main.js?v=2', 2, 3)).toBe('/crash/main.js:2\n  throw new Error("boom");\n  ^\n');
+    expect(codeFrame('/crash/missing.js', 1, 1)).toBe(null);
+  });
+
+  test('formatUncaught prints the frame above the stack', () => {
+    const error = new Error('boom');
+    error.stack = 'Error: boom\n    at Object.<anonymous> (/crash/main.js:2:3)';
+    expect(formatUncaught(error, 'v20.0.0')).toBe(
+      '/crash/main.js:2\n  throw new Error("boom");\n  ^\n\n' +
+      'Error: boom\n    at Object.<anonymous> (/crash/main.js:2:3)\n\nNode.js v20.0.0'
+    );
+    expect(formatUncaught('text')).toBe("Uncaught 'text'");
+  });
+});